@@ -4,7 +4,7 @@
 import BossCubeController from './boss-cube-controller.js';
 import TemplateLoader from './template-loader.js';
 import { LivePerformance } from './live-performance.js';
-import { LOOPER_VOLUME_CONFIG, LOOPER_BUTTONS, EV1WL_PARAMS } from './constants.js';
+import { LOOPER_VOLUME_CONFIG, LOOPER_BUTTONS, EV1WL_PARAMS, EV1WL_MIDI_INTERFACES } from './constants.js';
 import { bus } from './event-bus.js';
 import {
     createSliderControl, createButtonGroupControl, createToggleGroupControl,
@@ -15,6 +15,23 @@ import { normalizeEffectKey, refreshEffectButtons } from './effect-definitions.j
 import { initVersionSwitcher } from './version-switcher.js';
 import { LooperTimeline } from './looper-timeline.js';
 import { DiscoveryDashboard } from './discovery-dashboard.js';
+import { ConnectionDiagnostics } from './connection-diagnostics.js';
+import { RECONNECT_STATES, SIGNAL_QUALITY } from './connection-health.js';
+import { RECONCILE_POLICIES, RECONCILE_CHOICES, choicesForPolicy, isReconcilable } from './state-reconciliation.js';
+import { ReconcileDialog } from './reconcile-dialog.js';
+import { PendingSyncDialog } from './pending-sync-dialog.js';
+import { PedalConfigDialog } from './pedal-config-dialog.js';
+import { PEDAL_TEMPLATES, createPedalConfig, parsePedalConfig, diffPedalConfig } from './pedal-config.js';
+import { MIDI_ACTIONS, MIDI_TARGET_KINDS, CONTINUOUS_ACTIONS, describeSource } from './midi-mapping.js';
+import { GESTURES, GESTURE_LABELS, DEFAULT_GESTURE_TIMINGS } from './footswitch-gestures.js';
+import { TapTempo, NOTE_DIVISIONS, TAP_TEMPO_RATE_TARGETS, delayTimeForTempo, rateForTempo } from './tap-tempo.js';
+import { CURVE_LABELS } from './expression-curves.js';
+import { ExpressionCurveEditor } from './expression-curve-editor.js';
+import { IDENTITY_STATUS, describeIdentity, formatIdentityCode } from './device-identity.js';
+import { KnownDevices, formatLastSeen } from './known-devices.js';
+import { StereoLinkPanel } from './stereo-link-panel.js';
+import { formatValue as formatEncodedValue } from './parameter-codec.js';
+import { CubeSimulator } from './cube-simulator.js';
 import {
     GUITAR_CALIBRATION_EFFECTS,
     createDefaultEffectOffsets as createVolumeDefaultEffectOffsets,
@@ -32,6 +49,14 @@ const VERSION = '2.29.0';
 let bossCubeController = null;
 let templateLoader = null;
 let discoveryDashboard = null;
+let connectionDiagnostics = null;
+let reconcileDialog = null;
+let pendingSyncDialog = null;
+let pedalConfigDialog = null;
+let expressionCurveEditor = null;
+let stereoLinkPanel = null;
+let knownCubes = null;
+let currentCubeId = null; // known-devices id of the connected Cube
 let currentParameterKey = 'masterVolume';
 let lastPedalValue = null; // Previous pedal value for crossing detection
 
@@ -85,10 +110,6 @@ let bindInfoOverlay, bindInfoPopup;
 // Looper Volume state
 let currentLooperVolume = LOOPER_VOLUME_CONFIG.DEFAULT;
 let isUpdatingLooperVolume = false; // Flag to prevent recursive updates
-let looperVolumeThrottle = {
-    lastUpdateTime: 0,
-    updateInterval: 10 // Reduced to 50ms for smoother movement
-};
 
 // Live performance mode
 let livePerformance = null;
@@ -109,11 +130,19 @@ let settings = {
         expSwAction: 'none',
     },
     footswitchPolarity: 'normally_open',
+    cubeTransport: 'ble',
+    verifiedWrites: false,
+    reconcilePolicy: RECONCILE_POLICIES.ASK,
     volumeCalibration: {
         enabled: false,
         offsets: {},
         effectOffsets: createDefaultEffectOffsets(),
     },
+    stereoLinkOverrides: { trims: {}, independent: [] },
+    midiMappings: [], // MIDI learn bindings: [{ source: {type, channel, number}, target: {kind, id} }]
+    footswitchGestures: { timings: { ...DEFAULT_GESTURE_TIMINGS }, bindings: {} }, // bindings: { switchId: { gesture: actionId } }
+    tapTempo: { division: 'quarter', rateDivision: 'quarter', rateTargets: [] }, // rateTargets: keys of TAP_TEMPO_RATE_TARGETS
+    expressionCurves: {}, // paramKey → { type, min, max, invert, points } (expression-curves.js)
 };
 
 // Volume calibration state
@@ -198,6 +227,12 @@ if (typeof document !== 'undefined') {
 
     // Initialize controller and template loader
     bossCubeController = new BossCubeController();
+    if (new URLSearchParams(window.location.search).has('simulator')) {
+        // ?simulator — talk to an in-process fake Cube instead of hardware
+        window.cubeSimulator = new CubeSimulator();
+        bossCubeController.useCubeSimulator(window.cubeSimulator);
+        log('🧪 Boss Cube simulator enabled (window.cubeSimulator)', 'warning');
+    }
     window.discovery = (on = true, opts = {}) => applyDiscoveryMode(on, opts);
     applyDiscoveryMode(logUiSettings.discoveryMode, { logChange: false, persist: false });
     document.getElementById('probeBtn')?.addEventListener('click', () => {
@@ -221,6 +256,28 @@ if (typeof document !== 'undefined') {
         }
         discoveryDashboard.open();
     });
+    document.getElementById('diagnosticsBtn')?.addEventListener('click', () => {
+        if (!connectionDiagnostics) {
+            connectionDiagnostics = new ConnectionDiagnostics(bossCubeController);
+        }
+        connectionDiagnostics.open();
+    });
+    document.getElementById('pendingChangesBadge')?.addEventListener('click', handlePendingChangesBadge);
+    document.getElementById('stereoLinkBtn')?.addEventListener('click', () => {
+        if (!stereoLinkPanel) {
+            stereoLinkPanel = new StereoLinkPanel(bossCubeController);
+            stereoLinkPanel.onOverridesChange = (overrides) => {
+                settings.stereoLinkOverrides = overrides;
+                saveSettings();
+            };
+        }
+        stereoLinkPanel.open();
+    });
+    setupMidiLearn();
+    setupFootswitchGestures();
+    setupTapTempo();
+    setupExpressionCurves();
+    setupSessionTraceControls();
     templateLoader = new TemplateLoader();
 
     // Restore looper volume state from localStorage (after controller initialization)
@@ -257,6 +314,11 @@ if (typeof document !== 'undefined') {
     // Apply loaded settings to controller
     applySettingsToController();
 
+    // Cubes connected before; the most recent one is reconnected to first
+    knownCubes = new KnownDevices();
+    bossCubeController.setPreferredCube(knownCubes.mostRecent?.id ?? null);
+    renderKnownCubeSelect();
+
     // Set up event listeners
     setupEventListeners();
 
@@ -276,6 +338,7 @@ if (typeof document !== 'undefined') {
 
     // Initialize tuner modal and wake lock
     initTunerModal();
+    initializePageLifecycle();
     initializeWakeLock();
 
     log(`Boss Cube Web Control v${VERSION} initialized`, 'success');
@@ -334,6 +397,25 @@ function setupEventListeners() {
 
     readValuesBtn.addEventListener('click', readValuesFromCube);
 
+    // Transport selector (Bluetooth / USB MIDI) for the Cube connection
+    const cubeTransportSelect = document.getElementById('cubeTransportSelect');
+    if (cubeTransportSelect) {
+        cubeTransportSelect.value = settings.cubeTransport;
+        cubeTransportSelect.addEventListener('change', () => {
+            settings.cubeTransport = cubeTransportSelect.value;
+            saveSettings();
+            bossCubeController.setCubeTransport(settings.cubeTransport);
+            renderKnownCubeSelect();
+            log(`Cube transport: ${settings.cubeTransport === 'usb' ? 'USB MIDI' : 'Bluetooth'}`, 'info');
+        });
+    }
+
+    // Which known Cube Reconnect goes to
+    document.getElementById('cubeDeviceSelect')?.addEventListener('change', (e) => {
+        bossCubeController.setPreferredCube(e.target.value);
+        log(`Reconnect target: ${KnownDevices.label(knownCubes.get(e.target.value))}`, 'info');
+    });
+
     // Live performance button
     livePerformanceBtn.addEventListener('click', () => livePerformance.toggle());
 
@@ -355,9 +437,21 @@ function setupEventListeners() {
             case 'paramUpdate':
                 handlePedalParamUpdate(event.address, event.value);
                 break;
+            case 'midiParameter':
+                updateParameterValue(event.parameterKey, event.value);
+                break;
+            case 'pedalAction':
+                runPedalAction(event.action, event.source || 'MIDI');
+                break;
         }
     });
 
+    // MIDI learn bound a control: persist the table and show it
+    bossCubeController.onMidiLearned = () => {
+        document.querySelectorAll('.midi-learn-armed').forEach(el => el.classList.remove('midi-learn-armed'));
+        saveMidiMappings();
+    };
+
     // Set up logging
     bossCubeController.onLog = (message, type) => {
         log(message, type);
@@ -373,6 +467,11 @@ function setupEventListeners() {
         handlePhysicalKnobChange(paramKey, paramName, value);
     };
 
+    // Verified writes the Cube did not confirm get an out-of-sync marker
+    bossCubeController.onParameterSyncChange = (paramKey, inSync) => {
+        markParameterSync(paramKey, inSync);
+    };
+
     bossCubeController.onStatusChange = (status) => {
         if (!bossCubeController.isCubeConnected) {
             statusEl.textContent = '🔊 Connection lost';
@@ -381,6 +480,53 @@ function setupEventListeners() {
             readValuesBtn.disabled = true;
             const tunerToggleBtn = document.getElementById('tunerToggleBtn');
             if (tunerToggleBtn) tunerToggleBtn.disabled = true;
+            updateSignalIndicator(null);
+        }
+    };
+
+    bossCubeController.onCubeHealthChange = (health) => {
+        updateSignalIndicator(health);
+    };
+
+    // Checked on connect before the first write: ask before driving a device no model profile knows
+    bossCubeController.onCubeIdentityMismatch = async (identity) => {
+        const assumed = bossCubeController.bossCubeComm.profile.name;
+        return confirm(`This device does not match any known amp model:\n${describeIdentity(identity)}\n\nConnect and treat it as a ${assumed} anyway?`);
+    };
+
+    // Another amp model was detected on connect: rebuild the controls from its parameter map
+    bossCubeController.onModelProfileChange = async (profile) => {
+        log(`🧩 ${profile.name} detected — rebuilding controls`, 'info');
+        await createParameterControls();
+    };
+
+    // Second Cube of a stereo link: the button shows whether it is linked
+    bossCubeController.onStereoRemoteStatusChange = (connected) => {
+        const button = document.getElementById('stereoLinkBtn');
+        button?.classList.toggle('linked', connected);
+        button?.classList.toggle('lost', bossCubeController.stereoRemoteLost);
+        if (button && connected) button.title = STEREO_LINK_TITLE;
+        log(connected ? '🔗 Stereo link REMOTE connected' : '🔗 Stereo link REMOTE disconnected', connected ? 'success' : 'info');
+    };
+
+    // Values may be outdated after the page was in the background — dim the controls until the resync
+    bossCubeController.onStateStaleChange = (stale) => {
+        document.body.classList.toggle('state-stale', stale);
+    };
+
+    // Edits made while disconnected are queued; the badge shows how many wait for the next connect
+    bossCubeController.onPendingChangesChange = (count) => {
+        updatePendingChangesBadge(count);
+    };
+
+    // Unexpected drops retry with backoff — show the countdown instead of waiting for a click
+    bossCubeController.onReconnectStatus = (device, status) => {
+        if (device === 'cube') {
+            showCubeReconnectStatus(status);
+        } else if (device === 'remote') {
+            showStereoRemoteReconnectStatus(status);
+        } else {
+            showPedalReconnectStatus(status);
         }
     };
 
@@ -483,8 +629,19 @@ function handlePedalButton(event) {
     log(`🦶 Pedal ${button} button: Switched to ${currentParameter.name}`, 'info');
 }
 
+// EXP SW looper cycle (LOOPER_BUTTONS indices): record → play → overdub → play; any other state records
+const LOOPER_PEDAL_CYCLE = { start: 2, 2: 3, 3: 4, 4: 3 };
+
 async function handleExpSwAction() {
-    const action = settings.pedalMapping.expSwAction;
+    await runPedalAction(settings.pedalMapping.expSwAction, 'EXP SW');
+}
+
+/**
+ * App-level actions shared by the EXP SW setting, MIDI learn bindings and footswitch gestures
+ * @param {string} action - 'none', 'toggleTuner', 'toggleGuitarEffect', 'toggleMicEffect', 'cycleLooper', 'eraseLoop' or 'tapTempo'
+ * @param {string} source - log prefix
+ */
+async function runPedalAction(action, source) {
     if (action === 'none') return;
 
     if (action === 'toggleTuner') {
@@ -492,16 +649,60 @@ async function handleExpSwAction() {
         updateTunerButtonState();
         updateTunerVisualState();
         await bossCubeController.setTunerControl(tunerEnabled);
-        log(`🦶 EXP SW: Tuner ${tunerEnabled ? 'on' : 'off'}`, 'info');
+        log(`🦶 ${source}: Tuner ${tunerEnabled ? 'on' : 'off'}`, 'info');
     } else if (action === 'toggleGuitarEffect') {
         const effectType = bossCubeController.currentGuitarEffect;
         await bossCubeController.toggleEffect('guitar', effectType);
-        log(`🦶 EXP SW: Toggle guitar ${effectType}`, 'info');
+        log(`🦶 ${source}: Toggle guitar ${effectType}`, 'info');
     } else if (action === 'toggleMicEffect') {
         const effectType = bossCubeController.currentMicInstEffect;
         await bossCubeController.toggleEffect('micInst', effectType);
-        log(`🦶 EXP SW: Toggle mic/inst ${effectType}`, 'info');
+        log(`🦶 ${source}: Toggle mic/inst ${effectType}`, 'info');
+    } else if ((action === 'cycleLooper' || action === 'eraseLoop') && !bossCubeController.isCubeConnected) {
+        log(`🦶 ${source}: Boss Cube not connected - looper unavailable`, 'warning');
+    } else if (action === 'cycleLooper') {
+        const next = LOOPER_PEDAL_CYCLE[bossCubeController.parameters.looperControl.current] ?? LOOPER_PEDAL_CYCLE.start;
+        looperTimeline.onLooperStateChange(next, 'pedal');
+        updateParameterValue('looperControl', next);
+        log(`🦶 ${source}: Looper ${LOOPER_BUTTONS[next].title}`, 'info');
+    } else if (action === 'eraseLoop') {
+        looperTimeline.onLooperStateChange(0, 'pedal');
+        updateParameterValue('looperControl', 0);
+        log(`🦶 ${source}: Looper ${LOOPER_BUTTONS[0].title}`, 'info');
+    } else if (action === 'tapTempo') {
+        handleTapTempo(source);
+    }
+}
+
+const tapTempo = new TapTempo();
+
+/**
+ * Register a tap; from the second tap on, write the delay time (and the chosen
+ * modulation rates) for the tapped tempo
+ */
+function handleTapTempo(source) {
+    const pad = document.getElementById('tapTempoBtn');
+    pad?.classList.add('tapped');
+    setTimeout(() => pad?.classList.remove('tapped'), 100);
+
+    const bpm = tapTempo.tap(performance.now());
+    if (bpm === null) {
+        // First tap of a count (a switch bounce keeps the shown tempo)
+        if (pad && tapTempo.taps.length === 1) pad.textContent = '🥁 Tap…';
+        return;
+    }
+    if (pad) pad.textContent = `🥁 ${bpm} BPM`;
+
+    const { division, rateDivision, rateTargets } = settings.tapTempo;
+    const params = bossCubeController.parameters;
+    const delayTime = delayTimeForTempo(bpm, division, params.guitarDelayTime);
+    updateParameterValue('guitarDelayTime', delayTime);
+
+    const rates = rateTargets.flatMap(effect => TAP_TEMPO_RATE_TARGETS[effect] || []);
+    for (const key of rates) {
+        updateParameterValue(key, rateForTempo(bpm, rateDivision, params[key]));
     }
+    log(`🥁 ${source}: ${bpm} BPM → delay ${delayTime}ms (${NOTE_DIVISIONS[division].label})${rateTargets.length ? `, ${rateTargets.join('/')} rate` : ''}`, 'info');
 }
 
 function handlePedalStatusChange(event) {
@@ -540,7 +741,7 @@ function handleParameterChange(event) {
     }
 
     // Check if pickup mode should be activated for new parameter using global pedal position
-    const globalPedalPosition = bossCubeController.getGlobalPedalPosition(parameter);
+    const globalPedalPosition = bossCubeController.getGlobalPedalPosition(parameter, currentParameterKey);
     if (globalPedalPosition !== null) {
         const valueDifference = Math.abs(globalPedalPosition - parameter.current);
         if (valueDifference > pickupMode.threshold) {
@@ -811,7 +1012,6 @@ async function updateReverbDelayControls() {
             btn.textContent = label;
             btn.dataset.switchKey = switchKey;
             btn.addEventListener('click', async () => {
-                if (!bossCubeController.isCubeConnected) return;
                 const sp = bossCubeController.parameters[switchKey];
                 const newVal = sp && sp.current === 1 ? 0 : 1;
                 await bossCubeController.setParameter(switchKey, newVal);
@@ -855,6 +1055,11 @@ async function updateLooperControls() {
         buttonClass: 'btn-base btn-looper looper-btn-improved',
         groupClass: 'btn-group--grid btn-group--grid-6 looper-buttons-improved',
         onValueChange: (k, v) => {
+            if (!bossCubeController.isCubeConnected) {
+                log('Boss Cube not connected - cannot control the looper', 'error');
+                updateParameterDisplay(k, looperParam.current);
+                return;
+            }
             looperTimeline.onLooperStateChange(v, 'ui-click');
             updateParameterValue(k, v);
             if (livePerformance && livePerformance.isActive) {
@@ -913,10 +1118,6 @@ async function updateLooperSettingsControls() {
     const toggleTarget = container.querySelector('.looper-settings-improved') || container;
     const toggleGroup = createToggleGroupControl(looperAssigns, bossCubeController.parameters, {
         onToggle: async (childKey, newVal) => {
-            if (!bossCubeController.isCubeConnected) {
-                log('Boss Cube not connected - cannot change looper settings', 'error');
-                return;
-            }
             try {
                 await bossCubeController.setParameter(childKey, newVal);
                 const label = looperAssigns.childLabels?.[childKey] || childKey;
@@ -981,11 +1182,6 @@ function setupLooperSettingsModal() {
 }
 
 async function setRecordingTime(value) {
-    if (!bossCubeController.isCubeConnected) {
-        log('Boss Cube not connected - cannot change recording time', 'error');
-        return;
-    }
-
     try {
         // Send to Boss Cube
         await bossCubeController.setParameter('looperRecTime', value);
@@ -1143,17 +1339,21 @@ function updateTunerVisualDisplay() {
 
 
 function toggleMasterBind() {
-    masterBindEnabled = !masterBindEnabled;
+    setMasterBindEnabled(!masterBindEnabled);
+    if (currentCubeId) knownCubes.updateSettings(currentCubeId, { masterBind: masterBindEnabled });
 
     if (masterBindEnabled) {
-        masterBindControl.classList.add('enabled');
         log(`🔗 Master Out binding enabled - Aux volume knob will control both sliders`, 'success');
     } else {
-        masterBindControl.classList.remove('enabled');
         log('🔗 Master Out binding disabled - controls work normally', 'info');
     }
 }
 
+function setMasterBindEnabled(enabled) {
+    masterBindEnabled = enabled;
+    if (masterBindControl) masterBindControl.classList.toggle('enabled', enabled);
+}
+
 function showBindInfo() {
     bindInfoOverlay.classList.add('show');
     bindInfoPopup.classList.add('show');
@@ -1270,21 +1470,11 @@ async function updateLooperVolume(targetVolume) {
             }
         }
 
-        // Throttle hardware updates to prevent GATT conflicts
-        const now = Date.now();
-        const shouldUpdateHardware = now - looperVolumeThrottle.lastUpdateTime >= looperVolumeThrottle.updateInterval;
-
-        if (bossCubeController.isCubeConnected && shouldUpdateHardware) {
-            looperVolumeThrottle.lastUpdateTime = now;
-
-            // Send hardware updates sequentially to avoid GATT conflicts
-            for (const [paramKey, newValue] of Object.entries(adjustments)) {
-                try {
-                    await bossCubeController.setParameter(paramKey, newValue);
-                } catch (error) {
-                    console.warn(`Failed to update ${paramKey}:`, error.message);
-                }
-            }
+        // One batched write (queued while offline); the GATT queue collapses a fast drag to the newest values
+        try {
+            await bossCubeController.setParameters(adjustments);
+        } catch (error) {
+            console.warn('Failed to update looper volume mix:', error.message);
         }
 
         currentLooperVolume = targetVolume;
@@ -1419,7 +1609,7 @@ function updateParameterValue(key, value) {
     // Update pickup mode state when control is changed manually
     if (key === currentParameterKey) {
         // Get global pedal position for this parameter
-        const globalPedalPosition = bossCubeController.getGlobalPedalPosition(param);
+        const globalPedalPosition = bossCubeController.getGlobalPedalPosition(param, key);
 
         // If pedal position is significantly different, enter pickup mode
         if (!pickupMode.active && globalPedalPosition !== null) {
@@ -1443,11 +1633,13 @@ function updateParameterValue(key, value) {
         } else if (oldAmpType !== value) {
             bossCubeController.setParameter(key, value);
         }
-    } else if (bossCubeController.isCubeConnected) {
+    } else if (bossCubeController.isCubeConnected || isReconcilable(key, param)) {
+        // Disconnected: settings are queued as a pending change and synced on the next connect
         bossCubeController.setParameter(key, value);
     } else {
-        param.current = value;
-        log(`UI only: ${param.name} = ${value} (Boss Cube not connected)`, 'warning');
+        log(`Boss Cube not connected - cannot change ${param.name}`, 'error');
+        updateParameterDisplay(key, param.current);
+        return;
     }
 
     // Update parameter display
@@ -1493,6 +1685,7 @@ function updateParameterDisplay(key, value) {
     if (!param) return;
 
     param.current = value;
+    control.classList.remove('value-stale');
 
     if (control.querySelector('[data-value]')) {
         updateButtonGroupDisplay(control, value);
@@ -1501,6 +1694,33 @@ function updateParameterDisplay(key, value) {
     }
 }
 
+/**
+ * Flag controls whose value never arrived during a sync; cleared when the Cube reports a value
+ */
+function markStaleParameters(keys) {
+    document.querySelectorAll('.parameter-control.value-stale').forEach(control => {
+        control.classList.remove('value-stale');
+    });
+    for (const key of keys) {
+        const control = document.querySelector(`[data-param-key="${key}"]`);
+        if (control) control.classList.add('value-stale');
+    }
+}
+
+/**
+ * Toggle the out-of-sync marker on a control after a verified write
+ */
+function markParameterSync(key, inSync) {
+    const control = document.querySelector(`[data-param-key="${key}"]`);
+    if (!control) return;
+    control.classList.toggle('out-of-sync', !inSync);
+    if (inSync) {
+        control.removeAttribute('title');
+    } else {
+        control.title = 'The Cube did not confirm the last write — adjust the control to retry';
+    }
+}
+
 // Cache DOM elements for faster pedal updates
 let cachedPedalElements = null;
 
@@ -1538,7 +1758,7 @@ function updatePickupModeVisuals(key, active) {
                 control.classList.add('pickup-mode');
                 // Update pedal position indicator when entering pickup mode using global pedal position
                 const param = bossCubeController.parameters[key];
-                const globalPedalPosition = bossCubeController.getGlobalPedalPosition(param);
+                const globalPedalPosition = bossCubeController.getGlobalPedalPosition(param, key);
                 if (globalPedalPosition !== null) {
                     updatePedalPositionIndicator(key, globalPedalPosition);
                 }
@@ -1585,7 +1805,7 @@ function initBluetoothAvailabilityMonitor() {
 function onBluetoothUnavailable() {
     log('🔴 Bluetooth adapter is off', 'error');
 
-    if (bossCubeController.isCubeConnected) {
+    if (bossCubeController.isCubeConnected && bossCubeController.getCubeTransport() !== 'usb') {
         statusEl.textContent = '🔊 Bluetooth off';
         statusEl.className = 'device-status error';
         setCubeButtonState('lost');
@@ -1655,6 +1875,110 @@ async function tryAutoReconnect() {
     await Promise.all([cubePromise, pedalPromise]);
 }
 
+async function showCubeReconnectStatus({ state, attempt, delayMs }) {
+    switch (state) {
+        case RECONNECT_STATES.WAITING:
+            statusEl.textContent = `🔊 Lost — retrying in ${Math.round(delayMs / 1000)}s`;
+            statusEl.className = 'device-status warning';
+            setCubeButtonState('lost');
+            break;
+        case RECONNECT_STATES.ATTEMPTING:
+            statusEl.textContent = `🔊 Reconnecting… (${attempt})`;
+            statusEl.className = 'device-status info';
+            setCubeButtonState('connecting');
+            break;
+        case RECONNECT_STATES.CONNECTED:
+            await onCubeConnected();
+            break;
+        case RECONNECT_STATES.GAVE_UP:
+            statusEl.textContent = '🔊 Connection lost';
+            statusEl.className = 'device-status error';
+            setCubeButtonState('lost');
+            break;
+    }
+}
+
+function showPedalReconnectStatus({ state, attempt, delayMs }) {
+    switch (state) {
+        case RECONNECT_STATES.WAITING:
+            pedalStatusEl.textContent = `🦶 Lost — retrying in ${Math.round(delayMs / 1000)}s`;
+            pedalStatusEl.className = 'device-status warning';
+            setPedalButtonState('lost');
+            break;
+        case RECONNECT_STATES.ATTEMPTING:
+            pedalStatusEl.textContent = `🦶 Reconnecting… (${attempt})`;
+            pedalStatusEl.className = 'device-status info';
+            setPedalButtonState('connecting');
+            break;
+        case RECONNECT_STATES.GAVE_UP:
+            pedalStatusEl.textContent = '🦶 Connection lost';
+            pedalStatusEl.className = 'device-status error';
+            setPedalButtonState('lost');
+            break;
+        // CONNECTED: the pedal status callback updates the row
+    }
+}
+
+const STEREO_LINK_TITLE = 'Drive a HOST and a REMOTE Cube together';
+
+/**
+ * Mark the Stereo Link button while the REMOTE is lost; the panel shows the same from the controller
+ */
+function showStereoRemoteReconnectStatus({ state, attempt }) {
+    const button = document.getElementById('stereoLinkBtn');
+    if (!button) return;
+    button.classList.toggle('lost', bossCubeController.stereoRemoteLost);
+    if (state === RECONNECT_STATES.ATTEMPTING) {
+        button.title = `REMOTE Cube lost — reconnecting… (${attempt})`;
+    } else if (state === RECONNECT_STATES.GAVE_UP) {
+        button.title = 'REMOTE Cube lost — reconnect it from the Stereo Link panel';
+        log('🔗 Stereo link REMOTE lost', 'error');
+    }
+}
+
+const SIGNAL_BARS = { [SIGNAL_QUALITY.GOOD]: 3, [SIGNAL_QUALITY.FAIR]: 2, [SIGNAL_QUALITY.POOR]: 1, [SIGNAL_QUALITY.LOST]: 0 };
+
+/**
+ * Signal-quality bars next to the Cube status (null hides them)
+ */
+function updateSignalIndicator(health) {
+    const indicator = document.getElementById('cubeSignal');
+    if (!indicator) return;
+    if (!health) {
+        indicator.style.display = 'none';
+        return;
+    }
+    indicator.style.display = '';
+    indicator.className = `signal-indicator signal-${health.quality}`;
+    indicator.dataset.bars = SIGNAL_BARS[health.quality];
+    const rtt = health.rttMs === null ? '—' : `${health.rttMs} ms`;
+    indicator.title = `Signal: ${health.quality}\n`
+        + `Keep-alive round trip: ${rtt}\n`
+        + `Write errors: ${(health.writeErrorRate * 100).toFixed(1)}%\n`
+        + `Last data: ${Math.round(health.msSinceLastNotification / 1000)}s ago`;
+}
+
+function updatePendingChangesBadge(count) {
+    const badge = document.getElementById('pendingChangesBadge');
+    if (!badge) return;
+    badge.style.display = count > 0 ? '' : 'none';
+    badge.textContent = `✏️ ${count}`;
+    badge.title = `${count} offline change(s) waiting to sync with the Cube — click to sync or discard`;
+}
+
+/**
+ * Badge click: retry the sync when connected, otherwise offer to drop the queue
+ */
+async function handlePendingChangesBadge() {
+    const count = Object.keys(bossCubeController.getPendingChanges()).length;
+    if (count === 0) return;
+    if (bossCubeController.isCubeConnected) {
+        await syncPendingChanges();
+    } else if (confirm(`Discard ${count} offline change(s)? The amp's values are loaded on the next connect.`)) {
+        bossCubeController.discardPendingChanges();
+    }
+}
+
 async function handleBossCubeButton({ skipReadValues = false } = {}) {
     if (bossCubeController.isCubeConnected) {
         await disconnectBossCube();
@@ -1668,7 +1992,11 @@ if (typeof window !== 'undefined') {
 
 async function reconnectCube() {
     if (cubeConnecting) return;
-    if (!bluetoothAvailable) {
+    if (bossCubeController.isAutoReconnecting('cube')) {
+        bossCubeController.retryAutoReconnectNow('cube');
+        return;
+    }
+    if (!bluetoothAvailable && bossCubeController.getCubeTransport() !== 'usb' && !bossCubeController.isCubeSimulated()) {
         statusEl.textContent = '🔊 Bluetooth off';
         statusEl.className = 'device-status error';
         log('Cannot reconnect — Bluetooth adapter is off', 'warning');
@@ -1726,6 +2054,64 @@ function setCubeButtonState(state) {
         lost:           [reconnectBtn, connectBtn],
     };
     setDeviceActions(actions, map[state] || map.disconnected);
+
+    const idle = ['disconnected', 'failed', 'lost'].includes(state);
+    const transportSelect = document.getElementById('cubeTransportSelect');
+    if (transportSelect) {
+        transportSelect.disabled = !idle;
+    }
+    const deviceSelect = document.getElementById('cubeDeviceSelect');
+    if (deviceSelect) {
+        deviceSelect.disabled = !idle;
+    }
+}
+
+/**
+ * Nickname of the connected Cube, else its advertised name
+ */
+function connectedCubeLabel() {
+    const entry = currentCubeId ? knownCubes.get(currentCubeId) : null;
+    return entry ? KnownDevices.label(entry) : (bossCubeController.getStatus().cube.deviceName || 'Cube');
+}
+
+// USB MIDI ports have no Web Bluetooth id; known by their port name instead
+const USB_DEVICE_ID_PREFIX = 'usb:';
+
+/**
+ * Cube picker next to Reconnect; only shown when more than one Bluetooth Cube is known
+ */
+function renderKnownCubeSelect() {
+    const select = document.getElementById('cubeDeviceSelect');
+    if (!select || !knownCubes) return;
+    const cubes = knownCubes.list().filter(entry => !entry.id.startsWith(USB_DEVICE_ID_PREFIX));
+    select.style.display = cubes.length > 1 && settings.cubeTransport !== 'usb' ? '' : 'none';
+
+    select.innerHTML = '';
+    for (const entry of cubes) {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = `${KnownDevices.label(entry)} (${formatLastSeen(entry.lastSeen)})`;
+        select.appendChild(option);
+    }
+    const preferred = bossCubeController.getPreferredCube();
+    select.value = cubes.some(entry => entry.id === preferred) ? preferred : (cubes[0]?.id ?? '');
+}
+
+/**
+ * Add the connected Cube to the known list and switch to its own calibration and master bind
+ */
+function rememberConnectedCube() {
+    const { deviceId, deviceName } = bossCubeController.getStatus().cube;
+    currentCubeId = deviceId || `${USB_DEVICE_ID_PREFIX}${deviceName}`;
+    const entry = knownCubes.remember({ id: currentCubeId, name: deviceName });
+
+    // A Cube seen for the first time starts from the calibration in use
+    if (entry.settings.volumeCalibration) {
+        settings.volumeCalibration = structuredClone(entry.settings.volumeCalibration);
+    }
+    saveSettings();
+    setMasterBindEnabled(!!entry.settings.masterBind);
+    renderKnownCubeSelect();
 }
 
 function setPedalButtonState(state) {
@@ -1755,10 +2141,11 @@ async function handlePedalUIButton() {
 }
 
 async function onCubeConnected({ skipReadValues = false } = {}) {
-    const name = bossCubeController.getStatus().cube.deviceName || 'Cube';
-    statusEl.textContent = `🔊 ${name}`;
+    rememberConnectedCube();
+    statusEl.textContent = `🔊 ${connectedCubeLabel()}`;
     statusEl.className = 'device-status success';
     setCubeButtonState('connected');
+    updateSignalIndicator(bossCubeController.getCubeHealth());
 
     readValuesBtn.disabled = false;
     const tunerToggleBtn = document.getElementById('tunerToggleBtn');
@@ -1773,7 +2160,11 @@ async function onCubeConnected({ skipReadValues = false } = {}) {
     log('Connected to Boss Cube II', 'success');
     if (discoveryDashboard) discoveryDashboard._updateConnectBtn();
 
-    if (!skipReadValues) {
+    if (Object.keys(bossCubeController.getPendingChanges()).length > 0) {
+        await syncPendingChanges();
+    } else if (bossCubeController.isReconcilePending()) {
+        await reconcileAfterReconnect();
+    } else if (!skipReadValues) {
         await readCurrentValuesOnConnect();
     }
 }
@@ -1823,10 +2214,9 @@ async function disconnectBossCube() {
         tunerEnabled = false;
         updateTunerButtonState();
 
-        masterBindEnabled = false;
-        if (masterBindControl) {
-            masterBindControl.classList.remove('enabled');
-        }
+        setMasterBindEnabled(false);
+        currentCubeId = null;
+        renderKnownCubeSelect();
 
         log('Disconnected from Boss Cube II', 'info');
         if (discoveryDashboard) discoveryDashboard._updateConnectBtn();
@@ -1840,6 +2230,10 @@ async function disconnectBossCube() {
 
 async function reconnectPedal() {
     if (pedalConnecting) return;
+    if (bossCubeController.isAutoReconnecting('pedal')) {
+        bossCubeController.retryAutoReconnectNow('pedal');
+        return;
+    }
     if (!bluetoothAvailable) {
         pedalStatusEl.textContent = '🦶 Bluetooth off';
         pedalStatusEl.className = 'device-status error';
@@ -1926,15 +2320,17 @@ async function readCurrentValuesOnConnect() {
         statusEl.textContent = '🔊 Reading values…';
         statusEl.className = 'device-status info';
 
-        await bossCubeController.readAllValues();
+        const report = await bossCubeController.readAllValues();
+        markStaleParameters(report.missingParameters);
 
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        statusEl.textContent = `🔊 ${connectedCubeLabel()}`;
+        statusEl.className = report.complete ? 'device-status success' : 'device-status warning';
 
-        const name = bossCubeController.getStatus().cube.deviceName || 'Cube';
-        statusEl.textContent = `🔊 ${name}`;
-        statusEl.className = 'device-status success';
-
-        log('✅ All current values read from Boss Cube', 'success');
+        if (report.complete) {
+            log('✅ All current values read from Boss Cube', 'success');
+        } else {
+            log(`⚠️ ${report.missingParameters.length} value(s) may be stale — use Reload Values to retry`, 'warning');
+        }
 
     } catch (error) {
         log(`❌ Failed to read current values: ${error.message}`, 'error');
@@ -1950,6 +2346,85 @@ async function readCurrentValuesOnConnect() {
     }
 }
 
+/**
+ * Pick amp or app per drifted value following settings.reconcilePolicy,
+ * asking in the reconcile dialog when the policy is "ask"
+ */
+async function chooseReconcileSides(diffs) {
+    const choices = choicesForPolicy(diffs, settings.reconcilePolicy);
+    if (choices) return choices;
+
+    if (!reconcileDialog) reconcileDialog = new ReconcileDialog(bossCubeController.parameters);
+    const answer = await reconcileDialog.ask(diffs);
+    if (answer.rememberPolicy) {
+        settings.reconcilePolicy = answer.rememberPolicy;
+        saveSettings();
+        log(`After reconnect: remembered "${answer.rememberPolicy}" — change it in Settings`, 'info');
+    }
+    return answer.choices;
+}
+
+/**
+ * Connected with offline edits queued: re-read the amp, confirm the list of
+ * changes, then push them in one batch. Any other drift is reconciled as usual.
+ */
+async function syncPendingChanges() {
+    try {
+        statusEl.textContent = '🔊 Comparing offline changes…';
+        statusEl.className = 'device-status info';
+
+        const { changes, diffs, report } = await bossCubeController.previewPendingChanges();
+        let push = true;
+        if (changes.length > 0) {
+            if (!pendingSyncDialog) pendingSyncDialog = new PendingSyncDialog(bossCubeController.parameters);
+            push = await pendingSyncDialog.confirm(changes);
+        }
+
+        const choices = await chooseReconcileSides(diffs);
+        if (push) {
+            for (const { key } of changes) choices[key] = RECONCILE_CHOICES.APP;
+        }
+        const pushed = await bossCubeController.applyReconcileChoices(choices);
+        markStaleParameters(report.missingParameters);
+
+        statusEl.textContent = `🔊 ${connectedCubeLabel()}`;
+        statusEl.className = report.complete ? 'device-status success' : 'device-status warning';
+        log(push
+            ? `✅ Offline changes synced: ${pushed} value(s) pushed to the amp`
+            : '🗑️ Offline changes discarded — showing the amp\'s values', 'success');
+
+    } catch (error) {
+        // Nothing is lost: the changes stay queued and amp reports stay held until a sync succeeds
+        log(`❌ Offline sync failed: ${error.message} — click the ✏️ badge to retry`, 'error');
+    }
+}
+
+/**
+ * Back after a drop: re-read the amp, then keep or push each value that drifted
+ * according to settings.reconcilePolicy (asking when the policy is "ask")
+ */
+async function reconcileAfterReconnect() {
+    try {
+        statusEl.textContent = '🔊 Comparing values…';
+        statusEl.className = 'device-status info';
+
+        const { diffs, report } = await bossCubeController.readStateDiff();
+        const choices = await chooseReconcileSides(diffs);
+
+        const pushed = await bossCubeController.applyReconcileChoices(choices);
+        markStaleParameters(report.missingParameters);
+
+        statusEl.textContent = `🔊 ${connectedCubeLabel()}`;
+        statusEl.className = report.complete ? 'device-status success' : 'device-status warning';
+        log(`✅ Reconnect sync: ${diffs.length - pushed} value(s) taken from the amp, ${pushed} pushed from the app`, 'success');
+
+    } catch (error) {
+        log(`❌ Reconnect sync failed: ${error.message}`, 'error');
+        // Leave capture mode so amp updates reach the UI again
+        await bossCubeController.applyReconcileChoices({}).catch(() => {});
+    }
+}
+
 async function testConnection() {
     try {
         log('Testing connection...', 'info');
@@ -2052,6 +2527,52 @@ function setupLogPanel() {
     }
 }
 
+/**
+ * Record / replay SysEx session traces from the log panel
+ */
+function setupSessionTraceControls() {
+    const recordBtn = document.getElementById('recordTraceBtn');
+    const replayBtn = document.getElementById('replayTraceBtn');
+    const replayInput = document.getElementById('replayTraceInput');
+
+    if (recordBtn) {
+        recordBtn.addEventListener('click', () => {
+            if (!bossCubeController.isSessionRecording()) {
+                bossCubeController.startSessionRecording();
+                recordBtn.textContent = '⏹️ Stop Rec';
+                recordBtn.classList.add('active');
+                return;
+            }
+
+            const trace = bossCubeController.stopSessionRecording();
+            recordBtn.textContent = '⏺️ Record';
+            recordBtn.classList.remove('active');
+
+            const blob = new Blob([JSON.stringify(trace, null, 1)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `boss-cube-trace-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+        });
+    }
+
+    if (replayBtn && replayInput) {
+        replayBtn.addEventListener('click', () => replayInput.click());
+        replayInput.addEventListener('change', async () => {
+            const file = replayInput.files[0];
+            replayInput.value = '';
+            if (!file) return;
+            try {
+                await bossCubeController.replaySessionTrace(await file.text());
+            } catch (error) {
+                log(`❌ Trace replay failed: ${error.message}`, 'error');
+            }
+        });
+    }
+}
+
 function loadLogUiSettings() {
     try {
         const raw = localStorage.getItem(LOG_UI_SETTINGS_KEY);
@@ -2147,9 +2668,14 @@ async function readValuesFromCube() {
         log(`🔄 [${buttonCallId}] Reloading all parameter values from Boss Cube...`, 'info');
 
         // Read all mixer and effects values
-        await bossCubeController.readAllValues();
+        const report = await bossCubeController.readAllValues();
+        markStaleParameters(report.missingParameters);
 
-        log('✅ All reload requests sent - watch for incoming values', 'success');
+        if (report.complete) {
+            log('✅ All values reloaded from Boss Cube', 'success');
+        } else {
+            log(`⚠️ Reload incomplete — ${report.missingParameters.length} value(s) may be stale`, 'warning');
+        }
 
     } catch (error) {
         log(`❌ Failed to reload values: ${error.message}`, 'error');
@@ -2497,6 +3023,10 @@ function saveSettings() {
     } catch (error) {
         log('Failed to save settings', 'error');
     }
+    // Calibration belongs to the amp it was measured on
+    if (currentCubeId) {
+        knownCubes.updateSettings(currentCubeId, { volumeCalibration: settings.volumeCalibration });
+    }
 }
 
 function initializeThemeToggle() {
@@ -2550,6 +3080,10 @@ function initializeSettingsModal() {
     // Open settings modal
     settingsBtn.addEventListener('click', () => {
         loadSettingsIntoForm();
+        renderKnownCubesSettings();
+        renderMidiMappings();
+        renderFootswitchGestures();
+        renderExpressionCurves();
         populateDeviceSettings();
         settingsModal.style.display = 'flex';
     });
@@ -2575,6 +3109,7 @@ function initializeSettingsModal() {
             pedalSettingsModal.style.display = 'none';
         }
     });
+    setupPedalConfigControls();
 
     // Save settings
     saveSettingsBtn.addEventListener('click', () => {
@@ -2591,6 +3126,13 @@ function initializeSettingsModal() {
         if (selectedPolarity) {
             settings.footswitchPolarity = selectedPolarity.value;
         }
+        settings.verifiedWrites = document.getElementById('verifiedWritesEnabled').checked;
+        settings.reconcilePolicy = document.getElementById('reconcilePolicySelect').value;
+        settings.tapTempo = {
+            division: document.getElementById('tapTempoDivision').value,
+            rateDivision: document.getElementById('tapTempoRateDivision').value,
+            rateTargets: [...document.querySelectorAll('input[name="tapTempoRate"]:checked')].map(input => input.value),
+        };
 
         saveSettings();
 
@@ -2616,11 +3158,19 @@ function initializeSettingsModal() {
                     expSwAction: 'none',
                 },
                 footswitchPolarity: 'normally_open',
+                cubeTransport: settings.cubeTransport,
+                verifiedWrites: false,
+                reconcilePolicy: RECONCILE_POLICIES.ASK,
                 volumeCalibration: {
                     enabled: false,
                     offsets: {},
                     effectOffsets: createDefaultEffectOffsets(),
                 },
+                stereoLinkOverrides: { trims: {}, independent: [] },
+                midiMappings: [],
+                footswitchGestures: { timings: { ...DEFAULT_GESTURE_TIMINGS }, bindings: {} },
+                tapTempo: { division: 'quarter', rateDivision: 'quarter', rateTargets: [] },
+                expressionCurves: {},
             };
 
             loadSettingsIntoForm();
@@ -2628,6 +3178,9 @@ function initializeSettingsModal() {
 
             if (bossCubeController) {
                 applySettingsToController();
+                renderMidiMappings();
+                renderFootswitchGestures();
+                renderExpressionCurves();
             }
 
             log('Settings reset to defaults', 'info');
@@ -2652,10 +3205,65 @@ function initializeSettingsModal() {
         });
 
         document.getElementById('volumeCalEnabled').checked = settings.volumeCalibration.enabled;
+        document.getElementById('verifiedWritesEnabled').checked = settings.verifiedWrites;
+        document.getElementById('reconcilePolicySelect').value = settings.reconcilePolicy;
+        document.getElementById('tapTempoDivision').value = settings.tapTempo.division;
+        document.getElementById('tapTempoRateDivision').value = settings.tapTempo.rateDivision;
+        document.querySelectorAll('input[name="tapTempoRate"]').forEach(input => {
+            input.checked = settings.tapTempo.rateTargets.includes(input.value);
+        });
         updateCalibrationOffsetSummary();
     }
 }
 
+/**
+ * Known Cubes list in the app settings: nickname, last seen, forget
+ */
+function renderKnownCubesSettings() {
+    const container = document.getElementById('knownCubesList');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const cubes = knownCubes.list();
+    if (cubes.length === 0) {
+        container.innerHTML = '<div class="settings-description">No Cube connected yet.</div>';
+        return;
+    }
+
+    for (const entry of cubes) {
+        const row = document.createElement('div');
+        row.className = 'setting-row known-cube-row';
+
+        const nickname = document.createElement('input');
+        nickname.type = 'text';
+        nickname.value = entry.nickname;
+        nickname.placeholder = entry.name;
+        nickname.title = `Nickname for ${entry.name}`;
+        nickname.addEventListener('change', () => {
+            knownCubes.rename(entry.id, nickname.value);
+            renderKnownCubeSelect();
+            if (entry.id === currentCubeId) statusEl.textContent = `🔊 ${connectedCubeLabel()}`;
+        });
+
+        const lastSeen = document.createElement('span');
+        lastSeen.className = 'settings-description';
+        lastSeen.textContent = entry.id === currentCubeId ? 'connected' : formatLastSeen(entry.lastSeen);
+
+        const forget = document.createElement('button');
+        forget.className = 'btn-base btn-secondary';
+        forget.textContent = 'Forget';
+        forget.addEventListener('click', () => {
+            if (!confirm(`Forget ${KnownDevices.label(entry)} and its calibration?`)) return;
+            knownCubes.forget(entry.id);
+            renderKnownCubesSettings();
+            renderKnownCubeSelect();
+        });
+
+        row.append(nickname, lastSeen, forget);
+        container.appendChild(row);
+    }
+}
+
 const DEVICE_SETTINGS_GROUPS = {
     settingsNoiseSuppControls:    ['noiseSuppMicInst', 'noiseSuppGuitarMic', 'noiseSuppAuxBt'],
     settingsDuckingControls:      ['auxInDucking', 'auxInDuckingLevel'],
@@ -2670,6 +3278,8 @@ function populateDeviceSettings() {
     section.style.display = connected ? '' : 'none';
     if (!connected) return;
 
+    renderDeviceIdentity();
+
     for (const [containerId, paramKeys] of Object.entries(DEVICE_SETTINGS_GROUPS)) {
         const container = document.getElementById(containerId);
         if (!container) continue;
@@ -2712,7 +3322,7 @@ function populateDeviceSettings() {
                 slider.value = param.current;
                 slider.className = 'settings-slider';
 
-                const formatValue = param.displayValue || (v => v);
+                const formatValue = param.displayValue || (v => formatEncodedValue(param, v) ?? v);
                 const valueDisplay = document.createElement('span');
                 valueDisplay.className = 'settings-value';
                 valueDisplay.textContent = formatValue(param.current);
@@ -2732,6 +3342,42 @@ function populateDeviceSettings() {
     }
 }
 
+const IDENTITY_STATUS_LABELS = {
+    [IDENTITY_STATUS.MATCH]: '✅ Recognized',
+    [IDENTITY_STATUS.MISMATCH]: '⚠️ Unknown model',
+    [IDENTITY_STATUS.UNKNOWN]: '❔ Did not answer'
+};
+
+/**
+ * Manufacturer, family, model and firmware revision from the Device Inquiry on connect
+ */
+function renderDeviceIdentity() {
+    const container = document.getElementById('settingsDeviceIdentity');
+    if (!container) return;
+    const { identity, status, profile } = bossCubeController.getCubeIdentity();
+    const rows = [['Model', profile.name], ['Identity', IDENTITY_STATUS_LABELS[status]]];
+    if (identity) {
+        rows.push(
+            ['Manufacturer', identity.manufacturerName],
+            ['Family / Model', `${formatIdentityCode(identity.family)} / ${formatIdentityCode(identity.model)}`],
+            ['Firmware', identity.firmware]
+        );
+    }
+
+    container.innerHTML = '';
+    for (const [name, value] of rows) {
+        const row = document.createElement('div');
+        row.className = 'settings-param-row';
+        const label = document.createElement('label');
+        label.textContent = name;
+        const valueEl = document.createElement('span');
+        valueEl.className = 'settings-value';
+        valueEl.textContent = value;
+        row.append(label, valueEl);
+        container.appendChild(row);
+    }
+}
+
 function updateDeviceSettingDisplay(paramKey, value) {
     const row = document.querySelector(`#deviceSettingsSection .settings-param-row[data-param-key="${paramKey}"]`);
     if (!row) return;
@@ -2749,7 +3395,7 @@ function updateDeviceSettingDisplay(paramKey, value) {
     if (slider) slider.value = value;
     if (valueDisplay) {
         const param = bossCubeController?.parameters[paramKey];
-        const formatValue = param?.displayValue || (v => v);
+        const formatValue = param?.displayValue || (v => formatEncodedValue(param, v) ?? v);
         valueDisplay.textContent = formatValue(value);
     }
 }
@@ -2761,15 +3407,30 @@ const PEDAL_SETTINGS_GROUPS = {
         'midiTxChannel', 'expSwLedColor', 'expCurve', 'expSwSens',
         'expSwState', 'expSwMode', 'ctl1Mode', 'ctl2Mode',
     ],
-    pedalBtMidiControls: [
-        'btExpOffCCOnOff', 'btExpOffCC', 'btExpOffRangeMin', 'btExpOffRangeMax',
-        'btExpOnCCOnOff', 'btExpOnCC', 'btExpOnRangeMin', 'btExpOnRangeMax',
-        'btExpSwCCOnOff', 'btExpSwCC', 'btExpSwOffValue', 'btExpSwOnValue',
-        'btCtl1CCOnOff', 'btCtl1CC', 'btCtl1OffValue', 'btCtl1OnValue',
-        'btCtl2CCOnOff', 'btCtl2CC', 'btCtl2OffValue', 'btCtl2OnValue',
-    ],
 };
 
+// MidiSetting rows in display order; every interface tab shows the same list with its own prefix
+const PEDAL_MIDI_SETTING_ORDER = [
+    'ExpOffCCOnOff', 'ExpOffCC', 'ExpOffRangeMin', 'ExpOffRangeMax',
+    'ExpOnCCOnOff', 'ExpOnCC', 'ExpOnRangeMin', 'ExpOnRangeMax',
+    'ExpSwCCOnOff', 'ExpSwCC', 'ExpSwOffValue', 'ExpSwOnValue',
+    'Ctl1CCOnOff', 'Ctl1CC', 'Ctl1OffValue', 'Ctl1OnValue',
+    'Ctl2CCOnOff', 'Ctl2CC', 'Ctl2OffValue', 'Ctl2OnValue',
+];
+
+// Interface prefix → container of its tab in the pedal settings modal
+const PEDAL_MIDI_TAB_CONTAINERS = {
+    bt: 'pedalBtMidiControls',
+    usb: 'pedalUsbMidiControls',
+    midi: 'pedalDinMidiControls',
+};
+
+for (const { prefix } of EV1WL_MIDI_INTERFACES) {
+    PEDAL_SETTINGS_GROUPS[PEDAL_MIDI_TAB_CONTAINERS[prefix]] = PEDAL_MIDI_SETTING_ORDER.map(suffix => prefix + suffix);
+}
+
+let activePedalMidiTab = 'bt';
+
 // Local cache of current pedal parameter values (keyed by param key)
 const pedalParamValues = {};
 
@@ -2781,6 +3442,7 @@ function openPedalSettings() {
 }
 
 function populatePedalSettings() {
+    renderPedalMidiTabs();
 
     for (const [containerId, paramKeys] of Object.entries(PEDAL_SETTINGS_GROUPS)) {
         const container = document.getElementById(containerId);
@@ -2847,6 +3509,30 @@ function populatePedalSettings() {
     }
 }
 
+/**
+ * One tab per MIDI interface (Bluetooth, USB, MIDI); only the active one's block is shown
+ */
+function renderPedalMidiTabs() {
+    const tabs = document.getElementById('pedalMidiTabs');
+    if (!tabs) return;
+    tabs.innerHTML = '';
+
+    for (const { prefix, label } of EV1WL_MIDI_INTERFACES) {
+        const btn = document.createElement('button');
+        btn.className = 'btn-small settings-option-btn';
+        btn.textContent = label;
+        btn.classList.toggle('active', prefix === activePedalMidiTab);
+        btn.addEventListener('click', () => {
+            activePedalMidiTab = prefix;
+            renderPedalMidiTabs();
+        });
+        tabs.appendChild(btn);
+
+        const container = document.getElementById(PEDAL_MIDI_TAB_CONTAINERS[prefix]);
+        if (container) container.style.display = prefix === activePedalMidiTab ? '' : 'none';
+    }
+}
+
 function updatePedalSettingDisplay(paramKey, value) {
     pedalParamValues[paramKey] = value;
 
@@ -2882,6 +3568,361 @@ function handlePedalParamUpdate(address, value) {
     if (CC_PARAM_KEYS.has(key)) applySettingsToController();
 }
 
+// ===== MIDI Learn =====
+
+let midiLearnMode = false;
+
+function setupMidiLearn() {
+    document.getElementById('midiLearnBtn')?.addEventListener('click', () => setMidiLearnMode(!midiLearnMode));
+
+    // In learn mode, tapping a control picks it as the target instead of changing it
+    for (const type of ['pointerdown', 'mousedown', 'touchstart', 'click']) {
+        document.addEventListener(type, (e) => {
+            if (!midiLearnMode) return;
+            const control = e.target.closest('.mixer-container [data-param-key]');
+            if (!control) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (type === 'click') {
+                armMidiLearn({ kind: MIDI_TARGET_KINDS.PARAMETER, id: control.dataset.paramKey }, control);
+            }
+        }, { capture: true, passive: false });
+    }
+}
+
+function setMidiLearnMode(enabled) {
+    midiLearnMode = enabled;
+    document.body.classList.toggle('midi-learn', enabled);
+    document.getElementById('midiLearnBtn')?.classList.toggle('active', enabled);
+    if (!enabled) {
+        bossCubeController.cancelMidiLearn();
+        document.querySelectorAll('.midi-learn-armed').forEach(el => el.classList.remove('midi-learn-armed'));
+    }
+    log(enabled ? '🎹 MIDI learn on — tap a control, then move or press something on your MIDI controller' : '🎹 MIDI learn off', 'info');
+}
+
+function armMidiLearn(target, element) {
+    if (!bossCubeController.isPedalConnected) {
+        log('⚠️ Connect the MIDI controller with the pedal button first', 'warning');
+    }
+    document.querySelectorAll('.midi-learn-armed').forEach(el => el.classList.remove('midi-learn-armed'));
+    element?.classList.add('midi-learn-armed');
+    bossCubeController.startMidiLearn(target);
+}
+
+function saveMidiMappings() {
+    settings.midiMappings = bossCubeController.midiMappings.toJSON();
+    saveSettings();
+    renderMidiMappings();
+}
+
+/**
+ * Every action with its binding, then the parameters bound by tapping a control
+ */
+function renderMidiMappings() {
+    const container = document.getElementById('midiMappingList');
+    if (!container || !bossCubeController) return;
+    container.innerHTML = '';
+
+    const mappings = bossCubeController.midiMappings;
+    const targets = [
+        ...Object.keys(MIDI_ACTIONS).map(id => ({ kind: MIDI_TARGET_KINDS.ACTION, id })),
+        ...mappings.bindings
+            .filter(binding => binding.target.kind === MIDI_TARGET_KINDS.PARAMETER)
+            .map(binding => binding.target)
+    ];
+
+    for (const target of targets) {
+        const binding = mappings.findByTarget(target);
+        const row = document.createElement('div');
+        row.className = 'setting-row midi-mapping-row';
+
+        const label = document.createElement('label');
+        label.textContent = bossCubeController.describeMidiTarget(target);
+
+        const source = document.createElement('span');
+        source.className = 'settings-description';
+        source.textContent = binding ? describeSource(binding.source) : 'not bound';
+
+        const learn = document.createElement('button');
+        learn.className = 'btn-base btn-secondary';
+        learn.textContent = 'Learn';
+        learn.addEventListener('click', () => armMidiLearn(target, learn));
+
+        row.append(label, source, learn);
+        if (binding) {
+            const clear = document.createElement('button');
+            clear.className = 'btn-base btn-secondary';
+            clear.textContent = 'Clear';
+            clear.addEventListener('click', () => {
+                mappings.unbind(target);
+                saveMidiMappings();
+            });
+            row.appendChild(clear);
+        }
+        container.appendChild(row);
+    }
+}
+
+// ===== Tap Tempo =====
+
+function setupTapTempo() {
+    for (const id of ['tapTempoDivision', 'tapTempoRateDivision']) {
+        const select = document.getElementById(id);
+        for (const [division, { label }] of Object.entries(NOTE_DIVISIONS)) {
+            const option = document.createElement('option');
+            option.value = division;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+    }
+    // pointerdown: a click fires on release, which would skew the timing
+    document.getElementById('tapTempoBtn').addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        runPedalAction('tapTempo', 'Tap pad');
+    });
+}
+
+// ===== Expression Curves =====
+
+/**
+ * Parameters an expression curve can be set for: visible, continuous ones
+ */
+function getCurveTargetKeys() {
+    return Object.entries(bossCubeController.parameters)
+        .filter(([, param]) => !param.hidden && !param.valueLabels && param.max - param.min > 1)
+        .map(([key]) => key);
+}
+
+function setupExpressionCurves() {
+    const targetSelect = document.getElementById('expressionCurveTarget');
+    for (const key of getCurveTargetKeys()) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = bossCubeController.parameters[key].name;
+        targetSelect.appendChild(option);
+    }
+    document.getElementById('expressionCurveEditBtn').addEventListener('click', () => editExpressionCurve(targetSelect.value));
+}
+
+async function editExpressionCurve(key) {
+    const param = bossCubeController.parameters[key];
+    if (!param) return;
+    if (!expressionCurveEditor) expressionCurveEditor = new ExpressionCurveEditor();
+    const curve = await expressionCurveEditor.edit(param, settings.expressionCurves[key] || null);
+    if (!curve) return;
+    settings.expressionCurves[key] = curve;
+    saveExpressionCurves();
+    log(`📈 Expression curve for ${param.name}: ${describeCurve(curve)}`, 'info');
+}
+
+function saveExpressionCurves() {
+    saveSettings();
+    applySettingsToController();
+    renderExpressionCurves();
+}
+
+function describeCurve(curve) {
+    return `${CURVE_LABELS[curve.type]} · ${curve.min}–${curve.max}${curve.invert ? ' · inverted' : ''}`;
+}
+
+/**
+ * Parameters with their own curve; every other parameter maps linearly over its full range
+ */
+function renderExpressionCurves() {
+    const container = document.getElementById('expressionCurveList');
+    if (!container || !bossCubeController) return;
+    container.innerHTML = '';
+
+    for (const [key, curve] of Object.entries(settings.expressionCurves)) {
+        const param = bossCubeController.parameters[key];
+        if (!param) continue;
+        const row = document.createElement('div');
+        row.className = 'setting-row midi-mapping-row';
+
+        const label = document.createElement('label');
+        label.textContent = param.name;
+
+        const summary = document.createElement('span');
+        summary.className = 'settings-description';
+        summary.textContent = describeCurve(curve);
+
+        const edit = document.createElement('button');
+        edit.className = 'btn-base btn-secondary';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => editExpressionCurve(key));
+
+        const clear = document.createElement('button');
+        clear.className = 'btn-base btn-secondary';
+        clear.textContent = 'Clear';
+        clear.addEventListener('click', () => {
+            delete settings.expressionCurves[key];
+            saveExpressionCurves();
+        });
+
+        row.append(label, summary, edit, clear);
+        container.appendChild(row);
+    }
+}
+
+// ===== Footswitch Gestures =====
+
+const GESTURE_SWITCHES = { previous: 'CTL1 / Previous', next: 'CTL2 / Next', expSw: 'EXP SW' };
+const GESTURE_TIMING_INPUTS = {
+    doubleTapWindow: 'gestureDoubleTapWindow',
+    longPress: 'gestureLongPress',
+    repeatInterval: 'gestureRepeatInterval'
+};
+
+function setupFootswitchGestures() {
+    for (const [timing, inputId] of Object.entries(GESTURE_TIMING_INPUTS)) {
+        document.getElementById(inputId).addEventListener('change', (e) => {
+            const value = parseInt(e.target.value);
+            if (!Number.isFinite(value) || value <= 0) return;
+            settings.footswitchGestures.timings[timing] = value;
+            saveFootswitchGestures();
+        });
+    }
+}
+
+function saveFootswitchGestures() {
+    saveSettings();
+    applySettingsToController();
+}
+
+/**
+ * One row per switch, one action select per gesture. Tap defaults to the switch's own role.
+ */
+function renderFootswitchGestures() {
+    const grid = document.getElementById('footswitchGestureGrid');
+    if (!grid || !bossCubeController) return;
+    grid.innerHTML = '';
+
+    const { timings, bindings } = settings.footswitchGestures;
+    for (const [timing, inputId] of Object.entries(GESTURE_TIMING_INPUTS)) {
+        document.getElementById(inputId).value = timings[timing] ?? DEFAULT_GESTURE_TIMINGS[timing];
+    }
+
+    const actions = Object.entries(MIDI_ACTIONS).filter(([id]) => !CONTINUOUS_ACTIONS.includes(id));
+    for (const [switchId, switchLabel] of Object.entries(GESTURE_SWITCHES)) {
+        const heading = document.createElement('div');
+        heading.className = 'footswitch-gesture-switch';
+        heading.textContent = switchLabel;
+        grid.appendChild(heading);
+
+        for (const gesture of Object.values(GESTURES)) {
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+
+            const label = document.createElement('label');
+            label.textContent = `${GESTURE_LABELS[gesture]}:`;
+
+            const select = document.createElement('select');
+            for (const [id, name] of [['none', 'None'], ...actions]) {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                select.appendChild(option);
+            }
+            select.value = bossCubeController.getGestureAction(switchId, gesture);
+            select.addEventListener('change', () => {
+                bindings[switchId] = { ...bindings[switchId], [gesture]: select.value };
+                saveFootswitchGestures();
+            });
+
+            row.append(label, select);
+            grid.appendChild(row);
+        }
+    }
+}
+
+// ===== Pedal Configuration Backup & Templates =====
+
+function setupPedalConfigControls() {
+    const templateSelect = document.getElementById('pedalTemplateSelect');
+    for (const template of PEDAL_TEMPLATES) {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        option.title = template.description;
+        templateSelect.appendChild(option);
+    }
+
+    document.getElementById('pedalExportBtn').addEventListener('click', exportPedalConfig);
+    const fileInput = document.getElementById('pedalImportFileInput');
+    document.getElementById('pedalImportBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importPedalConfig(e.target.files[0]);
+            e.target.value = '';
+        }
+    });
+    document.getElementById('pedalTemplateApplyBtn').addEventListener('click', () => {
+        const template = PEDAL_TEMPLATES.find(t => t.id === templateSelect.value);
+        if (template) restorePedalConfig(template.name, template.params, template.mapping);
+    });
+}
+
+function exportPedalConfig() {
+    const config = createPedalConfig(pedalParamValues, bossCubeController.getStatus().pedal?.deviceName || 'EV-1-WL');
+    const total = Object.keys(EV1WL_PARAMS).length;
+    const count = Object.keys(config.params).length;
+    if (count < total) {
+        log(`⚠️ Only ${count} of ${total} pedal settings have been read — connect the pedal for a full backup`, 'warning');
+    }
+    const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ev1wl-config-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    log(`📤 Pedal configuration exported (${count} settings)`, 'success');
+}
+
+async function importPedalConfig(file) {
+    try {
+        const { name, params, skipped } = parsePedalConfig(JSON.parse(await file.text()));
+        if (skipped.length > 0) {
+            log(`⚠️ Skipped unknown pedal settings: ${skipped.join(', ')}`, 'warning');
+        }
+        await restorePedalConfig(name, params);
+    } catch (error) {
+        log(`❌ Failed to import pedal configuration: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Preview the settings a file or template changes, then write them to the pedal.
+ * A template's mapping is merged into settings.pedalMapping.
+ */
+async function restorePedalConfig(name, params, mapping = null) {
+    if (!bossCubeController.isPedalConnected) {
+        log('⚠️ Connect the EV-1-WL to restore a configuration', 'warning');
+        return;
+    }
+
+    const changes = diffPedalConfig(pedalParamValues, params);
+    if (!pedalConfigDialog) pedalConfigDialog = new PedalConfigDialog();
+    if (!await pedalConfigDialog.confirm(name, changes)) {
+        log('🦶 Pedal restore cancelled', 'info');
+        return;
+    }
+
+    const written = await bossCubeController.writePedalParams(
+        changes.map(({ key, to }) => ({ address: EV1WL_PARAMS[key].address, value: to }))
+    );
+    for (const { key, to } of changes) {
+        updatePedalSettingDisplay(key, to);
+    }
+    if (mapping) {
+        Object.assign(settings.pedalMapping, mapping);
+        saveSettings();
+    }
+    applySettingsToController();
+    log(`✅ ${name}: ${written} pedal setting(s) written`, 'success');
+}
+
 // Apply current settings to the controller
 function resolveCCFromSource(source, overrideCC) {
     const sourceMap = {
@@ -2904,10 +3945,20 @@ function applySettingsToController() {
     const prevCC = resolveCCFromSource(m.prevSource, m.prevOverrideCC);
     const nextCC = resolveCCFromSource(m.nextSource, m.nextOverrideCC);
     const pedalCC = resolveCCFromSource(m.pedalSource, m.pedalOverrideCC);
-    const expSwCC = m.expSwAction !== 'none' ? resolveCCFromSource('expSw', null) : null;
+    const expSwGestures = Object.values(settings.footswitchGestures.bindings.expSw || {});
+    const expSwUsed = m.expSwAction !== 'none' || expSwGestures.some(action => action !== 'none');
+    const expSwCC = expSwUsed ? resolveCCFromSource('expSw', null) : null;
 
     bossCubeController.setPedalCCCodes(prevCC, nextCC, pedalCC, expSwCC);
     bossCubeController.setFootswitchPolarity(settings.footswitchPolarity);
+    bossCubeController.setCubeTransport(settings.cubeTransport);
+    bossCubeController.stereoLink.setOverrides(settings.stereoLinkOverrides);
+    bossCubeController.setMidiMappings(settings.midiMappings);
+    bossCubeController.setFootswitchGestures(settings.footswitchGestures);
+    bossCubeController.setExpressionCurves(settings.expressionCurves);
+    if (bossCubeController.verifiedWrites !== settings.verifiedWrites) {
+        bossCubeController.setVerifiedWrites(settings.verifiedWrites);
+    }
 
     log(`Settings applied: CC codes [prev=${prevCC}, next=${nextCC}, pedal=${pedalCC}, expSw=${expSwCC ?? 'none'}], Polarity: ${settings.footswitchPolarity}`, 'info');
 }
@@ -3302,9 +4353,6 @@ function initializeWakeLock() {
         return;
     }
 
-    // Set up visibility change listener to re-acquire wake lock
-    document.addEventListener('visibilitychange', handleVisibilityChange);
-
     // Automatically acquire wake lock on app start
     acquireWakeLock();
 
@@ -3344,11 +4392,30 @@ async function releaseWakeLock() {
 
 
 
+// Page Lifecycle: screen off or tab switch hides the page, mobile browsers may freeze it
+function initializePageLifecycle() {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    document.addEventListener('freeze', () => bossCubeController.suspendForBackground());
+    document.addEventListener('resume', () => {
+        if (!document.hidden) resumeFromBackground();
+    });
+}
+
 async function handleVisibilityChange() {
     if (document.hidden) {
-        await releaseWakeLock();
+        bossCubeController.suspendForBackground();
+        if (wakeLockSupported) await releaseWakeLock();
     } else {
-        await acquireWakeLock();
+        if (wakeLockSupported) await acquireWakeLock();
+        await resumeFromBackground();
+    }
+}
+
+async function resumeFromBackground() {
+    try {
+        await bossCubeController.resumeFromBackground();
+    } catch (error) {
+        log(`❌ Resync after background failed: ${error.message}`, 'error');
     }
 }
 
@@ -0,0 +1,217 @@
+/**
+ * BLE MIDI Packet Parser
+ * Shared by BossCubeCommunication and PedalCommunication. Implements the
+ * BLE MIDI 1.0 packet format: header byte with the high timestamp bits, a
+ * timestamp byte before every status byte, running status, SysEx spread over
+ * several packets (continuation packets carry no timestamp), and realtime
+ * bytes interleaved inside SysEx. Plain MIDI byte streams, as delivered by
+ * Web MIDI over USB, are parsed with the same state machine.
+ */
+
+export const MIDI_EVENTS = {
+    SYSEX: 'sysex',                 // { data } without F0/F7
+    CC: 'cc',                       // { channel, controller, value }
+    PROGRAM_CHANGE: 'programChange', // { channel, program }
+    REALTIME: 'realtime',           // { status } 0xF8-0xFF
+    CHANNEL: 'channel',             // other channel voice messages { status, channel, data }
+    SYSTEM_COMMON: 'systemCommon'   // { status, data } 0xF1-0xF6
+};
+
+// Data bytes that follow a channel voice status (by high nibble)
+const CHANNEL_DATA_LENGTH = { 0x80: 2, 0x90: 2, 0xA0: 2, 0xB0: 2, 0xC0: 1, 0xD0: 1, 0xE0: 2 };
+// Data bytes that follow a system common status
+const SYSTEM_COMMON_DATA_LENGTH = { 0xF1: 1, 0xF2: 2, 0xF3: 1, 0xF6: 0 };
+
+const isHeaderByte = (byte) => (byte & 0xC0) === 0x80;
+
+export class BleMidiParser {
+    constructor() {
+        this.errors = {
+            invalidHeader: 0,   // BLE packet not starting with 10xxxxxx
+            orphanData: 0,      // data byte with no status to belong to
+            truncated: 0,       // message cut short by a new status byte
+            abortedSysEx: 0,    // SysEx interrupted by a non-realtime status
+            strayEndOfSysEx: 0  // 0xF7 outside a SysEx
+        };
+        this.reset();
+    }
+
+    /**
+     * Drop any SysEx in progress and forget running status
+     */
+    reset() {
+        this.sysexData = null;
+        this.runningStatus = null;
+        this.pending = null;
+        this.timestampHigh = 0;
+        this.lastTimestampLow = null;
+        this.timestamp = null;
+    }
+
+    get inSysEx() {
+        return this.sysexData !== null;
+    }
+
+    /**
+     * End the SysEx in progress without its F7 and return what arrived so far
+     */
+    flushSysEx() {
+        const data = this.sysexData || [];
+        this.sysexData = null;
+        return data;
+    }
+
+    /**
+     * Parse one notification. BLE MIDI packets are recognised by their header and
+     * timestamp byte (or, during a SysEx, a header followed by data); anything else
+     * is treated as a plain MIDI byte stream.
+     * @returns {Array<Object>} events with type from MIDI_EVENTS and timestamp (ms, 13-bit) or null
+     */
+    parse(bytes) {
+        return BleMidiParser.isBlePacket(bytes, this.inSysEx)
+            ? this.parseBlePacket(bytes)
+            : this.parseMidiBytes(bytes);
+    }
+
+    static isBlePacket(bytes, inSysEx = false) {
+        if (bytes.length < 2 || !isHeaderByte(bytes[0])) return false;
+        return (bytes[1] & 0x80) !== 0 || inSysEx;
+    }
+
+    /**
+     * Parse a BLE MIDI packet: [header, (timestamp, status | data...)...]
+     */
+    parseBlePacket(bytes) {
+        const events = [];
+        if (bytes.length === 0 || !isHeaderByte(bytes[0])) {
+            this.errors.invalidHeader++;
+            return events;
+        }
+
+        this.timestampHigh = bytes[0] & 0x3F;
+        this.lastTimestampLow = null;
+        let afterTimestamp = false;
+
+        for (let i = 1; i < bytes.length; i++) {
+            const byte = bytes[i];
+            if (byte & 0x80) {
+                if (!afterTimestamp) {
+                    // Outside "timestamp → status" every high-bit byte is a timestamp
+                    this.setTimestamp(byte & 0x7F);
+                    afterTimestamp = true;
+                    continue;
+                }
+                afterTimestamp = false;
+                this.handleStatus(byte, events);
+            } else {
+                afterTimestamp = false;
+                this.handleData(byte, events);
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Parse a plain MIDI byte stream (no BLE header or timestamps)
+     */
+    parseMidiBytes(bytes) {
+        const events = [];
+        this.timestamp = null;
+        for (const byte of bytes) {
+            if (byte & 0x80) {
+                this.handleStatus(byte, events);
+            } else {
+                this.handleData(byte, events);
+            }
+        }
+        return events;
+    }
+
+    setTimestamp(low) {
+        // The 7-bit low part wrapping within one packet carries into the high bits
+        if (this.lastTimestampLow !== null && low < this.lastTimestampLow) {
+            this.timestampHigh = (this.timestampHigh + 1) & 0x3F;
+        }
+        this.lastTimestampLow = low;
+        this.timestamp = (this.timestampHigh << 7) | low;
+    }
+
+    handleStatus(status, events) {
+        if (status >= 0xF8) {
+            // Realtime may appear anywhere, even inside SysEx or a half-received message
+            events.push({ type: MIDI_EVENTS.REALTIME, status, timestamp: this.timestamp });
+            return;
+        }
+
+        if (this.inSysEx) {
+            if (status === 0xF7) {
+                events.push({ type: MIDI_EVENTS.SYSEX, data: this.sysexData, timestamp: this.timestamp });
+                this.sysexData = null;
+                return;
+            }
+            this.errors.abortedSysEx++;
+            this.sysexData = null;
+        }
+
+        if (this.pending) {
+            this.errors.truncated++;
+            this.pending = null;
+        }
+
+        if (status === 0xF0) {
+            this.sysexData = [];
+            this.runningStatus = null;
+        } else if (status === 0xF7) {
+            this.errors.strayEndOfSysEx++;
+        } else if (status >= 0xF1) {
+            this.runningStatus = null;
+            this.startMessage(status, SYSTEM_COMMON_DATA_LENGTH[status] ?? 0, events);
+        } else {
+            this.runningStatus = status;
+            this.startMessage(status, CHANNEL_DATA_LENGTH[status & 0xF0], events);
+        }
+    }
+
+    handleData(byte, events) {
+        if (this.inSysEx) {
+            this.sysexData.push(byte);
+            return;
+        }
+        if (!this.pending) {
+            if (this.runningStatus === null) {
+                this.errors.orphanData++;
+                return;
+            }
+            this.pending = { status: this.runningStatus, length: CHANNEL_DATA_LENGTH[this.runningStatus & 0xF0], data: [] };
+        }
+        this.pending.data.push(byte);
+        if (this.pending.data.length === this.pending.length) {
+            events.push(this.toEvent(this.pending.status, this.pending.data));
+            this.pending = null;
+        }
+    }
+
+    startMessage(status, length, events) {
+        if (length === 0) {
+            events.push(this.toEvent(status, []));
+        } else {
+            this.pending = { status, length, data: [] };
+        }
+    }
+
+    toEvent(status, data) {
+        const timestamp = this.timestamp;
+        if (status >= 0xF0) {
+            return { type: MIDI_EVENTS.SYSTEM_COMMON, status, data, timestamp };
+        }
+        const channel = status & 0x0F;
+        switch (status & 0xF0) {
+            case 0xB0:
+                return { type: MIDI_EVENTS.CC, channel, controller: data[0], value: data[1], timestamp };
+            case 0xC0:
+                return { type: MIDI_EVENTS.PROGRAM_CHANGE, channel, program: data[0], timestamp };
+            default:
+                return { type: MIDI_EVENTS.CHANNEL, status, channel, data, timestamp };
+        }
+    }
+}
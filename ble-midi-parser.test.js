@@ -0,0 +1,265 @@
+/**
+ * BLE MIDI Parser Tests
+ * Packets come from the hardware logs quoted in the communication suites,
+ * from traces captured against the Cube simulator, and from the BLE MIDI
+ * 1.0 spec examples for running status, realtime and timestamp wrap.
+ */
+
+import { BleMidiParser, MIDI_EVENTS } from './ble-midi-parser.js';
+import { BossCubeCommunication } from './boss-cube-communication.js';
+import { PedalCommunication } from './pedal-communication.js';
+import { CubeSimulator } from './cube-simulator.js';
+import { SysExSessionRecorder, parseSessionTrace } from './sysex-session.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running BLE MIDI Parser Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 BLE MIDI Parser Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const bytes = (...values) => new Uint8Array(values);
+const hex = (data) => Array.from(data, b => b.toString(16).padStart(2, '0')).join(' ');
+
+// Cube knob notification split over six packets (hardware log: Master = 0x32)
+const KNOB_PACKETS = [
+    bytes(0xb4, 0xed, 0xf0, 0x41, 0x10),
+    bytes(0xb4, 0x00, 0x00, 0x00),
+    bytes(0xb4, 0x00, 0x09, 0x12),
+    bytes(0xb4, 0x20, 0x00, 0x20),
+    bytes(0xb4, 0x01, 0x32, 0x0d),
+    bytes(0xb4, 0xed, 0xf7)
+];
+
+test.test('Single-packet SysEx decodes data and 13-bit timestamp', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x80, 0x80, 0xF0, 0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12,
+        0x20, 0x00, 0x00, 0x04, 0x32, 0x2A, 0x80, 0xF7));
+
+    test.assertEqual(events.length, 1, 'One event');
+    test.assertEqual(events[0].type, MIDI_EVENTS.SYSEX, 'SysEx event');
+    test.assertEqual(hex(events[0].data), '41 10 00 00 00 00 09 12 20 00 00 04 32 2a', 'Payload without F0/F7');
+    test.assertEqual(events[0].timestamp, 0, 'Timestamp from header 0x80 + 0x80');
+});
+
+test.test('SysEx over continuation packets is reassembled', () => {
+    const parser = new BleMidiParser();
+    const events = [];
+    for (const packet of KNOB_PACKETS) {
+        events.push(...parser.parse(packet));
+        if (events.length === 0) test.assert(parser.inSysEx, 'Parser holds the open SysEx between packets');
+    }
+
+    test.assertEqual(events.length, 1, 'One SysEx after the last packet');
+    test.assertEqual(hex(events[0].data), '41 10 00 00 00 00 09 12 20 00 20 01 32 0d', 'Continuation bytes joined in order');
+    test.assertEqual(events[0].timestamp, (0x34 << 7) | 0x6d, 'Timestamp of the F7 (header 0xb4, low 0xed)');
+    test.assert(!parser.inSysEx, 'SysEx closed');
+});
+
+test.test('Pedal CC packet with timestamp', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x80, 0x80, 0xB0, 0x7F, 0x64));
+    test.assertEqual(events.length, 1, 'One CC');
+    test.assertEqual(events[0].type, MIDI_EVENTS.CC, 'CC event');
+    test.assertEqual(events[0].channel, 0, 'Channel 1');
+    test.assertEqual(events[0].controller, 127, 'Controller');
+    test.assertEqual(events[0].value, 100, 'Value');
+});
+
+test.test('Running status with and without a fresh timestamp', () => {
+    const parser = new BleMidiParser();
+    // CC 127=10, running 127=20 (same timestamp), new timestamp + running 127=30
+    const events = parser.parse(bytes(0x80, 0x81, 0xB0, 0x7F, 0x0A, 0x7F, 0x14, 0x85, 0x7F, 0x1E));
+
+    test.assertEqual(events.map(e => e.value).join(','), '10,20,30', 'Three CC values');
+    test.assertEqual(events.map(e => e.timestamp).join(','), '1,1,5', 'Timestamps follow the timestamp bytes');
+    test.assertEqual(parser.errors.orphanData, 0, 'No orphan data');
+});
+
+test.test('Several CCs with repeated status (pedal sweep packet)', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x80, 0x81,
+        0xB0, 127, 10, 0x81, 0xB0, 127, 20, 0x81, 0xB0, 127, 30, 0x82, 0xB0, 127, 40));
+    test.assertEqual(events.map(e => e.value).join(','), '10,20,30,40', 'Every CC in the packet');
+});
+
+test.test('Realtime bytes inside a SysEx are emitted without breaking it', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x80, 0x81, 0xF0, 0x41, 0x10, 0x82, 0xF8, 0x00, 0x09, 0x83, 0xF7));
+
+    test.assertEqual(events.length, 2, 'Clock and SysEx');
+    test.assertEqual(events[0].type, MIDI_EVENTS.REALTIME, 'Realtime first');
+    test.assertEqual(events[0].status, 0xF8, 'Timing clock');
+    test.assertEqual(events[0].timestamp, 2, 'Realtime keeps its own timestamp');
+    test.assertEqual(hex(events[1].data), '41 10 00 09', 'SysEx payload skips the realtime byte');
+});
+
+test.test('Realtime between a status and its data keeps the message intact', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x80, 0x81, 0xB0, 0x07, 0x82, 0xFE, 0x40));
+    test.assertEqual(events.map(e => e.type).join(','), 'realtime,cc', 'Active sensing then CC');
+    test.assertEqual(events[1].value, 0x40, 'CC completed after the realtime byte');
+});
+
+test.test('Timestamp low byte wrapping carries into the high bits', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x81, 0xFE, 0xB0, 0x01, 0x00, 0x82, 0xB0, 0x01, 0x01));
+    test.assertEqual(events[0].timestamp, (1 << 7) | 0x7E, 'First timestamp');
+    test.assertEqual(events[1].timestamp, (2 << 7) | 0x02, 'Second timestamp rolled over');
+});
+
+test.test('Program change and other channel messages are typed', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x80, 0x80, 0xC2, 0x05, 0x06, 0x81, 0x90, 0x3C, 0x64, 0x82, 0xE0, 0x00, 0x40));
+
+    test.assertEqual(events.length, 4, 'Two program changes, note on, pitch bend');
+    test.assertEqual(events[0].type, MIDI_EVENTS.PROGRAM_CHANGE, 'Program change');
+    test.assertEqual(events[0].channel, 2, 'Channel from status');
+    test.assertEqual(events[1].program, 6, 'Running status program change');
+    test.assertEqual(events[2].type, MIDI_EVENTS.CHANNEL, 'Note on as channel message');
+    test.assertEqual(hex(events[3].data), '00 40', 'Pitch bend data');
+});
+
+test.test('SysEx followed by a CC in the same packet yields both', () => {
+    const parser = new BleMidiParser();
+    const events = parser.parse(bytes(0x80, 0x80, 0xF0, 0x41, 0x10, 0x80, 0xF7, 0x81, 0xB0, 0x50, 0x7F));
+    test.assertEqual(events.map(e => e.type).join(','), 'sysex,cc', 'Both messages');
+});
+
+test.test('Plain MIDI bytes (Web MIDI / USB) parse without BLE framing', () => {
+    const parser = new BleMidiParser();
+    const sysex = parser.parse(bytes(0xF0, 0x41, 0x10, 0x00, 0x09, 0xF7));
+    test.assertEqual(hex(sysex[0].data), '41 10 00 09', 'Raw SysEx');
+    test.assertEqual(sysex[0].timestamp, null, 'No timestamp over USB');
+
+    const cc = parser.parse(bytes(0xB0, 0x7F, 0x40, 0x7F, 0x41));
+    test.assertEqual(cc.map(e => e.value).join(','), '64,65', 'Raw CC with running status');
+});
+
+test.test('Malformed input is counted, not emitted', () => {
+    const parser = new BleMidiParser();
+    test.assertEqual(parser.parseBlePacket(bytes(0xC0, 0x80, 0xB0, 0x01, 0x02)).length, 0, 'Bad header dropped');
+    test.assertEqual(parser.errors.invalidHeader, 1, 'Invalid header counted');
+
+    parser.parse(bytes(0x80, 0x80, 0xF0, 0x41, 0x81, 0xB0, 0x07, 0x10));
+    test.assertEqual(parser.errors.abortedSysEx, 1, 'SysEx cut by a channel status');
+
+    parser.parse(bytes(0x80, 0x80, 0xF7));
+    test.assertEqual(parser.errors.strayEndOfSysEx, 1, 'F7 without F0');
+
+    parser.reset();
+    parser.parse(bytes(0x07, 0x10));
+    test.assertEqual(parser.errors.orphanData, 2, 'Data without status');
+});
+
+test.test('Knob packets drive BossCubeCommunication through the shared parser', () => {
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    const updates = [];
+    comm.onParameterUpdate = (address, value) => updates.push({ address: hex(address), value });
+    for (const packet of KNOB_PACKETS) comm.handleMIDIData({ buffer: packet.buffer });
+
+    test.assertEqual(updates.length, 1, 'One parameter update');
+    test.assertEqual(updates[0].address, '20 00 20 01', 'Address from the reassembled SysEx');
+    test.assertEqual(updates[0].value, 0x32, 'Value from the reassembled SysEx');
+    test.assert(!comm.bufferingActive, 'No SysEx left open');
+});
+
+test.test('Pedal CCs and SysEx in one notification are both handled', () => {
+    const pedal = new PedalCommunication();
+    pedal.log = () => {};
+    const volumes = [];
+    const params = [];
+    pedal.onVolumeChange = (event) => volumes.push(event.value);
+    pedal.onPedalParamUpdate = (address, value) => params.push(value);
+
+    const body = [0x10, 0x00, 0x01, 0x00, 0x15];
+    const checksum = (128 - (body.reduce((a, b) => a + b, 0) % 128)) % 128;
+    pedal.handleMIDIData({ buffer: bytes(0x80, 0x80, 0xF0, 0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x10, 0x12,
+        ...body, checksum, 0x80, 0xF7, 0x81, 0xB0, 127, 64).buffer });
+
+    test.assertEqual(params.join(','), '21', 'Pedal SysEx parsed');
+    test.assertEqual(volumes.join(','), '64', 'CC after the SysEx parsed too');
+});
+
+test.test('Trace captured from the simulator parses to the same updates', async () => {
+    const simulator = new CubeSimulator({ mtu: 12 });
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    const live = [];
+    comm.onParameterUpdate = (address, value) => live.push(`${hex(address)}=${JSON.stringify(value)}`);
+    const recorder = new SysExSessionRecorder();
+    comm.recorder = recorder;
+    recorder.start();
+
+    await comm.connectToDevice(simulator.device);
+    simulator.turnKnob('guitarDelayTime', 700);
+    simulator.setLooperState(2);
+    await comm.sendBlockReadRequest([0x20, 0x00, 0x00, 0x00], [0x00, 0x00, 0x00, 0x05]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await comm.disconnect();
+
+    const trace = parseSessionTrace(recorder.stop());
+    const parser = new BleMidiParser();
+    const parsed = [];
+    for (const packet of trace.packets.filter(p => p.dir === 'in')) {
+        test.assert(BleMidiParser.isBlePacket(packet.bytes, parser.inSysEx), `Simulator packet is BLE framed: ${packet.data}`);
+        for (const event of parser.parse(packet.bytes)) {
+            if (event.type !== MIDI_EVENTS.SYSEX) continue;
+            // DT1 payload: 41 10 00 00 00 00 09 12 <address x4> <data...> <checksum>
+            parsed.push({ address: hex(event.data.slice(8, 12)), data: event.data.slice(12, -1) });
+        }
+    }
+
+    const knob = parsed.find(p => p.address === '10 00 00 61');
+    test.assert(knob && hex(knob.data) === '05 3c', 'Delay time DT1 carries 700 as two 7-bit bytes');
+    const block = parsed.find(p => p.address === '20 00 00 00');
+    test.assert(block && block.data.length === 5, 'Block read reply reassembled in one piece');
+    test.assert(live.includes('10 00 00 61=700') && live.includes('20 00 10 01=2'), 'Live updates match the captured notifications');
+    test.assertEqual(parser.errors.abortedSysEx + parser.errors.orphanData, 0, 'No framing errors in the capture');
+});
+
+if (typeof window !== 'undefined') {
+    window.runBleMidiParserTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 BLE MIDI parser tests loaded. Run window.runBleMidiParserTests() to execute.');
+}
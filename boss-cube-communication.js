@@ -4,45 +4,90 @@
  */
 
 import { 
-    BOSS_CUBE_HEADER, 
     BLE_MIDI_SERVICE, 
-    BLE_MIDI_CHARACTERISTIC,
     DEVICE_ADDRESS,
     SYSTEM_ADDRESSES,
-    SYSEX_CONFIG
+    SYSEX_CONFIG,
+    WRITE_PRIORITY
 } from './constants.js';
+import { TRANSPORT_TYPES, BleMidiTransport, WebMidiTransport, createTransport } from './midi-transports.js';
+import { TRACE_DEVICES, TRACE_DIRECTIONS } from './sysex-session.js';
+import { GattWriteQueue } from './gatt-write-queue.js';
+import { BleMidiParser, MIDI_EVENTS } from './ble-midi-parser.js';
+import { PROTOCOL_ERRORS, ProtocolErrorCounters, validateRolandDT1 } from './sysex-validation.js';
+import { ParameterCodec } from './parameter-codec.js';
+import { ConnectionHealthMonitor } from './connection-health.js';
+import {
+    IDENTITY_REQUEST_MESSAGE, IDENTITY_STATUS, isIdentityReply, parseIdentityReply, classifyIdentity, describeIdentity
+} from './device-identity.js';
+import { modelProfiles } from './model-profiles.js';
+
+const toLinearAddress = (address) => (address[0] << 21) | (address[1] << 14) | (address[2] << 7) | address[3];
+const fromLinearAddress = (value) => [(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F];
+
+/**
+ * Add an offset to a 4-byte 7-bit Roland address (also encodes RQ1 sizes when address is 0)
+ */
+export function offsetAddress(address, offset) {
+    return fromLinearAddress(toLinearAddress(address) + offset);
+}
 
 export class BossCubeCommunication {
     constructor() {
         // Boss Cube connection state
         this.device = null;
-        this.server = null;
-        this.characteristic = null;
+        this.transport = null;
+        this.transportType = TRANSPORT_TYPES.BLE;
         this.isConnected = false;
+        this.preferredDeviceId = null; // paired Cube reconnected to first: the last one used or the one picked in the app
+        
+        // Model profile: DT1 header and parameter map of the connected amp
+        this.profiles = modelProfiles;
+        this.profile = modelProfiles.default;
         
-        // SysEx buffer for multi-packet responses
+        // Universal SysEx identity, asked for on connect before anything is written
+        this.identity = null;
+        this.identityStatus = IDENTITY_STATUS.UNKNOWN;
+        this.identityWaiter = null;
+        
+        // BLE MIDI parser; sysexBuffer mirrors a SysEx still spread over packets
+        this.midiParser = new BleMidiParser();
         this.sysexBuffer = [];
         this.bufferingActive = false;
         this.lastBufferTime = 0;
         this.bufferTimeout = SYSEX_CONFIG.BUFFER_TIMEOUT;
+        this.protocolErrors = new ProtocolErrorCounters();
+        
+        // Value encoding per address, from the profile's parameter definitions
+        this.codec = new ParameterCodec(this.profile.parameters);
         
         // Physical knob change detection
         this.pendingReadRequests = new Map();
+        this.readWaiters = new Map(); // addressKey → [{ resolve, reject, timer }]
+        this.blockTrackers = new Set(); // in-flight readBlock() rounds
         this.lastReadRequestTime = 0;
         this.readRequestTimeout = SYSEX_CONFIG.READ_REQUEST_TIMEOUT;
         
-        // Notification maintenance
+        // Notification maintenance; each tick also measures a keep-alive round trip
         this.notificationMaintenanceTimer = null;
-        this.maintenanceFailCount = 0;
+        this.maintenancePaused = false; // page in the background: no keep-alives until resumeMaintenance()
+        this.health = new ConnectionHealthMonitor();
         
-        // GATT write queue — BLE allows only one writeValue() at a time
-        this._gattQueue = Promise.resolve();
+        // GATT write queue — one writeValue() at a time, prioritized and coalesced
+        this.writeQueue = new GattWriteQueue();
+        
+        // Optional SysExSessionRecorder capturing raw packets
+        this.recorder = null;
         
         // Event callbacks
         this.onLog = null;
         this.onParameterUpdate = null;
         this.onPhysicalKnobChange = null;
         this.onConnectionStatusChange = null;
+        this.onConnectionLost = null; // unexpected drop, not disconnect()
+        this.onHealthChange = null; // (health) => void — after every keep-alive
+        this.onIdentityMismatch = null; // async (identity) => boolean — false aborts the connect before any write
+        this.onModelProfileChange = null; // (profile) => void — a different amp model was detected
     }
 
     /**
@@ -57,18 +102,50 @@ export class BossCubeCommunication {
 
     /**
      * Enqueue a GATT write operation so only one writeValue() runs at a time.
+     * options: { priority: WRITE_PRIORITY lane, coalesceKey: replaces a queued write with the same key }
      */
-    _enqueueGattWrite(operation) {
-        let resolve, reject;
-        const result = new Promise((res, rej) => { resolve = res; reject = rej; });
-        this._gattQueue = this._gattQueue.then(async () => {
-            try {
-                resolve(await operation());
-            } catch (err) {
-                reject(err);
-            }
-        });
-        return result;
+    _enqueueGattWrite(operation, options = {}) {
+        return this.writeQueue.enqueue(operation, options);
+    }
+
+    /**
+     * Write queue depth and latency metrics
+     */
+    getWriteQueueMetrics() {
+        return this.writeQueue.getMetrics();
+    }
+
+    /**
+     * Rejected messages, BLE MIDI framing errors and write queue metrics
+     */
+    getDiagnostics() {
+        return {
+            protocolErrors: this.protocolErrors.toJSON(),
+            framingErrors: { ...this.midiParser.errors },
+            writeQueue: this.writeQueue.getMetrics(),
+            health: this.getHealth()
+        };
+    }
+
+    /**
+     * Keep-alive round trip, write error rate, time since last data and signal quality
+     */
+    getHealth() {
+        return this.health.getHealth();
+    }
+
+    resetDiagnostics() {
+        this.protocolErrors.reset();
+        Object.keys(this.midiParser.errors).forEach(key => { this.midiParser.errors[key] = 0; });
+        this.writeQueue.resetMetrics();
+    }
+
+    /**
+     * Count a rejected or missing message and log it
+     */
+    recordProtocolError(kind, detail) {
+        this.protocolErrors.count(kind, detail);
+        this.log(`⚠️ Cube SysEx rejected (${kind}): ${detail}`, 'warning');
     }
 
     /**
@@ -81,16 +158,39 @@ export class BossCubeCommunication {
     }
 
     /**
-     * Create BLE MIDI command (from Python script)
+     * Write a SysEx payload (without F0/F7) through the active transport
+     */
+    async writeSysEx(sysexData) {
+        if (this.recorder) {
+            this.recorder.record(TRACE_DEVICES.CUBE, TRACE_DIRECTIONS.OUT, this.transport.frameSysEx(sysexData));
+        }
+        try {
+            await this.transport.sendSysEx(sysexData);
+            this.health.recordWrite(true);
+        } catch (error) {
+            this.health.recordWrite(false);
+            throw error;
+        }
+    }
+
+    /**
+     * Select the transport used for the next connection ('ble' or 'usb')
      */
-    createBLEMidiCommand(sysexData) {
-        // BLE MIDI format: [0x90, timestamp, 0xf0, ...sysex, timestamp, 0xf7]
-        const timestamp = 0xb7; // Use same timestamp as Python script
-        return new Uint8Array([
-            0x90, timestamp, 0xf0,
-            ...sysexData,
-            timestamp, 0xf7
-        ]);
+    setTransportType(type) {
+        if (type !== TRANSPORT_TYPES.BLE && type !== TRANSPORT_TYPES.USB) {
+            this.log(`⚠️ Unknown transport: ${type}`, 'warning');
+            return;
+        }
+        this.transportType = type;
+    }
+
+    /**
+     * Check whether a transport type is available in this browser
+     */
+    static isTransportSupported(type) {
+        return type === TRANSPORT_TYPES.USB
+            ? WebMidiTransport.isSupported()
+            : BleMidiTransport.isSupported();
     }
 
     /**
@@ -98,14 +198,22 @@ export class BossCubeCommunication {
      * Uses watchAdvertisements() to detect the device, then connects.
      */
     async tryAutoReconnect() {
+        if (this.transportType === TRANSPORT_TYPES.USB) {
+            try {
+                return await this.connectViaWebMidi();
+            } catch (error) {
+                this.log(`Auto-reconnect: ${error.message}`, 'info');
+                return false;
+            }
+        }
+
         if (!navigator.bluetooth || !navigator.bluetooth.getDevices) return false;
 
         try {
-            const devices = await navigator.bluetooth.getDevices();
-            const cubeDevice = devices.find(d => d.name && d.name.startsWith('CUBE'));
+            const [cubeDevice] = await this.getPairedDevices();
             if (!cubeDevice) return false;
 
-            this.log('🔄 Scanning for Boss Cube...', 'info');
+            this.log(`🔄 Scanning for ${cubeDevice.name || 'Boss Cube'}...`, 'info');
             await this.waitForDevice(cubeDevice, 8000);
             this.log('📡 Boss Cube detected, connecting...', 'info');
             return await this.connectToDevice(cubeDevice);
@@ -144,6 +252,17 @@ export class BossCubeCommunication {
      * Connect using cached device if available, otherwise show picker.
      */
     async connect() {
+        if (this.transportType === TRANSPORT_TYPES.USB) {
+            try {
+                return await this.connectViaWebMidi();
+            } catch (error) {
+                this.log(`❌ Boss Cube USB connection failed: ${error.message}`, 'error');
+                this.isConnected = false;
+                this.notifyConnectionStatusChange(false);
+                throw error;
+            }
+        }
+
         try {
             const cached = await this._connectCached();
             if (cached) return true;
@@ -155,10 +274,7 @@ export class BossCubeCommunication {
             this.log('🔍 Requesting Boss Cube device...', 'info');
             
             const device = await navigator.bluetooth.requestDevice({
-                filters: [
-                    { namePrefix: 'CUBE' },
-                    { services: [BLE_MIDI_SERVICE] }
-                ],
+                filters: this.getDeviceFilters(),
                 optionalServices: [BLE_MIDI_SERVICE]
             });
 
@@ -176,13 +292,14 @@ export class BossCubeCommunication {
      * Connect by always showing the BLE device picker (skip cached device).
      */
     async connectWithPicker() {
+        if (this.transportType === TRANSPORT_TYPES.USB) {
+            return await this.connect();
+        }
+
         this.log('🔍 Requesting Boss Cube device...', 'info');
 
         const device = await navigator.bluetooth.requestDevice({
-            filters: [
-                { namePrefix: 'CUBE' },
-                { services: [BLE_MIDI_SERVICE] }
-            ],
+            filters: this.getDeviceFilters(),
             optionalServices: [BLE_MIDI_SERVICE]
         });
 
@@ -193,10 +310,7 @@ export class BossCubeCommunication {
      * Try connecting to a previously paired device without showing the picker.
      */
     async _connectCached() {
-        if (!navigator.bluetooth?.getDevices) return false;
-
-        const devices = await navigator.bluetooth.getDevices();
-        const cubeDevice = devices.find(d => d.name && d.name.startsWith('CUBE'));
+        const [cubeDevice] = await this.getPairedDevices();
         if (!cubeDevice) return false;
 
         this.log('📡 Reconnecting to known Boss Cube...', 'info');
@@ -204,44 +318,66 @@ export class BossCubeCommunication {
         return await this.connectToDevice(cubeDevice);
     }
 
+    /**
+     * Cubes the browser already has permission for, the preferred one first
+     */
+    async getPairedDevices() {
+        if (!navigator.bluetooth?.getDevices) return [];
+
+        const devices = (await navigator.bluetooth.getDevices()).filter(d => this.profiles.forDeviceName(d.name));
+        const preferred = devices.findIndex(d => d.id === this.preferredDeviceId);
+        if (preferred > 0) devices.unshift(...devices.splice(preferred, 1));
+        return devices;
+    }
+
     async connectToDevice(device) {
         this.device = device;
+        if (device.id) this.preferredDeviceId = device.id;
         this.log(`📱 Selected device: ${this.device.name}`, 'info');
+        await this.openTransport(createTransport(TRANSPORT_TYPES.BLE), device);
+        return await this.finishConnect();
+    }
 
-        if (!this._boundDisconnectHandler) {
-            this._boundDisconnectHandler = () => this.handleDisconnection();
+    /**
+     * Connect to the Cube's USB MIDI ports via Web MIDI
+     */
+    async connectViaWebMidi() {
+        if (!WebMidiTransport.isSupported()) {
+            throw new Error('Web MIDI not supported');
         }
-        this.device.removeEventListener('gattserverdisconnected', this._boundDisconnectHandler);
-        this.device.addEventListener('gattserverdisconnected', this._boundDisconnectHandler);
-
-        try {
-            this.log('🔌 Connecting to GATT server...', 'info');
-            this.server = await this.device.gatt.connect();
-
-            this.log('🎵 Getting MIDI service...', 'info');
-            const service = await this.server.getPrimaryService(BLE_MIDI_SERVICE);
+        await this.openTransport(createTransport(TRANSPORT_TYPES.USB));
+        this.device = { name: this.transport.deviceName };
+        this.log(`🎹 Selected USB device: ${this.device.name}`, 'info');
+        return await this.finishConnect();
+    }
 
-            this.log('📡 Getting MIDI characteristic...', 'info');
-            this.characteristic = await service.getCharacteristic(BLE_MIDI_CHARACTERISTIC);
+    /**
+     * Open a transport and route its data/disconnect events into this module
+     */
+    async openTransport(transport, device = null) {
+        transport.onLog = (message, type) => this.log(message, type);
+        transport.onData = (value) => this.handleMIDIData(value);
+        transport.onDisconnect = () => this.handleDisconnection();
 
-            this.log('🔔 Starting notifications...', 'info');
-            await this.characteristic.startNotifications();
+        try {
+            await transport.open(device);
         } catch (error) {
-            // GATT connected but service/characteristic failed — stale connection
-            if (this.server && this.server.connected) {
-                this.server.disconnect();
-            }
             this.cleanup();
             throw error;
         }
-        
-        this.characteristic.addEventListener('characteristicvaluechanged', (event) => {
-            this.handleMIDIData(event.target.value);
-        });
+        this.transport = transport;
+    }
 
+    /**
+     * Shared post-open steps for every transport
+     */
+    async finishConnect() {
         this.isConnected = true;
         this.notifyConnectionStatusChange(true);
         
+        // Ask what is on the other end before the first write
+        await this.checkIdentity();
+        
         // Test connection
         await this.testConnection();
         
@@ -256,6 +392,109 @@ export class BossCubeCommunication {
         return true;
     }
 
+    /**
+     * Send a Device Inquiry and wait for the identity reply.
+     * @returns {Promise<Object|null>} decoded identity, or null when nothing answered in time
+     */
+    async requestIdentity(timeout = SYSEX_CONFIG.IDENTITY_TIMEOUT) {
+        if (!this.isConnected || !this.transport?.isOpen) {
+            throw new Error('Boss Cube not connected');
+        }
+
+        const reply = new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.identityWaiter = null;
+                resolve(null);
+            }, timeout);
+            this.identityWaiter = { resolve, timer };
+        });
+        await this._enqueueGattWrite(() => this.writeSysEx(IDENTITY_REQUEST_MESSAGE), { priority: WRITE_PRIORITY.ACTION });
+        return await reply;
+    }
+
+    /**
+     * Identify the device on connect and switch to its model profile (by the
+     * identity reply, else the BLE name). A device no profile knows is reported
+     * through onIdentityMismatch, which can abort the connect; no answer is
+     * logged and tolerated.
+     */
+    async checkIdentity() {
+        let identity = null;
+        try {
+            identity = await this.requestIdentity();
+        } catch (error) {
+            this.log(`⚠️ Identity request failed: ${error.message}`, 'warning');
+        }
+        this.identity = identity;
+
+        const { profile, status } = this.profiles.select({ identity, deviceName: this.getConnectionStatus().deviceName });
+        this.identityStatus = status;
+        this.setModelProfile(profile);
+
+        if (this.identityStatus === IDENTITY_STATUS.UNKNOWN) {
+            this.log(`⚠️ Device did not answer the identity request — model and firmware unknown, assuming ${profile.name}`, 'warning');
+            return;
+        }
+        this.log(`🪪 Identity: ${describeIdentity(identity)} (${this.identityStatus === IDENTITY_STATUS.MATCH ? profile.name : 'unknown model'})`, 'info');
+
+        if (this.identityStatus === IDENTITY_STATUS.MISMATCH) {
+            this.log(`⚠️ Device matches no known model profile [${identity.raw}] — using ${profile.name}`, 'warning');
+            const proceed = this.onIdentityMismatch ? await this.onIdentityMismatch(identity) : true;
+            if (!proceed) {
+                await this.disconnect();
+                throw new Error('Connection cancelled: device matches no known model');
+            }
+        }
+    }
+
+    /**
+     * Switch header, codec and health probe to another amp model
+     */
+    setModelProfile(profile) {
+        if (profile.id === this.profile.id) return;
+        this.profile = profile;
+        this.codec = new ParameterCodec(profile.parameters);
+        this.log(`🧩 Model profile: ${profile.name}`, 'info');
+        if (this.onModelProfileChange) {
+            this.onModelProfileChange(profile);
+        }
+    }
+
+    /**
+     * Address read on connect and timed on every keep-alive
+     */
+    get healthProbeAddress() {
+        return this.profile.parameters[this.profile.healthProbeKey].address;
+    }
+
+    /**
+     * BLE picker filters: every registered model's name prefix, or any BLE MIDI device
+     */
+    getDeviceFilters() {
+        return [
+            ...this.profiles.namePrefixes.map(namePrefix => ({ namePrefix })),
+            { services: [BLE_MIDI_SERVICE] }
+        ];
+    }
+
+    handleIdentityReply(sysexData) {
+        const identity = parseIdentityReply(sysexData);
+        if (!identity) {
+            const hex = Array.from(sysexData, b => b.toString(16).padStart(2, '0')).join(' ');
+            this.recordProtocolError(PROTOCOL_ERRORS.TRUNCATED, `Identity reply [${hex}]`);
+            return;
+        }
+        const waiter = this.identityWaiter;
+        this.identityWaiter = null;
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(identity);
+        } else {
+            this.identity = identity;
+            this.identityStatus = this.profile.identity ? classifyIdentity(identity, this.profile.identity) : IDENTITY_STATUS.MISMATCH;
+        }
+    }
+
     /**
      * Disconnect from Boss Cube
      */
@@ -263,18 +502,10 @@ export class BossCubeCommunication {
         try {
             this.stopNotificationMaintenance();
             
-            if (this.characteristic) {
-                try {
-                    await this.characteristic.stopNotifications();
-                    this.log('🔕 Stopped Boss Cube notifications', 'info');
-                } catch (error) {
-                    this.log(`⚠️ Error stopping notifications: ${error.message}`, 'warning');
-                }
-            }
-            
-            if (this.server && this.server.connected) {
-                await this.server.disconnect();
-                this.log('🔌 Boss Cube GATT server disconnected', 'info');
+            if (this.transport) {
+                // Intentional: no onConnectionLost
+                this.transport.onDisconnect = null;
+                await this.transport.close();
             }
             
         } catch (error) {
@@ -288,21 +519,40 @@ export class BossCubeCommunication {
      * Handle disconnection event
      */
     handleDisconnection() {
+        const wasConnected = this.isConnected;
         this.log('🔌 Boss Cube disconnected', 'warning');
         this.cleanup();
+        if (wasConnected && this.onConnectionLost) {
+            this.onConnectionLost();
+        }
     }
 
     /**
      * Cleanup connection state
      */
     cleanup() {
+        if (this.transport) {
+            this.transport.onData = null;
+            this.transport.onDisconnect = null;
+            this.transport.reset();
+        }
         this.device = null;
-        this.server = null;
-        this.characteristic = null;
+        this.transport = null;
         this.isConnected = false;
+        this.identity = null;
+        this.identityStatus = IDENTITY_STATUS.UNKNOWN;
+        if (this.identityWaiter) {
+            clearTimeout(this.identityWaiter.timer);
+            this.identityWaiter.resolve(null);
+            this.identityWaiter = null;
+        }
         this.stopNotificationMaintenance();
         this.clearSysExBuffer();
         this.pendingReadRequests.clear();
+        this.writeQueue.clear(new Error('Boss Cube disconnected'));
+        this.rejectReadWaiters(new Error('Boss Cube disconnected'));
+        for (const tracker of this.blockTrackers) tracker.done();
+        this.blockTrackers.clear();
         this.notifyConnectionStatusChange(false);
     }
 
@@ -311,70 +561,48 @@ export class BossCubeCommunication {
      */
     handleMIDIData(value) {
         const data = new Uint8Array(value.buffer);
-        
-        // Extract SysEx data from BLE MIDI packet, handling multi-packet messages
-        let sysexData = [];
-        let foundStart = false;
-        let foundEnd = false;
-        
-        for (let i = 0; i < data.length; i++) {
-            if (data[i] === 0xF0) {
-                // SysEx start - begin new message
-                foundStart = true;
-                this.clearSysExBuffer();
-                this.bufferingActive = true;
-                this.lastBufferTime = Date.now();
-                continue; // Skip the F0 byte itself
-            } else if (data[i] === 0xF7) {
-                // SysEx end - complete the message
-                foundEnd = true;
-                break;
-            } else if (data[i] < 0x80) {
-                // Data byte (not timestamp) - collect it
-                sysexData.push(data[i]);
-            }
-            // Skip BLE MIDI timestamp bytes (high bit set, >= 0x80)
+        if (this.recorder) {
+            this.recorder.record(TRACE_DEVICES.CUBE, TRACE_DIRECTIONS.IN, data);
         }
+        this.health.recordNotification();
         
-        // Handle the collected data
-        if (foundStart || this.bufferingActive) {
-            if (sysexData.length > 0) {
-                this.sysexBuffer.push(...sysexData);
-                this.lastBufferTime = Date.now();
-            }
-            
-            if (foundEnd) {
-                // Complete message - process it
-                this.processSysExBuffer();
-            } else if (!foundStart && this.bufferingActive) {
-                // Continuation packet - schedule timeout processing
-                setTimeout(() => {
-                    if (this.bufferingActive && Date.now() - this.lastBufferTime > this.bufferTimeout) {
-                        this.processSysExBuffer();
-                    }
-                }, this.bufferTimeout + 50);
+        for (const event of this.midiParser.parse(data)) {
+            if (event.type === MIDI_EVENTS.SYSEX) {
+                this.parseBossCubeSysEx(event.data);
             }
         }
-    }
-
 
+        // SysEx still open: mirror it and process what arrived if the rest never comes
+        this.bufferingActive = this.midiParser.inSysEx;
+        this.sysexBuffer = this.midiParser.sysexData || [];
+        if (this.bufferingActive) {
+            this.lastBufferTime = Date.now();
+            setTimeout(() => {
+                if (this.bufferingActive && Date.now() - this.lastBufferTime > this.bufferTimeout) {
+                    this.expireSysExBuffer();
+                }
+            }, this.bufferTimeout + 50);
+        }
+    }
 
     /**
      * Clear SysEx buffer
      */
     clearSysExBuffer() {
+        this.midiParser.reset();
         this.sysexBuffer = [];
         this.bufferingActive = false;
         this.lastBufferTime = 0;
     }
 
     /**
-     * Process accumulated SysEx buffer
+     * Drop a SysEx whose F7 never arrived; a partial message cannot pass the checksum
      */
-    processSysExBuffer() {
+    expireSysExBuffer() {
         if (this.sysexBuffer.length > 0) {
-            this.parseBossCubeSysEx(this.sysexBuffer);
+            const received = this.sysexBuffer.length;
             this.clearSysExBuffer();
+            this.recordProtocolError(PROTOCOL_ERRORS.TIMEOUT, `SysEx incomplete after ${this.bufferTimeout}ms (${received} bytes)`);
         }
     }
 
@@ -454,70 +682,39 @@ export class BossCubeCommunication {
      * Parse Boss Cube SysEx message (restored from working v2.22.1)
      */
     parseBossCubeSysEx(sysexData) {
-        // Check minimum length for a Boss Cube response
-        if (sysexData.length < 10) {
+        // Universal SysEx identity replies carry no Roland header
+        if (isIdentityReply(sysexData)) {
+            this.handleIdentityReply(sysexData);
+            return;
+        }
+
+        // Header, DT1 command and checksum must all match before anything is applied
+        const error = validateRolandDT1(sysexData, this.profile.header);
+        if (error) {
+            const hex = Array.from(sysexData, b => b.toString(16).padStart(2, '0')).join(' ');
+            this.recordProtocolError(error, `[${hex}]`);
             return;
         }
         
-        // Check if this is a Boss Cube response (starts with our header)
-        const expectedHeader = [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09];
+        // DT1 (Data Set 1) — extract address and value(s)
+        const addressBytes = sysexData.slice(8, 12);
+        const addressStr = addressBytes.map(b => b.toString(16).padStart(2, '0')).join('');
+        const isTunerData = addressStr === '7f000300';
         
-        // Check header
-        for (let i = 0; i < expectedHeader.length; i++) {
-            if (sysexData[i] !== expectedHeader[i]) {
-                return;
-            }
-        }
+        const data = sysexData.slice(12, sysexData.length - 1); // between address and checksum
         
-        const command = sysexData[7]; // 0x12 for response to read request
+        if (isTunerData && data.length === 6) {
+            const value = this.decodeTunerData(data) || 0;
+            this.updateParameterFromCube(addressBytes, value, false);
+            return;
+        }
         
-        if (command === 0x12) {
-            // DT1 (Data Set 1) — extract address and value(s)
-            const addressBytes = sysexData.slice(8, 12);
-            const addressStr = addressBytes.map(b => b.toString(16).padStart(2, '0')).join('');
-            const isTunerData = addressStr === '7f000300';
-            
-            const dataByteCount = sysexData.length - 13; // total minus header(7)+cmd(1)+addr(4)+checksum(1)
-            const dataStart = 12;
-            const dataEnd = sysexData.length - 1;
-            
-            if (dataByteCount <= 0) {
-                this.log(`⚠️ Invalid SysEx message: no data bytes (length=${sysexData.length})`, 'warning');
-                return;
-            }
-            
-            if (isTunerData && dataByteCount === 6) {
-                const tunerBytes = sysexData.slice(dataStart, dataEnd);
-                const value = this.decodeTunerData(tunerBytes) || 0;
-                this.updateParameterFromCube(addressBytes, value, false);
-            } else if (dataByteCount === 1) {
-                this.updateParameterFromCube(addressBytes, sysexData[dataStart], false);
-            } else if (this.isMultiByteParameter(addressStr)) {
-                // Known multi-byte value (e.g. delay time) — Roland 7-bit decoding
-                let value = 0;
-                for (let i = 0; i < dataByteCount; i++) {
-                    value = (value << 7) | sysexData[dataStart + i];
-                }
-                this.updateParameterFromCube(addressBytes, value, false);
-            } else {
-                // DT1 block write: consecutive single-byte parameters starting at address
-                const addr = [...addressBytes];
-                for (let i = 0; i < dataByteCount; i++) {
-                    this.updateParameterFromCube([...addr], sysexData[dataStart + i], false);
-                    addr[3]++;
-                    if (addr[3] > 0x7F) { addr[3] = 0; addr[2]++; }
-                    if (addr[2] > 0x7F) { addr[2] = 0; addr[1]++; }
-                }
-            }
+        // Single value, multi-byte value or block of consecutive parameters, per the codec
+        for (const update of this.codec.decodeDataSet(addressBytes, data)) {
+            this.updateParameterFromCube(update.address, update.value, false);
         }
     }
 
-    // Parameters that use Roland 7-bit multi-byte encoding (not block writes)
-    static MULTI_BYTE_ADDRESSES = new Set(['10000061', '1000002f', '7f000300']);
-    isMultiByteParameter(addressStr) {
-        return BossCubeCommunication.MULTI_BYTE_ADDRESSES.has(addressStr);
-    }
-
     /**
      * Update parameter from Boss Cube response
      */
@@ -530,6 +727,12 @@ export class BossCubeCommunication {
         if (wasReadRequest) {
             this.pendingReadRequests.delete(addressKey);
         }
+        this.resolveReadWaiters(addressKey, value);
+        for (const tracker of this.blockTrackers) {
+            if (!tracker.expected.has(addressKey)) continue;
+            tracker.values.set(addressKey, value);
+            if (tracker.values.size === tracker.expected.size) tracker.done();
+        }
         
         // Detect physical knob changes (unsolicited updates)
         if (!wasReadRequest && !isPhysicalKnobChange) {
@@ -559,29 +762,86 @@ export class BossCubeCommunication {
     }
 
     /**
-     * Send parameter command to Boss Cube
+     * Send parameter command to Boss Cube, encoded as the parameter at address declares.
+     * A queued write to the same address is replaced rather than sent twice.
+     * options.priority: WRITE_PRIORITY lane (default CONTROL)
      */
-    async sendParameterCommand(address, value) {
-        if (!this.isConnected || !this.characteristic) {
+    async sendParameterCommand(address, value, options = {}) {
+        if (!this.isConnected || !this.transport?.isOpen) {
             throw new Error('Boss Cube not connected');
         }
         
+        const addressKey = address.map(b => b.toString(16).padStart(2, '0')).join('');
         return this._enqueueGattWrite(async () => {
-            const dataBytes = [...BOSS_CUBE_HEADER, ...address, value];
+            const dataBytes = [...this.profile.header, ...address, ...this.codec.encode(address, value)];
             const checksum = this.rolandChecksum(dataBytes.slice(5));
             const sysexData = [...dataBytes, checksum];
-            const command = this.createBLEMidiCommand(sysexData);
             
-            await this.characteristic.writeValue(command);
+            await this.writeSysEx(sysexData);
             await new Promise(resolve => setTimeout(resolve, SYSEX_CONFIG.COMMAND_DELAY));
-        });
+        }, { priority: options.priority ?? WRITE_PRIORITY.CONTROL, coalesceKey: `dt1:${addressKey}` });
+    }
+
+    /**
+     * Send one DT1 carrying consecutive bytes starting at address.
+     * Checksum covers address + data, as the Roland spec requires.
+     */
+    async sendDataSet(address, data, options = {}) {
+        if (!this.isConnected || !this.transport?.isOpen) {
+            throw new Error('Boss Cube not connected');
+        }
+
+        const addressKey = address.map(b => b.toString(16).padStart(2, '0')).join('');
+        const coalesceKey = data.length === 1 ? `dt1:${addressKey}` : `dt1:${addressKey}+${data.length}`;
+        return this._enqueueGattWrite(async () => {
+            const checksumData = [...address, ...data];
+            const sysexData = [...this.profile.header, ...checksumData, this.rolandChecksum(checksumData)];
+
+            await this.writeSysEx(sysexData);
+            await new Promise(resolve => setTimeout(resolve, SYSEX_CONFIG.COMMAND_DELAY));
+        }, { priority: options.priority ?? WRITE_PRIORITY.CONTROL, coalesceKey });
+    }
+
+    /**
+     * Write many addresses with as few DT1 messages as possible.
+     * writes: [{ address, data }]; contiguous bytes are packed together, later writes win.
+     * @returns {Promise<number>} number of DT1 messages sent
+     */
+    async sendDataSetBatch(writes, options = {}) {
+        const bytes = new Map(); // linear address → byte
+        for (const { address, data } of writes) {
+            const base = toLinearAddress(address);
+            data.forEach((byte, i) => bytes.set(base + i, byte & 0x7F));
+        }
+
+        const batches = BossCubeCommunication.toDataSetBatches(bytes, options.maxBytes ?? SYSEX_CONFIG.MAX_DT1_DATA_BYTES);
+        await Promise.all(batches.map(batch =>
+            this.sendDataSet(fromLinearAddress(batch.start), batch.data, { priority: options.priority })));
+        return batches.length;
+    }
+
+    /**
+     * Split linear address → byte pairs into contiguous { start, data } runs of at most maxBytes
+     */
+    static toDataSetBatches(bytes, maxBytes) {
+        const batches = [];
+        for (const address of [...bytes.keys()].sort((a, b) => a - b)) {
+            const last = batches[batches.length - 1];
+            if (last && last.start + last.data.length === address && last.data.length < maxBytes) {
+                last.data.push(bytes.get(address));
+            } else {
+                batches.push({ start: address, data: [bytes.get(address)] });
+            }
+        }
+        return batches;
     }
 
     /**
-     * Send parameter read request
+     * Send parameter read request (options.priority defaults to the BACKGROUND lane;
+     * options.onSent runs once the RQ1 is on the wire)
      */
-    async sendParameterReadRequest(address) {
-        if (!this.isConnected || !this.characteristic) {
+    async sendParameterReadRequest(address, options = {}) {
+        if (!this.isConnected || !this.transport?.isOpen) {
             throw new Error('Boss Cube not connected');
         }
         
@@ -589,66 +849,211 @@ export class BossCubeCommunication {
         this.pendingReadRequests.set(addressKey, Date.now());
         
         return this._enqueueGattWrite(async () => {
-            const readHeader = [...BOSS_CUBE_HEADER];
+            const readHeader = [...this.profile.header];
             readHeader[7] = 0x11;
             const dataBytes = [...readHeader, ...address, 0x00, 0x00, 0x00, 0x01];
             const checksum = this.rolandChecksum([...address, 0x00, 0x00, 0x00, 0x01]);
             const sysexData = [...dataBytes, checksum];
-            const command = this.createBLEMidiCommand(sysexData);
             
             try {
-                await this.characteristic.writeValue(command);
+                await this.writeSysEx(sysexData);
                 this.lastReadRequestTime = Date.now();
+                if (options.onSent) options.onSent();
                 await new Promise(resolve => setTimeout(resolve, SYSEX_CONFIG.READ_DELAY));
             } catch (error) {
                 this.pendingReadRequests.delete(addressKey);
                 throw error;
             }
+        }, { priority: options.priority ?? WRITE_PRIORITY.BACKGROUND });
+    }
+
+
+
+    /**
+     * Read one address and resolve with the decoded value from the matching DT1 reply.
+     * Each attempt times out after options.timeout ms and is re-sent up to options.retries times.
+     */
+    async readParameterValue(address, options = {}) {
+        const timeout = options.timeout ?? SYSEX_CONFIG.READ_RESPONSE_TIMEOUT;
+        const retries = options.retries ?? SYSEX_CONFIG.READ_RETRIES;
+        const addressKey = address.map(b => b.toString(16).padStart(2, '0')).join('');
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const waiter = this.addReadWaiter(addressKey);
+            try {
+                await this.sendParameterReadRequest(address, { priority: options.priority });
+                if (!this.readWaiters.get(addressKey)?.includes(waiter)) {
+                    return await waiter.promise; // already answered during READ_DELAY
+                }
+                // Start the clock once the RQ1 is actually on the wire, not while queued
+                waiter.timer = setTimeout(() => {
+                    this.removeReadWaiter(addressKey, waiter);
+                    this.protocolErrors.count(PROTOCOL_ERRORS.TIMEOUT, `No reply for [${addressKey}]`);
+                    waiter.reject(new Error(`No reply for [${addressKey}] within ${timeout}ms`));
+                }, timeout);
+                return await waiter.promise;
+            } catch (error) {
+                this.removeReadWaiter(addressKey, waiter);
+                lastError = error;
+                if (!this.isConnected) break;
+                if (attempt < retries) {
+                    this.log(`🔁 ${error.message} — retrying (${attempt + 1}/${retries})`, 'warning');
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    addReadWaiter(addressKey) {
+        const waiter = { timer: null };
+        waiter.promise = new Promise((resolve, reject) => {
+            waiter.resolve = resolve;
+            waiter.reject = reject;
         });
+        // Rejection may fire before the caller awaits; avoid unhandled-rejection noise
+        waiter.promise.catch(() => {});
+        const waiters = this.readWaiters.get(addressKey) || [];
+        waiters.push(waiter);
+        this.readWaiters.set(addressKey, waiters);
+        return waiter;
     }
 
+    removeReadWaiter(addressKey, waiter) {
+        clearTimeout(waiter.timer);
+        const waiters = (this.readWaiters.get(addressKey) || []).filter(w => w !== waiter);
+        if (waiters.length) {
+            this.readWaiters.set(addressKey, waiters);
+        } else {
+            this.readWaiters.delete(addressKey);
+        }
+    }
 
+    resolveReadWaiters(addressKey, value) {
+        const waiters = this.readWaiters.get(addressKey);
+        if (!waiters) return;
+        this.readWaiters.delete(addressKey);
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            waiter.answeredAt = Date.now();
+            waiter.resolve(value);
+        }
+    }
+
+    rejectReadWaiters(error) {
+        for (const waiters of this.readWaiters.values()) {
+            for (const waiter of waiters) {
+                clearTimeout(waiter.timer);
+                waiter.reject(error);
+            }
+        }
+        this.readWaiters.clear();
+    }
 
     /**
      * Send block read request (RQ1 with multi-byte size)
      */
-    async sendBlockReadRequest(address, size) {
-        if (!this.isConnected || !this.characteristic) {
+    async sendBlockReadRequest(address, size, options = {}) {
+        if (!this.isConnected || !this.transport?.isOpen) {
             throw new Error('Boss Cube not connected');
         }
 
         return this._enqueueGattWrite(async () => {
-            const readHeader = [...BOSS_CUBE_HEADER];
+            const readHeader = [...this.profile.header];
             readHeader[7] = 0x11;
             const checksumData = [...address, ...size];
             const dataBytes = [...readHeader, ...checksumData];
             const checksum = this.rolandChecksum(checksumData);
             const sysexData = [...dataBytes, checksum];
-            const command = this.createBLEMidiCommand(sysexData);
 
-            await this.characteristic.writeValue(command);
+            await this.writeSysEx(sysexData);
             this.lastReadRequestTime = Date.now();
             await new Promise(resolve => setTimeout(resolve, SYSEX_CONFIG.READ_DELAY));
-        });
+        }, { priority: options.priority ?? WRITE_PRIORITY.BACKGROUND });
+    }
+
+    /**
+     * Block read that knows which addresses came back.
+     * Finishes as soon as every address in the range has answered; otherwise
+     * re-requests only the missing sub-ranges up to options.retries times.
+     * @returns {{values: Map<string, number>, missing: string[]}} keyed by address hex
+     */
+    async readBlock(address, size, options = {}) {
+        const retries = options.retries ?? SYSEX_CONFIG.BLOCK_READ_RETRIES;
+        const keys = Array.from({ length: size }, (_, i) =>
+            offsetAddress(address, i).map(b => b.toString(16).padStart(2, '0')).join(''));
+        const values = new Map();
+        let missing = keys.map((_, i) => i);
+
+        for (let attempt = 0; attempt <= retries && missing.length > 0; attempt++) {
+            const ranges = BossCubeCommunication.toContiguousRanges(missing);
+            if (attempt > 0) {
+                this.log(`🔁 Block [${keys[0]}]: re-requesting ${missing.length} missing address(es) in ${ranges.length} range(s)`, 'warning');
+            }
+
+            const tracker = { expected: new Set(missing.map(i => keys[i])), values: new Map() };
+            const complete = new Promise(resolve => { tracker.done = resolve; });
+            this.blockTrackers.add(tracker);
+
+            try {
+                for (const range of ranges) {
+                    await this.sendBlockReadRequest(offsetAddress(address, range.start), offsetAddress([0, 0, 0, 0], range.count));
+                }
+                const timeout = options.timeout
+                    ?? SYSEX_CONFIG.BLOCK_READ_TIMEOUT + missing.length * SYSEX_CONFIG.BLOCK_READ_MS_PER_BYTE;
+                let timer;
+                await Promise.race([complete, new Promise(resolve => { timer = setTimeout(resolve, timeout); })]);
+                clearTimeout(timer);
+            } catch (error) {
+                this.log(`⚠️ Block [${keys[0]}] request failed: ${error.message}`, 'warning');
+            } finally {
+                this.blockTrackers.delete(tracker);
+            }
+
+            for (const [key, value] of tracker.values) values.set(key, value);
+            missing = missing.filter(i => !values.has(keys[i]));
+            if (!this.isConnected) break;
+            if (missing.length > 0) {
+                this.protocolErrors.count(PROTOCOL_ERRORS.TIMEOUT, `Block [${keys[0]}]: ${missing.length} address(es) unanswered`);
+            }
+        }
+
+        return { values, missing: missing.map(i => keys[i]) };
+    }
+
+    /**
+     * Group sorted offsets into { start, count } runs
+     */
+    static toContiguousRanges(offsets) {
+        const ranges = [];
+        for (const offset of offsets) {
+            const last = ranges[ranges.length - 1];
+            if (last && last.start + last.count === offset) {
+                last.count++;
+            } else {
+                ranges.push({ start: offset, count: 1 });
+            }
+        }
+        return ranges;
     }
 
     /**
-     * Send special command to Boss Cube
+     * Send special command to Boss Cube (options.priority defaults to the ACTION lane)
      */
-    async sendSpecialCommand(address, data) {
-        if (!this.isConnected || !this.characteristic) {
+    async sendSpecialCommand(address, data, options = {}) {
+        if (!this.isConnected || !this.transport?.isOpen) {
             throw new Error('Boss Cube not connected');
         }
         
         return this._enqueueGattWrite(async () => {
-            const dataBytes = [...BOSS_CUBE_HEADER, ...address, ...data];
+            const dataBytes = [...this.profile.header, ...address, ...data];
             const checksum = this.rolandChecksum(dataBytes.slice(5));
             const sysexData = [...dataBytes, checksum];
-            const command = this.createBLEMidiCommand(sysexData);
             
-            await this.characteristic.writeValue(command);
+            await this.writeSysEx(sysexData);
             await new Promise(resolve => setTimeout(resolve, SYSEX_CONFIG.COMMAND_DELAY));
-        });
+        }, { priority: options.priority ?? WRITE_PRIORITY.ACTION });
     }
 
     /**
@@ -656,7 +1061,7 @@ export class BossCubeCommunication {
      */
     async testConnection() {
         try {
-            await this.sendParameterReadRequest([0x20, 0x00, 0x00, 0x04]);
+            await this.sendParameterReadRequest(this.healthProbeAddress);
             this.log('🔧 Connection test successful', 'info');
             return true;
         } catch (error) {
@@ -671,7 +1076,7 @@ export class BossCubeCommunication {
     async enableContinuousNotifications() {
         try {
             // Send enable notifications command
-            await this.sendSpecialCommand(SYSTEM_ADDRESSES.ENABLE_NOTIFICATIONS, [0x01]);
+            await this.sendSpecialCommand(SYSTEM_ADDRESSES.ENABLE_NOTIFICATIONS, [0x01], { priority: WRITE_PRIORITY.BACKGROUND });
             this.log('🔔 Enabled continuous notifications', 'info');
         } catch (error) {
             this.log(`⚠️ Failed to enable continuous notifications: ${error.message}`, 'warning');
@@ -684,24 +1089,64 @@ export class BossCubeCommunication {
     startNotificationMaintenance() {
         this.stopNotificationMaintenance();
         
-        this.maintenanceFailCount = 0;
-        this.notificationMaintenanceTimer = setInterval(async () => {
+        this.health.reset();
+        if (this.maintenancePaused) return;
+        this.notificationMaintenanceTimer = setInterval(() => {
             if (this.isConnected) {
-                try {
-                    await this.sendSpecialCommand(SYSTEM_ADDRESSES.KEEP_ALIVE, [0x00]);
-                    this.maintenanceFailCount = 0;
-                } catch (error) {
-                    this.maintenanceFailCount++;
-                    this.log(`⚠️ Notification maintenance failed (${this.maintenanceFailCount}): ${error.message}`, 'warning');
-                    if (this.maintenanceFailCount >= 2) {
-                        this.log('🔌 Connection appears dead — triggering disconnect', 'error');
-                        this.handleDisconnection();
-                    }
-                }
+                this.runKeepAlive();
             }
         }, SYSEX_CONFIG.MAINTENANCE_INTERVAL);
     }
 
+    /**
+     * Send the keep-alive and time a read of the profile's health probe. A failed
+     * write or a missing reply is a miss; MAX_MISSED_KEEP_ALIVES in a row
+     * tear the link down.
+     */
+    async runKeepAlive() {
+        try {
+            await this.sendSpecialCommand(SYSTEM_ADDRESSES.KEEP_ALIVE, [0x00], { priority: WRITE_PRIORITY.BACKGROUND });
+            this.health.recordRoundTrip(await this.measureRoundTrip(this.healthProbeAddress));
+        } catch (error) {
+            const missed = this.health.recordMissedKeepAlive();
+            this.log(`⚠️ Notification maintenance failed (${missed}): ${error.message}`, 'warning');
+        }
+
+        if (this.onHealthChange) {
+            this.onHealthChange(this.getHealth());
+        }
+        if (this.isConnected && this.health.isDead) {
+            this.log('🔌 Connection appears dead — triggering disconnect', 'error');
+            this.handleDisconnection();
+        }
+    }
+
+    /**
+     * One RQ1 → DT1 round trip in ms, timed from the request leaving the write queue
+     */
+    async measureRoundTrip(address, timeout = SYSEX_CONFIG.READ_RESPONSE_TIMEOUT) {
+        const addressKey = address.map(b => b.toString(16).padStart(2, '0')).join('');
+        const waiter = this.addReadWaiter(addressKey);
+        let sentAt = 0;
+        try {
+            await this.sendParameterReadRequest(address, {
+                priority: WRITE_PRIORITY.BACKGROUND,
+                onSent: () => { sentAt = Date.now(); }
+            });
+            if (this.readWaiters.get(addressKey)?.includes(waiter)) {
+                waiter.timer = setTimeout(() => {
+                    this.removeReadWaiter(addressKey, waiter);
+                    this.protocolErrors.count(PROTOCOL_ERRORS.TIMEOUT, `No keep-alive reply for [${addressKey}]`);
+                    waiter.reject(new Error(`No keep-alive reply within ${timeout}ms`));
+                }, timeout);
+            }
+            await waiter.promise;
+            return waiter.answeredAt - sentAt;
+        } finally {
+            this.removeReadWaiter(addressKey, waiter);
+        }
+    }
+
     /**
      * Stop notification maintenance timer
      */
@@ -712,6 +1157,28 @@ export class BossCubeCommunication {
         }
     }
 
+    /**
+     * Page hidden or frozen: background timers are throttled, so late keep-alives
+     * would count as misses and tear down a healthy link. The link stays open.
+     */
+    pauseMaintenance() {
+        if (this.maintenancePaused) return;
+        this.maintenancePaused = true;
+        this.stopNotificationMaintenance();
+    }
+
+    /**
+     * Page visible again: restart keep-alives and check the link right away
+     */
+    resumeMaintenance() {
+        if (!this.maintenancePaused) return;
+        this.maintenancePaused = false;
+        if (this.isConnected) {
+            this.startNotificationMaintenance();
+            this.runKeepAlive();
+        }
+    }
+
     /**
      * Notify connection status change
      */
@@ -727,8 +1194,12 @@ export class BossCubeCommunication {
     getConnectionStatus() {
         return {
             isConnected: this.isConnected,
-            deviceName: this.device?.name || null,
-            hasCharacteristic: !!this.characteristic
+            deviceName: this.transport?.deviceName || this.device?.name || null,
+            deviceId: this.device?.id || null,
+            hasCharacteristic: !!this.transport?.isOpen,
+            transport: this.transport?.type || this.transportType,
+            identity: this.identity,
+            identityStatus: this.identityStatus
         };
     }
 } 
\ No newline at end of file
@@ -3,7 +3,8 @@
  * Tests for SysEx parsing and BLE MIDI handling
  */
 
-import { BossCubeCommunication } from './boss-cube-communication.js';
+import { BossCubeCommunication, offsetAddress } from './boss-cube-communication.js';
+import { BleMidiTransport, WebMidiTransport } from './midi-transports.js';
 
 // Test suite for Boss Cube SysEx parsing
 const BossCubeCommunicationTests = {
@@ -27,7 +28,16 @@ const BossCubeCommunicationTests = {
             this.testStructuredTunerData,
             this.testTunerEdgeCases,
             this.testTunerMathematicalConsistency,
-            this.testTunerRealWorldScenarios
+            this.testTunerRealWorldScenarios,
+            this.testTransportRoutesCommands,
+            this.testWebMidiTransportFraming,
+            this.testReadParameterValueResolvesWithReply,
+            this.testReadParameterValueRetriesAfterTimeout,
+            this.testReadParameterValueRejectsOnDisconnect,
+            this.testBlockRangeHelpers,
+            this.testDataSetBatches,
+            this.testIncomingSysExValidation,
+            this.testTimeoutsAreCounted
         ];
         
         let passed = 0;
@@ -72,6 +82,25 @@ const BossCubeCommunicationTests = {
         
         return comm;
     },
+
+    // Connect a mock communication to a fake transport; onSysEx(sysex) sees every write
+    attachFakeTransport(comm, onSysEx) {
+        comm.transport = {
+            isOpen: true,
+            frameSysEx: (sysex) => sysex,
+            sendSysEx: async (sysex) => onSysEx(sysex),
+            reset: () => {}
+        };
+        comm.isConnected = true;
+    },
+
+    // BLE MIDI packet carrying a Cube DT1 reply
+    createDT1Packet(address, data) {
+        const body = [...address, ...data];
+        const checksum = (128 - (body.reduce((a, b) => a + b, 0) % 128)) % 128;
+        return { buffer: new Uint8Array([0x80, 0x80, 0xF0, 0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12,
+            ...body, checksum, 0x80, 0xF7]).buffer };
+    },
     
     // Test basic SysEx parsing with complete Boss Cube message
     async testSysExParsing() {
@@ -83,7 +112,7 @@ const BossCubeCommunicationTests = {
             0x12, // Command (data response)
             0x00, 0x00, 0x00, 0x00, // Address (master volume)
             0x32, // Value (50)
-            0x0D  // Checksum
+            0x4E  // Checksum
         ];
         
         comm.parseBossCubeSysEx(sysexData);
@@ -161,7 +190,7 @@ const BossCubeCommunicationTests = {
         }
         
         // Test valid header
-        const validMessage = [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12, 0x00, 0x00, 0x00, 0x00, 0x32, 0x0D];
+        const validMessage = [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12, 0x00, 0x00, 0x00, 0x00, 0x32, 0x4E];
         comm.parameterUpdates = [];
         comm.parseBossCubeSysEx(validMessage);
         
@@ -180,7 +209,7 @@ const BossCubeCommunicationTests = {
         };
         
         // Test unsolicited update (physical knob)
-        const sysexData = [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12, 0x00, 0x00, 0x00, 0x00, 0x32, 0x0D];
+        const sysexData = [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12, 0x00, 0x00, 0x00, 0x00, 0x32, 0x4E];
         comm.parseBossCubeSysEx(sysexData);
         
         if (comm.parameterUpdates.length !== 1) {
@@ -216,7 +245,7 @@ const BossCubeCommunicationTests = {
                 0x12, // Command
                 0x10, 0x00, 0x20, 0x01, // Address
                 testValue, // Value
-                0x00  // Checksum (simplified)
+                comm.rolandChecksum([0x10, 0x00, 0x20, 0x01, testValue]) // Checksum
             ];
             
             comm.parameterUpdates = [];
@@ -304,7 +333,7 @@ const BossCubeCommunicationTests = {
             0x12, // Command (data response)
             0x7f, 0x00, 0x03, 0x00, // Address (tuner pitch data)
             0x40, // Value (64 decimal) - single byte as user sees
-            0x26  // Checksum (calculated for test)
+            0x3E  // Checksum
         ];
         
         comm.parseBossCubeSysEx(sysexData);
@@ -345,7 +374,7 @@ const BossCubeCommunicationTests = {
                     0x12, // Command
                     0x7f, 0x00, 0x03, 0x00, // Address (tuner pitch data)
                     0x40, // 1-byte value
-                    0x26  // Checksum
+                    0x3E  // Checksum
                 ],
                 expectedValue: 0x40
             },
@@ -356,7 +385,7 @@ const BossCubeCommunicationTests = {
                     0x12, // Command  
                     0x7f, 0x00, 0x03, 0x00, // Address (tuner pitch data)
                     0x40, 0x20, // 2-byte value (MSB, LSB)
-                    0x26  // Checksum
+                    0x1E  // Checksum
                 ],
                 expectedValue: (0x40 << 7) | 0x20 // Roland 7-bit format
             },
@@ -367,7 +396,7 @@ const BossCubeCommunicationTests = {
                     0x12, // Command
                     0x7f, 0x00, 0x03, 0x00, // Address (tuner pitch data)
                     0x40, 0x20, 0x10, // 3-byte value
-                    0x26  // Checksum
+                    0x0E  // Checksum
                 ],
                 expectedValue: ((0x40 << 7) | 0x20) << 7 | 0x10 // 21-bit value
             }
@@ -406,7 +435,7 @@ const BossCubeCommunicationTests = {
             0x12, // Command
             0x7f, 0x00, 0x03, 0x00, // Address (tuner pitch data)  
             0x40, // Value (64)
-            0x0D  // Checksum
+            0x3E  // Checksum
         ];
         
         comm.parseBossCubeSysEx(sysexData);
@@ -432,7 +461,7 @@ const BossCubeCommunicationTests = {
             0x12, // Command
             0x7f, 0x00, 0x03, 0x00, // Address (tuner pitch data)
             0x40, // Value (64)
-            0x0D  // Checksum
+            0x3E  // Checksum
         ];
         
         comm.parseBossCubeSysEx(singleByteSysex);
@@ -458,7 +487,7 @@ const BossCubeCommunicationTests = {
             0x12, // Command (data response)
             0x7f, 0x00, 0x03, 0x00, // Address (tuner pitch data)
             0x40, 0x01, 0x01, 0x03, 0x00, 0x00, // 6-byte tuner data
-            0x23  // Checksum (calculated for test)
+            0x39  // Checksum
         ];
         
         comm.parseBossCubeSysEx(structuredSysex);
@@ -715,6 +744,248 @@ const BossCubeCommunicationTests = {
                 throw new Error('Invalid byte ranges should still decode (graceful degradation)');
             }
         }
+    },
+
+    // Commands go through the transport; its incoming data reaches handleMIDIData
+    async testTransportRoutesCommands() {
+        const comm = this.createMockCommunication();
+        const sent = [];
+        const transport = new BleMidiTransport();
+        transport.characteristic = { writeValue: async (data) => sent.push(Array.from(data)) };
+
+        await comm.openTransport({
+            open: async () => {},
+            sendSysEx: (sysex) => transport.sendSysEx(sysex),
+            get isOpen() { return true; },
+            reset: () => {}
+        });
+        comm.isConnected = true;
+
+        await comm.sendParameterCommand([0x20, 0x00, 0x00, 0x04], 0x32);
+
+        if (sent.length !== 1) {
+            throw new Error(`Expected 1 BLE write, got ${sent.length}`);
+        }
+        const packet = sent[0];
+        if (packet[0] !== 0x90 || packet[2] !== 0xF0 || packet[packet.length - 1] !== 0xF7) {
+            throw new Error(`BLE packet framing wrong: [${packet.map(b => b.toString(16)).join(' ')}]`);
+        }
+
+        // Incoming data delivered by the transport is parsed as usual
+        comm.transport.onData({ buffer: new Uint8Array([
+            0x80, 0x80, 0xF0, 0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12,
+            0x20, 0x00, 0x00, 0x04, 0x32, 0x2A, 0x80, 0xF7
+        ]).buffer });
+        if (comm.parameterUpdates.length !== 1 || comm.parameterUpdates[0].value !== 0x32) {
+            throw new Error('Transport data should produce a parameter update');
+        }
+    },
+
+    // Web MIDI transport sends raw F0..F7 and delivers messages handleMIDIData understands
+    async testWebMidiTransportFraming() {
+        const comm = this.createMockCommunication();
+        const transport = new WebMidiTransport();
+        const sent = [];
+        transport.output = { name: 'CUBE Street II', send: (data) => sent.push(data) };
+        transport.input = { name: 'CUBE Street II', removeEventListener: () => {} };
+        transport.onData = (value) => comm.handleMIDIData(value);
+
+        await transport.sendSysEx([0x41, 0x10, 0x7F]);
+        if (sent.length !== 1 || sent[0].join(',') !== [0xF0, 0x41, 0x10, 0x7F, 0xF7].join(',')) {
+            throw new Error(`Unexpected USB MIDI frame: ${JSON.stringify(sent)}`);
+        }
+
+        // Simulate a MIDIMessageEvent whose data is a view into a larger buffer
+        const backing = new Uint8Array(32);
+        const message = [0xF0, 0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12,
+            0x20, 0x00, 0x00, 0x04, 0x32, 0x2A, 0xF7];
+        backing.set(message, 8);
+        transport._boundMessageHandler({ data: backing.subarray(8, 8 + message.length) });
+
+        if (comm.parameterUpdates.length !== 1 || comm.parameterUpdates[0].value !== 0x32) {
+            throw new Error('USB MIDI message should produce a parameter update');
+        }
+
+        const ports = WebMidiTransport.findCubePorts({
+            inputs: new Map([['a', { name: 'Other Synth', state: 'connected' }], ['b', { name: 'CUBE Street II', state: 'connected' }]]),
+            outputs: new Map([['c', { name: 'CUBE Street II', state: 'connected' }]])
+        });
+        if (!ports || ports.input.name !== 'CUBE Street II') {
+            throw new Error('Should find the Cube input/output port pair by name');
+        }
+    },
+
+    // readParameterValue resolves with the value from the DT1 reply for that address
+    async testReadParameterValueResolvesWithReply() {
+        const comm = this.createMockCommunication();
+        const address = [0x20, 0x00, 0x00, 0x01];
+        this.attachFakeTransport(comm, (sysex) => {
+            if (sysex[7] !== 0x11) return;
+            // An unrelated notification first, then the answer
+            setTimeout(() => comm.handleMIDIData(this.createDT1Packet([0x20, 0x00, 0x00, 0x02], [0x11])), 5);
+            setTimeout(() => comm.handleMIDIData(this.createDT1Packet(address, [0x37])), 10);
+        });
+
+        const value = await comm.readParameterValue(address, { timeout: 200, retries: 0 });
+        if (value !== 0x37) {
+            throw new Error(`Expected 0x37 from reply, got ${value}`);
+        }
+        if (comm.readWaiters.size !== 0) {
+            throw new Error('Waiter should be removed after the reply');
+        }
+    },
+
+    // A read whose reply is lost is re-sent, and gives up after the retry budget
+    async testReadParameterValueRetriesAfterTimeout() {
+        const comm = this.createMockCommunication();
+        const address = [0x20, 0x00, 0x00, 0x03];
+        let requests = 0;
+        this.attachFakeTransport(comm, (sysex) => {
+            if (sysex[7] !== 0x11) return;
+            requests++;
+            if (requests === 2) {
+                setTimeout(() => comm.handleMIDIData(this.createDT1Packet(address, [0x15])), 5);
+            }
+        });
+
+        const value = await comm.readParameterValue(address, { timeout: 30, retries: 2 });
+        if (value !== 0x15 || requests !== 2) {
+            throw new Error(`Expected value 0x15 after 2 requests, got ${value} after ${requests}`);
+        }
+
+        let error = null;
+        try {
+            await comm.readParameterValue([0x20, 0x00, 0x00, 0x04], { timeout: 20, retries: 1 });
+        } catch (e) {
+            error = e;
+        }
+        if (!error || !/No reply/.test(error.message) || requests !== 4) {
+            throw new Error(`Expected timeout after 2 more requests, got ${error?.message} / ${requests}`);
+        }
+    },
+
+    // Pending reads fail fast when the link drops
+    async testReadParameterValueRejectsOnDisconnect() {
+        const comm = this.createMockCommunication();
+        this.attachFakeTransport(comm, () => {
+            setTimeout(() => comm.handleDisconnection(), 5);
+        });
+
+        let error = null;
+        try {
+            await comm.readParameterValue([0x20, 0x00, 0x00, 0x04], { timeout: 5000, retries: 3 });
+        } catch (e) {
+            error = e;
+        }
+        if (!error) {
+            throw new Error('Read should reject when the Cube disconnects');
+        }
+        if (comm.readWaiters.size !== 0) {
+            throw new Error('No waiters should remain after disconnect');
+        }
+    },
+
+    // Missing block offsets are grouped into RQ1 sub-ranges across 7-bit address carries
+    async testBlockRangeHelpers() {
+        const ranges = BossCubeCommunication.toContiguousRanges([0, 1, 2, 5, 7, 8]);
+        if (JSON.stringify(ranges) !== JSON.stringify([{ start: 0, count: 3 }, { start: 5, count: 1 }, { start: 7, count: 2 }])) {
+            throw new Error(`Unexpected ranges: ${JSON.stringify(ranges)}`);
+        }
+        if (offsetAddress([0x10, 0x00, 0x00, 0x7F], 1).join(',') !== [0x10, 0x00, 0x01, 0x00].join(',')) {
+            throw new Error('Address offset should carry into the next 7-bit byte');
+        }
+        if (offsetAddress([0, 0, 0, 0], 0x6d).join(',') !== [0, 0, 0, 0x6d].join(',')) {
+            throw new Error('Size encoding should match the RQ1 size bytes');
+        }
+    },
+
+    async testDataSetBatches() {
+        const bytes = new Map([[10, 1], [11, 2], [12, 3], [20, 4], [13, 5]]);
+        const batches = BossCubeCommunication.toDataSetBatches(bytes, 3);
+        const expected = [{ start: 10, data: [1, 2, 3] }, { start: 13, data: [5] }, { start: 20, data: [4] }];
+        if (JSON.stringify(batches) !== JSON.stringify(expected)) {
+            throw new Error(`Unexpected batches: ${JSON.stringify(batches)}`);
+        }
+
+        const comm = this.createMockCommunication();
+        const sent = [];
+        this.attachFakeTransport(comm, (sysex) => sent.push(sysex));
+        const messages = await comm.sendDataSetBatch([
+            { address: [0x20, 0x00, 0x00, 0x00], data: [10] },
+            { address: [0x20, 0x00, 0x00, 0x01], data: [20] },
+            { address: [0x20, 0x00, 0x00, 0x04], data: [30] }
+        ]);
+        if (messages !== 2 || sent.length !== 2) {
+            throw new Error(`Expected 2 DT1 messages, got ${messages}/${sent.length}`);
+        }
+        const first = sent[0];
+        const body = [0x20, 0x00, 0x00, 0x00, 10, 20];
+        if (first.slice(8, -1).join(',') !== body.join(',')) {
+            throw new Error(`Unexpected DT1 body: ${first.slice(8, -1)}`);
+        }
+        if (first[first.length - 1] !== comm.rolandChecksum(body)) {
+            throw new Error('Checksum should cover address and data');
+        }
+    },
+
+    // Corrupted or foreign messages are rejected and counted by kind
+    async testIncomingSysExValidation() {
+        const comm = this.createMockCommunication();
+        const valid = [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12, 0x00, 0x00, 0x00, 0x00, 0x32, 0x4E];
+        const cases = [
+            { kind: 'checksum', sysex: [...valid.slice(0, 12), 0x33, 0x4E] }, // value bit flipped in transit
+            { kind: 'header', sysex: [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x10, ...valid.slice(7)] }, // pedal model ID
+            { kind: 'unknownCommand', sysex: [...valid.slice(0, 7), 0x11, ...valid.slice(8)] },
+            { kind: 'truncated', sysex: valid.slice(0, 12) }
+        ];
+
+        for (const { kind, sysex } of cases) {
+            comm.parseBossCubeSysEx(sysex);
+            if (comm.protocolErrors.counts[kind] !== 1) {
+                throw new Error(`Expected one ${kind} error, got ${JSON.stringify(comm.protocolErrors.counts)}`);
+            }
+        }
+        if (comm.parameterUpdates.length !== 0) {
+            throw new Error('Rejected messages must not update parameters');
+        }
+
+        comm.parseBossCubeSysEx(valid);
+        if (comm.parameterUpdates.length !== 1 || comm.protocolErrors.total !== 4) {
+            throw new Error('Valid message should pass without counting an error');
+        }
+        if (comm.protocolErrors.lastError?.kind !== 'truncated') {
+            throw new Error(`Last error should be recorded, got ${comm.protocolErrors.lastError?.kind}`);
+        }
+
+        comm.resetDiagnostics();
+        if (comm.getDiagnostics().protocolErrors.total !== 0) {
+            throw new Error('Reset should clear the counters');
+        }
+    },
+
+    // A SysEx whose F7 never arrives and a read with no reply are counted as timeouts
+    async testTimeoutsAreCounted() {
+        const comm = this.createMockCommunication();
+        comm.bufferTimeout = 10;
+        comm.handleMIDIData({ buffer: new Uint8Array([0xb4, 0xed, 0xf0, 0x41, 0x10]).buffer });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        if (comm.bufferingActive || comm.protocolErrors.counts.timeout !== 1) {
+            throw new Error(`Incomplete SysEx should expire as a timeout, got ${comm.protocolErrors.counts.timeout}`);
+        }
+        if (comm.parameterUpdates.length !== 0) {
+            throw new Error('Partial SysEx must not be applied');
+        }
+
+        this.attachFakeTransport(comm, () => {});
+        try {
+            await comm.readParameterValue([0x20, 0x00, 0x00, 0x04], { timeout: 10, retries: 1 });
+        } catch (e) {
+            // expected
+        }
+        if (comm.protocolErrors.counts.timeout !== 3) {
+            throw new Error(`Each unanswered read attempt should count, got ${comm.protocolErrors.counts.timeout}`);
+        }
     }
 };
 
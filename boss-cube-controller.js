@@ -4,22 +4,48 @@
  * using separate communication modules
  */
 
-import { BOSS_CUBE_PARAMETERS } from './parameters.js';
-import { EFFECT_SWITCH_COMMANDS, GUITAR_EFFECT_ONOFF, MIC_INST_EFFECT_ONOFF, EFFECT_SWITCH_MAP, normalizeEffectKey } from './effect-definitions.js';
+import { EFFECT_ACTIVATE_COMMAND, GUITAR_EFFECT_ONOFF, MIC_INST_EFFECT_ONOFF, EFFECT_SWITCH_MAP, normalizeEffectKey } from './effect-definitions.js';
 import { BossCubeCommunication } from './boss-cube-communication.js';
+import { TRANSPORT_TYPES } from './midi-transports.js';
 import { PedalCommunication } from './pedal-communication.js';
+import { SysExSessionRecorder, replaySessionTrace } from './sysex-session.js';
+import { SYSEX_CONFIG, WRITE_PRIORITY } from './constants.js';
+import { encodeValue } from './parameter-codec.js';
+import { ReconnectBackoff, RECONNECT_STATES } from './connection-health.js';
+import { RECONCILE_CHOICES, diffParameterStates, isReconcilable } from './state-reconciliation.js';
+import { PendingChangeset } from './pending-changeset.js';
+import { CUBE_II_PROFILE } from './model-profiles.js';
+import { StereoLink, STEREO_LINK_MODES } from './stereo-link.js';
+import { MidiMappingTable, MIDI_ACTIONS, MIDI_TARGET_KINDS, describeSource, isPress, scaleToParameter } from './midi-mapping.js';
+import { GestureRecognizer, GESTURES, GESTURE_LABELS } from './footswitch-gestures.js';
+import { mapPedalValue, sanitizeCurves } from './expression-curves.js';
+
+// Device names in reconnect log messages
+const DEVICE_LABELS = { cube: 'Boss Cube', pedal: 'Pedal', remote: 'Stereo link REMOTE' };
 
 class BossCubeController {
     constructor() {
         // Communication modules
         this.bossCubeComm = new BossCubeCommunication();
         this.pedalComm = new PedalCommunication();
+        this.cubeSimulator = null;
+        this.remoteCubeSimulator = null;
+        this.sessionRecorder = null;
         
         // Connection status (delegated to modules)
         this.isCubeConnected = false;
         this.isPedalConnected = false;
+        this.stereoRemoteLost = false; // REMOTE dropped unexpectedly and not linked again yet
+        this.cubeDropCount = 0; // unexpected Cube drops, to notice one during a re-read
         this.pedalCallbacks = [];
         
+        // Backoff auto-reconnect after an unexpected drop, per device
+        this.reconnectBackoff = {
+            cube: new ReconnectBackoff(),
+            pedal: new ReconnectBackoff(),
+            remote: new ReconnectBackoff() // stereo link REMOTE Cube
+        };
+        
         // Pickup mode state
         this.pickupMode = {
             enabled: false,
@@ -34,27 +60,45 @@ class BossCubeController {
         
 
         
-        // Pedal throttling and debouncing for smooth performance
-        this.pedalThrottle = {
-            lastSentTime: 0,
-            lastSentSignature: null,
-            sendInterval: 30, // Send to Boss Cube max every 30ms (33 FPS)
-            finalValueTimer: null,
-            finalValueDelay: 150, // Send final value 150ms after movement stops
-            isSending: false,
-            pendingValue: null
-        };
+        // Expression pedal curves: paramKey → { type, min, max, invert, points }; missing keys map linearly
+        this.expressionCurves = {};
+
+        // Last pedal value handed to the write queue (the queue collapses fast sweeps)
+        this.lastPedalSignature = null;
         this.pedalSendLog = {
             lastLogTime: 0,
             logInterval: 60
         };
         
-        // Parameters from imported definitions
-        this.parameters = BOSS_CUBE_PARAMETERS;
+        // Parameters, block reads and effect commands of the connected amp model
+        this.profile = this.bossCubeComm.profile;
+        this.parameters = this.profile.parameters;
         
         // Cube state for storing current values
         this.cubeState = {};
         
+        // Set after an unexpected drop: amp reports are collected here (paramKey → raw value)
+        // instead of overwriting the app's values until the user reconciles
+        this.ampStateCapture = null;
+        
+        // MIDI learn: CC/note bindings from any BLE MIDI controller, checked before the fixed pedal CC codes
+        this.midiMappings = new MidiMappingTable();
+        this.midiLearnTarget = null; // {kind, id} waiting for the next incoming control
+
+        // Footswitch gestures: pedal switch id ('previous', 'next', 'expSw') → gesture → action id
+        this.gestures = new GestureRecognizer();
+        this.gestureBindings = {};
+        
+        // Page visibility: while hidden the amp may change without the app hearing of it
+        this.backgroundSince = null; // Date.now() when the page went to the background
+        this.stateStale = false;     // values possibly outdated until the next full read
+        
+        // Edits made while the Cube is disconnected, pushed in one batch on the next connect
+        this.pendingChanges = new PendingChangeset();
+        this.pendingChanges.onChange = (count) => {
+            if (this.onPendingChangesChange) this.onPendingChangesChange(count);
+        };
+        
         // Current parameter selection for pedal control
         this.currentParameterKey = 'masterVolume';
         this.currentParameterResolveOverrides = null;
@@ -68,7 +112,15 @@ class BossCubeController {
         this._effectToggleBusy = false;
         this.discoveryMode = false;
 
-        this.effectSwitchCommands = EFFECT_SWITCH_COMMANDS;
+        // Verified writes: read back every DT1 and flag parameters the Cube disagrees with
+        this.verifiedWrites = false;
+        this.outOfSyncParams = new Set();
+        this.writeGenerations = new Map(); // paramKey → counter, lets a newer write cancel an older verify
+
+        this.effectSwitchCommands = this.profile.effectSwitchCommands;
+
+        // Second Cube in a stereo link setup; this.bossCubeComm is the HOST
+        this.stereoLink = new StereoLink(this.parameters);
 
         // Event callbacks
         this.onLog = null;
@@ -77,6 +129,16 @@ class BossCubeController {
         this.onPhysicalKnobChange = null;
         this.onEffectStateChanged = null; // (channel) => void — fired after effect type/active changes
         this.onRawSysEx = null; // (addressBytes, value, paramDef) => void — every incoming SysEx
+        this.onParameterSyncChange = null; // (paramKey, inSync) => void — verified write result changed
+        this.onCubeHealthChange = null; // (health) => void — after every Cube keep-alive
+        this.onReconnectStatus = null; // (device, { state, attempt, delayMs }) => void — backoff reconnect progress
+        this.onPendingChangesChange = null; // (count) => void — offline edits queued or cleared
+        this.onCubeIdentityMismatch = null; // async (identity) => boolean — continue connecting to a device no model profile knows?
+        this.onModelProfileChange = null; // (profile) => void — parameters now follow another amp model
+        this.onStereoRemoteStatusChange = null; // (connected) => void — REMOTE Cube linked or lost
+        this.onStereoRemoteUpdate = null; // (paramKey, value) => void — the REMOTE Cube reported a value
+        this.onStateStaleChange = null; // (stale) => void — values may be outdated (page was in the background)
+        this.onMidiLearned = null; // (binding) => void — MIDI learn bound a control to its target
         
         // Master Out binding - callbacks
         this.checkMasterBindEnabled = null;
@@ -101,19 +163,58 @@ class BossCubeController {
         this.bossCubeComm.onPhysicalKnobChange = (addressBytes, value) => {
             this.handlePhysicalKnobChange(addressBytes, value);
         };
+        this.bossCubeComm.onHealthChange = (health) => {
+            if (this.onCubeHealthChange) this.onCubeHealthChange(health);
+        };
+        this.bossCubeComm.onModelProfileChange = (profile) => this.applyModelProfile(profile);
+        // Without a handler a foreign device is only logged; the app asks the user
+        this.bossCubeComm.onIdentityMismatch = async (identity) => {
+            return this.onCubeIdentityMismatch ? await this.onCubeIdentityMismatch(identity) : true;
+        };
+        this.bossCubeComm.onConnectionLost = () => {
+            this.cubeDropCount++;
+            this.holdStateForReconcile();
+            this.startAutoReconnect('cube');
+        };
+        
+        // Stereo link REMOTE Cube callbacks; its knobs only update the remote state, kept
+        // as reported (no toUIValue) so it compares with the values mirrored to it
+        const remote = this.stereoLink.remote;
+        this.stereoLink.onLog = (message, type) => this.log(message, type);
+        remote.onLog = (message, type) => this.log(`[Remote] ${message}`, type);
+        remote.onConnectionStatusChange = (connected) => {
+            if (connected) this.stereoRemoteLost = false;
+            else this.stereoLink.remoteState = {};
+            if (this.onStereoRemoteStatusChange) this.onStereoRemoteStatusChange(connected);
+        };
+        remote.onParameterUpdate = (addressBytes, value) => {
+            const paramDef = this.findParameterByAddress(addressBytes);
+            if (!paramDef) return;
+            if (this.stereoLink.recordRemoteValue(paramDef.id, value) && this.onStereoRemoteUpdate) {
+                this.onStereoRemoteUpdate(paramDef.id, value);
+            }
+        };
+        remote.onConnectionLost = () => {
+            this.stereoRemoteLost = true;
+            this.startAutoReconnect('remote');
+        };
         
         // Pedal communication callbacks
         this.pedalComm.onLog = (message, type) => this.log(message, type);
         this.pedalComm.onConnectionStatusChange = (event) => {
             this.isPedalConnected = event.connected;
+            if (!event.connected) this.gestures.reset();
             this.notifyPedalStatusChange();
         };
         this.pedalComm.onVolumeChange = (event) => {
             this.handlePedalVolumeChange(event.value);
         };
-        this.pedalComm.onButtonPress = (event) => {
-            this.handlePedalButton(event.direction);
-        };
+        this.pedalComm.onConnectionLost = () => this.startAutoReconnect('pedal');
+        // Switch presses go through the gesture recognizer; a plain tap runs the switch's own role
+        this.pedalComm.onButtonPress = (event) => this.gestures.press(event.button);
+        this.pedalComm.onButtonRelease = (event) => this.gestures.release(event.button);
+        this.gestures.onGesture = (switchId, gesture) => this.handlePedalGesture(switchId, gesture);
+        this.pedalComm.onMidiMessage = (message) => this.handleMidiMessage(message);
         this.pedalComm.onPedalParamUpdate = (address, value) => {
             this.pedalCallbacks.forEach(cb => {
                 try {
@@ -168,31 +269,219 @@ class BossCubeController {
         return hasNavigatorBluetooth && isSecureContext && (isChrome || isEdge || isOpera);
     }
 
+    /**
+     * Check if the selected Boss Cube transport (BLE or USB MIDI) is available
+     */
+    isCubeTransportSupported() {
+        if (this.cubeSimulator) return true;
+        const type = this.bossCubeComm.transportType;
+        if (type === TRANSPORT_TYPES.USB) {
+            return BossCubeCommunication.isTransportSupported(type);
+        }
+        return BossCubeController.isSupported();
+    }
+
+    /**
+     * Select Boss Cube transport for subsequent connections ('ble' or 'usb')
+     */
+    setCubeTransport(type) {
+        this.bossCubeComm.setTransportType(type);
+    }
+
+    getCubeTransport() {
+        return this.bossCubeComm.transportType;
+    }
+
+    /**
+     * Route Boss Cube connections to an in-process CubeSimulator (null to use real hardware)
+     */
+    useCubeSimulator(simulator) {
+        this.cubeSimulator = simulator;
+        if (simulator) {
+            simulator.onLog = (message, type) => this.log(message, type);
+        }
+    }
+
+    isCubeSimulated() {
+        return !!this.cubeSimulator;
+    }
+
+    /**
+     * Connect the stereo link REMOTE to a simulated Cube instead of Bluetooth
+     */
+    useRemoteCubeSimulator(simulator) {
+        this.remoteCubeSimulator = simulator;
+        if (simulator) {
+            simulator.onLog = (message, type) => this.log(`[Remote] ${message}`, type);
+        }
+    }
+
     // ===== CONNECTION METHODS =====
 
     /**
-     * Connect to Boss Cube via Web Bluetooth (delegated to communication module)
+     * Connect to Boss Cube via the selected transport (delegated to communication module)
      */
     async connectToBossCube() {
-        if (!BossCubeController.isSupported()) {
-            throw new Error('Web Bluetooth not supported');
+        this.cancelAutoReconnect('cube');
+        if (!this.isCubeTransportSupported()) {
+            throw new Error(this.getCubeTransport() === TRANSPORT_TYPES.USB ? 'Web MIDI not supported' : 'Web Bluetooth not supported');
+        }
+        if (this.cubeSimulator) {
+            return await this.bossCubeComm.connectToDevice(this.cubeSimulator.device);
         }
 
         return await this.bossCubeComm.connect();
     }
 
     async connectToBossCubeWithPicker() {
-        if (!BossCubeController.isSupported()) {
-            throw new Error('Web Bluetooth not supported');
+        this.cancelAutoReconnect('cube');
+        if (!this.isCubeTransportSupported()) {
+            throw new Error(this.getCubeTransport() === TRANSPORT_TYPES.USB ? 'Web MIDI not supported' : 'Web Bluetooth not supported');
+        }
+        if (this.cubeSimulator) {
+            return await this.bossCubeComm.connectToDevice(this.cubeSimulator.device);
         }
         return await this.bossCubeComm.connectWithPicker();
     }
 
     async tryAutoReconnectCube() {
-        if (!BossCubeController.isSupported()) return false;
+        if (!this.isCubeTransportSupported()) return false;
+        if (this.cubeSimulator) {
+            if (!this.cubeSimulator.poweredOn) return false;
+            return await this.bossCubeComm.connectToDevice(this.cubeSimulator.device);
+        }
         return await this.bossCubeComm.tryAutoReconnect();
     }
 
+    /**
+     * Paired Cube that Reconnect and auto-reconnect try first (Web Bluetooth device id)
+     */
+    setPreferredCube(deviceId) {
+        this.bossCubeComm.preferredDeviceId = deviceId;
+    }
+
+    getPreferredCube() {
+        return this.bossCubeComm.preferredDeviceId;
+    }
+
+    // ===== STEREO LINK =====
+
+    get isStereoLinked() {
+        return this.stereoLink.isConnected;
+    }
+
+    /**
+     * Connect a second Cube as the stereo link REMOTE: set both amps' stereo
+     * role, read the remote and push every shared host value to it
+     * @returns {Promise<number>} number of parameters pushed to the remote
+     */
+    async connectStereoRemote() {
+        if (!this.isCubeConnected) {
+            throw new Error('Connect the HOST Cube first');
+        }
+        this.cancelAutoReconnect('remote');
+        const remote = this.stereoLink.remote;
+        if (this.remoteCubeSimulator) {
+            await remote.connectToDevice(this.remoteCubeSimulator.device);
+        } else {
+            await remote.connectWithPicker();
+        }
+        if (await this.rejectHostAsRemote()) {
+            throw new Error('That is the HOST Cube — pick the other one');
+        }
+        return await this.linkStereoRemote();
+    }
+
+    /**
+     * Disconnect the REMOTE again when it turned out to be the HOST Cube
+     * @returns {Promise<boolean>} true when rejected
+     */
+    async rejectHostAsRemote() {
+        const remote = this.stereoLink.remote;
+        const hostId = this.bossCubeComm.getConnectionStatus().deviceId;
+        if (!hostId || remote.getConnectionStatus().deviceId !== hostId) return false;
+        await remote.disconnect();
+        return true;
+    }
+
+    /**
+     * Set both amps' stereo role on a connected REMOTE, read it and push every shared host value
+     * @returns {Promise<number>} number of parameters pushed to the remote
+     */
+    async linkStereoRemote() {
+        const remote = this.stereoLink.remote;
+        await this.setParameter('stereoLinkMode', STEREO_LINK_MODES.HOST, { verify: false });
+        await remote.sendParameterCommand(this.parameters.stereoLinkMode.address, STEREO_LINK_MODES.REMOTE, { priority: WRITE_PRIORITY.ACTION });
+        this.stereoLink.remoteState.stereoLinkMode = STEREO_LINK_MODES.REMOTE;
+
+        await this.readStereoRemoteState();
+        const pushed = await this.stereoLink.pushAll();
+        this.log(`🔗 Stereo link: ${remote.getConnectionStatus().deviceName} is the REMOTE, ${pushed} shared value(s) mirrored`, 'success');
+        return pushed;
+    }
+
+    /**
+     * Auto-reconnect the dropped REMOTE (the paired Cube it was last) and link it again
+     */
+    async tryAutoReconnectStereoRemote() {
+        if (!this.isCubeConnected) return false;
+        const remote = this.stereoLink.remote;
+        if (this.remoteCubeSimulator) {
+            if (!this.remoteCubeSimulator.poweredOn) return false;
+            await remote.connectToDevice(this.remoteCubeSimulator.device);
+        } else if (!await remote.tryAutoReconnect()) {
+            return false;
+        }
+        if (await this.rejectHostAsRemote()) return false;
+        await this.linkStereoRemote();
+        return true;
+    }
+
+    async disconnectStereoRemote() {
+        this.cancelAutoReconnect('remote');
+        if (this.stereoRemoteLost) {
+            this.stereoRemoteLost = false;
+            if (this.onStereoRemoteStatusChange) this.onStereoRemoteStatusChange(false);
+        }
+        return await this.stereoLink.remote.disconnect();
+    }
+
+    /**
+     * Re-read the REMOTE's blocks into stereoLink.remoteState
+     * @returns {Promise<Object>} paramKey → value the remote reported (amp scale, as mirrored writes send)
+     */
+    async readStereoRemoteState() {
+        const remote = this.stereoLink.remote;
+        if (!remote.isConnected) {
+            throw new Error('Stereo link REMOTE not connected');
+        }
+        for (const block of this.profile.blockReads) {
+            const size = (block.size[0] << 21) | (block.size[1] << 14) | (block.size[2] << 7) | block.size[3];
+            try {
+                const { values } = await remote.readBlock(block.address, size);
+                for (const [addressKey, value] of values) {
+                    const paramDef = this.findParameterByAddress(addressKey.match(/../g).map(h => parseInt(h, 16)));
+                    if (paramDef) this.stereoLink.recordRemoteValue(paramDef.id, value);
+                }
+            } catch (error) {
+                this.log(`⚠️ [Remote] Block read ${block.label} failed: ${error.message}`, 'warning');
+            }
+        }
+        return { ...this.stereoLink.remoteState };
+    }
+
+    /**
+     * Push every shared host value (plus trims) to the REMOTE again
+     */
+    async syncStereoRemote() {
+        if (!this.stereoLink.isConnected) {
+            throw new Error('Stereo link REMOTE not connected');
+        }
+        const pushed = await this.stereoLink.pushAll();
+        this.log(`🔗 Stereo link: ${pushed} shared value(s) pushed to the REMOTE`, 'info');
+        return pushed;
+    }
+
     async tryAutoReconnectPedal() {
         if (!BossCubeController.isSupported()) return false;
         const result = await this.pedalComm.tryAutoReconnect();
@@ -202,10 +491,54 @@ class BossCubeController {
         return result;
     }
 
+    /**
+     * Retry a dropped device ('cube', 'pedal' or the stereo link 'remote') with exponential
+     * backoff until it is back or RECONNECT_CONFIG.GIVE_UP_AFTER passes. Progress goes to onReconnectStatus.
+     */
+    async startAutoReconnect(device) {
+        const backoff = this.reconnectBackoff[device];
+        const notify = (status) => {
+            if (this.onReconnectStatus) this.onReconnectStatus(device, status);
+        };
+        backoff.onScheduled = (attempt, delayMs) => notify({ state: RECONNECT_STATES.WAITING, attempt, delayMs });
+        backoff.onAttempt = (attempt) => notify({ state: RECONNECT_STATES.ATTEMPTING, attempt });
+        backoff.onGiveUp = () => {
+            this.log(`❌ Gave up reconnecting the ${DEVICE_LABELS[device]}`, 'error');
+            notify({ state: RECONNECT_STATES.GAVE_UP });
+        };
+
+        this.log(`🔁 ${DEVICE_LABELS[device]} lost — reconnecting with backoff`, 'warning');
+        const connected = await backoff.start({
+            cube: () => this.tryAutoReconnectCube(),
+            pedal: () => this.tryAutoReconnectPedal(),
+            remote: () => this.tryAutoReconnectStereoRemote()
+        }[device]);
+        if (connected) {
+            notify({ state: RECONNECT_STATES.CONNECTED });
+        }
+        return connected;
+    }
+
+    cancelAutoReconnect(device) {
+        this.reconnectBackoff[device].cancel();
+    }
+
+    isAutoReconnecting(device) {
+        return this.reconnectBackoff[device].active;
+    }
+
+    /**
+     * Skip the backoff wait (manual Reconnect while auto-reconnect is running)
+     */
+    retryAutoReconnectNow(device) {
+        this.reconnectBackoff[device].retryNow();
+    }
+
     /**
      * Connect to EV-1-WL Pedal via Web Bluetooth (delegated to communication module)
      */
     async connectToPedal() {
+        this.cancelAutoReconnect('pedal');
         if (!BossCubeController.isSupported()) {
             this.log('Web Bluetooth not supported for pedal connection', 'warning');
             return false;
@@ -236,6 +569,22 @@ class BossCubeController {
         await this.pedalComm.sendWriteRequest(address, value);
     }
 
+    /**
+     * Write several pedal parameters in order (configuration restore, templates)
+     * @param {Array<{address, value}>} writes
+     * @returns {Promise<number>} number of values written
+     */
+    async writePedalParams(writes) {
+        if (!this.isPedalConnected) {
+            this.log('⚠️ Cannot write pedal params — pedal not connected', 'warning');
+            return 0;
+        }
+        for (const { address, value } of writes) {
+            await this.pedalComm.sendWriteRequest(address, value);
+        }
+        return writes.length;
+    }
+
     /**
      * Connect to both Boss Cube and optionally try to connect to pedal
      */
@@ -264,15 +613,12 @@ class BossCubeController {
      * Disconnect from Boss Cube only
      */
     async disconnectBossCube() {
-        // Clear any pending pedal timers since they depend on Boss Cube
-        if (this.pedalThrottle.finalValueTimer) {
-            clearTimeout(this.pedalThrottle.finalValueTimer);
-            this.pedalThrottle.finalValueTimer = null;
+        this.cancelAutoReconnect('cube');
+        this.ampStateCapture = null;
+        this.lastPedalSignature = null;
+        if (this.stereoLink.isConnected || this.stereoRemoteLost) {
+            await this.disconnectStereoRemote();
         }
-        
-        this.pedalThrottle.pendingValue = null;
-        this.pedalThrottle.isSending = false;
-        
         return await this.bossCubeComm.disconnect();
     }
 
@@ -280,17 +626,8 @@ class BossCubeController {
      * Disconnect from Pedal only
      */
     async disconnectPedal() {
-        // Clear any pending pedal timers
-        if (this.pedalThrottle.finalValueTimer) {
-            clearTimeout(this.pedalThrottle.finalValueTimer);
-            this.pedalThrottle.finalValueTimer = null;
-        }
-        
-        // Reset pedal throttle state
-        this.pedalThrottle.pendingValue = null;
-        this.pedalThrottle.isSending = false;
-        this.pedalThrottle.lastSentSignature = null;
-        
+        this.cancelAutoReconnect('pedal');
+        this.lastPedalSignature = null;
         return await this.pedalComm.disconnect();
     }
 
@@ -337,9 +674,9 @@ class BossCubeController {
         this.globalPedalState.rawValue = pedalValue;
         this.globalPedalState.lastUpdateTime = Date.now();
         
-        // Get current parameter and convert pedal value to parameter range
+        // Get current parameter and convert pedal value through its expression curve
         const param = this.getCurrentParameter();
-        const paramValue = Math.round((pedalValue / 127) * param.max);
+        const paramValue = this.mapPedalToParameter(pedalValue, this.currentParameterKey);
         
         // Store original control value for pickup mode detection
         const originalControlValue = param.current;
@@ -347,9 +684,6 @@ class BossCubeController {
         // Update internal parameter immediately (no lag in UI)
         param.current = paramValue;
         
-        // Store pending value for hardware transmission
-        this.pedalThrottle.pendingValue = { paramKey: this.currentParameterKey, value: paramValue };
-        
         // Always notify callbacks immediately for responsive UI
         this.pedalCallbacks.forEach(callback => {
             try {
@@ -366,101 +700,58 @@ class BossCubeController {
             }
         });
         
-        // Handle hardware transmission with throttling
-        this.throttledSendToHardware();
+        this.sendPedalValueToHardware(this.currentParameterKey, paramValue, pedalValue);
+    }
+
+    setExpressionCurves(curves) {
+        this.expressionCurves = sanitizeCurves(curves, this.parameters);
     }
 
     /**
-     * Throttled sending to prevent BLE overflow and ensure final values
+     * Pedal value (0-127) → value of a parameter
+     * @param {string} paramKey - the parameter whose curve and range apply
+     * @param {string} [sourceKey] - the selected parameter, whose curve a target without its own follows
      */
-    throttledSendToHardware() {
-        // Don't send to hardware if pickup mode is suppressing updates
-        if (this.pickupMode.suppressHardwareUpdates) {
-            return;
-        }
-        
-        const now = Date.now();
-        const timeSinceLastSend = now - this.pedalThrottle.lastSentTime;
-        
-        // Clear any existing final value timer
-        if (this.pedalThrottle.finalValueTimer) {
-            clearTimeout(this.pedalThrottle.finalValueTimer);
-        }
-        
-        // If we can send now (throttle interval passed and not currently sending)
-        if (timeSinceLastSend >= this.pedalThrottle.sendInterval && 
-            !this.pedalThrottle.isSending &&
-            this.pedalThrottle.pendingValue) {
-            
-            this.sendPendingValueToHardware();
-        }
-        
-        // Always set up final value timer to ensure the last value is sent
-        this.schedulePedalSend(this.pedalThrottle.finalValueDelay);
+    mapPedalToParameter(pedalValue, paramKey, sourceKey = paramKey) {
+        const curve = this.expressionCurves[paramKey] ?? this.expressionCurves[sourceKey] ?? null;
+        return mapPedalValue(pedalValue, this.parameters[paramKey], curve);
     }
 
     /**
-     * Send pending value to hardware
+     * Send a pedal value to the Boss Cube. Every movement is handed straight to the
+     * GATT write queue, which keeps only the newest value per address.
+     * @param {number|null} pedalValue - raw 0-127 position; lets hardware targets with their own curve follow it
      */
-    async sendPendingValueToHardware() {
-        if (!this.pedalThrottle.pendingValue || this.pedalThrottle.isSending) {
+    async sendPedalValueToHardware(paramKey, value, pedalValue = null) {
+        // Don't send to hardware if pickup mode is suppressing updates
+        if (this.pickupMode.suppressHardwareUpdates || !this.isCubeConnected) {
             return;
         }
-        
-        const { paramKey, value } = this.pedalThrottle.pendingValue;
-        const signature = this.getPedalPendingSignature(paramKey, value);
-        const targetKeys = this.resolvePedalTargetKeys(paramKey);
-        
-        // Skip if this value was already sent
-        if (signature === this.pedalThrottle.lastSentSignature) {
-            this.pedalThrottle.pendingValue = null;
+
+        const targetValues = this.resolvePedalTargetValues(paramKey, value, pedalValue);
+        const signature = this.getPedalPendingSignature(paramKey, value, targetValues);
+        if (signature === this.lastPedalSignature) {
             return;
         }
-        
-        this.pedalThrottle.isSending = true;
-        
+        this.lastPedalSignature = signature;
+        const targetKeys = Object.keys(targetValues);
+
         try {
-            // Only send to Boss Cube if connected
-            if (this.isCubeConnected) {
-                await this.setParameter(paramKey, value);
-                this.pedalThrottle.lastSentSignature = signature;
-                this.pedalThrottle.lastSentTime = Date.now();
-                this.logPedalHardwareSend(paramKey, value, targetKeys);
+            // Continuous pedal sweeps are not read back
+            if (targetKeys.some(key => targetValues[key] !== value)) {
+                this.parameters[paramKey].current = value;
+                for (const key of targetKeys) {
+                    this.parameters[key].current = targetValues[key];
+                    await this.writeParameter(key, targetValues[key], false, WRITE_PRIORITY.CONTROL);
+                }
+            } else {
+                await this.setParameter(paramKey, value, { verify: false, priority: WRITE_PRIORITY.CONTROL });
             }
+            this.logPedalHardwareSend(paramKey, value, targetKeys);
         } catch (error) {
             console.error('Error sending parameter to hardware:', error);
-        } finally {
-            this.pedalThrottle.isSending = false;
-
-            const pending = this.pedalThrottle.pendingValue;
-            if (!pending) {
-                return;
-            }
-
-            const pendingSignature = this.getPedalPendingSignature(pending.paramKey, pending.value);
-            if (pendingSignature === signature) {
-                this.pedalThrottle.pendingValue = null;
-                return;
-            }
-
-            // A newer value arrived while we were sending. Keep it and send it
-            // after the normal throttle interval, not after the long final-value delay.
-            const elapsed = Date.now() - this.pedalThrottle.lastSentTime;
-            const delay = Math.max(0, this.pedalThrottle.sendInterval - elapsed);
-            this.schedulePedalSend(delay);
-        }
-    }
-
-    schedulePedalSend(delay) {
-        if (this.pedalThrottle.finalValueTimer) {
-            clearTimeout(this.pedalThrottle.finalValueTimer);
+            this.lastPedalSignature = null;
         }
-
-        this.pedalThrottle.finalValueTimer = setTimeout(() => {
-            if (this.pedalThrottle.pendingValue && !this.pedalThrottle.isSending) {
-                this.sendPendingValueToHardware();
-            }
-        }, delay);
     }
 
     logPedalHardwareSend(paramKey, value, targetKeys) {
@@ -499,6 +790,132 @@ class BossCubeController {
         });
     }
 
+    // ===== MIDI LEARN =====
+
+    setMidiMappings(bindings) {
+        this.midiMappings.load(bindings);
+    }
+
+    get isMidiLearning() {
+        return this.midiLearnTarget !== null;
+    }
+
+    /**
+     * Bind the next CC or note that arrives to `target`
+     * @param {{kind: string, id: string}} target - MIDI_TARGET_KINDS.ACTION with a MIDI_ACTIONS id, or PARAMETER with a parameter key
+     */
+    startMidiLearn(target) {
+        this.midiLearnTarget = { kind: target.kind, id: target.id };
+        this.log(`🎹 MIDI learn: move or press a control to bind ${this.describeMidiTarget(target)}`, 'info');
+    }
+
+    cancelMidiLearn() {
+        this.midiLearnTarget = null;
+    }
+
+    describeMidiTarget({ kind, id }) {
+        return kind === MIDI_TARGET_KINDS.PARAMETER ? (this.parameters[id]?.name || id) : (MIDI_ACTIONS[id] || id);
+    }
+
+    /**
+     * Incoming CC or note from the pedal connection (any BLE MIDI controller).
+     * @returns {boolean} true when learned or handled by a binding; false leaves it to the fixed CC codes
+     */
+    handleMidiMessage(message) {
+        if (this.midiLearnTarget) {
+            // Releases (note-off, CC 0) would bind whatever was let go of last
+            if (message.value === 0) return true;
+            const binding = this.midiMappings.bind(message, this.midiLearnTarget);
+            this.midiLearnTarget = null;
+            this.log(`🎹 Learned ${describeSource(binding.source)} → ${this.describeMidiTarget(binding.target)}`, 'success');
+            if (this.onMidiLearned) {
+                this.onMidiLearned(binding);
+            }
+            return true;
+        }
+
+        const binding = this.midiMappings.find(message);
+        if (!binding) return false;
+        this.runMidiBinding(binding.target, message);
+        return true;
+    }
+
+    /**
+     * Parameters follow the control across their range; the pedal roles run here,
+     * other actions go to pedal callbacks as 'pedalAction' events for the app
+     */
+    runMidiBinding(target, message) {
+        if (target.kind === MIDI_TARGET_KINDS.PARAMETER) {
+            const param = this.parameters[target.id];
+            if (!param) return;
+            this.notifyPedalEvent({ type: 'midiParameter', parameterKey: target.id, value: scaleToParameter(message.value, param) });
+            return;
+        }
+
+        if (target.id === 'pedalControl') {
+            this.handlePedalVolumeChange(message.value);
+            return;
+        }
+        if (isPress(message)) {
+            this.triggerPedalAction(target.id, 'MIDI');
+        }
+    }
+
+    /**
+     * Run an action id from MIDI_ACTIONS ('none' does nothing). The pedal roles run
+     * here; the rest go to pedal callbacks as 'pedalAction' events for the app.
+     * @param {string} source - what triggered it, for the app's log
+     */
+    triggerPedalAction(action, source) {
+        if (action === 'none') return;
+        if (action === 'previous') {
+            this.handlePedalButton('left');
+        } else if (action === 'next') {
+            this.handlePedalButton('right');
+        } else if (action === 'expSw') {
+            this.handlePedalButton('expSw');
+        } else {
+            this.notifyPedalEvent({ type: 'pedalAction', action, source });
+        }
+    }
+
+    // ===== FOOTSWITCH GESTURES =====
+
+    /**
+     * @param {Object} config - { timings, bindings: { switchId: { gesture: actionId } } }.
+     *   A switch's tap defaults to its own role; other gestures default to 'none'.
+     */
+    setFootswitchGestures({ timings, bindings } = {}) {
+        this.gestures.setTimings(timings);
+        this.gestureBindings = bindings || {};
+        for (const switchId of ['previous', 'next', 'expSw']) {
+            const bound = Object.values(GESTURES).filter(gesture => this.getGestureAction(switchId, gesture) !== 'none');
+            this.gestures.setBoundGestures(switchId, bound);
+        }
+    }
+
+    getGestureAction(switchId, gesture) {
+        return this.gestureBindings[switchId]?.[gesture] ?? (gesture === GESTURES.TAP ? switchId : 'none');
+    }
+
+    handlePedalGesture(switchId, gesture) {
+        const source = `${switchId} ${GESTURE_LABELS[gesture].toLowerCase()}`;
+        if (gesture !== GESTURES.TAP) {
+            this.log(`👣 ${source}`, 'info');
+        }
+        this.triggerPedalAction(this.getGestureAction(switchId, gesture), source);
+    }
+
+    notifyPedalEvent(event) {
+        this.pedalCallbacks.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('Error in pedal callback:', error);
+            }
+        });
+    }
+
     /**
      * Switch to next parameter for pedal control
      */
@@ -575,9 +992,32 @@ class BossCubeController {
         );
     }
 
-    getPedalPendingSignature(paramKey, value) {
-        const targetKeys = this.resolvePedalTargetKeys(paramKey);
-        return `${paramKey}:${value}:${targetKeys.join(',')}`;
+    /**
+     * Hardware targets of the pedal and the value each receives. A target with its
+     * own expression curve follows the raw pedal position through it; the others
+     * take the selected parameter's value.
+     * @returns {Object} targetKey → value
+     */
+    resolvePedalTargetValues(paramKey, value, pedalValue = null) {
+        const targetValues = {};
+        for (const key of this.resolvePedalTargetKeys(paramKey)) {
+            targetValues[key] = key === paramKey ? value : this.pedalValueForTarget(key, value, pedalValue);
+        }
+        return targetValues;
+    }
+
+    /**
+     * Value a resolved hardware target takes for a pedal move: its own curve when it has one
+     */
+    pedalValueForTarget(targetKey, value, pedalValue) {
+        return this.expressionCurves[targetKey] && pedalValue !== null && pedalValue !== undefined
+            ? this.mapPedalToParameter(pedalValue, targetKey)
+            : value;
+    }
+
+    getPedalPendingSignature(paramKey, value, targetValues) {
+        const targets = Object.entries(targetValues).map(([key, targetValue]) => `${key}=${targetValue}`);
+        return `${paramKey}:${value}:${targets.join(',')}`;
     }
 
     resolveParameterTargetKeys(paramKey, resolveOverrides = null) {
@@ -630,13 +1070,14 @@ class BossCubeController {
 
     /**
      * Get global pedal position converted to specific parameter's scale
+     * @param {string} [paramKey] - applies the parameter's expression curve
      */
-    getGlobalPedalPosition(param) {
+    getGlobalPedalPosition(param, paramKey = null) {
         if (this.globalPedalState.rawValue === 0) {
             return null; // No pedal position recorded yet
         }
         
-        return Math.round((this.globalPedalState.rawValue / 127) * param.max);
+        return mapPedalValue(this.globalPedalState.rawValue, param, this.expressionCurves[paramKey] ?? null);
     }
 
     /**
@@ -686,10 +1127,86 @@ class BossCubeController {
     // ===== BOSS CUBE COMMUNICATION METHODS =====
 
     /**
-     * Send parameter command to Boss Cube (delegated to communication module)
+     * Send parameter command to Boss Cube (delegated to communication module);
+     * shared parameters are mirrored to a stereo link REMOTE
      */
-    async sendParameterCommand(address, value) {
-        return await this.bossCubeComm.sendParameterCommand(address, value);
+    async sendParameterCommand(address, value, options = {}) {
+        const result = await this.bossCubeComm.sendParameterCommand(address, value, options);
+        if (this.stereoLink.isConnected) {
+            const paramDef = this.findParameterByAddress(address);
+            if (paramDef) await this.stereoLink.mirrorValue(paramDef.id, value, options);
+        }
+        return result;
+    }
+
+    /**
+     * Send a special command (effect switch) to the Cube and a stereo link REMOTE
+     */
+    async sendSpecialCommand(address, data = [], options = {}) {
+        const result = await this.bossCubeComm.sendSpecialCommand(address, data, options);
+        await this.stereoLink.mirrorCommand(address, data);
+        return result;
+    }
+
+    /**
+     * GATT write queue depth and latency metrics for the Cube link
+     */
+    getWriteQueueMetrics() {
+        return this.bossCubeComm.getWriteQueueMetrics();
+    }
+
+    /**
+     * Protocol error counters, BLE MIDI framing errors and write queue metrics per device
+     */
+    getConnectionDiagnostics() {
+        return {
+            cube: { connected: this.isCubeConnected, ...this.bossCubeComm.getDiagnostics() },
+            pedal: { connected: this.isPedalConnected, ...this.pedalComm.getDiagnostics() }
+        };
+    }
+
+    /**
+     * Keep-alive round trip, write error rate, time since last data and signal quality of the Cube link
+     */
+    getCubeHealth() {
+        return this.bossCubeComm.getHealth();
+    }
+
+    /**
+     * What the connected Cube answered to the Device Inquiry
+     * @returns {{identity: Object|null, status: string, profile: Object}} status is an IDENTITY_STATUS value
+     */
+    getCubeIdentity() {
+        return { identity: this.bossCubeComm.identity, status: this.bossCubeComm.identityStatus, profile: this.profile };
+    }
+
+    /**
+     * Follow the model profile picked on connect: parameter map and effect
+     * commands switch over, per-parameter state of the old model is dropped
+     */
+    applyModelProfile(profile) {
+        if (profile.id === this.profile.id) return;
+        this.profile = profile;
+        this.parameters = profile.parameters;
+        this.effectSwitchCommands = profile.effectSwitchCommands;
+        this.stereoLink.setParameters(profile.parameters);
+        this.cubeState = {};
+        this.outOfSyncParams.clear();
+        this.writeGenerations.clear();
+        this.pendingChanges.clear();
+        if (!this.parameters[this.currentParameterKey]) {
+            this.currentParameterKey = profile.healthProbeKey;
+            this.currentParameterResolveOverrides = null;
+        }
+        this.log(`🧩 Controls follow the ${profile.name} profile`, 'info');
+        if (this.onModelProfileChange) {
+            this.onModelProfileChange(profile);
+        }
+    }
+
+    resetConnectionDiagnostics() {
+        this.bossCubeComm.resetDiagnostics();
+        this.pedalComm.resetDiagnostics();
     }
 
     /**
@@ -700,9 +1217,10 @@ class BossCubeController {
     }
 
     /**
-     * Read parameter value from Boss Cube
+     * Read parameter value from Boss Cube.
+     * Resolves with the value from the Cube's reply (options: { timeout, retries }).
      */
-    async readParameter(paramKey) {
+    async readParameter(paramKey, options = {}) {
         const param = this.parameters[paramKey];
         if (!param) {
             throw new Error(`Unknown parameter: ${paramKey}`);
@@ -713,11 +1231,12 @@ class BossCubeController {
             return param.current;
         }
         
-        return await this.sendParameterReadRequest(param.address);
+        return await this.bossCubeComm.readParameterValue(param.address, options);
     }
 
     /**
-     * Set parameter value on Boss Cube
+     * Set parameter value on Boss Cube. While disconnected the value is queued
+     * as a pending change instead (see queuePendingChange).
      */
     async setParameter(paramKey, value, options = {}) {
         const param = this.parameters[paramKey];
@@ -728,24 +1247,228 @@ class BossCubeController {
         // Validate value range
         const clampedValue = Math.max(param.min, Math.min(param.max, Math.round(value)));
         
-        // Update internal parameter value
-        param.current = clampedValue;
-        
         const resolveOverrides = options.resolveOverrides
             ?? (paramKey === this.currentParameterKey ? this.currentParameterResolveOverrides : null);
 
+        if (!this.isCubeConnected) {
+            const targetKeys = param.isVirtual ? this.resolveParameterTargetKeys(paramKey, resolveOverrides) : [paramKey];
+            // Looper transport, tuner and system values act on the amp right away; replaying one on connect would surprise
+            if (!targetKeys.every(targetKey => isReconcilable(targetKey, this.parameters[targetKey]))) {
+                this.log(`⚠️ ${param.name} needs the Boss Cube connected — not queued`, 'warning');
+                return undefined;
+            }
+            param.current = clampedValue;
+            for (const targetKey of targetKeys) {
+                this.queuePendingChange(targetKey, clampedValue);
+            }
+            return undefined;
+        }
+
+        // Update internal parameter value
+        param.current = clampedValue;
+
+        const verify = options.verify ?? this.verifiedWrites;
+        const priority = options.priority ?? this.getWritePriority(paramKey);
+
         if (param.isVirtual) {
             const targetKeys = this.resolveParameterTargetKeys(paramKey, resolveOverrides);
+            let inSync = true;
             for (const targetKey of targetKeys) {
-                const targetParam = this.parameters[targetKey];
-                targetParam.current = clampedValue;
-                await this.sendParameterCommand(targetParam.address, clampedValue);
+                this.parameters[targetKey].current = clampedValue;
+                const confirmed = await this.writeParameter(targetKey, clampedValue, verify, priority);
+                inSync = (!verify || confirmed) && inSync;
             }
-            return Promise.resolve();
+            if (verify && targetKeys.length > 0) {
+                this.setParameterSyncState(paramKey, inSync);
+            }
+            return verify ? inSync : undefined;
         }
         
         // Send to Boss Cube
-        return await this.sendParameterCommand(param.address, clampedValue);
+        return await this.writeParameter(paramKey, clampedValue, verify, priority);
+    }
+
+    /**
+     * Apply many parameter values at once (preset, effect block, calibration change).
+     * Contiguous addresses are packed into multi-byte DT1 messages; virtual
+     * parameters are resolved to their hardware targets first.
+     * @param {Object} values - paramKey → value
+     * @returns {Promise<number>} number of DT1 messages sent
+     */
+    async setParameters(values, options = {}) {
+        const edits = [];
+        for (const [paramKey, value] of Object.entries(values)) {
+            const param = this.parameters[paramKey];
+            if (!param) {
+                throw new Error(`Unknown parameter: ${paramKey}`);
+            }
+
+            const clampedValue = Math.max(param.min, Math.min(param.max, Math.round(value)));
+            const targetKeys = param.isVirtual
+                ? this.resolveParameterTargetKeys(paramKey, options.resolveOverrides)
+                : [paramKey];
+            edits.push({ param, clampedValue, targetKeys });
+        }
+
+        if (!this.isCubeConnected) {
+            // Only settings are queued, as in setParameter(); the rest keep their value
+            for (const { param, clampedValue, targetKeys } of edits) {
+                if (!targetKeys.every(targetKey => isReconcilable(targetKey, this.parameters[targetKey]))) {
+                    this.log(`⚠️ ${param.name} needs the Boss Cube connected — not queued`, 'warning');
+                    continue;
+                }
+                param.current = clampedValue;
+                for (const targetKey of targetKeys) {
+                    this.queuePendingChange(targetKey, clampedValue);
+                }
+            }
+            return 0;
+        }
+
+        const writes = [];
+        for (const { param, clampedValue, targetKeys } of edits) {
+            param.current = clampedValue;
+            for (const targetKey of targetKeys) {
+                const targetParam = this.parameters[targetKey];
+                targetParam.current = clampedValue;
+                this.writeGenerations.set(targetKey, (this.writeGenerations.get(targetKey) || 0) + 1);
+                writes.push({
+                    key: targetKey,
+                    value: clampedValue,
+                    address: targetParam.address,
+                    data: encodeValue(targetParam, clampedValue)
+                });
+            }
+        }
+
+        if (writes.length === 0) return 0;
+        const sent = await this.bossCubeComm.sendDataSetBatch(writes, { priority: options.priority });
+        await this.stereoLink.mirrorBatch(writes, { priority: options.priority });
+        return sent;
+    }
+
+    /**
+     * Send one hardware parameter, optionally verified by read-back
+     */
+    async writeParameter(paramKey, value, verify, priority) {
+        if (verify) {
+            return await this.writeParameterVerified(paramKey, value, priority);
+        }
+        // Any newer write supersedes a verification still in flight
+        this.writeGenerations.set(paramKey, (this.writeGenerations.get(paramKey) || 0) + 1);
+        return await this.sendParameterCommand(this.parameters[paramKey].address, value, { priority });
+    }
+
+    /**
+     * GATT queue lane for a parameter: looper and on/off switches jump ahead of continuous controls
+     */
+    getWritePriority(paramKey) {
+        const param = this.parameters[paramKey];
+        if (param && (param.category === 'looper' || (param.min === 0 && param.max === 1))) {
+            return WRITE_PRIORITY.ACTION;
+        }
+        return WRITE_PRIORITY.CONTROL;
+    }
+
+    /**
+     * Enable or disable verified writes for setParameter
+     */
+    setVerifiedWrites(enabled) {
+        this.verifiedWrites = !!enabled;
+        if (!this.verifiedWrites) {
+            for (const paramKey of [...this.outOfSyncParams]) {
+                this.setParameterSyncState(paramKey, true);
+            }
+        }
+        this.log(`🔒 Verified writes ${this.verifiedWrites ? 'enabled' : 'disabled'}`, 'info');
+    }
+
+    /**
+     * Record an edit made while disconnected. From the first one on, amp reports are
+     * held back like after a drop so the queued values survive until the sync.
+     */
+    queuePendingChange(paramKey, value) {
+        this.parameters[paramKey].current = value;
+        if (!this.pendingChanges.has(paramKey)) {
+            this.log(`✏️ Queued offline: ${this.parameters[paramKey].name} = ${value}`, 'info');
+        }
+        this.pendingChanges.set(paramKey, value);
+        this.holdStateForReconcile();
+    }
+
+    getPendingChanges() {
+        return this.pendingChanges.toObject();
+    }
+
+    /**
+     * Drop the queued edits; the app's values are settled against the amp on the next connect
+     */
+    discardPendingChanges() {
+        this.pendingChanges.clear();
+        this.log('🗑️ Pending offline changes discarded', 'info');
+    }
+
+    /**
+     * Write a value, read the same address back and re-send while the Cube disagrees.
+     * Resolves true when the Cube confirmed the value; false flags the parameter out of sync.
+     * A newer write to the same parameter abandons the pending verification.
+     */
+    async writeParameterVerified(paramKey, value, priority = WRITE_PRIORITY.CONTROL) {
+        const param = this.parameters[paramKey];
+        const generation = (this.writeGenerations.get(paramKey) || 0) + 1;
+        this.writeGenerations.set(paramKey, generation);
+        const superseded = () => this.writeGenerations.get(paramKey) !== generation;
+
+        let reported = null;
+        let lastError = null;
+        for (let attempt = 0; attempt <= SYSEX_CONFIG.WRITE_VERIFY_RETRIES; attempt++) {
+            if (superseded()) return true;
+            try {
+                await this.sendParameterCommand(param.address, value, { priority });
+                reported = await this.bossCubeComm.readParameterValue(param.address, { retries: 0, priority });
+                if (superseded()) return true;
+                if (reported === value) {
+                    if (attempt > 0) {
+                        this.log(`✅ ${param.name} confirmed after ${attempt} re-send(s)`, 'success');
+                    }
+                    this.setParameterSyncState(paramKey, true);
+                    return true;
+                }
+                this.log(`⚠️ ${param.name}: wrote ${value}, Cube reports ${reported} — re-sending`, 'warning');
+            } catch (error) {
+                lastError = error;
+                this.log(`⚠️ ${param.name}: write not confirmed (${error.message})`, 'warning');
+                if (!this.isCubeConnected) break;
+            }
+        }
+
+        if (superseded()) return true;
+        const detail = reported !== null ? `Cube reports ${reported}` : (lastError?.message || 'no reply');
+        this.log(`❌ ${param.name} out of sync: wrote ${value}, ${detail}`, 'error');
+        this.setParameterSyncState(paramKey, false);
+        return false;
+    }
+
+    /**
+     * Track which parameters failed verification and notify the UI on change
+     */
+    setParameterSyncState(paramKey, inSync) {
+        if (inSync === !this.outOfSyncParams.has(paramKey)) return;
+        if (inSync) {
+            this.outOfSyncParams.delete(paramKey);
+        } else {
+            this.outOfSyncParams.add(paramKey);
+        }
+        if (this.onParameterSyncChange) {
+            this.onParameterSyncChange(paramKey, inSync);
+        }
+    }
+
+    /**
+     * Parameters whose last verified write was not confirmed by the Cube
+     */
+    getOutOfSyncParameters() {
+        return [...this.outOfSyncParams];
     }
 
     /**
@@ -758,12 +1481,12 @@ class BossCubeController {
         
         for (const command of commands) {
             try {
-                await this.bossCubeComm.sendSpecialCommand(command.switch, []);
+                await this.sendSpecialCommand(command.switch);
                 
                 if (command.activate) {
                     // Small delay between switch and activate commands
                     await new Promise(resolve => setTimeout(resolve, 50));
-                    await this.bossCubeComm.sendSpecialCommand(command.activate, []);
+                    await this.sendSpecialCommand(command.activate);
                 }
                 
                 // Delay between commands to prevent overwhelming the device
@@ -778,6 +1501,7 @@ class BossCubeController {
 
     /**
      * Read all mixer parameter values from Boss Cube
+     * @returns {Object} paramKey → value for every parameter that answered
      */
     async readAllMixerValues() {
         if (!this.isCubeConnected) {
@@ -787,6 +1511,7 @@ class BossCubeController {
         this.log('📖 Reading all mixer values from Boss Cube...', 'info');
         
         const mixerParams = this.getParametersByCategory('mixer');
+        const values = {};
         
         for (const [key, param] of Object.entries(mixerParams)) {
             // Skip virtual parameters - they don't exist on hardware
@@ -796,15 +1521,18 @@ class BossCubeController {
             }
             
             try {
-                await this.readParameter(key);
+                values[key] = await this.readParameter(key);
             } catch (error) {
                 this.log(`⚠️ Failed to read ${param.name}: ${error.message}`, 'warning');
             }
         }
+
+        return values;
     }
 
     /**
      * Read all effects parameter values from Boss Cube
+     * @returns {Object} paramKey → value for every parameter that answered
      */
     async readAllEffectsValues() {
         if (!this.isCubeConnected) {
@@ -814,30 +1542,28 @@ class BossCubeController {
         this.log('📖 Reading all effects values from Boss Cube...', 'info');
         
         const effectsParams = this.getParametersByCategory('effects');
+        const values = {};
         
         for (const [key, param] of Object.entries(effectsParams)) {
             try {
-                await this.readParameter(key);
+                values[key] = await this.readParameter(key);
             } catch (error) {
                 this.log(`⚠️ Failed to read ${param.name}: ${error.message}`, 'warning');
             }
         }
-    }
 
-    static BLOCK_READS = [
-        { address: [0x00, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x1b], label: 'System' },
-        { address: [0x10, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x6d], label: 'Effects' },
-        { address: [0x20, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x05], label: 'Mixer' },
-        { address: [0x20, 0x00, 0x20, 0x00], size: [0x00, 0x00, 0x00, 0x13], label: 'Panel' },
-        { address: [0x20, 0x00, 0x10, 0x00], size: [0x00, 0x00, 0x00, 0x03], label: 'Looper' },
-        { address: [0x20, 0x00, 0x30, 0x00], size: [0x00, 0x00, 0x00, 0x03], label: 'Tuner Cfg' },
-    ];
+        return values;
+    }
 
-    // Params not covered by any block (sparse 7f xx addresses)
-    static INDIVIDUAL_READ_PARAMS = ['reverbPreDelay', 'guitarDelayTime', 'batteryLevel'];
+    // Cube II read lists (discovery dashboard); readAllValues follows this.profile
+    static BLOCK_READS = CUBE_II_PROFILE.blockReads;
+    static INDIVIDUAL_READ_PARAMS = CUBE_II_PROFILE.individualReadParams;
 
     /**
-     * Read all parameter values from Boss Cube via block reads
+     * Read all parameter values from Boss Cube via block reads.
+     * Each block finishes once every address has answered; missing sub-ranges are
+     * re-requested, and whatever never arrives is listed in the returned sync report:
+     * { complete, blocks: [{ label, requested, received, missing }], missingParameters, durationMs }
      */
     async readAllValues() {
         if (!this.isCubeConnected) {
@@ -845,25 +1571,244 @@ class BossCubeController {
         }
 
         this.log('📖 Reading all values via block reads...', 'info');
+        const startTime = Date.now();
+        const report = { complete: true, blocks: [], missingParameters: [], durationMs: 0 };
 
-        for (const block of BossCubeController.BLOCK_READS) {
+        for (const block of this.profile.blockReads) {
+            const size = (block.size[0] << 21) | (block.size[1] << 14) | (block.size[2] << 7) | block.size[3];
             try {
-                await this.bossCubeComm.sendBlockReadRequest(block.address, block.size);
-                const sizeBytes = block.size[2] * 128 + block.size[3];
-                const waitMs = Math.max(300, sizeBytes * 5);
-                await new Promise(r => setTimeout(r, waitMs));
+                const { values, missing } = await this.bossCubeComm.readBlock(block.address, size);
+                report.blocks.push({ label: block.label, requested: size, received: values.size, missing });
+                for (const addressKey of missing) {
+                    const addressBytes = addressKey.match(/../g).map(h => parseInt(h, 16));
+                    const param = this.findParameterByAddress(addressBytes);
+                    if (param && !param.hidden) report.missingParameters.push(param.id);
+                }
             } catch (error) {
                 this.log(`⚠️ Block read ${block.label} failed: ${error.message}`, 'warning');
+                report.blocks.push({ label: block.label, requested: size, received: 0, missing: [], error: error.message });
+                report.complete = false;
             }
         }
 
-        for (const key of BossCubeController.INDIVIDUAL_READ_PARAMS) {
+        for (const key of this.profile.individualReadParams) {
             try {
                 await this.readParameter(key);
-            } catch (_) { /* non-critical */ }
+            } catch (_) {
+                report.missingParameters.push(key);
+            }
+        }
+
+        report.complete = report.complete && report.missingParameters.length === 0;
+        report.durationMs = Date.now() - startTime;
+        if (report.complete && !this.isReconcilePending()) {
+            this.setStateStale(false);
+        }
+
+        if (report.complete) {
+            this.log(`✅ All block reads complete (${report.durationMs}ms)`, 'success');
+        } else {
+            const names = report.missingParameters.map(key => this.parameters[key]?.name || key);
+            this.log(`⚠️ Sync incomplete — ${names.length} parameter(s) never answered: ${names.join(', ')}`, 'warning');
+        }
+
+        return report;
+    }
+
+    // ===== RECONNECT RECONCILIATION =====
+
+    /**
+     * Keep the app's values as they are: until applyReconcileChoices() runs,
+     * values the amp reports are collected instead of applied
+     */
+    holdStateForReconcile() {
+        if (!this.ampStateCapture) {
+            this.ampStateCapture = new Map();
+        }
+    }
+
+    isReconcilePending() {
+        return !!this.ampStateCapture;
+    }
+
+    /**
+     * Re-read every block while holding the app's values
+     * @returns {Promise<{ampState: Object, report: Object}>} ampState: paramKey → value the amp reported (amp scale)
+     */
+    async readAmpState() {
+        this.holdStateForReconcile();
+        const report = await this.readAllValues();
+        return { ampState: Object.fromEntries(this.ampStateCapture), report };
+    }
+
+    /**
+     * The app's value of a parameter on the amp's scale: the amp value it was read
+     * from while unchanged (toUIValue offsets a few), otherwise what a write sends
+     */
+    toAmpValue(key) {
+        const current = this.parameters[key].current;
+        const known = this.cubeState[key];
+        return typeof known === 'number' && this.toUIValue(key, known) === current ? known : current;
+    }
+
+    /**
+     * Diff the amp's reported values against the app's, the amp side shown on the UI scale
+     */
+    diffAmpState(ampState) {
+        const appState = {};
+        for (const key of Object.keys(ampState)) {
+            if (this.parameters[key]) appState[key] = this.toAmpValue(key);
+        }
+        return diffParameterStates(this.parameters, ampState, appState)
+            .map(diff => ({ ...diff, ampValue: this.toUIValue(diff.key, diff.ampValue) }));
+    }
+
+    /**
+     * Re-read the amp and list what pushing the pending changes would change.
+     * diffs holds any other drift (e.g. after a drop) for the usual reconcile choice.
+     * @returns {Promise<{changes: Array<{key, name, ampValue, newValue}>, diffs: Array, report: Object}>}
+     */
+    async previewPendingChanges() {
+        const { ampState, report } = await this.readAmpState();
+        const changes = this.pendingChanges.entries()
+            .filter(([key, value]) => ampState[key] !== value)
+            .map(([key, value]) => ({
+                key,
+                name: this.parameters[key].name,
+                ampValue: key in ampState ? this.toUIValue(key, ampState[key]) : null,
+                newValue: value
+            }));
+        const diffs = this.diffAmpState(ampState)
+            .filter(diff => !this.pendingChanges.has(diff.key));
+        this.log(`✏️ Offline sync: ${changes.length} of ${this.pendingChanges.size} pending change(s) differ from the amp`, 'info');
+        return { changes, diffs, report };
+    }
+
+    /**
+     * Re-read every block and diff what the amp reports against the app's values.
+     * @returns {Promise<{diffs: Array, report: Object}>} diffs from diffParameterStates, sync report from readAllValues
+     */
+    async readStateDiff() {
+        const { ampState, report } = await this.readAmpState();
+        const diffs = this.diffAmpState(ampState);
+        this.log(`🔀 Reconnect sync: ${diffs.length} parameter(s) differ between app and amp`, diffs.length ? 'warning' : 'info');
+        return { diffs, report };
+    }
+
+    /**
+     * Finish reconciling: parameters chosen as RECONCILE_CHOICES.APP are written
+     * to the amp in one batch (pending changes with their queued value), every
+     * other collected amp value is applied to the app. Settles the pending changeset.
+     * @param {Object} choices - paramKey → RECONCILE_CHOICES value (missing = amp)
+     * @returns {Promise<number>} number of parameters pushed to the amp
+     */
+    async applyReconcileChoices(choices = {}) {
+        const captured = this.ampStateCapture || new Map();
+        this.ampStateCapture = null;
+
+        const push = {};
+        for (const [key, choice] of Object.entries(choices)) {
+            if (choice === RECONCILE_CHOICES.APP) {
+                push[key] = this.pendingChanges.has(key) ? this.pendingChanges.get(key) : this.parameters[key].current;
+            }
+        }
+        for (const [key, value] of captured) {
+            if (key in push) continue;
+            this.cubeState[key] = value;
+            this.updateUIFromParameter(key, value);
+        }
+        this.pendingChanges.clear();
+        this.setStateStale(false);
+
+        const pushed = Object.keys(push).length;
+        if (pushed > 0) {
+            await this.setParameters(push);
+            // An effect type written as a plain parameter takes effect like a switch command
+            if ('guitarEffectType' in push || 'micInstEffectType' in push) {
+                await this.sendSpecialCommand(EFFECT_ACTIVATE_COMMAND);
+            }
+            this.log(`⬆️ Pushed ${pushed} app value(s) to the amp`, 'info');
+        }
+        return pushed;
+    }
+
+    // ===== PAGE VISIBILITY =====
+
+    /**
+     * Page hidden or frozen (screen off, tab in the background): pause keep-alives
+     * and treat every value as possibly stale until resumeFromBackground()
+     */
+    suspendForBackground() {
+        if (this.backgroundSince) return;
+        this.backgroundSince = Date.now();
+        this.bossCubeComm.pauseMaintenance();
+        this.stereoLink.remote.pauseMaintenance();
+        if (this.isCubeConnected) {
+            this.setStateStale(true);
+        }
+        this.log('🌙 Page in background — keep-alives paused', 'info');
+    }
+
+    /**
+     * Page visible again: restart keep-alives, skip any backoff wait still running
+     * and re-read the amp, applying only the values that changed meanwhile
+     * @returns {Promise<{hiddenMs: number, changed: string[]}|null>} null when the page was not suspended
+     */
+    async resumeFromBackground() {
+        if (!this.backgroundSince) return null;
+        const hiddenMs = Date.now() - this.backgroundSince;
+        this.backgroundSince = null;
+        this.bossCubeComm.resumeMaintenance();
+        this.stereoLink.remote.resumeMaintenance();
+        for (const device of ['cube', 'pedal', 'remote']) {
+            if (this.isAutoReconnecting(device)) this.retryAutoReconnectNow(device);
+        }
+        this.log(`☀️ Page visible again after ${Math.round(hiddenMs / 1000)}s`, 'info');
+
+        const changed = this.stateStale ? await this.resyncStaleState() : [];
+        if (this.stereoLink.isConnected) {
+            await this.readStereoRemoteState();
+        }
+        return { hiddenMs, changed };
+    }
+
+    /**
+     * Re-read every block and apply only the values that differ from the app. Left to the
+     * reconcile flow when a drop or offline edits are being settled.
+     * @returns {Promise<string[]>} keys of the parameters that changed
+     */
+    async resyncStaleState() {
+        if (!this.isCubeConnected || this.isReconcilePending()) return [];
+
+        const drops = this.cubeDropCount;
+        const { ampState, report } = await this.readAmpState();
+        if (!this.isCubeConnected || this.cubeDropCount !== drops) {
+            // Dropped mid-read: the capture now holds the app's values for the reconcile on reconnect
+            this.log('🔄 Resync interrupted by a drop — left to the reconnect sync', 'warning');
+            return [];
         }
+        this.ampStateCapture = null;
 
-        this.log('✅ All block read requests sent', 'success');
+        // Every captured value, not only reconcilable ones: looper, tuner and system state move on the amp too
+        const changed = Object.keys(ampState)
+            .filter(key => this.parameters[key] && ampState[key] !== this.toAmpValue(key));
+        for (const key of changed) {
+            this.cubeState[key] = ampState[key];
+            this.updateUIFromParameter(key, ampState[key]);
+        }
+        if (report.complete) {
+            this.setStateStale(false);
+        }
+        this.log(`🔄 Resync: ${changed.length} value(s) changed while in the background`, changed.length > 0 ? 'info' : 'success');
+        return changed;
+    }
+
+    setStateStale(stale) {
+        if (this.stateStale === stale) return;
+        this.stateStale = stale;
+        if (this.onStateStaleChange) {
+            this.onStateStaleChange(stale);
+        }
     }
 
     async probeAddresses(addresses) {
@@ -914,6 +1859,11 @@ class BossCubeController {
                 }
             }
 
+            if (this.ampStateCapture && paramDef.name !== 'Tuner Pitch Data') {
+                this.ampStateCapture.set(paramDef.id, value);
+                return;
+            }
+
             // Handle structured tuner data specially
             if (paramDef.name === 'Tuner Pitch Data' && typeof value === 'object' && value.hasSignal !== undefined) {
                 this.cubeState[paramDef.id] = value;
@@ -1009,6 +1959,19 @@ class BossCubeController {
         }
     }
 
+    /**
+     * Handle value conversion from Boss Cube (some parameters send 1-based values)
+     */
+    toUIValue(parameterId, value) {
+        // Parameters that need -1 for EQ (1-100 Boss Cube to 0-100 UI)
+        const eqParams = ['micInstEQBass', 'micInstEQMiddle', 'micInstEQTreble', 
+                         'guitarEQBass', 'guitarEQMiddle', 'guitarEQTreble', 'guitarGain'];
+        if (eqParams.includes(parameterId)) {
+            return Math.max(0, value - 1);
+        }
+        return value;
+    }
+
     /**
      * Update UI from parameter value (for normal numeric parameters)
      */
@@ -1023,16 +1986,7 @@ class BossCubeController {
         }
         
         const param = this.parameters[parameterId];
-        
-        // Handle value conversion from Boss Cube (some parameters send 1-based values)
-        let uiValue = value;
-        
-        // Parameters that need -1 for EQ (1-100 Boss Cube to 0-100 UI)
-        const eqParams = ['micInstEQBass', 'micInstEQMiddle', 'micInstEQTreble', 
-                         'guitarEQBass', 'guitarEQMiddle', 'guitarEQTreble', 'guitarGain'];
-        if (eqParams.includes(parameterId)) {
-            uiValue = Math.max(0, value - 1);
-        }
+        const uiValue = this.toUIValue(parameterId, value);
         
         // Update parameter current value
         param.current = uiValue;
@@ -1103,6 +2057,49 @@ class BossCubeController {
         this.pedalComm.setFootswitchPolarity(polarity);
     }
 
+    // ===== SYSEX SESSION CAPTURE =====
+
+    /**
+     * Start capturing every Cube and pedal packet into a trace
+     */
+    startSessionRecording() {
+        const recorder = new SysExSessionRecorder();
+        recorder.onLog = (message, type) => this.log(message, type);
+        recorder.start();
+        this.sessionRecorder = recorder;
+        this.bossCubeComm.recorder = recorder;
+        this.pedalComm.recorder = recorder;
+    }
+
+    /**
+     * Stop capturing and return the trace object (null if not recording)
+     */
+    stopSessionRecording() {
+        if (!this.sessionRecorder) return null;
+        const trace = this.sessionRecorder.stop();
+        this.bossCubeComm.recorder = null;
+        this.pedalComm.recorder = null;
+        this.sessionRecorder = null;
+        return trace;
+    }
+
+    isSessionRecording() {
+        return !!this.sessionRecorder;
+    }
+
+    /**
+     * Feed a recorded trace's incoming packets back through both communication modules
+     */
+    async replaySessionTrace(trace, options = {}) {
+        this.log('▶️ Replaying SysEx session trace...', 'info');
+        const result = await replaySessionTrace(trace, {
+            cube: this.bossCubeComm,
+            pedal: this.pedalComm
+        }, options);
+        this.log(`✅ Replayed ${result.replayed} incoming packets`, 'success');
+        return result;
+    }
+
     // ===== EFFECT SWITCHING METHODS =====
 
     /**
@@ -1111,6 +2108,9 @@ class BossCubeController {
      * @returns {{ switched: boolean, active: boolean }}
      */
     async toggleEffect(channel, effectType) {
+        if (!this.isCubeConnected) {
+            return this.toggleEffectOffline(channel, effectType);
+        }
         if (this._effectToggleBusy) {
             this.log(`⏳ Effect toggle dropped (busy): ${channel} ${effectType}`, 'warning');
             return null;
@@ -1145,6 +2145,34 @@ class BossCubeController {
         return result;
     }
 
+    /**
+     * Same outcome as toggleEffect while disconnected: the effect type and its
+     * on/off switch become pending changes
+     */
+    toggleEffectOffline(channel, effectType) {
+        const isGuitar = channel === 'guitar';
+        const current = isGuitar ? this.currentGuitarEffect : this.currentMicInstEffect;
+        const isActive = isGuitar ? this.guitarEffectActive : this.micInstEffectActive;
+        const result = { switched: effectType !== current, active: !(effectType === current && isActive) };
+
+        if (result.switched) {
+            const typeKey = isGuitar ? 'guitarEffectType' : 'micInstEffectType';
+            if (isGuitar) this.currentGuitarEffect = effectType;
+            else this.currentMicInstEffect = effectType;
+            this._syncEffectTypeParam(typeKey, effectType);
+            this.queuePendingChange(typeKey, this.parameters[typeKey].current);
+        }
+        const switchKey = this.getEffectSwitchParamKey(channel, effectType);
+        if (switchKey) {
+            this.queuePendingChange(switchKey, result.active ? 1 : 0);
+        }
+        if (isGuitar) this.guitarEffectActive = result.active;
+        else this.micInstEffectActive = result.active;
+
+        if (this.onEffectStateChanged) this.onEffectStateChanged(channel);
+        return result;
+    }
+
     async switchGuitarEffect(effectType) {
         this.currentGuitarEffect = effectType;
         this._syncEffectTypeParam('guitarEffectType', effectType);
@@ -1153,7 +2181,7 @@ class BossCubeController {
             await this.sendEffectSwitchCommands(commands);
             const address = GUITAR_EFFECT_ONOFF[effectType];
             if (address) {
-                await this.bossCubeComm.sendParameterCommand(address, 1);
+                await this.sendParameterCommand(address, 1, { priority: WRITE_PRIORITY.ACTION });
                 this.guitarEffectActive = true;
             }
             this.log(`🎸 Switched to guitar ${effectType} effect`, 'info');
@@ -1164,7 +2192,7 @@ class BossCubeController {
         const effectKey = effectType || this.currentGuitarEffect;
         const address = GUITAR_EFFECT_ONOFF[effectKey];
         if (address) {
-            await this.bossCubeComm.sendParameterCommand(address, 0);
+            await this.sendParameterCommand(address, 0, { priority: WRITE_PRIORITY.ACTION });
             this.guitarEffectActive = false;
             this.log(`🎸 Guitar effect ${effectKey} deactivated`, 'info');
         }
@@ -1174,7 +2202,7 @@ class BossCubeController {
         const effectKey = effectType || this.currentGuitarEffect;
         const address = GUITAR_EFFECT_ONOFF[effectKey];
         if (address) {
-            await this.bossCubeComm.sendParameterCommand(address, 1);
+            await this.sendParameterCommand(address, 1, { priority: WRITE_PRIORITY.ACTION });
             this.guitarEffectActive = true;
             this.log(`🎸 Guitar effect ${effectKey} activated`, 'info');
         }
@@ -1188,7 +2216,7 @@ class BossCubeController {
             await this.sendEffectSwitchCommands(commands);
             const address = MIC_INST_EFFECT_ONOFF[effectType];
             if (address) {
-                await this.bossCubeComm.sendParameterCommand(address, 1);
+                await this.sendParameterCommand(address, 1, { priority: WRITE_PRIORITY.ACTION });
                 this.micInstEffectActive = true;
             }
             this.log(`🎤 Switched to mic/inst ${effectType} effect`, 'info');
@@ -1199,7 +2227,7 @@ class BossCubeController {
         const effectKey = effectType || this.currentMicInstEffect;
         const address = MIC_INST_EFFECT_ONOFF[effectKey];
         if (address) {
-            await this.bossCubeComm.sendParameterCommand(address, 0);
+            await this.sendParameterCommand(address, 0, { priority: WRITE_PRIORITY.ACTION });
             this.micInstEffectActive = false;
             this.log(`🎤 Mic/inst effect ${effectKey} deactivated`, 'info');
         }
@@ -1209,7 +2237,7 @@ class BossCubeController {
         const effectKey = effectType || this.currentMicInstEffect;
         const address = MIC_INST_EFFECT_ONOFF[effectKey];
         if (address) {
-            await this.bossCubeComm.sendParameterCommand(address, 1);
+            await this.sendParameterCommand(address, 1, { priority: WRITE_PRIORITY.ACTION });
             this.micInstEffectActive = true;
             this.log(`🎤 Mic/inst effect ${effectKey} activated`, 'info');
         }
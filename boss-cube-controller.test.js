@@ -89,8 +89,9 @@ class MockBossCubeCommunication {
         }
         
         // Simulate parameter response
+        const mockValue = Math.floor(Math.random() * 128);
+        this.lastReadValue = mockValue;
         if (this.onParameterUpdate) {
-            const mockValue = Math.floor(Math.random() * 128);
             setTimeout(() => {
                 this.onParameterUpdate(address, mockValue, false);
             }, 10);
@@ -99,12 +100,24 @@ class MockBossCubeCommunication {
         return true;
     }
 
+    async readParameterValue(address) {
+        await this.sendParameterReadRequest(address);
+        return this.lastReadValue;
+    }
+
     async sendBlockReadRequest(address, size) {
         this.blockReadRequests.push({ address: address.slice(), size: size.slice() });
         await new Promise(resolve => setTimeout(resolve, this.readDelay));
         return true;
     }
 
+    async readBlock(address, size) {
+        await this.sendBlockReadRequest(address, [0x00, 0x00, (size >> 7) & 0x7F, size & 0x7F]);
+        const values = new Map();
+        for (let i = 0; i < size; i++) values.set(`block-${i}`, 0);
+        return { values, missing: [] };
+    }
+
     async sendParameterCommand(address, value) {
         this.sentCommands.push({ address: address.slice(), value });
         await new Promise(resolve => setTimeout(resolve, 1));
@@ -477,7 +490,7 @@ test.test('Hardware effect type update syncs active state from matching switch',
     test.assertEqual(controller.guitarEffectActive, true, 'Active state should reflect chorus switch when on');
 });
 
-test.test('Pedal throttle preserves newer value arriving during send', async () => {
+test.test('Pedal send preserves newer value arriving during send', async () => {
     const controller = new BossCubeController();
     const mockComm = new MockBossCubeCommunication();
     mockComm.isConnected = true;
@@ -494,16 +507,13 @@ test.test('Pedal throttle preserves newer value arriving during send', async ()
     controller.currentGuitarEffect = 'chorus';
     controller.setCurrentParameter('guitarEffectRate');
 
-    controller.pedalThrottle.pendingValue = { paramKey: 'guitarEffectRate', value: 10 };
-    const firstSend = controller.sendPendingValueToHardware();
+    const firstSend = controller.sendPedalValueToHardware('guitarEffectRate', 10);
 
     // Simulate continued pedal movement while the first hardware send is still in flight.
     await new Promise(resolve => setTimeout(resolve, 5));
-    controller.pedalThrottle.pendingValue = { paramKey: 'guitarEffectRate', value: 20 };
-    controller.throttledSendToHardware();
+    const secondSend = controller.sendPedalValueToHardware('guitarEffectRate', 20);
 
-    await firstSend;
-    await new Promise(resolve => setTimeout(resolve, 80));
+    await Promise.all([firstSend, secondSend]);
 
     const sentValues = mockComm.sentCommands.map(cmd => cmd.value);
     test.assert(sentValues.includes(10), 'Should send initial value');
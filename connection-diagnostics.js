@@ -0,0 +1,132 @@
+/**
+ * Connection Diagnostics — live protocol error counters and write queue metrics
+ * for the Cube and pedal links. Renders as a modal like the discovery dashboard.
+ */
+import { PROTOCOL_ERRORS } from './sysex-validation.js';
+
+const REFRESH_INTERVAL = 1000;
+
+// [label, getter] rows per table section
+const SECTIONS = [
+    {
+        title: 'Rejected SysEx',
+        rows: [
+            ['Checksum failures', d => d.protocolErrors[PROTOCOL_ERRORS.CHECKSUM]],
+            ['Truncated', d => d.protocolErrors[PROTOCOL_ERRORS.TRUNCATED]],
+            ['Timeouts', d => d.protocolErrors[PROTOCOL_ERRORS.TIMEOUT]],
+            ['Header mismatches', d => d.protocolErrors[PROTOCOL_ERRORS.HEADER]],
+            ['Unknown commands', d => d.protocolErrors[PROTOCOL_ERRORS.UNKNOWN_COMMAND]]
+        ]
+    },
+    {
+        title: 'BLE MIDI framing',
+        rows: [
+            ['Invalid packet header', d => d.framingErrors.invalidHeader],
+            ['Aborted SysEx', d => d.framingErrors.abortedSysEx],
+            ['Stray F7', d => d.framingErrors.strayEndOfSysEx],
+            ['Orphan data bytes', d => d.framingErrors.orphanData],
+            ['Cut-short messages', d => d.framingErrors.truncated]
+        ]
+    },
+    {
+        // Only the Cube link runs keep-alives
+        title: 'Link health',
+        rows: [
+            ['Signal', d => d.health ? d.health.quality : '—'],
+            ['Keep-alive RTT avg / last', d => d.health?.rttMs != null ? `${d.health.rttMs} / ${d.health.lastRttMs} ms` : '—'],
+            ['Missed keep-alives', d => d.health ? d.health.missedKeepAlives : '—'],
+            ['Write error rate', d => d.health ? `${(d.health.writeErrorRate * 100).toFixed(1)}%` : '—'],
+            ['Since last data', d => d.health ? `${Math.round(d.health.msSinceLastNotification / 1000)} s` : '—']
+        ]
+    },
+    {
+        title: 'Write queue',
+        rows: [
+            ['Queued now / peak', d => `${d.writeQueue.depth} / ${d.writeQueue.maxDepth}`],
+            ['Sent / failed', d => `${d.writeQueue.sent} / ${d.writeQueue.failed}`],
+            ['Coalesced', d => d.writeQueue.coalesced],
+            ['Wait avg / max', d => `${d.writeQueue.avgLatencyMs} / ${d.writeQueue.maxLatencyMs} ms`]
+        ]
+    }
+];
+
+export class ConnectionDiagnostics {
+    constructor(controller) {
+        this.controller = controller;
+        this.modal = null;
+        this.refreshTimer = null;
+    }
+
+    open() {
+        if (this.refreshTimer) return; // already open
+        if (!this.modal) this._build();
+        this.modal.style.display = 'flex';
+        this._render();
+        this.refreshTimer = setInterval(() => this._render(), REFRESH_INTERVAL);
+    }
+
+    close() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        if (this.modal) this.modal.style.display = 'none';
+    }
+
+    _build() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'discovery-modal-overlay';
+        this.modal.innerHTML = `
+            <div class="discovery-modal">
+                <div class="discovery-header">
+                    <h2>Connection Diagnostics</h2>
+                    <button id="diagResetBtn" class="btn-small">Reset</button>
+                    <button class="discovery-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="discovery-panel">
+                    <div class="diag-hint">Rising checksum, truncated and timeout counts point to the radio link; header mismatches and unknown commands point to a protocol or app bug.</div>
+                    <div class="discovery-table-wrap">
+                        <table class="discovery-table">
+                            <thead><tr><th></th><th id="diagCubeHead">Cube</th><th id="diagPedalHead">Pedal</th></tr></thead>
+                            <tbody id="diagBody"></tbody>
+                        </table>
+                    </div>
+                    <div id="diagLastErrors" class="diag-last-errors"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this.modal.querySelector('.discovery-close').addEventListener('click', () => this.close());
+        document.getElementById('diagResetBtn').addEventListener('click', () => {
+            this.controller.resetConnectionDiagnostics();
+            this._render();
+        });
+    }
+
+    _render() {
+        const { cube, pedal } = this.controller.getConnectionDiagnostics();
+        document.getElementById('diagCubeHead').textContent = `Cube ${cube.connected ? '🟢' : '⚪'}`;
+        document.getElementById('diagPedalHead').textContent = `Pedal ${pedal.connected ? '🟢' : '⚪'}`;
+
+        const body = document.getElementById('diagBody');
+        body.innerHTML = '';
+        for (const section of SECTIONS) {
+            const heading = document.createElement('tr');
+            heading.className = 'diag-section';
+            heading.innerHTML = `<td colspan="3">${section.title}</td>`;
+            body.appendChild(heading);
+            for (const [label, get] of section.rows) {
+                const row = document.createElement('tr');
+                row.innerHTML = `<td>${label}</td><td>${get(cube)}</td><td>${get(pedal)}</td>`;
+                body.appendChild(row);
+            }
+        }
+
+        const lastErrors = [['Cube', cube], ['Pedal', pedal]]
+            .filter(([, d]) => d.protocolErrors.lastError)
+            .map(([name, d]) => {
+                const { kind, detail, at } = d.protocolErrors.lastError;
+                return `${name} last: ${kind} at ${new Date(at).toLocaleTimeString()} ${detail}`;
+            });
+        document.getElementById('diagLastErrors').textContent = lastErrors.join('\n');
+    }
+}
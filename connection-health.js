@@ -0,0 +1,173 @@
+/**
+ * Connection Health
+ * ConnectionHealthMonitor tracks keep-alive round trips, missed keep-alives,
+ * the write error rate and the time since the last incoming data, and rates
+ * the link as a signal quality. ReconnectBackoff retries a lost connection with
+ * exponentially growing delays instead of a single attempt.
+ */
+
+import { CONNECTION_HEALTH_CONFIG, RECONNECT_CONFIG } from './constants.js';
+
+export const SIGNAL_QUALITY = {
+    GOOD: 'good',
+    FAIR: 'fair',
+    POOR: 'poor',
+    LOST: 'lost'   // too many keep-alives missed in a row
+};
+
+export class ConnectionHealthMonitor {
+    constructor(config = CONNECTION_HEALTH_CONFIG) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.rttMs = null;          // smoothed keep-alive round trip
+        this.lastRttMs = null;
+        this.missedKeepAlives = 0;  // consecutive
+        this.writes = [];           // true/false per recent write, oldest first
+        this.lastNotificationAt = Date.now();
+    }
+
+    recordRoundTrip(ms) {
+        const weight = this.config.RTT_SMOOTHING;
+        this.lastRttMs = ms;
+        this.rttMs = this.rttMs === null ? ms : Math.round(weight * ms + (1 - weight) * this.rttMs);
+        this.missedKeepAlives = 0;
+    }
+
+    /**
+     * @returns {number} consecutive misses so far
+     */
+    recordMissedKeepAlive() {
+        return ++this.missedKeepAlives;
+    }
+
+    recordWrite(ok) {
+        this.writes.push(ok);
+        if (this.writes.length > this.config.WRITE_WINDOW) this.writes.shift();
+    }
+
+    recordNotification() {
+        this.lastNotificationAt = Date.now();
+    }
+
+    get writeErrorRate() {
+        if (!this.writes.length) return 0;
+        return this.writes.filter(ok => !ok).length / this.writes.length;
+    }
+
+    get isDead() {
+        return this.missedKeepAlives >= this.config.MAX_MISSED_KEEP_ALIVES;
+    }
+
+    /**
+     * Snapshot for the signal indicator and diagnostics
+     */
+    getHealth(now = Date.now()) {
+        const health = {
+            rttMs: this.rttMs,
+            lastRttMs: this.lastRttMs,
+            writeErrorRate: this.writeErrorRate,
+            msSinceLastNotification: now - this.lastNotificationAt,
+            missedKeepAlives: this.missedKeepAlives
+        };
+        return { ...health, quality: this.rate(health) };
+    }
+
+    rate({ rttMs, writeErrorRate, msSinceLastNotification, missedKeepAlives }) {
+        const c = this.config;
+        if (missedKeepAlives >= c.MAX_MISSED_KEEP_ALIVES) return SIGNAL_QUALITY.LOST;
+        if (missedKeepAlives > 0
+            || rttMs >= c.POOR_RTT
+            || writeErrorRate >= c.POOR_WRITE_ERROR_RATE
+            || msSinceLastNotification >= c.STALE_NOTIFICATION) {
+            return SIGNAL_QUALITY.POOR;
+        }
+        if (rttMs >= c.FAIR_RTT || writeErrorRate >= c.FAIR_WRITE_ERROR_RATE) {
+            return SIGNAL_QUALITY.FAIR;
+        }
+        return SIGNAL_QUALITY.GOOD;
+    }
+}
+
+export const RECONNECT_STATES = {
+    WAITING: 'waiting',         // next attempt scheduled
+    ATTEMPTING: 'attempting',
+    CONNECTED: 'connected',
+    GAVE_UP: 'gaveUp'           // GIVE_UP_AFTER passed without a connection
+};
+
+export class ReconnectBackoff {
+    constructor(config = RECONNECT_CONFIG) {
+        this.config = config;
+        this.run = null;
+        this.onScheduled = null; // (attempt, delayMs) => void — before each wait
+        this.onAttempt = null;   // (attempt) => void — when connect() is called
+        this.onGiveUp = null;    // () => void — GIVE_UP_AFTER passed
+    }
+
+    get active() {
+        return !!this.run;
+    }
+
+    delayFor(attempt) {
+        return Math.min(this.config.BASE_DELAY * 2 ** (attempt - 1), this.config.MAX_DELAY);
+    }
+
+    /**
+     * Call connect() until it resolves true, waiting BASE_DELAY, then twice as
+     * long each time up to MAX_DELAY. A thrown error counts as a failed attempt.
+     * @param {Function} connect - async () => boolean
+     * @returns {Promise<boolean>} true once connected; false after GIVE_UP_AFTER or cancel()
+     */
+    async start(connect) {
+        this.cancel();
+        const run = { cancelled: false, startedAt: Date.now(), timer: null, wake: null };
+        this.run = run;
+
+        for (let attempt = 1; ; attempt++) {
+            const delay = this.delayFor(attempt);
+            if (Date.now() - run.startedAt + delay > this.config.GIVE_UP_AFTER) break;
+
+            if (this.onScheduled) this.onScheduled(attempt, delay);
+            await new Promise(resolve => {
+                run.wake = resolve;
+                run.timer = setTimeout(resolve, delay);
+            });
+            if (run.cancelled) return false;
+
+            if (this.onAttempt) this.onAttempt(attempt);
+            let connected = false;
+            try {
+                connected = await connect();
+            } catch (error) {
+                connected = false;
+            }
+            if (connected || run.cancelled) {
+                if (this.run === run) this.run = null;
+                return connected;
+            }
+        }
+
+        if (this.run === run) this.run = null;
+        if (this.onGiveUp) this.onGiveUp();
+        return false;
+    }
+
+    /**
+     * Skip the current wait and attempt right away (no-op while an attempt runs)
+     */
+    retryNow() {
+        if (this.run && this.run.wake) this.run.wake();
+    }
+
+    cancel() {
+        const run = this.run;
+        if (!run) return;
+        this.run = null;
+        run.cancelled = true;
+        clearTimeout(run.timer);
+        if (run.wake) run.wake();
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Connection Health Tests
+ * Signal quality from keep-alive round trips, write errors and silence, and
+ * exponential-backoff reconnect after the amp drops off
+ */
+
+import {
+    ConnectionHealthMonitor, ReconnectBackoff, SIGNAL_QUALITY, RECONNECT_STATES
+} from './connection-health.js';
+import { CONNECTION_HEALTH_CONFIG } from './constants.js';
+import { BossCubeCommunication } from './boss-cube-communication.js';
+import { CubeSimulator } from './cube-simulator.js';
+import { waitFor, createSimulatedController, FAST_RECONNECT } from './test-helpers.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Connection Health Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Connection Health Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+test.test('Round trips are smoothed and rate the signal', () => {
+    const health = new ConnectionHealthMonitor();
+    health.recordRoundTrip(40);
+    test.assertEqual(health.getHealth().rttMs, 40, 'First sample taken as is');
+    test.assertEqual(health.getHealth().quality, SIGNAL_QUALITY.GOOD, 'Fast link is good');
+
+    health.recordRoundTrip(540);
+    test.assertEqual(health.getHealth().rttMs, 190, 'Newest sample weighted by RTT_SMOOTHING');
+    test.assertEqual(health.getHealth().lastRttMs, 540, 'Last sample kept');
+
+    health.recordRoundTrip(900);
+    health.recordRoundTrip(900);
+    test.assertEqual(health.getHealth().quality, SIGNAL_QUALITY.FAIR, 'Sustained slow replies drop to fair');
+    health.recordRoundTrip(900);
+    health.recordRoundTrip(900);
+    test.assertEqual(health.getHealth().quality, SIGNAL_QUALITY.POOR, 'Average past POOR_RTT is poor');
+});
+
+test.test('Write error rate covers the recent window only', () => {
+    const health = new ConnectionHealthMonitor();
+    for (let i = 0; i < 9; i++) health.recordWrite(true);
+    health.recordWrite(false);
+    test.assertEqual(health.writeErrorRate, 0.1, 'One in ten failed');
+    test.assertEqual(health.getHealth().quality, SIGNAL_QUALITY.POOR, '10% failed writes is poor');
+
+    for (let i = 0; i < CONNECTION_HEALTH_CONFIG.WRITE_WINDOW; i++) health.recordWrite(true);
+    test.assertEqual(health.writeErrorRate, 0, 'Old failure left the window');
+});
+
+test.test('Missed keep-alives and silence degrade the signal', () => {
+    const health = new ConnectionHealthMonitor();
+    health.recordMissedKeepAlive();
+    test.assertEqual(health.getHealth().quality, SIGNAL_QUALITY.POOR, 'One miss is poor');
+    test.assert(!health.isDead, 'One miss is not dead yet');
+    health.recordMissedKeepAlive();
+    test.assertEqual(health.getHealth().quality, SIGNAL_QUALITY.LOST, 'Two in a row are lost');
+    test.assert(health.isDead, 'Link declared dead');
+
+    health.recordRoundTrip(30);
+    test.assertEqual(health.missedKeepAlives, 0, 'A reply clears the misses');
+    const later = health.lastNotificationAt + CONNECTION_HEALTH_CONFIG.STALE_NOTIFICATION;
+    test.assertEqual(health.getHealth(later).quality, SIGNAL_QUALITY.POOR, 'No data for too long is poor');
+});
+
+test.test('Backoff doubles the delay up to the cap and stops once connected', async () => {
+    const backoff = new ReconnectBackoff(FAST_RECONNECT);
+    const delays = [];
+    backoff.onScheduled = (attempt, delayMs) => delays.push(delayMs);
+    let calls = 0;
+
+    const connected = await backoff.start(async () => ++calls === 5);
+    test.assert(connected, 'Resolved once connect() succeeded');
+    test.assertEqual(delays.join(','), '10,20,40,40,40', 'Delays double up to MAX_DELAY');
+    test.assert(!backoff.active, 'Idle after connecting');
+});
+
+test.test('Backoff gives up, can be cancelled and retried early', async () => {
+    let gaveUp = false;
+    const backoff = new ReconnectBackoff({ BASE_DELAY: 10, MAX_DELAY: 10, GIVE_UP_AFTER: 60 });
+    backoff.onGiveUp = () => { gaveUp = true; };
+    test.assert(!(await backoff.start(async () => { throw new Error('not in range'); })), 'Never connected');
+    test.assert(gaveUp, 'onGiveUp fired');
+
+    const slow = new ReconnectBackoff({ BASE_DELAY: 10000, MAX_DELAY: 10000, GIVE_UP_AFTER: 60000 });
+    let attempts = 0;
+    const run = slow.start(async () => { attempts++; return false; });
+    slow.retryNow();
+    await waitFor(() => attempts === 1);
+    slow.cancel();
+    test.assert(!(await run), 'Cancelled run resolves false');
+    test.assertEqual(attempts, 1, 'retryNow skipped the 10s wait, cancel stopped the rest');
+});
+
+test.test('Keep-alive measures the round trip against the simulated amp', async () => {
+    const simulator = new CubeSimulator({ latency: 20 });
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    const reports = [];
+    comm.onHealthChange = (health) => reports.push(health);
+
+    await comm.connectToDevice(simulator.device);
+    try {
+        await comm.runKeepAlive();
+        const health = comm.getHealth();
+        test.assertEqual(reports.length, 1, 'onHealthChange after the keep-alive');
+        test.assert(health.rttMs >= 15 && health.rttMs < 500, `Round trip follows the amp latency (${health.rttMs} ms)`);
+        test.assertEqual(health.quality, SIGNAL_QUALITY.GOOD, 'Healthy link');
+        test.assertEqual(health.writeErrorRate, 0, 'No failed writes');
+        test.assert('health' in comm.getDiagnostics(), 'Health is part of the diagnostics');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('Two unanswered keep-alives drop the link and report it lost', async () => {
+    const simulator = new CubeSimulator();
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    let lost = 0;
+    comm.onConnectionLost = () => lost++;
+
+    await comm.connectToDevice(simulator.device);
+    simulator.dropReply = () => true;
+    await comm.runKeepAlive();
+    test.assert(comm.isConnected, 'Still connected after one miss');
+    test.assertEqual(comm.getHealth().quality, SIGNAL_QUALITY.POOR, 'One miss shows as poor');
+    await comm.runKeepAlive();
+    test.assert(!comm.isConnected, 'Dead link torn down');
+    test.assertEqual(lost, 1, 'onConnectionLost fired once');
+});
+
+test.test('Controller reconnects with backoff when the amp comes back', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const states = [];
+    controller.onReconnectStatus = (device, status) => states.push(`${device}:${status.state}`);
+
+    await controller.connectToBossCube();
+    simulator.powerOff();
+    await waitFor(() => states.filter(s => s === `cube:${RECONNECT_STATES.ATTEMPTING}`).length >= 2);
+    test.assert(!controller.isCubeConnected, 'Attempts fail while the amp is off');
+
+    simulator.powerOn();
+    await waitFor(() => controller.isCubeConnected);
+    try {
+        test.assertEqual(states[0], `cube:${RECONNECT_STATES.WAITING}`, 'First a scheduled retry');
+        await waitFor(() => states.includes(`cube:${RECONNECT_STATES.CONNECTED}`));
+        test.assert(!controller.isAutoReconnecting('cube'), 'Backoff finished');
+    } finally {
+        await controller.disconnectBossCube();
+    }
+});
+
+test.test('Disconnecting on purpose does not auto-reconnect', async () => {
+    const { controller } = createSimulatedController();
+    const states = [];
+    controller.onReconnectStatus = (device, status) => states.push(status.state);
+
+    await controller.connectToBossCube();
+    await controller.disconnectBossCube();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    test.assertEqual(states.length, 0, 'No reconnect attempts');
+    test.assert(!controller.isAutoReconnecting('cube'), 'Backoff idle');
+});
+
+test.test('Background pauses keep-alives and resume applies only what changed', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const comm = controller.bossCubeComm;
+    const savedDelay = controller.parameters.guitarDelayTime.current;
+    const savedLooper = controller.parameters.looperControl.current;
+    const staleStates = [];
+    controller.onStateStaleChange = (stale) => staleStates.push(stale);
+
+    await controller.connectToBossCube();
+    await waitFor(() => controller.isCubeConnected && comm.notificationMaintenanceTimer);
+    try {
+        await controller.readAllValues();
+        controller.suspendForBackground();
+        test.assertEqual(comm.notificationMaintenanceTimer, null, 'Keep-alives paused');
+        test.assert(controller.stateStale, 'Values marked stale');
+
+        // The frozen page misses the notifications for a knob turn and a looper footswitch on the amp
+        const turnedDelay = savedDelay === 321 ? 322 : 321;
+        simulator.notificationsEnabled = false;
+        simulator.turnKnob('guitarDelayTime', turnedDelay);
+        simulator.setLooperState(3);
+        simulator.notificationsEnabled = true;
+        comm.startNotificationMaintenance();
+        test.assertEqual(comm.notificationMaintenanceTimer, null, 'Reconnect paths do not restart keep-alives');
+
+        const { changed } = await controller.resumeFromBackground();
+        const shown = changed.filter(key => !controller.parameters[key].hidden);
+        test.assertEqual(shown.join(','), 'guitarDelayTime,looperControl', 'Only what moved on the amp applied');
+        test.assertEqual(controller.parameters.guitarDelayTime.current, turnedDelay, 'App follows the amp');
+        test.assertEqual(controller.parameters.looperControl.current, 3, 'Looper state followed, though never reconciled');
+        test.assert(comm.notificationMaintenanceTimer, 'Keep-alives running again');
+        test.assertEqual(staleStates.join(','), 'true,false', 'Stale flag set and cleared once');
+        test.assertEqual(await controller.resumeFromBackground(), null, 'Resume without suspend is a no-op');
+    } finally {
+        controller.parameters.guitarDelayTime.current = savedDelay;
+        controller.parameters.looperControl.current = savedLooper;
+        await controller.disconnectBossCube();
+    }
+});
+
+test.test('A drop during the resync leaves the app values held for the reconnect', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const savedVolume = controller.parameters.masterVolume.current;
+
+    await controller.connectToBossCube();
+    try {
+        await controller.readAllValues();
+        controller.suspendForBackground();
+        const appVolume = simulator.getValue('masterVolume') === 70 ? 71 : 70;
+        controller.parameters.masterVolume.current = appVolume;
+
+        const resume = controller.resumeFromBackground();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        simulator.powerOff();
+        const result = await resume.catch(() => ({ changed: [] }));
+        test.assertEqual(result.changed.length, 0, 'Nothing applied from the interrupted read');
+        test.assert(controller.isReconcilePending(), 'App values still held');
+
+        simulator.powerOn();
+        await waitFor(() => controller.isCubeConnected && !controller.isAutoReconnecting('cube'));
+        test.assert(controller.isReconcilePending(), 'Reconnect goes through the reconcile');
+        test.assertEqual(controller.parameters.masterVolume.current, appVolume, 'App value not overwritten');
+        const { diffs } = await controller.readStateDiff();
+        test.assert(diffs.some(diff => diff.key === 'masterVolume'), 'Difference offered to the user');
+    } finally {
+        controller.parameters.masterVolume.current = savedVolume;
+        await controller.disconnectBossCube();
+    }
+});
+
+if (typeof window !== 'undefined') {
+    window.runConnectionHealthTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Connection health tests loaded. Run window.runConnectionHealthTests() to execute.');
+}
@@ -28,9 +28,43 @@ export const SYSEX_CONFIG = {
     READ_REQUEST_TIMEOUT: 2000, // 2 seconds for read request tracking
     COMMAND_DELAY: 50, // Delay between commands in milliseconds
     READ_DELAY: 100, // Delay after read requests in milliseconds (restored to working v2.22.1 value)
+    READ_RESPONSE_TIMEOUT: 1000, // How long readParameterValue waits for the DT1 reply
+    READ_RETRIES: 2, // Extra RQ1 attempts when a reply times out
+    BLOCK_READ_TIMEOUT: 500, // Base wait for a block reply before re-requesting what is missing
+    BLOCK_READ_MS_PER_BYTE: 10, // Extra block wait per requested address
+    BLOCK_READ_RETRIES: 2, // Re-request rounds for missing block sub-ranges
+    WRITE_VERIFY_RETRIES: 2, // Re-sends of a verified write when the read-back disagrees
+    MAX_DT1_DATA_BYTES: 64, // Largest multi-parameter DT1 payload (keeps the BLE packet under ~90 bytes)
+    IDENTITY_TIMEOUT: 1000, // How long connect waits for the Universal SysEx identity reply
     MAINTENANCE_INTERVAL: 30000 // Notification maintenance every 30 seconds
 };
 
+// Link health thresholds behind the signal-quality indicator
+export const CONNECTION_HEALTH_CONFIG = {
+    FAIR_RTT: 250, // ms keep-alive round trip before quality drops to fair
+    POOR_RTT: 600, // ms keep-alive round trip before quality drops to poor
+    FAIR_WRITE_ERROR_RATE: 0.02, // Share of failed writes before fair
+    POOR_WRITE_ERROR_RATE: 0.1, // Share of failed writes before poor
+    WRITE_WINDOW: 50, // Recent writes the error rate is computed over
+    RTT_SMOOTHING: 0.3, // Weight of the newest round trip in the running average
+    STALE_NOTIFICATION: 75000, // ms without any incoming data before quality drops to poor
+    MAX_MISSED_KEEP_ALIVES: 2 // Consecutive failed keep-alives before the link is declared dead
+};
+
+// Exponential backoff for auto-reconnect after an unexpected drop
+export const RECONNECT_CONFIG = {
+    BASE_DELAY: 1000, // First retry after 1 second
+    MAX_DELAY: 30000, // Delay doubles per attempt up to 30 seconds
+    GIVE_UP_AFTER: 10 * 60 * 1000 // Stop retrying after 10 minutes
+};
+
+// GATT write queue lanes, drained in this order
+export const WRITE_PRIORITY = {
+    ACTION: 'action',          // Looper, footswitch, effect on/off and tuner
+    CONTROL: 'control',        // Sliders, pedal sweeps and parameter edits
+    BACKGROUND: 'background'   // Reads, keep-alive and notification maintenance
+};
+
 // Default CC codes for pedal controls
 export const DEFAULT_PEDAL_CC_CODES = {
     PREVIOUS_PARAMETER: 80,
@@ -44,6 +78,53 @@ export const FOOTSWITCH_POLARITIES = {
     NORMALLY_CLOSED: 'normally_closed'
 };
 
+// MidiSetting layout, identical for Bluetooth, USB and MIDI (DIN):
+// [key suffix, offset, min, max, init, name, valueLabels]
+const EV1WL_ON_OFF = ['Off', 'On'];
+const EV1WL_MIDI_SETTING_LAYOUT = [
+    ['ExpOffCC',       0x00, 0, 127, 0,   'Exp Off CC#'],
+    ['ExpOffRangeMin', 0x01, 0, 127, 0,   'Exp Off Range Min'],
+    ['ExpOffRangeMax', 0x02, 0, 127, 127, 'Exp Off Range Max'],
+    ['ExpOnCC',        0x03, 0, 127, 0,   'Exp On CC#'],
+    ['ExpOnRangeMin',  0x04, 0, 127, 0,   'Exp On Range Min'],
+    ['ExpOnRangeMax',  0x05, 0, 127, 127, 'Exp On Range Max'],
+    ['ExpSwCC',        0x06, 0, 127, 0,   'Exp Sw CC#'],
+    ['ExpSwOffValue',  0x07, 0, 126, 0,   'Exp Sw Off Value'],
+    ['ExpSwOnValue',   0x08, 1, 127, 127, 'Exp Sw On Value'],
+    ['Ctl1CC',         0x09, 0, 127, 0,   'Ctl 1 CC#'],
+    ['Ctl1OffValue',   0x0A, 0, 126, 0,   'Ctl 1 Off Value'],
+    ['Ctl1OnValue',    0x0B, 1, 127, 127, 'Ctl 1 On Value'],
+    ['Ctl2CC',         0x0C, 0, 127, 0,   'Ctl 2 CC#'],
+    ['Ctl2OffValue',   0x0D, 0, 126, 0,   'Ctl 2 Off Value'],
+    ['Ctl2OnValue',    0x0E, 1, 127, 127, 'Ctl 2 On Value'],
+    ['ExpOffCCOnOff',  0x0F, 0, 1,   0,   'Exp Off CC# On/Off', EV1WL_ON_OFF],
+    ['ExpOnCCOnOff',   0x10, 0, 1,   0,   'Exp On CC# On/Off',  EV1WL_ON_OFF],
+    ['ExpSwCCOnOff',   0x11, 0, 1,   0,   'Exp Sw CC# On/Off',  EV1WL_ON_OFF],
+    ['Ctl1CCOnOff',    0x12, 0, 1,   0,   'Ctl 1 CC# On/Off',   EV1WL_ON_OFF],
+    ['Ctl2CCOnOff',    0x13, 0, 1,   0,   'Ctl 2 CC# On/Off',   EV1WL_ON_OFF],
+];
+
+// Interfaces with their own MidiSetting block: key prefix, label and block (address byte 2)
+export const EV1WL_MIDI_INTERFACES = [
+    { prefix: 'bt',   label: 'Bluetooth', block: 0x01 },
+    { prefix: 'usb',  label: 'USB',       block: 0x02 },
+    { prefix: 'midi', label: 'MIDI',      block: 0x03 },
+];
+
+/**
+ * Parameters of one MidiSetting block, keyed btExpOffCC, usbExpOffCC, midiExpOffCC...
+ */
+function midiSettingParams(prefix, label, block) {
+    const params = {};
+    for (const [suffix, offset, min, max, init, name, valueLabels] of EV1WL_MIDI_SETTING_LAYOUT) {
+        params[prefix + suffix] = {
+            address: [0x10, 0x00, block, offset], min, max, init, name: `${label} ${name}`,
+            ...(valueLabels && { valueLabels })
+        };
+    }
+    return params;
+}
+
 // EV-1-WL pedal SysEx parameter map (from official EV-1-WL Editor address_map.js)
 // Addresses are 4-byte Roland SysEx format [byte3, byte2, byte1, byte0]
 // Base: System = [0x10, 0x00, 0x00, 0x00]
@@ -68,38 +149,18 @@ export const EV1WL_PARAMS = {
     ctl2Mode:       { address: [0x10, 0x00, 0x00, 0x07], min: 0, max: 1,  init: 0,   name: 'Ctl 2 Mode',
         valueLabels: ['Latch', 'Momentary'] },
 
-    // MidiSetting - Bluetooth (base: 0x10, 0x00, 0x01, 0x00)
-    btExpOffCC:       { address: [0x10, 0x00, 0x01, 0x00], min: 0, max: 127, init: 0,   name: 'BT Exp Off CC#' },
-    btExpOffRangeMin: { address: [0x10, 0x00, 0x01, 0x01], min: 0, max: 127, init: 0,   name: 'BT Exp Off Range Min' },
-    btExpOffRangeMax: { address: [0x10, 0x00, 0x01, 0x02], min: 0, max: 127, init: 127, name: 'BT Exp Off Range Max' },
-    btExpOnCC:        { address: [0x10, 0x00, 0x01, 0x03], min: 0, max: 127, init: 0,   name: 'BT Exp On CC#' },
-    btExpOnRangeMin:  { address: [0x10, 0x00, 0x01, 0x04], min: 0, max: 127, init: 0,   name: 'BT Exp On Range Min' },
-    btExpOnRangeMax:  { address: [0x10, 0x00, 0x01, 0x05], min: 0, max: 127, init: 127, name: 'BT Exp On Range Max' },
-    btExpSwCC:        { address: [0x10, 0x00, 0x01, 0x06], min: 0, max: 127, init: 0,   name: 'BT Exp Sw CC#' },
-    btExpSwOffValue:  { address: [0x10, 0x00, 0x01, 0x07], min: 0, max: 126, init: 0,   name: 'BT Exp Sw Off Value' },
-    btExpSwOnValue:   { address: [0x10, 0x00, 0x01, 0x08], min: 1, max: 127, init: 127, name: 'BT Exp Sw On Value' },
-    btCtl1CC:         { address: [0x10, 0x00, 0x01, 0x09], min: 0, max: 127, init: 0,   name: 'BT Ctl 1 CC#' },
-    btCtl1OffValue:   { address: [0x10, 0x00, 0x01, 0x0A], min: 0, max: 126, init: 0,   name: 'BT Ctl 1 Off Value' },
-    btCtl1OnValue:    { address: [0x10, 0x00, 0x01, 0x0B], min: 1, max: 127, init: 127, name: 'BT Ctl 1 On Value' },
-    btCtl2CC:         { address: [0x10, 0x00, 0x01, 0x0C], min: 0, max: 127, init: 0,   name: 'BT Ctl 2 CC#' },
-    btCtl2OffValue:   { address: [0x10, 0x00, 0x01, 0x0D], min: 0, max: 126, init: 0,   name: 'BT Ctl 2 Off Value' },
-    btCtl2OnValue:    { address: [0x10, 0x00, 0x01, 0x0E], min: 1, max: 127, init: 127, name: 'BT Ctl 2 On Value' },
-    btExpOffCCOnOff:  { address: [0x10, 0x00, 0x01, 0x0F], min: 0, max: 1,   init: 0,   name: 'BT Exp Off CC# On/Off',
-        valueLabels: ['Off', 'On'] },
-    btExpOnCCOnOff:   { address: [0x10, 0x00, 0x01, 0x10], min: 0, max: 1,   init: 0,   name: 'BT Exp On CC# On/Off',
-        valueLabels: ['Off', 'On'] },
-    btExpSwCCOnOff:   { address: [0x10, 0x00, 0x01, 0x11], min: 0, max: 1,   init: 0,   name: 'BT Exp Sw CC# On/Off',
-        valueLabels: ['Off', 'On'] },
-    btCtl1CCOnOff:    { address: [0x10, 0x00, 0x01, 0x12], min: 0, max: 1,   init: 0,   name: 'BT Ctl 1 CC# On/Off',
-        valueLabels: ['Off', 'On'] },
-    btCtl2CCOnOff:    { address: [0x10, 0x00, 0x01, 0x13], min: 0, max: 1,   init: 0,   name: 'BT Ctl 2 CC# On/Off',
-        valueLabels: ['Off', 'On'] },
+    // MidiSetting blocks, one per interface (see EV1WL_MIDI_INTERFACES)
+    ...midiSettingParams('bt', 'BT', 0x01),
+    ...midiSettingParams('usb', 'USB', 0x02),
+    ...midiSettingParams('midi', 'MIDI', 0x03),
 };
 
-// Block read for all pedal parameters: TotalSettings (8 bytes) + BT MidiSetting (20 bytes)
+// Block read for all pedal parameters: TotalSettings (8 bytes) + one MidiSetting (20 bytes) per interface
 export const EV1WL_BLOCK_READS = [
     { address: [0x10, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x08], name: 'TotalSettings' },
     { address: [0x10, 0x00, 0x01, 0x00], size: [0x00, 0x00, 0x00, 0x14], name: 'BT MIDI Settings' },
+    { address: [0x10, 0x00, 0x02, 0x00], size: [0x00, 0x00, 0x00, 0x14], name: 'USB MIDI Settings' },
+    { address: [0x10, 0x00, 0x03, 0x00], size: [0x00, 0x00, 0x00, 0x14], name: 'MIDI (DIN) Settings' },
 ];
 
 // Parameter categories for organization
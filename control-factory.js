@@ -3,6 +3,7 @@
  * Used by both app.js (main mixer) and live-performance.js.
  */
 import { INTERACTION } from './constants.js';
+import { formatValue } from './parameter-codec.js';
 
 // ===== ANIMATION BATCHING =====
 
@@ -36,7 +37,7 @@ export function getDisplayValue(param, value) {
     if (param.displayValue && typeof param.displayValue === 'function') {
         return param.displayValue(value);
     }
-    return `${value}/${param.max}`;
+    return formatValue(param, value) ?? `${value}/${param.max}`;
 }
 
 // ===== SLIDER CONTROL =====
@@ -0,0 +1,454 @@
+/**
+ * Boss Cube II Device Simulator
+ * In-process stand-in for the amp: exposes a fake BluetoothDevice whose GATT
+ * MIDI characteristic answers the Device Inquiry, DT1 writes and RQ1 reads
+ * from a memory map seeded with the addresses and defaults of a model profile
+ * (the Cube II's parameters.js unless options.profile says otherwise), and
+ * pushes unsolicited knob, looper and tuner notifications like the real
+ * hardware does.
+ *
+ * Usage: new BossCubeCommunication().connectToDevice(new CubeSimulator().device)
+ * or open the app with ?simulator to drive the UI without an amp.
+ */
+
+import { CUBE_II_PROFILE } from './model-profiles.js';
+import {
+    BLE_MIDI_SERVICE,
+    BLE_MIDI_CHARACTERISTIC,
+    SYSTEM_ADDRESSES
+} from './constants.js';
+import { BleMidiParser, MIDI_EVENTS } from './ble-midi-parser.js';
+import { encodeValue, decodeValue, getByteLength } from './parameter-codec.js';
+
+const SIM_DEFAULTS = {
+    name: 'CUBE-ST2 Simulator',
+    id: 'cube-simulator',  // Web Bluetooth device id; give a second simulated Cube its own
+    profile: CUBE_II_PROFILE, // DT1 header and parameter map the simulated amp answers with
+    latency: 5,            // ms between a write and the Cube's answer
+    mtu: 20,               // max bytes per BLE MIDI notification packet
+    tunerInterval: 100,    // ms between tuner pitch pushes while the tuner is on
+    maxReplyBytes: 128,    // larger RQ1 answers are split into several DT1 messages
+    strictChecksums: false, // the hardware accepts DT1 writes whose checksum also covers 09 12
+    identity: {             // Device Inquiry answer; null simulates firmware that ignores it
+        deviceId: 0x10,
+        manufacturer: 0x41,
+        family: 0x0009,
+        model: 0x0000,
+        revision: [0x00, 0x01, 0x00, 0x00]
+    }
+};
+
+const TUNER_DATA_ADDRESS = [0x7F, 0x00, 0x03, 0x00];
+
+const toKey = (address) => address.map(b => b.toString(16).padStart(2, '0')).join('');
+const sameAddress = (a, b) => a.every((byte, i) => byte === b[i]);
+
+/**
+ * Advance a 4-byte 7-bit Roland address by one
+ */
+function nextAddress(address) {
+    const addr = [...address];
+    for (let i = 3; i >= 0; i--) {
+        addr[i]++;
+        if (addr[i] <= 0x7F) break;
+        addr[i] = 0;
+    }
+    return addr;
+}
+
+class FakeMidiCharacteristic extends EventTarget {
+    constructor(simulator) {
+        super();
+        this.uuid = BLE_MIDI_CHARACTERISTIC;
+        this.simulator = simulator;
+        this.value = null;
+        this.notifying = false;
+    }
+
+    async startNotifications() {
+        this.simulator.assertConnected();
+        this.notifying = true;
+        return this;
+    }
+
+    async stopNotifications() {
+        this.notifying = false;
+        return this;
+    }
+
+    async writeValue(data) {
+        this.simulator.assertConnected();
+        this.simulator.receivePacket(Uint8Array.from(new Uint8Array(data.buffer || data)));
+    }
+
+    async writeValueWithoutResponse(data) {
+        return this.writeValue(data);
+    }
+
+    notify(packet) {
+        if (!this.notifying) return;
+        this.value = new DataView(Uint8Array.from(packet).buffer);
+        this.dispatchEvent(new Event('characteristicvaluechanged'));
+    }
+}
+
+class FakeGattServer {
+    constructor(simulator) {
+        this.simulator = simulator;
+        this.connected = false;
+    }
+
+    async connect() {
+        await this.simulator.delay();
+        if (!this.simulator.poweredOn) {
+            throw new Error('Connection failed for unknown reason.');
+        }
+        this.connected = true;
+        return this;
+    }
+
+    disconnect() {
+        if (!this.connected) return;
+        this.connected = false;
+        this.simulator.handleLinkDown();
+    }
+
+    async getPrimaryService(uuid) {
+        this.simulator.assertConnected();
+        if (uuid !== BLE_MIDI_SERVICE) {
+            throw new Error(`No Services matching UUID ${uuid} found in Device.`);
+        }
+        return {
+            uuid,
+            getCharacteristic: async (charUuid) => {
+                if (charUuid !== BLE_MIDI_CHARACTERISTIC) {
+                    throw new Error(`No Characteristics matching UUID ${charUuid} found in Service.`);
+                }
+                return this.simulator.characteristic;
+            }
+        };
+    }
+}
+
+class FakeBluetoothDevice extends EventTarget {
+    constructor(simulator, name, id) {
+        super();
+        this.id = id;
+        this.name = name;
+        this.simulator = simulator;
+        this.gatt = new FakeGattServer(simulator);
+    }
+
+    async watchAdvertisements({ signal } = {}) {
+        if (!this.simulator.poweredOn) return;
+        setTimeout(() => {
+            if (!signal?.aborted) this.dispatchEvent(new Event('advertisementreceived'));
+        }, this.simulator.options.latency);
+    }
+}
+
+export class CubeSimulator {
+    constructor(options = {}) {
+        this.options = { ...SIM_DEFAULTS, ...options };
+        this.profile = this.options.profile;
+        this.memory = new Map();
+        this.midiParser = new BleMidiParser();
+        this.poweredOn = true;
+        this.notificationsEnabled = false;
+        this.tunerEnabled = false;
+        this.tunerInput = { note: 45, cents: 0, signal: 100 }; // A2, in tune
+        this.tunerTimer = null;
+
+        // Traffic seen by the simulated amp (handy for assertions)
+        this.writes = [];
+        this.readRequests = [];
+        this.keepAliveCount = 0;
+        this.identityRequests = 0;
+        this.checksumMismatches = 0;
+        this.rejectedMessages = 0;
+
+        this.characteristic = new FakeMidiCharacteristic(this);
+        this.device = new FakeBluetoothDevice(this, this.options.name, this.options.id);
+
+        // Fault injection: return true from dropReply(address, data) to lose that DT1 answer
+        this.dropReply = null;
+        // Fault injection: return true from dropWrite(address, data) to lose that DT1 write
+        this.dropWrite = null;
+
+        // Event callbacks
+        this.onLog = null;
+
+        this.reset();
+    }
+
+    log(message, type = 'info') {
+        if (this.onLog) this.onLog(message, type);
+    }
+
+    delay() {
+        return new Promise(resolve => setTimeout(resolve, this.options.latency));
+    }
+
+    get isConnected() {
+        return this.device.gatt.connected;
+    }
+
+    assertConnected() {
+        if (!this.isConnected) {
+            throw new Error('GATT Server is disconnected. Cannot perform GATT operations.');
+        }
+    }
+
+    /**
+     * Reseed memory from parameter defaults, encoded as each parameter declares
+     */
+    reset() {
+        this.memory.clear();
+        for (const param of Object.values(this.profile.parameters)) {
+            if (!param.address || param.isVirtual || getByteLength(param) === null) continue;
+            if (this.memory.has(toKey(param.address))) continue;
+            this.writeMemory(param.address, encodeValue(param, param.current));
+        }
+    }
+
+    writeMemory(address, bytes) {
+        let addr = address;
+        for (const byte of bytes) {
+            this.memory.set(toKey(addr), byte & 0x7F);
+            addr = nextAddress(addr);
+        }
+    }
+
+    readMemory(address, size) {
+        const bytes = [];
+        let addr = address;
+        for (let i = 0; i < size; i++) {
+            bytes.push(this.memory.get(toKey(addr)) ?? 0);
+            addr = nextAddress(addr);
+        }
+        return bytes;
+    }
+
+    /**
+     * Current value of a parameter as the app would decode it
+     */
+    getValue(paramKey) {
+        const param = this.profile.parameters[paramKey];
+        if (!param?.address) return undefined;
+        return decodeValue(param, this.readMemory(param.address, getByteLength(param) ?? 1));
+    }
+
+    // ===== INCOMING (app → amp) =====
+
+    /**
+     * Parse a written BLE MIDI packet and handle each complete SysEx
+     */
+    receivePacket(packet) {
+        for (const event of this.midiParser.parse(packet)) {
+            if (event.type === MIDI_EVENTS.SYSEX) this.handleSysEx(event.data);
+        }
+    }
+
+    handleSysEx(sysex) {
+        // Universal SysEx Device Inquiry: 7E <device> 06 01
+        if (sysex[0] === 0x7E && sysex[2] === 0x06 && sysex[3] === 0x01) {
+            this.identityRequests++;
+            this.sendIdentityReply();
+            return;
+        }
+
+        const header = this.profile.header.slice(0, 7);
+        if (sysex.length < 13 || !header.every((b, i) => sysex[i] === b)) {
+            this.rejectedMessages++;
+            return;
+        }
+
+        const body = sysex.slice(8, -1);
+        const checksum = sysex[sysex.length - 1];
+        const sum = body.reduce((total, byte) => total + byte, 0);
+        if ((128 - (sum % 128)) % 128 !== checksum) {
+            this.checksumMismatches++;
+            if (this.options.strictChecksums) {
+                this.rejectedMessages++;
+                this.log('🧪 Simulator: checksum mismatch, message ignored', 'warning');
+                return;
+            }
+        }
+
+        const command = sysex[7];
+        const address = body.slice(0, 4);
+        const data = body.slice(4);
+
+        if (command === 0x12) {
+            this.handleDataSet(address, data);
+        } else if (command === 0x11 && data.length === 4) {
+            const size = (data[0] << 21) | (data[1] << 14) | (data[2] << 7) | data[3];
+            this.handleDataRequest(address, size);
+        } else {
+            this.rejectedMessages++;
+        }
+    }
+
+    handleDataSet(address, data) {
+        if (sameAddress(address, SYSTEM_ADDRESSES.KEEP_ALIVE)) {
+            this.keepAliveCount++;
+            return;
+        }
+        if (sameAddress(address, SYSTEM_ADDRESSES.ENABLE_NOTIFICATIONS)) {
+            this.notificationsEnabled = data[0] === 0x01;
+            return;
+        }
+        if (sameAddress(address, SYSTEM_ADDRESSES.TUNER_CONTROL)) {
+            this.setTuner(data[0] === 0x01);
+            return;
+        }
+
+        this.writes.push({ address: [...address], data: [...data] });
+        if (this.dropWrite && this.dropWrite(address, data)) return;
+        this.writeMemory(address, data);
+    }
+
+    handleDataRequest(address, size) {
+        this.readRequests.push({ address: [...address], size });
+
+        // Single-value reads of multi-byte parameters come back with all their bytes
+        const param = this.findParameter(address);
+        const replySize = size === 1 ? (getByteLength(param) ?? 1) : size;
+        const data = this.readMemory(address, replySize);
+
+        for (let offset = 0; offset < data.length; offset += this.options.maxReplyBytes) {
+            let chunkAddress = address;
+            for (let i = 0; i < offset; i++) chunkAddress = nextAddress(chunkAddress);
+            const chunk = data.slice(offset, offset + this.options.maxReplyBytes);
+            if (this.dropReply && this.dropReply(chunkAddress, chunk)) continue;
+            this.sendDataSet(chunkAddress, chunk);
+        }
+    }
+
+    findParameter(address) {
+        return Object.values(this.profile.parameters).find(p => p.address && sameAddress(p.address, address));
+    }
+
+    // ===== OUTGOING (amp → app) =====
+
+    /**
+     * Answer an identity request with the configured identity (universal SysEx 06 02)
+     */
+    sendIdentityReply() {
+        const identity = this.options.identity;
+        if (!identity) return;
+        this.sendSysEx([
+            0x7E, identity.deviceId, 0x06, 0x02, identity.manufacturer,
+            identity.family & 0x7F, (identity.family >> 7) & 0x7F,
+            identity.model & 0x7F, (identity.model >> 7) & 0x7F,
+            ...identity.revision
+        ]);
+    }
+
+    /**
+     * Send a DT1 message as BLE MIDI notifications, split at the MTU like the hardware
+     */
+    sendDataSet(address, data) {
+        const body = [...address, ...data];
+        const checksum = (128 - (body.reduce((total, byte) => total + byte, 0) % 128)) % 128;
+        this.sendSysEx([...this.profile.header, ...body, checksum]);
+    }
+
+    /**
+     * Notify a SysEx payload (without F0/F7), split into BLE MIDI packets of at most mtu bytes
+     */
+    sendSysEx(payload) {
+        const sysex = [0xF0, ...payload];
+
+        const timestamp = 0x80;
+        const packets = [];
+        // Two bytes stay free for the closing timestamp and F7, which may land in any packet
+        const chunkSize = this.options.mtu - 2;
+        let packet = [0x80, timestamp];
+        for (const byte of sysex) {
+            if (packet.length >= chunkSize) {
+                packets.push(packet);
+                packet = [0x80];
+            }
+            packet.push(byte);
+        }
+        packet.push(timestamp, 0xF7);
+        packets.push(packet);
+
+        setTimeout(() => {
+            if (!this.isConnected) return;
+            for (const p of packets) this.characteristic.notify(p);
+        }, this.options.latency);
+    }
+
+    /**
+     * Simulate turning a knob on the amp: memory changes and, with notifications on, the app is told
+     */
+    turnKnob(paramKey, value) {
+        const param = this.profile.parameters[paramKey];
+        if (!param?.address || param.isVirtual) {
+            throw new Error(`Unknown hardware parameter: ${paramKey}`);
+        }
+        const clamped = Math.max(param.min, Math.min(param.max, value));
+        const bytes = encodeValue(param, clamped);
+        this.writeMemory(param.address, bytes);
+        if (this.notificationsEnabled) {
+            this.sendDataSet(param.address, bytes);
+        }
+    }
+
+    /**
+     * Simulate pressing the looper footswitch (state index as in looperControl valueLabels)
+     */
+    setLooperState(state) {
+        this.turnKnob('looperControl', state);
+    }
+
+    /**
+     * Set the pitch the tuner "hears": MIDI note, cents offset and signal strength (0-127)
+     */
+    setTunerInput(note, cents = 0, signal = 100) {
+        this.tunerInput = { note, cents, signal };
+    }
+
+    setTuner(enabled) {
+        this.tunerEnabled = enabled;
+        clearInterval(this.tunerTimer);
+        this.tunerTimer = null;
+        if (enabled) {
+            this.tunerTimer = setInterval(() => this.pushTunerData(), this.options.tunerInterval);
+        }
+    }
+
+    /**
+     * Encode the tuner input into the 6-byte 7F 00 03 00 format decodeTunerData expects
+     */
+    pushTunerData() {
+        if (!this.isConnected) return;
+        const { note, cents, signal } = this.tunerInput;
+        const step = Math.max(0, Math.min(47, Math.round(cents / 3) + 19));
+        this.sendDataSet(TUNER_DATA_ADDRESS, [note & 0x7F, step >> 4, step & 0x0F, 0x00, signal & 0x7F, 0x00]);
+    }
+
+    // ===== LINK STATE =====
+
+    /**
+     * Simulate the amp being switched off or walking out of range
+     */
+    powerOff() {
+        this.poweredOn = false;
+        this.device.gatt.disconnect();
+    }
+
+    powerOn() {
+        this.poweredOn = true;
+    }
+
+    handleLinkDown() {
+        this.setTuner(false);
+        this.notificationsEnabled = false;
+        this.characteristic.notifying = false;
+        // Chrome fires gattserverdisconnected asynchronously
+        setTimeout(() => this.device.dispatchEvent(new Event('gattserverdisconnected')), 0);
+    }
+}
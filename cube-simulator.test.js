@@ -0,0 +1,432 @@
+/**
+ * Cube Simulator Tests
+ * Drives BossCubeCommunication against the in-process Boss Cube simulator
+ */
+
+import { CubeSimulator } from './cube-simulator.js';
+import { BossCubeCommunication } from './boss-cube-communication.js';
+import BossCubeController from './boss-cube-controller.js';
+import { BOSS_CUBE_PARAMETERS } from './parameters.js';
+import { SYSEX_CONFIG } from './constants.js';
+import { IDENTITY_STATUS, parseIdentityReply, classifyIdentity } from './device-identity.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Cube Simulator Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Cube Simulator Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const waitFor = async (predicate, timeoutMs = 1000) => {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for simulator');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+const addressKey = (address) => address.map(b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Connect a quiet BossCubeCommunication to a fresh simulator and record updates
+ */
+async function connectToSimulator(options = {}) {
+    const simulator = new CubeSimulator(options);
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    comm.updates = [];
+    comm.knobChanges = [];
+    comm.onParameterUpdate = (address, value, isPhysical) => comm.updates.push({ key: addressKey(address), value, isPhysical });
+    comm.onPhysicalKnobChange = (address, value) => comm.knobChanges.push({ key: addressKey(address), value });
+    await comm.connectToDevice(simulator.device);
+    return { simulator, comm };
+}
+
+test.test('Connect handshake enables notifications and answers the test read', async () => {
+    const { simulator, comm } = await connectToSimulator();
+    try {
+        test.assert(comm.isConnected, 'Communication should be connected');
+        test.assert(simulator.notificationsEnabled, 'Connect should enable notifications on the amp');
+        await waitFor(() => comm.updates.length > 0);
+        test.assertEqual(comm.updates[0].key, '20000004', 'Connection test reads master volume');
+        test.assertEqual(comm.updates[0].value, BOSS_CUBE_PARAMETERS.masterVolume.current, 'Master volume should come from parameter defaults');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('Identity reply decodes manufacturer, family, model and firmware', () => {
+    const reply = [0x7E, 0x10, 0x06, 0x02, 0x41, 0x09, 0x04, 0x02, 0x00, 0x01, 0x02, 0x00, 0x00];
+    test.assertEqual(parseIdentityReply(reply.slice(0, -1)), null, 'Reply without the full revision is rejected');
+
+    const full = parseIdentityReply(reply);
+    test.assertEqual(full.manufacturerName, 'Roland', 'Manufacturer named');
+    test.assertEqual(full.family, 0x0209, 'Family code is LSB first');
+    test.assertEqual(full.model, 0x0002, 'Model code');
+    test.assertEqual(full.firmware, '1.2.0.0', 'Firmware revision');
+    test.assertEqual(classifyIdentity(full), IDENTITY_STATUS.MATCH, 'Cube II family');
+    test.assertEqual(classifyIdentity({ ...full, family: 0x0333 }), IDENTITY_STATUS.MISMATCH, 'Other BOSS family');
+    test.assertEqual(classifyIdentity(null), IDENTITY_STATUS.UNKNOWN, 'No reply');
+});
+
+test.test('Connect identifies the amp before the first write', async () => {
+    const { simulator, comm } = await connectToSimulator();
+    try {
+        test.assertEqual(simulator.identityRequests, 1, 'One Device Inquiry sent');
+        test.assertEqual(comm.identityStatus, IDENTITY_STATUS.MATCH, 'Simulator identifies as a Cube II');
+        test.assertEqual(comm.identity.firmware, '0.1.0.0', 'Firmware revision kept');
+        test.assertEqual(comm.protocolErrors.total, 0, 'Identity reply is not a rejected DT1');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('A device that is not a Cube II is not written to unless confirmed', async () => {
+    const simulator = new CubeSimulator({ identity: { deviceId: 0x10, manufacturer: 0x41, family: 0x0333, model: 0, revision: [1, 0, 0, 0] } });
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    let asked = null;
+    comm.onIdentityMismatch = async (identity) => {
+        asked = identity;
+        return false;
+    };
+
+    let error = null;
+    try {
+        await comm.connectToDevice(simulator.device);
+    } catch (e) {
+        error = e;
+    }
+    test.assert(error, 'Declined connect rejects');
+    test.assertEqual(asked.family, 0x0333, 'User asked with the reported identity');
+    test.assert(!comm.isConnected, 'Disconnected again');
+    test.assert(!simulator.notificationsEnabled, 'Notifications never enabled');
+    test.assertEqual(simulator.writes.length, 0, 'Nothing written');
+});
+
+test.test('Firmware that ignores the Device Inquiry still connects', async () => {
+    const { simulator, comm } = await connectToSimulator({ identity: null });
+    try {
+        test.assertEqual(simulator.identityRequests, 1, 'Inquiry sent');
+        test.assertEqual(comm.identityStatus, IDENTITY_STATUS.UNKNOWN, 'Identity unknown');
+        test.assert(simulator.notificationsEnabled, 'Connect carried on');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('DT1 write updates simulator memory', async () => {
+    const { simulator, comm } = await connectToSimulator();
+    try {
+        await comm.sendParameterCommand(BOSS_CUBE_PARAMETERS.guitarMicVolume.address, 77);
+        test.assertEqual(simulator.getValue('guitarMicVolume'), 77, 'Written value should be stored');
+        test.assertEqual(simulator.writes.length, 1, 'Write should be recorded');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('RQ1 of a 16-bit parameter returns the full value', async () => {
+    const { simulator, comm } = await connectToSimulator();
+    try {
+        simulator.writeMemory(BOSS_CUBE_PARAMETERS.guitarDelayTime.address, [0x05, 0x0A]);
+        comm.updates = [];
+        await comm.sendParameterReadRequest(BOSS_CUBE_PARAMETERS.guitarDelayTime.address);
+        await waitFor(() => comm.updates.length > 0);
+        test.assertEqual(comm.updates[0].value, (0x05 << 7) | 0x0A, 'Delay time should decode as a 14-bit value');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('Block read is split across BLE packets and reassembled', async () => {
+    const { simulator, comm } = await connectToSimulator({ mtu: 12 });
+    const packetSizes = [];
+    const notify = simulator.characteristic.notify.bind(simulator.characteristic);
+    simulator.characteristic.notify = (packet) => {
+        packetSizes.push(packet.length);
+        notify(packet);
+    };
+    try {
+        simulator.turnKnob('micInstVolume', 11);
+        simulator.turnKnob('auxBluetoothVolume', 33);
+        await waitFor(() => comm.updates.length >= 3);
+        comm.updates = [];
+
+        await comm.sendBlockReadRequest([0x20, 0x00, 0x00, 0x00], [0x00, 0x00, 0x00, 0x05]);
+        await waitFor(() => comm.updates.length >= 5);
+
+        const byKey = Object.fromEntries(comm.updates.map(u => [u.key, u.value]));
+        test.assertEqual(byKey['20000000'], 11, 'Mic/Inst volume from block');
+        test.assertEqual(byKey['20000002'], 33, 'Aux volume from block');
+        test.assertEqual(byKey['20000004'], BOSS_CUBE_PARAMETERS.masterVolume.current, 'Master volume from block');
+        test.assert(packetSizes.length > 1 && Math.max(...packetSizes) <= 12, `No packet over the MTU (${packetSizes.join(',')})`);
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('Knob turn on the amp arrives as a physical knob change', async () => {
+    const { simulator, comm } = await connectToSimulator();
+    try {
+        await waitFor(() => comm.updates.length > 0);
+        comm.lastReadRequestTime = 0; // no read in flight
+        simulator.turnKnob('masterVolume', 42);
+        await waitFor(() => comm.knobChanges.length > 0);
+        test.assertEqual(comm.knobChanges[0].key, '20000004', 'Knob change address');
+        test.assertEqual(comm.knobChanges[0].value, 42, 'Knob change value');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('Looper footswitch pushes looper state', async () => {
+    const { simulator, comm } = await connectToSimulator();
+    try {
+        simulator.setLooperState(2);
+        await waitFor(() => comm.updates.some(u => u.key === '20001001'));
+        test.assertEqual(comm.updates.find(u => u.key === '20001001').value, 2, 'Looper should report Recording');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('Tuner streams pitch data while enabled', async () => {
+    const { simulator, comm } = await connectToSimulator({ tunerInterval: 10 });
+    try {
+        simulator.setTunerInput(64, 6, 100); // E4, 6 cents sharp
+        await comm.sendSpecialCommand([0x7F, 0x00, 0x00, 0x02], [0x01]);
+        await waitFor(() => comm.updates.some(u => u.key === '7f000300'));
+
+        const tuner = comm.updates.find(u => u.key === '7f000300').value;
+        test.assertEqual(tuner.note, 'E', 'Tuner note');
+        test.assertEqual(tuner.octave, 4, 'Tuner octave');
+        test.assertEqual(tuner.centsDeviation, 6, 'Tuner cents');
+
+        await comm.sendSpecialCommand([0x7F, 0x00, 0x00, 0x02], [0x00]);
+        test.assert(!simulator.tunerEnabled, 'Tuner should stop streaming when disabled');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('Powering the amp off disconnects the app', async () => {
+    const { simulator, comm } = await connectToSimulator();
+    simulator.powerOff();
+    await waitFor(() => !comm.isConnected);
+    test.assertEqual(comm.transport, null, 'Transport should be cleaned up');
+
+    let failed = false;
+    try {
+        await comm.connectToDevice(simulator.device);
+    } catch {
+        failed = true;
+    }
+    test.assert(failed, 'Reconnect should fail while the amp is off');
+    await comm.disconnect();
+});
+
+test.test('Controller setParameter reaches the simulated amp', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator();
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+
+    await controller.connectToBossCube();
+    try {
+        test.assert(controller.isCubeConnected, 'Controller should be connected to the simulator');
+        await controller.setParameter('masterVolume', 64);
+        test.assertEqual(simulator.getValue('masterVolume'), 64, 'Master volume should be written to the amp');
+    } finally {
+        await controller.bossCubeComm.disconnect();
+    }
+});
+
+test.test('Controller readParameter resolves with the value stored on the amp', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator();
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+
+    await controller.connectToBossCube();
+    try {
+        simulator.writeMemory(BOSS_CUBE_PARAMETERS.guitarDelayTime.address, [0x03, 0x74]);
+        test.assertEqual(await controller.readParameter('guitarDelayTime'), 500, 'Delay time read back from the amp');
+
+        const mixer = await controller.readAllMixerValues();
+        test.assertEqual(mixer.masterVolume, BOSS_CUBE_PARAMETERS.masterVolume.current, 'Mixer read returns real values');
+        test.assert(!('looperVolume' in mixer), 'Virtual looper volume is not read from hardware');
+    } finally {
+        await controller.bossCubeComm.disconnect();
+    }
+});
+
+test.test('readBlock finishes early and re-requests only the lost sub-range', async () => {
+    const { simulator, comm } = await connectToSimulator({ maxReplyBytes: 2 });
+    try {
+        let dropped = 0;
+        simulator.dropReply = (address) => {
+            if (addressKey(address) === '20000002' && dropped === 0) {
+                dropped++;
+                return true;
+            }
+            return false;
+        };
+        simulator.readRequests = [];
+
+        const { values, missing } = await comm.readBlock([0x20, 0x00, 0x00, 0x00], 5, { timeout: 100 });
+        test.assertEqual(missing.length, 0, 'Every address should arrive after the retry');
+        test.assertEqual(values.size, 5, 'All five mixer values');
+        test.assertEqual(simulator.readRequests.length, 2, 'One full request plus one retry');
+        test.assertEqual(addressKey(simulator.readRequests[1].address), '20000002', 'Retry starts at the lost chunk');
+        test.assertEqual(simulator.readRequests[1].size, 2, 'Retry covers only the lost chunk');
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+test.test('readAllValues reports parameters that never answered', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator({ maxReplyBytes: 1 });
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+
+    await controller.connectToBossCube();
+    try {
+        simulator.dropReply = (address) => addressKey(address) === '20000001';
+        const report = await controller.readAllValues();
+        test.assert(!report.complete, 'Sync should be flagged incomplete');
+        test.assertEqual(report.missingParameters.join(','), 'guitarMicVolume', 'Only the lost parameter is reported');
+        const mixer = report.blocks.find(b => b.label === 'Mixer');
+        test.assertEqual(mixer.received, 4, 'Mixer block received the other four values');
+    } finally {
+        await controller.bossCubeComm.disconnect();
+    }
+});
+
+test.test('Verified write re-sends a write the amp lost', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator();
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+
+    await controller.connectToBossCube();
+    try {
+        let dropped = 0;
+        simulator.dropWrite = () => dropped++ === 0;
+        const confirmed = await controller.setParameter('guitarMicVolume', 91, { verify: true });
+        test.assert(confirmed, 'Second attempt should be confirmed');
+        test.assertEqual(simulator.writes.length, 2, 'Lost write is sent again');
+        test.assertEqual(simulator.getValue('guitarMicVolume'), 91, 'Amp ends up with the value');
+        test.assertEqual(controller.getOutOfSyncParameters().length, 0, 'Nothing flagged out of sync');
+    } finally {
+        await controller.bossCubeComm.disconnect();
+    }
+});
+
+test.test('Verified write flags the parameter when the amp never agrees', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator();
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+    controller.setVerifiedWrites(true);
+    const syncChanges = [];
+    controller.onParameterSyncChange = (paramKey, inSync) => syncChanges.push({ paramKey, inSync });
+
+    await controller.connectToBossCube();
+    try {
+        simulator.dropWrite = () => true;
+        const confirmed = await controller.setParameter('masterVolume', 12);
+        test.assert(!confirmed, 'Write should not be confirmed');
+        test.assertEqual(simulator.writes.length, 1 + SYSEX_CONFIG.WRITE_VERIFY_RETRIES, 'Write retried up to the limit');
+        test.assertEqual(controller.getOutOfSyncParameters().join(','), 'masterVolume', 'Master volume flagged');
+
+        simulator.dropWrite = null;
+        test.assert(await controller.setParameter('masterVolume', 12), 'Next write is confirmed');
+        test.assertEqual(JSON.stringify(syncChanges.map(c => c.inSync)), '[false,true]', 'UI told about flag and recovery');
+    } finally {
+        await controller.bossCubeComm.disconnect();
+    }
+});
+
+test.test('setParameters packs contiguous addresses into multi-byte DT1 messages', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator({ strictChecksums: true });
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+
+    await controller.connectToBossCube();
+    try {
+        simulator.writes = [];
+        simulator.rejectedMessages = 0;
+        const messages = await controller.setParameters({
+            guitarDelayType: 2,
+            guitarDelayTime: 500,
+            guitarDelayFeedback: 40,
+            guitarDelayHighCut: 7,
+            guitarDelayLevel: 80,
+            masterVolume: 55
+        });
+
+        test.assertEqual(messages, 2, 'Delay block in one message, master volume in another');
+        test.assertEqual(simulator.writes.length, 2, 'Amp received two DT1 messages');
+        test.assertEqual(simulator.writes[0].data.length, 6, 'Delay message carries six bytes (16-bit time included)');
+        test.assertEqual(simulator.rejectedMessages, 0, 'Checksums accepted by a strict amp');
+        test.assertEqual(await controller.readParameter('guitarDelayTime'), 500, 'Delay time landed as 16 bits');
+        test.assertEqual(simulator.getValue('guitarDelayLevel'), 80, 'Delay level landed');
+        test.assertEqual(simulator.getValue('masterVolume'), 55, 'Master volume landed');
+    } finally {
+        await controller.bossCubeComm.disconnect();
+    }
+});
+
+if (typeof window !== 'undefined') {
+    window.runCubeSimulatorTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Cube simulator tests loaded. Run window.runCubeSimulatorTests() to execute.');
+}
@@ -0,0 +1,89 @@
+/**
+ * Universal SysEx Identity (Device Inquiry)
+ * F0 7E <device> 06 01 F7 asks a MIDI device what it is; the reply
+ * F0 7E <device> 06 02 <manufacturer> <family LSB MSB> <model LSB MSB> <revision ×4> F7
+ * carries manufacturer, family, model and firmware revision. Payloads here are
+ * without F0/F7, like everything the BLE MIDI parser hands over.
+ */
+import { BOSS_CUBE_HEADER } from './constants.js';
+
+const UNIVERSAL_NON_REALTIME = 0x7E;
+const ALL_CALL = 0x7F;
+const GENERAL_INFORMATION = 0x06;
+const IDENTITY_REQUEST = 0x01;
+const IDENTITY_REPLY = 0x02;
+const REPLY_LENGTH = 13; // 7E dev 06 02 + manufacturer + family (2) + model (2) + revision (4)
+
+export const IDENTITY_REQUEST_MESSAGE = [UNIVERSAL_NON_REALTIME, ALL_CALL, GENERAL_INFORMATION, IDENTITY_REQUEST];
+
+// BOSS reports the last byte of the DT1 model ID as the low byte of the family code
+export const CUBE_II_IDENTITY = {
+    manufacturer: BOSS_CUBE_HEADER[0],
+    familyLsb: BOSS_CUBE_HEADER[6]
+};
+
+export const IDENTITY_STATUS = {
+    MATCH: 'match',       // answered as a known model
+    MISMATCH: 'mismatch', // answered as something no model profile knows
+    UNKNOWN: 'unknown'    // no answer (firmware without Device Inquiry, or lost reply)
+};
+
+const MANUFACTURER_NAMES = { 0x41: 'Roland' };
+
+/**
+ * Identity replies are Universal SysEx, not Roland DT1 — check before DT1 validation
+ */
+export function isIdentityReply(sysexData) {
+    return sysexData.length >= 4
+        && sysexData[0] === UNIVERSAL_NON_REALTIME
+        && sysexData[2] === GENERAL_INFORMATION
+        && sysexData[3] === IDENTITY_REPLY;
+}
+
+/**
+ * Decode an identity reply payload.
+ * @returns {Object|null} { deviceId, manufacturer, manufacturerName, family, model, revision, firmware, raw }
+ */
+export function parseIdentityReply(sysexData) {
+    if (!isIdentityReply(sysexData) || sysexData.length < REPLY_LENGTH) {
+        return null;
+    }
+    const revision = sysexData.slice(9, 13);
+    return {
+        deviceId: sysexData[1],
+        manufacturer: sysexData[4],
+        manufacturerName: MANUFACTURER_NAMES[sysexData[4]] || `0x${sysexData[4].toString(16).padStart(2, '0')}`,
+        family: sysexData[5] | (sysexData[6] << 7),
+        model: sysexData[7] | (sysexData[8] << 7),
+        revision,
+        firmware: revision.join('.'),
+        raw: Array.from(sysexData, b => b.toString(16).padStart(2, '0')).join(' ')
+    };
+}
+
+/**
+ * Compare a decoded identity (or null for no answer) with a model's expected
+ * { manufacturer, familyLsb }, the Cube II by default
+ */
+export function classifyIdentity(identity, expected = CUBE_II_IDENTITY) {
+    if (!identity) return IDENTITY_STATUS.UNKNOWN;
+    const familyLsb = identity.family & 0x7F;
+    return identity.manufacturer === expected.manufacturer && familyLsb === expected.familyLsb
+        ? IDENTITY_STATUS.MATCH
+        : IDENTITY_STATUS.MISMATCH;
+}
+
+/**
+ * Family and model codes as 0x0009
+ */
+export function formatIdentityCode(code) {
+    return `0x${code.toString(16).padStart(4, '0')}`;
+}
+
+/**
+ * One-line description for logs and prompts
+ */
+export function describeIdentity(identity) {
+    if (!identity) return 'No identity reply';
+    return `${identity.manufacturerName} family ${formatIdentityCode(identity.family)} model ${formatIdentityCode(identity.model)}, firmware ${identity.firmware}`;
+}
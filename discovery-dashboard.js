@@ -473,56 +473,31 @@ export class DiscoveryDashboard {
             return;
         }
 
-        const prevHandler = this.controller.onRawSysEx;
-        const results = new Map();
-        this.controller.onRawSysEx = (addressBytes, value, paramDef) => {
-            if (typeof value === 'object') return;
-            const key = addressBytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
-            results.set(key, value);
-            if (prevHandler) prevHandler(addressBytes, value, paramDef);
-        };
-
-        for (const param of DiscoveryDashboard.TWEAK_PARAMS) {
-            try {
-                await this.controller.bossCubeComm.sendParameterReadRequest(param.addr);
-            } catch (_) { /* skip */ }
-            await new Promise(r => setTimeout(r, 250));
-        }
-
-        this.controller.onRawSysEx = prevHandler;
-
+        let readCount = 0;
         for (const param of DiscoveryDashboard.TWEAK_PARAMS) {
             const addrStr = param.addr.map(b => b.toString(16).padStart(2, '0')).join(' ');
-            const val = results.get(addrStr);
-            if (val !== undefined) {
+            try {
+                const val = await this.controller.bossCubeComm.readParameterValue(param.addr, { retries: 1 });
+                if (typeof val === 'object') continue;
+                readCount++;
                 param.value = val;
                 const row = document.querySelector(`.discovery-tweak-row[data-addr="${addrStr}"]`);
                 if (row) this._tweakUpdateRow(row, val);
-            }
+            } catch (_) { /* skip */ }
         }
-        this.controller.log(`🔧 Tweak: read ${results.size}/${DiscoveryDashboard.TWEAK_PARAMS.length} values`, 'info');
+        this.controller.log(`🔧 Tweak: read ${readCount}/${DiscoveryDashboard.TWEAK_PARAMS.length} values`, 'info');
     }
 
     async _tweakRead(param, row) {
         if (!this.controller.isCubeConnected) return;
 
-        const prevHandler = this.controller.onRawSysEx;
-        let result = null;
-        const addrStr = param.addr.map(b => b.toString(16).padStart(2, '0')).join(' ');
-        this.controller.onRawSysEx = (addressBytes, value, paramDef) => {
-            if (typeof value === 'object') return;
-            const key = addressBytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
-            if (key === addrStr) result = value;
-            if (prevHandler) prevHandler(addressBytes, value, paramDef);
-        };
-
-        await this.controller.bossCubeComm.sendParameterReadRequest(param.addr);
-        await new Promise(r => setTimeout(r, 300));
-        this.controller.onRawSysEx = prevHandler;
-
-        if (result !== null) {
+        try {
+            const result = await this.controller.bossCubeComm.readParameterValue(param.addr);
+            if (typeof result === 'object') return;
             param.value = result;
             this._tweakUpdateRow(row, result);
+        } catch (error) {
+            this.controller.log(`🔧 Tweak: ${error.message}`, 'warning');
         }
     }
 
@@ -0,0 +1,144 @@
+/**
+ * Expression Curve Editor — edits how the expression pedal maps onto one
+ * parameter: output range, inversion and taper, with a live preview of the
+ * curve. Renders as a modal like the discovery dashboard.
+ */
+import { CURVE_TYPES, CURVE_LABELS, CUSTOM_POINT_POSITIONS, createDefaultCurve, mapPedalValue } from './expression-curves.js';
+
+const PREVIEW_SIZE = 200;
+
+export class ExpressionCurveEditor {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this.param = null;
+        this.curve = null;
+    }
+
+    /**
+     * Edit the curve of a parameter.
+     * @param {Object} param - parameter definition (name, min, max)
+     * @param {Object|null} curve - the saved curve, or null for a new one
+     * @returns {Promise<Object|null>} the edited curve, or null when cancelled
+     */
+    edit(param, curve) {
+        if (!this.modal) this._build();
+        this.param = param;
+        this.curve = curve ? { ...curve, points: [...curve.points] } : createDefaultCurve(param);
+        this._load();
+        this.modal.style.display = 'flex';
+        return new Promise(resolve => { this.resolve = resolve; });
+    }
+
+    _build() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'discovery-modal-overlay';
+        const typeOptions = Object.values(CURVE_TYPES)
+            .map(type => `<option value="${type}">${CURVE_LABELS[type]}</option>`)
+            .join('');
+        const pointInputs = CUSTOM_POINT_POSITIONS
+            .map((position, i) => `
+                <div class="setting-row">
+                    <label>Pedal ${Math.round(position * 100)}%:</label>
+                    <input type="range" class="curve-point-input" data-index="${i}" min="0" max="100">
+                </div>`)
+            .join('');
+        this.modal.innerHTML = `
+            <div class="discovery-modal">
+                <div class="discovery-header">
+                    <h2 id="curveEditorTitle">Expression curve</h2>
+                </div>
+                <div class="discovery-panel">
+                    <div class="diag-hint">Heel is on the left, toe on the right. The curve is used whenever the pedal drives this parameter, including in Live Performance.</div>
+                    <svg id="curvePreview" class="curve-preview" viewBox="0 0 ${PREVIEW_SIZE} ${PREVIEW_SIZE}">
+                        <polyline id="curvePreviewLine" fill="none" stroke="currentColor" stroke-width="2"></polyline>
+                    </svg>
+                    <div class="setting-row">
+                        <label>Curve:</label>
+                        <select id="curveTypeSelect">${typeOptions}</select>
+                    </div>
+                    <div class="setting-row">
+                        <label>Range:</label>
+                        <input type="number" id="curveMinInput" class="cc-override-input">
+                        <span>to</span>
+                        <input type="number" id="curveMaxInput" class="cc-override-input">
+                    </div>
+                    <div class="setting-row">
+                        <label><input type="checkbox" id="curveInvertInput"> Invert (toe down = minimum)</label>
+                    </div>
+                    <div id="curvePointInputs">${pointInputs}</div>
+                    <div class="reconcile-footer">
+                        <button id="curveCancelBtn" class="btn-small">Cancel</button>
+                        <button id="curveSaveBtn" class="btn-small">Save</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        document.getElementById('curveTypeSelect').addEventListener('change', (e) => {
+            this.curve.type = e.target.value;
+            this._render();
+        });
+        document.getElementById('curveMinInput').addEventListener('input', (e) => this._setRange('min', e.target.value));
+        document.getElementById('curveMaxInput').addEventListener('input', (e) => this._setRange('max', e.target.value));
+        document.getElementById('curveInvertInput').addEventListener('change', (e) => {
+            this.curve.invert = e.target.checked;
+            this._render();
+        });
+        this.modal.querySelectorAll('.curve-point-input').forEach(input => {
+            input.addEventListener('input', () => {
+                this.curve.points[Number(input.dataset.index)] = Number(input.value) / 100;
+                this._render();
+            });
+        });
+        document.getElementById('curveCancelBtn').addEventListener('click', () => this._finish(null));
+        document.getElementById('curveSaveBtn').addEventListener('click', () => this._finish(this.curve));
+    }
+
+    _load() {
+        const { param, curve } = this;
+        document.getElementById('curveEditorTitle').textContent = `Expression curve: ${param.name}`;
+        document.getElementById('curveTypeSelect').value = curve.type;
+        for (const [id, value] of [['curveMinInput', curve.min], ['curveMaxInput', curve.max]]) {
+            const input = document.getElementById(id);
+            input.min = param.min;
+            input.max = param.max;
+            input.value = value;
+        }
+        document.getElementById('curveInvertInput').checked = curve.invert;
+        this.modal.querySelectorAll('.curve-point-input').forEach(input => {
+            input.value = Math.round(curve.points[Number(input.dataset.index)] * 100);
+        });
+        this._render();
+    }
+
+    _setRange(end, value) {
+        const number = parseInt(value);
+        if (!Number.isFinite(number)) return;
+        this.curve[end] = Math.max(this.param.min, Math.min(this.param.max, number));
+        this._render();
+    }
+
+    _render() {
+        const { param, curve } = this;
+        document.getElementById('curvePointInputs').style.display = curve.type === CURVE_TYPES.CUSTOM ? '' : 'none';
+
+        const span = param.max - param.min || 1;
+        const points = [];
+        for (let pedal = 0; pedal <= 127; pedal++) {
+            const value = mapPedalValue(pedal, param, curve);
+            const x = (pedal / 127) * PREVIEW_SIZE;
+            const y = PREVIEW_SIZE - ((value - param.min) / span) * PREVIEW_SIZE;
+            points.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+        }
+        document.getElementById('curvePreviewLine').setAttribute('points', points.join(' '));
+    }
+
+    _finish(curve) {
+        this.modal.style.display = 'none';
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(curve);
+    }
+}
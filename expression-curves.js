@@ -0,0 +1,107 @@
+/**
+ * Expression Curves
+ * Per-target mapping of the expression pedal (0-127) onto a parameter: an
+ * output range inside the parameter's min/max, inversion, and a taper. A
+ * volume swell wants a different taper than a wah sweep or a reverb mix.
+ * Targets without a curve keep the plain linear mapping.
+ */
+
+export const CURVE_TYPES = {
+    LINEAR: 'linear',
+    LOG: 'log',         // fast rise, fine control at the heel
+    EXP: 'exp',         // slow start, most change near the toe
+    S_CURVE: 'sCurve',  // fine control at both ends
+    CUSTOM: 'custom'    // straight lines through CUSTOM_POINT_POSITIONS
+};
+
+export const CURVE_LABELS = {
+    linear: 'Linear',
+    log: 'Logarithmic',
+    exp: 'Exponential',
+    sCurve: 'S-curve',
+    custom: 'Custom points'
+};
+
+// Pedal positions (0-1) of the custom curve points; the curve stores an output (0-1) for each
+export const CUSTOM_POINT_POSITIONS = [0, 0.25, 0.5, 0.75, 1];
+
+export function createDefaultCurve(param) {
+    return {
+        type: CURVE_TYPES.LINEAR,
+        min: param.min,
+        max: param.max,
+        invert: false,
+        points: [...CUSTOM_POINT_POSITIONS]
+    };
+}
+
+/**
+ * Taper of a curve type
+ * @param {number} x - pedal position 0-1
+ * @returns {number} output 0-1
+ */
+export function shapeCurve(type, x, points = CUSTOM_POINT_POSITIONS) {
+    switch (type) {
+        case CURVE_TYPES.LOG:
+            return Math.log10(1 + 9 * x);
+        case CURVE_TYPES.EXP:
+            return (Math.pow(10, x) - 1) / 9;
+        case CURVE_TYPES.S_CURVE:
+            return x * x * (3 - 2 * x);
+        case CURVE_TYPES.CUSTOM: {
+            const segment = Math.min(CUSTOM_POINT_POSITIONS.length - 2, Math.floor(x * (CUSTOM_POINT_POSITIONS.length - 1)));
+            const x0 = CUSTOM_POINT_POSITIONS[segment];
+            const x1 = CUSTOM_POINT_POSITIONS[segment + 1];
+            const y0 = points[segment] ?? x0;
+            const y1 = points[segment + 1] ?? x1;
+            return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+        }
+        default:
+            return x;
+    }
+}
+
+/**
+ * Map a pedal value onto a parameter
+ * @param {number} pedalValue - 0-127
+ * @param {Object} param - parameter definition (min/max)
+ * @param {Object|null} curve - from createDefaultCurve(); null for linear over the full range
+ * @returns {number} parameter value
+ */
+export function mapPedalValue(pedalValue, param, curve = null) {
+    let x = Math.max(0, Math.min(127, pedalValue)) / 127;
+    if (!curve) {
+        return Math.round(param.min + x * (param.max - param.min));
+    }
+    if (curve.invert) x = 1 - x;
+    const y = Math.max(0, Math.min(1, shapeCurve(curve.type, x, curve.points)));
+    const low = Math.max(param.min, Math.min(param.max, curve.min ?? param.min));
+    const high = Math.max(param.min, Math.min(param.max, curve.max ?? param.max));
+    return Math.round(low + y * (high - low));
+}
+
+/**
+ * Drop malformed saved curves and clamp ranges to the parameter
+ * @param {Object} curves - paramKey → curve
+ * @param {Object} parameters - parameter definitions
+ */
+export function sanitizeCurves(curves, parameters) {
+    const result = {};
+    for (const [key, curve] of Object.entries(curves || {})) {
+        const param = parameters[key];
+        if (!param || !curve || !Object.values(CURVE_TYPES).includes(curve.type)) continue;
+        const points = CUSTOM_POINT_POSITIONS.map((position, i) => {
+            const point = Number(curve.points?.[i]);
+            return Number.isFinite(point) ? Math.max(0, Math.min(1, point)) : position;
+        });
+        const clamp = (value, fallback) => Number.isFinite(value) ? Math.max(param.min, Math.min(param.max, value)) : fallback;
+        result[key] = {
+            type: curve.type,
+            min: clamp(curve.min, param.min),
+            max: clamp(curve.max, param.max),
+            invert: Boolean(curve.invert),
+            points
+        };
+    }
+    return result;
+}
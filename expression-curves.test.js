@@ -0,0 +1,139 @@
+/**
+ * Expression Curve Tests
+ * Tapers, ranges and inversion of the pedal mapping, saved-curve cleanup, and
+ * the controller applying a curve per target parameter
+ */
+
+import {
+    CURVE_TYPES,
+    shapeCurve,
+    mapPedalValue,
+    createDefaultCurve,
+    sanitizeCurves
+} from './expression-curves.js';
+import BossCubeController from './boss-cube-controller.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Expression Curve Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Expression Curve Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const PARAM = { name: 'Test', min: 0, max: 100 };
+
+test.test('Every taper runs from heel to toe', () => {
+    for (const type of Object.values(CURVE_TYPES)) {
+        test.assertEqual(Math.round(shapeCurve(type, 0) * 1000), 0, `${type} starts at 0`);
+        test.assertEqual(Math.round(shapeCurve(type, 1) * 1000), 1000, `${type} ends at 1`);
+    }
+    test.assert(shapeCurve(CURVE_TYPES.LOG, 0.25) > 0.25, 'Log rises fast');
+    test.assert(shapeCurve(CURVE_TYPES.EXP, 0.25) < 0.25, 'Exponential starts slow');
+    test.assert(shapeCurve(CURVE_TYPES.S_CURVE, 0.1) < 0.1 && shapeCurve(CURVE_TYPES.S_CURVE, 0.9) > 0.9, 'S-curve flat at both ends');
+    test.assertEqual(shapeCurve(CURVE_TYPES.S_CURVE, 0.5), 0.5, 'S-curve symmetric');
+    test.assertEqual(Math.round(shapeCurve(CURVE_TYPES.CUSTOM, 0.375, [0, 0.8, 0.4, 0.9, 1]) * 100), 60, 'Custom points joined by straight lines');
+});
+
+test.test('Range and inversion', () => {
+    test.assertEqual(mapPedalValue(127, PARAM), 100, 'No curve: full range');
+    test.assertEqual(mapPedalValue(0, { min: 10, max: 20 }), 10, 'No curve starts at the parameter minimum');
+
+    const curve = { ...createDefaultCurve(PARAM), min: 20, max: 60 };
+    test.assertEqual(mapPedalValue(0, PARAM, curve), 20, 'Heel at the range minimum');
+    test.assertEqual(mapPedalValue(127, PARAM, curve), 60, 'Toe at the range maximum');
+
+    const inverted = { ...curve, invert: true };
+    test.assertEqual(mapPedalValue(0, PARAM, inverted), 60, 'Inverted heel at the maximum');
+    test.assertEqual(mapPedalValue(127, PARAM, inverted), 20, 'Inverted toe at the minimum');
+
+    const reversed = { ...createDefaultCurve(PARAM), min: 80, max: 10 };
+    test.assertEqual(mapPedalValue(127, PARAM, reversed), 10, 'Max below min sweeps downwards');
+});
+
+test.test('Saved curves are cleaned up', () => {
+    const curves = sanitizeCurves({
+        masterVolume: { type: 'sCurve', min: -50, max: 500, invert: 1, points: [0, 'x', 2] },
+        unknownParam: { type: 'linear' },
+        guitarDelayLevel: { type: 'spline' }
+    }, { masterVolume: PARAM, guitarDelayLevel: PARAM });
+    test.assertEqual(Object.keys(curves).join(','), 'masterVolume', 'Unknown parameter and curve type dropped');
+    const curve = curves.masterVolume;
+    test.assertEqual(`${curve.min}-${curve.max}`, '0-100', 'Range clamped to the parameter');
+    test.assertEqual(curve.invert, true, 'Invert as a boolean');
+    test.assertEqual(curve.points.join(','), '0,0.25,1,0.75,1', 'Bad points reset, out-of-range clamped');
+});
+
+test.test('Controller maps the selected parameter and each hardware target', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    controller.isCubeConnected = true;
+    const writes = [];
+    controller.writeParameter = async (key, value) => { writes.push(`${key}=${value}`); return true; };
+    const events = [];
+    controller.onPedalEvent(event => events.push(event));
+
+    controller.setExpressionCurves({
+        masterVolume: { type: 'linear', min: 0, max: 50, invert: false, points: [] },
+        guitarChorusHighRate: { type: 'linear', min: 0, max: 100, invert: true, points: [] }
+    });
+
+    controller.setCurrentParameter('masterVolume');
+    controller.handlePedalVolumeChange(127);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    test.assertEqual(events.find(e => e.type === 'volume').value, 50, 'Event value, as Live Performance shows it, follows the curve');
+    test.assertEqual(writes.join(' '), 'masterVolume=50', 'Curve applied before the write');
+    test.assertEqual(controller.getGlobalPedalPosition(controller.parameters.masterVolume, 'masterVolume'), 50, 'Pickup compares in curve terms');
+
+    writes.length = 0;
+    controller.currentGuitarEffect = 'chorus';
+    controller.setCurrentParameter('guitarEffectRate');
+    controller.handlePedalVolumeChange(127);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    test.assertEqual(writes.join(' '), 'guitarChorusLowRate=100 guitarChorusHighRate=0', 'Target with its own curve follows it');
+    test.assertEqual(controller.pedalValueForTarget('guitarChorusLowRate', 70, 127), 70, 'Target without a curve takes the selected value');
+});
+
+if (typeof window !== 'undefined') {
+    window.runExpressionCurvesTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Expression curve tests loaded. Run window.runExpressionCurvesTests() to execute.');
+}
@@ -0,0 +1,141 @@
+/**
+ * Footswitch Gestures
+ * Turns press/release pairs from the pedal switches into tap, double-tap,
+ * long-press and hold-repeat. Only gestures bound on a switch are waited for:
+ * a switch with just a tap action fires on press, with no added latency.
+ * Needs the switches in Momentary mode; in Latch mode the pedal sends no release.
+ */
+
+export const GESTURES = {
+    TAP: 'tap',
+    DOUBLE_TAP: 'doubleTap',
+    LONG_PRESS: 'longPress',
+    HOLD_REPEAT: 'holdRepeat'
+};
+
+export const GESTURE_LABELS = {
+    tap: 'Tap',
+    doubleTap: 'Double-tap',
+    longPress: 'Long-press',
+    holdRepeat: 'Hold-repeat'
+};
+
+export const DEFAULT_GESTURE_TIMINGS = {
+    doubleTapWindow: 300, // ms after a release to wait for the second tap
+    longPress: 600,       // ms held before long-press (or the first hold-repeat)
+    repeatInterval: 150   // ms between hold-repeats
+};
+
+export class GestureRecognizer {
+    constructor(timings = DEFAULT_GESTURE_TIMINGS) {
+        this.timings = { ...DEFAULT_GESTURE_TIMINGS, ...timings };
+        this.bound = new Map();    // switchId → Set of gestures with an action
+        this.switches = new Map(); // switchId → { pressed, holdTimer, repeatTimer, tapTimer, handled }
+
+        // Event callbacks
+        this.onGesture = null; // (switchId, gesture) => void
+    }
+
+    setTimings(timings = {}) {
+        this.timings = { ...DEFAULT_GESTURE_TIMINGS, ...timings };
+    }
+
+    /**
+     * Which gestures have an action on a switch; decides what the recognizer waits for
+     */
+    setBoundGestures(switchId, gestures) {
+        this.bound.set(switchId, new Set(gestures));
+    }
+
+    isBound(switchId, gesture) {
+        const bound = this.bound.get(switchId);
+        // Unconfigured switches keep the plain press behaviour
+        return bound ? bound.has(gesture) : gesture === GESTURES.TAP;
+    }
+
+    press(switchId) {
+        const state = this._state(switchId);
+        if (state.pressed) return; // repeated press message without a release
+        state.pressed = true;
+        state.handled = false;
+
+        // Second press inside the double-tap window
+        if (state.tapTimer) {
+            clearTimeout(state.tapTimer);
+            state.tapTimer = null;
+            state.handled = true;
+            this._emit(switchId, GESTURES.DOUBLE_TAP);
+            return;
+        }
+
+        const waitsForHold = this.isBound(switchId, GESTURES.LONG_PRESS) || this.isBound(switchId, GESTURES.HOLD_REPEAT);
+        if (!waitsForHold && !this.isBound(switchId, GESTURES.DOUBLE_TAP)) {
+            state.handled = true;
+            this._emit(switchId, GESTURES.TAP);
+            return;
+        }
+        if (waitsForHold) {
+            state.holdTimer = setTimeout(() => this._held(switchId), this.timings.longPress);
+        }
+    }
+
+    release(switchId) {
+        const state = this._state(switchId);
+        if (!state.pressed) return;
+        state.pressed = false;
+        this._clearHold(state);
+        if (state.handled) return;
+
+        if (this.isBound(switchId, GESTURES.DOUBLE_TAP)) {
+            state.tapTimer = setTimeout(() => {
+                state.tapTimer = null;
+                this._emit(switchId, GESTURES.TAP);
+            }, this.timings.doubleTapWindow);
+        } else {
+            this._emit(switchId, GESTURES.TAP);
+        }
+    }
+
+    /**
+     * Drop pending timers (pedal disconnected)
+     */
+    reset() {
+        for (const state of this.switches.values()) {
+            this._clearHold(state);
+            clearTimeout(state.tapTimer);
+        }
+        this.switches.clear();
+    }
+
+    _held(switchId) {
+        const state = this._state(switchId);
+        state.holdTimer = null;
+        state.handled = true;
+        if (this.isBound(switchId, GESTURES.HOLD_REPEAT)) {
+            this._emit(switchId, GESTURES.HOLD_REPEAT);
+            state.repeatTimer = setInterval(() => this._emit(switchId, GESTURES.HOLD_REPEAT), this.timings.repeatInterval);
+        } else {
+            this._emit(switchId, GESTURES.LONG_PRESS);
+        }
+    }
+
+    _clearHold(state) {
+        clearTimeout(state.holdTimer);
+        clearInterval(state.repeatTimer);
+        state.holdTimer = null;
+        state.repeatTimer = null;
+    }
+
+    _state(switchId) {
+        if (!this.switches.has(switchId)) {
+            this.switches.set(switchId, { pressed: false, holdTimer: null, repeatTimer: null, tapTimer: null, handled: false });
+        }
+        return this.switches.get(switchId);
+    }
+
+    _emit(switchId, gesture) {
+        if (this.onGesture) {
+            this.onGesture(switchId, gesture);
+        }
+    }
+}
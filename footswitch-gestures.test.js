@@ -0,0 +1,163 @@
+/**
+ * Footswitch Gesture Tests
+ * Tap, double-tap, long-press and hold-repeat from pedal switch press/release,
+ * and the controller running the action bound to each gesture
+ */
+
+import { GestureRecognizer, GESTURES } from './footswitch-gestures.js';
+import BossCubeController from './boss-cube-controller.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Footswitch Gesture Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Footswitch Gesture Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Short timings keep the suite fast; the ratios match the defaults
+const TIMINGS = { doubleTapWindow: 40, longPress: 60, repeatInterval: 20 };
+
+const createRecognizer = (gestures) => {
+    const recognizer = new GestureRecognizer(TIMINGS);
+    if (gestures) recognizer.setBoundGestures('next', gestures);
+    const seen = [];
+    recognizer.onGesture = (switchId, gesture) => seen.push(`${switchId}:${gesture}`);
+    return { recognizer, seen };
+};
+
+test.test('A switch with only a tap fires on press', () => {
+    const { recognizer, seen } = createRecognizer();
+    recognizer.press('next');
+    test.assertEqual(seen.join(','), 'next:tap', 'Unconfigured switch taps on press, no waiting');
+    recognizer.press('next');
+    test.assertEqual(seen.length, 1, 'Repeated press without a release ignored');
+    recognizer.release('next');
+    test.assertEqual(seen.length, 1, 'Release adds nothing');
+});
+
+test.test('Double-tap inside the window, tap after it', async () => {
+    const { recognizer, seen } = createRecognizer([GESTURES.TAP, GESTURES.DOUBLE_TAP]);
+    recognizer.press('next');
+    recognizer.release('next');
+    test.assertEqual(seen.length, 0, 'Tap held back while a double-tap may follow');
+    recognizer.press('next');
+    recognizer.release('next');
+    test.assertEqual(seen.join(','), 'next:doubleTap', 'Second press is a double-tap');
+
+    recognizer.press('next');
+    recognizer.release('next');
+    await sleep(TIMINGS.doubleTapWindow + 30);
+    test.assertEqual(seen.join(','), 'next:doubleTap,next:tap', 'Single tap once the window closes');
+});
+
+test.test('Long-press replaces the tap; a quick press still taps', async () => {
+    const { recognizer, seen } = createRecognizer([GESTURES.TAP, GESTURES.LONG_PRESS]);
+    recognizer.press('next');
+    await sleep(TIMINGS.longPress + 30);
+    recognizer.release('next');
+    test.assertEqual(seen.join(','), 'next:longPress', 'Held past the threshold');
+
+    recognizer.press('next');
+    recognizer.release('next');
+    test.assertEqual(seen.join(','), 'next:longPress,next:tap', 'Short press is a tap');
+});
+
+test.test('Hold-repeat fires until release and wins over long-press', async () => {
+    const { recognizer, seen } = createRecognizer([GESTURES.LONG_PRESS, GESTURES.HOLD_REPEAT]);
+    recognizer.press('next');
+    await sleep(TIMINGS.longPress + TIMINGS.repeatInterval * 3);
+    recognizer.release('next');
+    const repeats = seen.length;
+    test.assert(repeats >= 2, `Repeated while held (${repeats})`);
+    test.assert(seen.every(s => s === 'next:holdRepeat'), 'No long-press when hold-repeat is bound');
+    await sleep(TIMINGS.repeatInterval * 3);
+    test.assertEqual(seen.length, repeats, 'Stops on release');
+
+    recognizer.press('next');
+    recognizer.reset();
+    await sleep(TIMINGS.longPress + 20);
+    test.assertEqual(seen.length, repeats, 'Reset drops a pending hold');
+});
+
+test.test('Controller runs the action bound to each gesture', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    controller.pedalComm.log = () => {};
+    const events = [];
+    controller.onPedalEvent(event => events.push(event));
+    controller.setFootswitchGestures({
+        timings: TIMINGS,
+        bindings: { previous: { doubleTap: 'toggleTuner', longPress: 'eraseLoop' } }
+    });
+
+    const startKey = controller.currentParameterKey;
+    controller.pedalComm.handleButtonCC(127, 'next');
+    test.assert(controller.currentParameterKey !== startKey, 'Unbound switch keeps its plain role on press');
+
+    const tap = () => {
+        controller.pedalComm.handleButtonCC(127, 'previous');
+        controller.pedalComm.handleButtonCC(0, 'previous');
+    };
+    tap();
+    tap();
+    const actions = () => events.filter(e => e.type === 'pedalAction').map(e => e.action).join(',');
+    test.assertEqual(actions(), 'toggleTuner', 'Double-tap action');
+    test.assertEqual(events.find(e => e.type === 'pedalAction').source, 'previous double-tap', 'Source for the log');
+
+    controller.pedalComm.handleButtonCC(127, 'previous');
+    await sleep(TIMINGS.longPress + 30);
+    controller.pedalComm.handleButtonCC(0, 'previous');
+    test.assertEqual(actions(), 'toggleTuner,eraseLoop', 'Long-press action');
+
+    const afterNext = controller.currentParameterKey;
+    tap();
+    await sleep(TIMINGS.doubleTapWindow + 30);
+    test.assert(controller.currentParameterKey !== afterNext, 'Single tap still steps back');
+});
+
+if (typeof window !== 'undefined') {
+    window.runFootswitchGesturesTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Footswitch gesture tests loaded. Run window.runFootswitchGesturesTests() to execute.');
+}
@@ -0,0 +1,141 @@
+/**
+ * GATT Write Queue
+ * BLE allows only one writeValue() at a time. Pending writes wait in priority
+ * lanes (actions before continuous controls before maintenance and reads), and
+ * a newer write with the same coalesce key replaces the queued one, so a fast
+ * slider drag never sends a backlog of stale values.
+ */
+
+import { WRITE_PRIORITY } from './constants.js';
+
+// Lanes in drain order
+const LANE_ORDER = [WRITE_PRIORITY.ACTION, WRITE_PRIORITY.CONTROL, WRITE_PRIORITY.BACKGROUND];
+
+const createStats = () => ({
+    enqueued: 0,
+    coalesced: 0,
+    sent: 0,
+    failed: 0,
+    maxDepth: 0,
+    totalLatencyMs: 0,
+    maxLatencyMs: 0,
+    lastLatencyMs: 0
+});
+
+export class GattWriteQueue {
+    constructor() {
+        this.lanes = Object.fromEntries(LANE_ORDER.map(lane => [lane, []]));
+        this.busy = false;
+        this.stats = createStats();
+    }
+
+    /**
+     * Queue an operation; resolves with its result once it has run.
+     * options.priority: WRITE_PRIORITY lane (default CONTROL)
+     * options.coalesceKey: a queued entry with the same key is replaced by this one
+     */
+    enqueue(operation, options = {}) {
+        const priority = this.lanes[options.priority] ? options.priority : WRITE_PRIORITY.CONTROL;
+        const coalesceKey = options.coalesceKey ?? null;
+        this.stats.enqueued++;
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            const queued = coalesceKey !== null ? this.findQueued(coalesceKey) : null;
+
+            if (queued) {
+                // Newest value wins; everyone waiting on the old write settles with it
+                queued.entry.operation = operation;
+                queued.entry.waiters.push(waiter);
+                this.stats.coalesced++;
+                if (LANE_ORDER.indexOf(priority) < LANE_ORDER.indexOf(queued.entry.priority)) {
+                    this.lanes[queued.entry.priority].splice(queued.index, 1);
+                    queued.entry.priority = priority;
+                    this.lanes[priority].push(queued.entry);
+                }
+            } else {
+                this.lanes[priority].push({ operation, priority, coalesceKey, enqueuedAt: Date.now(), waiters: [waiter] });
+                this.stats.maxDepth = Math.max(this.stats.maxDepth, this.depth);
+            }
+
+            this.drain();
+        });
+    }
+
+    findQueued(coalesceKey) {
+        for (const lane of LANE_ORDER) {
+            const index = this.lanes[lane].findIndex(entry => entry.coalesceKey === coalesceKey);
+            if (index !== -1) return { entry: this.lanes[lane][index], index };
+        }
+        return null;
+    }
+
+    next() {
+        for (const lane of LANE_ORDER) {
+            if (this.lanes[lane].length > 0) return this.lanes[lane].shift();
+        }
+        return null;
+    }
+
+    async drain() {
+        if (this.busy) return;
+        this.busy = true;
+        try {
+            let entry;
+            while ((entry = this.next())) {
+                const latency = Date.now() - entry.enqueuedAt;
+                this.stats.lastLatencyMs = latency;
+                this.stats.totalLatencyMs += latency;
+                this.stats.maxLatencyMs = Math.max(this.stats.maxLatencyMs, latency);
+                try {
+                    const result = await entry.operation();
+                    this.stats.sent++;
+                    entry.waiters.forEach(waiter => waiter.resolve(result));
+                } catch (error) {
+                    this.stats.failed++;
+                    entry.waiters.forEach(waiter => waiter.reject(error));
+                }
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Reject everything still waiting (e.g. on disconnect)
+     */
+    clear(error) {
+        for (const lane of LANE_ORDER) {
+            const entries = this.lanes[lane].splice(0);
+            entries.forEach(entry => entry.waiters.forEach(waiter => waiter.reject(error)));
+        }
+    }
+
+    get depth() {
+        return LANE_ORDER.reduce((sum, lane) => sum + this.lanes[lane].length, 0);
+    }
+
+    /**
+     * Queue depth and wait-time metrics; latency is enqueue → write start
+     */
+    getMetrics() {
+        const { stats } = this;
+        const started = stats.sent + stats.failed;
+        return {
+            depth: this.depth,
+            depthByLane: Object.fromEntries(LANE_ORDER.map(lane => [lane, this.lanes[lane].length])),
+            maxDepth: stats.maxDepth,
+            enqueued: stats.enqueued,
+            coalesced: stats.coalesced,
+            sent: stats.sent,
+            failed: stats.failed,
+            avgLatencyMs: started > 0 ? Math.round(stats.totalLatencyMs / started) : 0,
+            maxLatencyMs: stats.maxLatencyMs,
+            lastLatencyMs: stats.lastLatencyMs
+        };
+    }
+
+    resetMetrics() {
+        this.stats = createStats();
+    }
+}
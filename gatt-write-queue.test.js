@@ -0,0 +1,170 @@
+/**
+ * GATT Write Queue Tests
+ * Coalescing, lane priority and metrics of the shared BLE write queue
+ */
+
+import { GattWriteQueue } from './gatt-write-queue.js';
+import { WRITE_PRIORITY } from './constants.js';
+import { CubeSimulator } from './cube-simulator.js';
+import { BossCubeCommunication } from './boss-cube-communication.js';
+import { BOSS_CUBE_PARAMETERS } from './parameters.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running GATT Write Queue Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 GATT Write Queue Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Operation that records its label and holds the queue for a few ms
+ */
+const recordingOperation = (log, label, ms = 5) => async () => {
+    log.push(label);
+    await sleep(ms);
+    return label;
+};
+
+test.test('Queued writes to the same key collapse to the newest value', async () => {
+    const queue = new GattWriteQueue();
+    const sent = [];
+
+    const first = queue.enqueue(recordingOperation(sent, 'busy'));
+    const stale = queue.enqueue(recordingOperation(sent, 'v1'), { coalesceKey: 'a' });
+    const newest = queue.enqueue(recordingOperation(sent, 'v2'), { coalesceKey: 'a' });
+    await Promise.all([first, stale, newest]);
+
+    test.assertEqual(sent.join(','), 'busy,v2', 'Only the newest queued value is sent');
+    test.assertEqual(await stale, 'v2', 'Replaced caller settles with the newest write');
+    test.assertEqual(queue.getMetrics().coalesced, 1, 'Coalesce counted');
+});
+
+test.test('Lanes drain actions before controls before background', async () => {
+    const queue = new GattWriteQueue();
+    const sent = [];
+
+    const writes = [
+        queue.enqueue(recordingOperation(sent, 'busy')),
+        queue.enqueue(recordingOperation(sent, 'read'), { priority: WRITE_PRIORITY.BACKGROUND }),
+        queue.enqueue(recordingOperation(sent, 'slider'), { priority: WRITE_PRIORITY.CONTROL }),
+        queue.enqueue(recordingOperation(sent, 'looper'), { priority: WRITE_PRIORITY.ACTION })
+    ];
+    await Promise.all(writes);
+
+    test.assertEqual(sent.join(','), 'busy,looper,slider,read', 'Drain order follows lane priority');
+});
+
+test.test('Coalescing into a higher lane moves the write forward', async () => {
+    const queue = new GattWriteQueue();
+    const sent = [];
+
+    const writes = [
+        queue.enqueue(recordingOperation(sent, 'busy')),
+        queue.enqueue(recordingOperation(sent, 'off'), { priority: WRITE_PRIORITY.BACKGROUND, coalesceKey: 'sw' }),
+        queue.enqueue(recordingOperation(sent, 'slider'), { priority: WRITE_PRIORITY.CONTROL }),
+        queue.enqueue(recordingOperation(sent, 'on'), { priority: WRITE_PRIORITY.ACTION, coalesceKey: 'sw' })
+    ];
+    await Promise.all(writes);
+
+    test.assertEqual(sent.join(','), 'busy,on,slider', 'Merged write takes the higher lane');
+});
+
+test.test('Failures reject every waiter and clear() rejects pending writes', async () => {
+    const queue = new GattWriteQueue();
+    let failure = null;
+    let cleared = null;
+    const failing = queue.enqueue(async () => { await sleep(5); throw new Error('GATT busy'); })
+        .catch(error => { failure = error.message; });
+    const pending = queue.enqueue(async () => 'never', { coalesceKey: 'x' })
+        .catch(error => { cleared = error.message; });
+    queue.clear(new Error('disconnected'));
+    await Promise.all([failing, pending]);
+
+    test.assertEqual(failure, 'GATT busy', 'Operation error reaches the caller');
+    test.assertEqual(cleared, 'disconnected', 'Pending write rejected on clear');
+    test.assertEqual(queue.depth, 0, 'Queue empty after clear');
+});
+
+test.test('Metrics report depth and wait time', async () => {
+    const queue = new GattWriteQueue();
+    const sent = [];
+    const writes = [1, 2, 3].map(i => queue.enqueue(recordingOperation(sent, `w${i}`, 10)));
+
+    const during = queue.getMetrics();
+    test.assertEqual(during.depth, 2, 'Two writes waiting behind the first');
+    test.assertEqual(during.depthByLane[WRITE_PRIORITY.CONTROL], 2, 'Default lane is CONTROL');
+
+    await Promise.all(writes);
+    const after = queue.getMetrics();
+    test.assertEqual(after.sent, 3, 'All writes sent');
+    test.assertEqual(after.maxDepth, 2, 'Peak depth recorded');
+    test.assert(after.maxLatencyMs >= 15, `Last write waited for the two before it (${after.maxLatencyMs}ms)`);
+});
+
+test.test('A fast slider drag reaches the simulated amp as a few writes', async () => {
+    const simulator = new CubeSimulator();
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    await comm.connectToDevice(simulator.device);
+    try {
+        simulator.writes = [];
+        const address = BOSS_CUBE_PARAMETERS.masterVolume.address;
+        const drag = [];
+        for (let value = 0; value <= 60; value += 2) {
+            drag.push(comm.sendParameterCommand(address, value));
+        }
+        await Promise.all(drag);
+
+        test.assertEqual(simulator.getValue('masterVolume'), 60, 'Amp ends on the final value');
+        test.assert(simulator.writes.length <= 2, `Stale values were dropped (${simulator.writes.length} writes)`);
+    } finally {
+        await comm.disconnect();
+    }
+});
+
+if (typeof window !== 'undefined') {
+    window.runGattWriteQueueTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 GATT write queue tests loaded. Run window.runGattWriteQueueTests() to execute.');
+}
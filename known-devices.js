@@ -0,0 +1,113 @@
+/**
+ * Known Devices
+ * Cubes this browser has connected to: a nickname, when each was last seen and
+ * settings that belong to that amp rather than to the app (volume calibration,
+ * master bind). Lets the connect screen offer "reconnect to <nickname>" for
+ * each paired Cube instead of the browser's device picker.
+ */
+
+const STORAGE_KEY = 'bossCubeKnownDevices';
+
+export class KnownDevices {
+    /**
+     * @param {Storage|null} storage - localStorage by default; null keeps the list in memory only
+     */
+    constructor(storage = globalThis.localStorage ?? null, key = STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.devices = new Map(); // id → { id, name, nickname, lastSeen, settings }
+        this.load();
+    }
+
+    load() {
+        this.devices.clear();
+        try {
+            const saved = this.storage?.getItem(this.key);
+            for (const entry of saved ? JSON.parse(saved) : []) {
+                if (entry?.id) this.devices.set(entry.id, { nickname: '', settings: {}, ...entry });
+            }
+        } catch (error) {
+            console.warn('Failed to load known devices:', error);
+        }
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(this.key, JSON.stringify([...this.devices.values()]));
+        } catch (error) {
+            console.warn('Failed to save known devices:', error);
+        }
+    }
+
+    /**
+     * Record a connection: adds the device or refreshes its name and last-seen time
+     * @returns {Object} the stored entry
+     */
+    remember({ id, name }, now = Date.now()) {
+        const entry = this.devices.get(id) || { id, nickname: '', settings: {} };
+        this.devices.set(id, { ...entry, name: name || entry.name || id, lastSeen: now });
+        this.save();
+        return this.devices.get(id);
+    }
+
+    get(id) {
+        return this.devices.get(id) || null;
+    }
+
+    /**
+     * Most recently seen first
+     */
+    list() {
+        return [...this.devices.values()].sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+    }
+
+    get mostRecent() {
+        return this.list()[0] || null;
+    }
+
+    rename(id, nickname) {
+        const entry = this.devices.get(id);
+        if (!entry) return;
+        entry.nickname = nickname.trim();
+        this.save();
+    }
+
+    forget(id) {
+        if (this.devices.delete(id)) this.save();
+    }
+
+    getSettings(id) {
+        return this.devices.get(id)?.settings || {};
+    }
+
+    /**
+     * Merge per-device settings (shallow) and persist
+     */
+    updateSettings(id, patch) {
+        const entry = this.devices.get(id);
+        if (!entry) return;
+        entry.settings = { ...entry.settings, ...patch };
+        this.save();
+    }
+
+    /**
+     * Nickname if the user gave one, else the advertised BLE name
+     */
+    static label(entry) {
+        return entry?.nickname || entry?.name || 'Cube';
+    }
+}
+
+/**
+ * "just now", "5 min ago", "3 h ago", "2 days ago"
+ */
+export function formatLastSeen(timestamp, now = Date.now()) {
+    if (!timestamp) return 'never';
+    const minutes = Math.floor((now - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
@@ -0,0 +1,156 @@
+/**
+ * Known Devices Tests
+ * Remembered Cubes with nicknames, last-seen times and per-device settings,
+ * and the preferred Cube being tried first on reconnect
+ */
+
+import { KnownDevices, formatLastSeen } from './known-devices.js';
+import { BossCubeCommunication } from './boss-cube-communication.js';
+import { CubeSimulator } from './cube-simulator.js';
+import BossCubeController from './boss-cube-controller.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Known Devices Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Known Devices Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+// In-memory stand-in for localStorage
+const createStorage = () => ({
+    data: {},
+    getItem(key) { return this.data[key] ?? null; },
+    setItem(key, value) { this.data[key] = String(value); }
+});
+
+test.test('Cubes are listed most recent first and survive a reload', () => {
+    const storage = createStorage();
+    const known = new KnownDevices(storage);
+    known.remember({ id: 'a', name: 'CUBE-ST2 A' }, 1000);
+    known.remember({ id: 'b', name: 'CUBE-ST2 B' }, 2000);
+    known.rename('a', '  Left stage  ');
+    known.updateSettings('a', { masterBind: true });
+    known.updateSettings('a', { volumeCalibration: { enabled: true, offsets: { 2: 10 } } });
+
+    test.assertEqual(known.list().map(entry => entry.id).join(','), 'b,a', 'Newest first');
+    test.assertEqual(known.mostRecent.id, 'b', 'Most recent');
+
+    const reloaded = new KnownDevices(storage);
+    const entry = reloaded.get('a');
+    test.assertEqual(KnownDevices.label(entry), 'Left stage', 'Nickname trimmed and kept');
+    test.assertEqual(KnownDevices.label(reloaded.get('b')), 'CUBE-ST2 B', 'BLE name without a nickname');
+    test.assert(entry.settings.masterBind, 'Settings merged, not replaced');
+    test.assertEqual(entry.settings.volumeCalibration.offsets[2], 10, 'Calibration stored per Cube');
+
+    reloaded.remember({ id: 'a', name: 'CUBE-ST2 A' }, 3000);
+    test.assertEqual(reloaded.mostRecent.id, 'a', 'Reconnect refreshes last seen');
+    test.assertEqual(reloaded.get('a').nickname, 'Left stage', 'Reconnect keeps the nickname');
+
+    reloaded.forget('a');
+    test.assertEqual(new KnownDevices(storage).list().length, 1, 'Forgotten Cube removed from storage');
+});
+
+test.test('Broken storage falls back to an empty list', () => {
+    const storage = createStorage();
+    storage.data.bossCubeKnownDevices = '{not json';
+    const known = new KnownDevices(storage);
+    test.assertEqual(known.list().length, 0, 'Nothing loaded');
+    test.assertEqual(new KnownDevices(null).remember({ id: 'x', name: 'CUBE' }).id, 'x', 'Works without storage');
+});
+
+test.test('Last seen is shown relative to now', () => {
+    const now = 10 * 24 * 3600000;
+    test.assertEqual(formatLastSeen(now - 20000, now), 'just now', 'Seconds');
+    test.assertEqual(formatLastSeen(now - 5 * 60000, now), '5 min ago', 'Minutes');
+    test.assertEqual(formatLastSeen(now - 3 * 3600000, now), '3 h ago', 'Hours');
+    test.assertEqual(formatLastSeen(now - 24 * 3600000, now), '1 day ago', 'One day');
+    test.assertEqual(formatLastSeen(now - 3 * 24 * 3600000, now), '3 days ago', 'Days');
+    test.assertEqual(formatLastSeen(null, now), 'never', 'Never');
+});
+
+test.test('The preferred Cube is tried first among paired devices', async () => {
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    const paired = [
+        { id: 'a', name: 'CUBE-ST2 A' },
+        { id: 'pedal', name: 'EV-1-WL' },
+        { id: 'b', name: 'CUBE-ST2 B' }
+    ];
+    // Own property shadows the browser's Navigator.prototype getter until deleted
+    Object.defineProperty(navigator, 'bluetooth', {
+        value: { getDevices: async () => [...paired] },
+        configurable: true
+    });
+    try {
+        test.assertEqual((await comm.getPairedDevices()).map(d => d.id).join(','), 'a,b', 'Only Cubes, browser order');
+        comm.preferredDeviceId = 'b';
+        test.assertEqual((await comm.getPairedDevices()).map(d => d.id).join(','), 'b,a', 'Preferred first');
+        comm.preferredDeviceId = 'gone';
+        test.assertEqual((await comm.getPairedDevices())[0].id, 'a', 'Unknown preference ignored');
+    } finally {
+        delete navigator.bluetooth;
+    }
+});
+
+test.test('Connecting makes that Cube the reconnect target', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    controller.bossCubeComm.log = () => {};
+    const simulator = new CubeSimulator();
+    controller.useCubeSimulator(simulator);
+    controller.setPreferredCube('other-cube');
+
+    await controller.connectToBossCube();
+    try {
+        test.assertEqual(controller.getStatus().cube.deviceId, simulator.device.id, 'Device id reported');
+        test.assertEqual(controller.getPreferredCube(), simulator.device.id, 'Connected Cube preferred');
+    } finally {
+        await controller.disconnectBossCube();
+    }
+    test.assertEqual(controller.getPreferredCube(), simulator.device.id, 'Still preferred after disconnect');
+});
+
+if (typeof window !== 'undefined') {
+    window.runKnownDevicesTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Known devices tests loaded. Run window.runKnownDevicesTests() to execute.');
+}
@@ -124,7 +124,7 @@ export class LivePerformance {
         }
         
         const param = this.bossCubeController.parameters[parameterKey];
-        const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(param);
+        const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(param, parameterKey);
         
         if (globalPedalPosition !== null) {
             const valueDifference = Math.abs(globalPedalPosition - value);
@@ -916,7 +916,7 @@ export class LivePerformance {
             });
             
             // Show temporary pedal position indicator
-            const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(param);
+            const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(param, key);
             this.showTemporaryPedalPosition(key, globalPedalPosition, param);
             
             const connectionStatus = this.bossCubeController.isCubeConnected ? 'Live performance' : 'Demo';
@@ -1848,7 +1848,7 @@ export class LivePerformance {
      * not during normal pedal movement.
      */
     handleLivePerformanceVolumeChange(event) {
-        const { value, parameter, parameterKey } = event;
+        const { value, pedalValue, parameter, parameterKey } = event;
 
         const virtualParam = this.bossCubeController.parameters[parameterKey];
         const cc = (virtualParam && virtualParam.resolveKey) ? this.getControlConfig(parameterKey) : null;
@@ -1878,7 +1878,7 @@ export class LivePerformance {
             for (const rk of allKeys) {
                 const rp = this.bossCubeController.parameters[rk];
                 if (rp) {
-                    rp.current = value;
+                    rp.current = this.bossCubeController.pedalValueForTarget(rk, value, pedalValue);
                 }
             }
         }
@@ -1908,7 +1908,7 @@ export class LivePerformance {
             const newParam = this.bossCubeController.parameters[newKey];
             
             // Get global pedal position for the new parameter
-            const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(newParam);
+            const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(newParam, newKey);
             
             // Handle pickup mode parameter switching
             const needsPickupMode = PedalUtils.handleParameterSwitch(
@@ -1947,7 +1947,7 @@ export class LivePerformance {
         // Update pedal position indicator for the newly selected parameter
         const selectedParam = this.bossCubeController.parameters[selectedKey];
         if (selectedParam) {
-            const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(selectedParam);
+            const globalPedalPosition = this.bossCubeController.getGlobalPedalPosition(selectedParam, selectedKey);
             if (globalPedalPosition !== null) {
                 PedalUtils.updatePedalPositionIndicator(selectedKey, globalPedalPosition, selectedParam, '.live-performance-control');
             }
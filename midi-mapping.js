@@ -0,0 +1,157 @@
+/**
+ * MIDI Mapping (MIDI learn)
+ * Bindings from an incoming CC or note on any BLE MIDI controller to an app
+ * action (previous/next parameter, tuner, looper...) or directly to a Cube
+ * parameter. Learned bindings take precedence over the fixed pedal CC codes;
+ * messages without a binding fall through to them.
+ */
+import { MIDI_EVENTS } from './ble-midi-parser.js';
+
+export const MIDI_SOURCE_TYPES = {
+    CC: 'cc',
+    NOTE: 'note'
+};
+
+export const MIDI_TARGET_KINDS = {
+    ACTION: 'action',       // id from MIDI_ACTIONS
+    PARAMETER: 'parameter'  // id is a parameter key; 0-127 spans the parameter range
+};
+
+// Actions a binding can trigger. The first four are the pedal roles the fixed CC codes drive.
+export const MIDI_ACTIONS = {
+    previous: 'Previous parameter',
+    next: 'Next parameter',
+    pedalControl: 'Pedal control (selected parameter)',
+    expSw: 'EXP SW action',
+    toggleTuner: 'Toggle tuner',
+    toggleGuitarEffect: 'Toggle guitar effect',
+    toggleMicEffect: 'Toggle mic/inst effect',
+    cycleLooper: 'Looper rec/play/overdub',
+    eraseLoop: 'Erase loop',
+    tapTempo: 'Tap tempo'
+};
+
+// Actions that follow the control's position instead of firing on a press
+export const CONTINUOUS_ACTIONS = ['pedalControl'];
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Turn a parsed BLE MIDI event into a mapping message, or null for anything unmappable
+ * @returns {{type, channel, number, value}|null} note-off comes back as a note with value 0
+ */
+export function toMidiMessage(event) {
+    if (event.type === MIDI_EVENTS.CC) {
+        return { type: MIDI_SOURCE_TYPES.CC, channel: event.channel, number: event.controller, value: event.value };
+    }
+    const kind = event.status & 0xF0;
+    if (event.type === MIDI_EVENTS.CHANNEL && (kind === 0x90 || kind === 0x80)) {
+        return {
+            type: MIDI_SOURCE_TYPES.NOTE,
+            channel: event.channel,
+            number: event.data[0],
+            value: kind === 0x90 ? event.data[1] : 0
+        };
+    }
+    return null;
+}
+
+export function sourceKey({ type, channel, number }) {
+    return `${type}:${channel}:${number}`;
+}
+
+export function targetKey({ kind, id }) {
+    return `${kind}:${id}`;
+}
+
+/**
+ * "CC 20 · ch 1", "Note C4 · ch 10"
+ */
+export function describeSource({ type, channel, number }) {
+    const what = type === MIDI_SOURCE_TYPES.NOTE
+        ? `Note ${NOTE_NAMES[number % 12]}${Math.floor(number / 12) - 1}`
+        : `CC ${number}`;
+    return `${what} · ch ${channel + 1}`;
+}
+
+/**
+ * A switch press: note-on, or a CC in the upper half (momentary footswitches send 127, then 0)
+ */
+export function isPress(message) {
+    return message.type === MIDI_SOURCE_TYPES.NOTE ? message.value > 0 : message.value >= 64;
+}
+
+/**
+ * Map 0-127 linearly onto a parameter's range
+ */
+export function scaleToParameter(value, param) {
+    return param.min + Math.round((value / 127) * (param.max - param.min));
+}
+
+export class MidiMappingTable {
+    constructor(bindings = []) {
+        this.bindings = [];
+        this.load(bindings);
+    }
+
+    /**
+     * Replace the table with saved bindings; malformed entries are dropped
+     */
+    load(bindings) {
+        this.bindings = [];
+        for (const binding of Array.isArray(bindings) ? bindings : []) {
+            const { source, target } = binding || {};
+            if (!source || !Object.values(MIDI_SOURCE_TYPES).includes(source.type)) continue;
+            if (!target || !Object.values(MIDI_TARGET_KINDS).includes(target.kind) || !target.id) continue;
+            this.bind(source, target);
+        }
+    }
+
+    /**
+     * Bind a source to a target. A source drives one target and a target has one
+     * source, so older bindings of either are replaced.
+     * @returns {Object} the new binding
+     */
+    bind(source, target) {
+        const binding = {
+            source: { type: source.type, channel: source.channel, number: source.number },
+            target: { kind: target.kind, id: target.id }
+        };
+        const sKey = sourceKey(binding.source);
+        const tKey = targetKey(binding.target);
+        this.bindings = this.bindings.filter(b => sourceKey(b.source) !== sKey && targetKey(b.target) !== tKey);
+        this.bindings.push(binding);
+        return binding;
+    }
+
+    unbind(target) {
+        const tKey = targetKey(target);
+        const before = this.bindings.length;
+        this.bindings = this.bindings.filter(b => targetKey(b.target) !== tKey);
+        return this.bindings.length !== before;
+    }
+
+    /**
+     * Binding for an incoming message (note-on and note-off of one note match the same binding)
+     */
+    find(message) {
+        const key = sourceKey(message);
+        return this.bindings.find(b => sourceKey(b.source) === key) || null;
+    }
+
+    findByTarget(target) {
+        const key = targetKey(target);
+        return this.bindings.find(b => targetKey(b.target) === key) || null;
+    }
+
+    get size() {
+        return this.bindings.length;
+    }
+
+    /**
+     * Plain data for settings storage
+     */
+    toJSON() {
+        return this.bindings.map(({ source, target }) => ({ source: { ...source }, target: { ...target } }));
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * MIDI Mapping Tests
+ * The binding table, MIDI learn on the controller and dispatch of learned
+ * CCs and notes from a generic BLE MIDI controller
+ */
+
+import {
+    MidiMappingTable,
+    MIDI_SOURCE_TYPES,
+    MIDI_TARGET_KINDS,
+    toMidiMessage,
+    describeSource,
+    isPress,
+    scaleToParameter
+} from './midi-mapping.js';
+import { MIDI_EVENTS } from './ble-midi-parser.js';
+import BossCubeController from './boss-cube-controller.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running MIDI Mapping Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 MIDI Mapping Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+// BLE MIDI packet (header + timestamp before each message) as the characteristic delivers it
+const blePacket = (...messages) => {
+    const bytes = [0x80];
+    for (const message of messages) bytes.push(0x81, ...message);
+    return { buffer: new Uint8Array(bytes).buffer };
+};
+
+const cc = (number, value, channel = 0) => ({ type: MIDI_SOURCE_TYPES.CC, channel, number, value });
+const action = (id) => ({ kind: MIDI_TARGET_KINDS.ACTION, id });
+
+const createController = () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    controller.pedalComm.log = () => {};
+    const events = [];
+    controller.onPedalEvent(event => events.push(event));
+    return { controller, events };
+};
+
+test.test('Parsed events become mapping messages', () => {
+    const ccMessage = toMidiMessage({ type: MIDI_EVENTS.CC, channel: 2, controller: 20, value: 90 });
+    test.assertEqual(`${ccMessage.type}:${ccMessage.channel}:${ccMessage.number}:${ccMessage.value}`, 'cc:2:20:90', 'CC');
+    const noteOn = toMidiMessage({ type: MIDI_EVENTS.CHANNEL, status: 0x99, channel: 9, data: [36, 100] });
+    test.assertEqual(`${noteOn.type}:${noteOn.number}:${noteOn.value}`, 'note:36:100', 'Note-on');
+    const noteOff = toMidiMessage({ type: MIDI_EVENTS.CHANNEL, status: 0x89, channel: 9, data: [36, 64] });
+    test.assertEqual(noteOff.value, 0, 'Note-off is a release');
+    test.assertEqual(toMidiMessage({ type: MIDI_EVENTS.PROGRAM_CHANGE, channel: 0, program: 3 }), null, 'Program change not mappable');
+
+    test.assertEqual(describeSource(noteOn), 'Note C2 · ch 10', 'Note described');
+    test.assertEqual(describeSource(ccMessage), 'CC 20 · ch 3', 'CC described');
+    test.assert(isPress(cc(20, 127)) && !isPress(cc(20, 0)), 'CC press threshold');
+    test.assertEqual(scaleToParameter(127, { min: -20, max: 20 }), 20, 'Top of range');
+    test.assertEqual(scaleToParameter(0, { min: -20, max: 20 }), -20, 'Bottom of range');
+});
+
+test.test('A source drives one target and a target has one source', () => {
+    const table = new MidiMappingTable();
+    table.bind(cc(20, 127), action('next'));
+    table.bind(cc(21, 127), action('previous'));
+    table.bind(cc(20, 127), action('toggleTuner'));
+    test.assertEqual(table.size, 2, 'Rebinding a source replaces its old target');
+    test.assertEqual(table.find(cc(20, 5)).target.id, 'toggleTuner', 'Found by source, any value');
+    test.assertEqual(table.find(cc(20, 5, 1)), null, 'Channel is part of the source');
+
+    table.bind(cc(22, 127), action('previous'));
+    test.assertEqual(table.findByTarget(action('previous')).source.number, 22, 'Relearning a target replaces its source');
+
+    const restored = new MidiMappingTable(JSON.parse(JSON.stringify(table.toJSON())).concat([{ source: { type: 'sysex' }, target: action('next') }]));
+    test.assertEqual(restored.size, 2, 'Saved table restored, malformed entries dropped');
+    test.assert(restored.unbind(action('previous')), 'Unbind reports a removal');
+    test.assertEqual(restored.size, 1, 'Binding removed');
+});
+
+test.test('MIDI learn binds the next control moved and skips releases', () => {
+    const { controller } = createController();
+    const learned = [];
+    controller.onMidiLearned = (binding) => learned.push(binding);
+
+    controller.startMidiLearn({ kind: MIDI_TARGET_KINDS.PARAMETER, id: 'masterVolume' });
+    test.assert(controller.isMidiLearning, 'Learning');
+    controller.pedalComm.handleMIDIData(blePacket([0x80, 60, 0]));
+    test.assert(controller.isMidiLearning, 'Note-off ignored while learning');
+    controller.pedalComm.handleMIDIData(blePacket([0xB3, 7, 42]));
+
+    test.assert(!controller.isMidiLearning, 'Learning ends after one binding');
+    test.assertEqual(learned.length, 1, 'onMidiLearned fired');
+    test.assertEqual(describeSource(learned[0].source), 'CC 7 · ch 4', 'CC and channel learned');
+    test.assertEqual(controller.midiMappings.findByTarget({ kind: MIDI_TARGET_KINDS.PARAMETER, id: 'masterVolume' }).source.number, 7, 'Stored in the table');
+});
+
+test.test('Learned bindings run before the fixed pedal CC codes', () => {
+    const { controller, events } = createController();
+    const startKey = controller.currentParameterKey;
+    controller.setMidiMappings([
+        { source: { type: MIDI_SOURCE_TYPES.NOTE, channel: 9, number: 36 }, target: action('next') },
+        { source: { type: MIDI_SOURCE_TYPES.CC, channel: 0, number: 80 }, target: action('cycleLooper') },
+        { source: { type: MIDI_SOURCE_TYPES.CC, channel: 0, number: 11 }, target: { kind: MIDI_TARGET_KINDS.PARAMETER, id: 'masterVolume' } }
+    ]);
+
+    controller.pedalComm.handleMIDIData(blePacket([0x99, 36, 100], [0x89, 36, 0]));
+    test.assert(controller.currentParameterKey !== startKey, 'Note stepped to the next parameter');
+    test.assertEqual(events.filter(e => e.type === 'button').length, 1, 'One press, release ignored');
+
+    controller.pedalComm.handleMIDIData(blePacket([0xB0, 80, 127], [0xB0, 80, 0]));
+    test.assertEqual(events.filter(e => e.type === 'pedalAction').map(e => e.action).join(','), 'cycleLooper', 'CC 80 now runs its learned action');
+    test.assertEqual(events.filter(e => e.type === 'button').length, 1, 'Fixed previous-parameter CC not triggered');
+
+    controller.pedalComm.handleMIDIData(blePacket([0xB0, 11, 127]));
+    const volume = events.find(e => e.type === 'midiParameter');
+    test.assertEqual(volume.parameterKey, 'masterVolume', 'Knob bound to a parameter');
+    test.assertEqual(volume.value, controller.parameters.masterVolume.max, 'Full range');
+
+    controller.pedalComm.handleMIDIData(blePacket([0xB0, 81, 127]));
+    test.assertEqual(events.filter(e => e.type === 'button').length, 2, 'Unbound CC still reaches the fixed mapping');
+});
+
+if (typeof window !== 'undefined') {
+    window.runMidiMappingTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 MIDI mapping tests loaded. Run window.runMidiMappingTests() to execute.');
+}
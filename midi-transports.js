@@ -0,0 +1,250 @@
+/**
+ * MIDI Transports for Boss Cube II
+ * Byte pipes underneath BossCubeCommunication: Web Bluetooth (BLE MIDI GATT
+ * characteristic) and Web MIDI (USB). Both deliver incoming packets as a
+ * DataView so handleMIDIData works the same over either link.
+ */
+
+import { BLE_MIDI_SERVICE, BLE_MIDI_CHARACTERISTIC } from './constants.js';
+
+export const TRANSPORT_TYPES = {
+    BLE: 'ble',
+    USB: 'usb'
+};
+
+export class BleMidiTransport {
+    constructor() {
+        this.type = TRANSPORT_TYPES.BLE;
+        this.device = null;
+        this.server = null;
+        this.characteristic = null;
+
+        // Event callbacks
+        this.onLog = null;
+        this.onData = null;
+        this.onDisconnect = null;
+
+        this._boundValueHandler = (event) => {
+            if (this.onData) this.onData(event.target.value);
+        };
+        this._boundDisconnectHandler = () => {
+            if (this.onDisconnect) this.onDisconnect();
+        };
+    }
+
+    log(message, type = 'info') {
+        if (this.onLog) this.onLog(message, type);
+    }
+
+    get isOpen() {
+        return !!this.characteristic;
+    }
+
+    get deviceName() {
+        return this.device?.name || null;
+    }
+
+    /**
+     * Open GATT connection to a selected BluetoothDevice and start notifications
+     */
+    async open(device) {
+        this.device = device;
+        this.device.removeEventListener('gattserverdisconnected', this._boundDisconnectHandler);
+        this.device.addEventListener('gattserverdisconnected', this._boundDisconnectHandler);
+
+        try {
+            this.log('🔌 Connecting to GATT server...', 'info');
+            this.server = await this.device.gatt.connect();
+
+            this.log('🎵 Getting MIDI service...', 'info');
+            const service = await this.server.getPrimaryService(BLE_MIDI_SERVICE);
+
+            this.log('📡 Getting MIDI characteristic...', 'info');
+            this.characteristic = await service.getCharacteristic(BLE_MIDI_CHARACTERISTIC);
+
+            this.log('🔔 Starting notifications...', 'info');
+            await this.characteristic.startNotifications();
+        } catch (error) {
+            // GATT connected but service/characteristic failed — stale connection
+            if (this.server && this.server.connected) {
+                this.server.disconnect();
+            }
+            this.reset();
+            throw error;
+        }
+
+        this.characteristic.addEventListener('characteristicvaluechanged', this._boundValueHandler);
+    }
+
+    /**
+     * Create BLE MIDI packet (from Python script)
+     */
+    frameSysEx(sysexData) {
+        // BLE MIDI format: [0x90, timestamp, 0xf0, ...sysex, timestamp, 0xf7]
+        const timestamp = 0xb7; // Use same timestamp as Python script
+        return new Uint8Array([
+            0x90, timestamp, 0xf0,
+            ...sysexData,
+            timestamp, 0xf7
+        ]);
+    }
+
+    async sendSysEx(sysexData) {
+        if (!this.characteristic) {
+            throw new Error('BLE MIDI characteristic not available');
+        }
+        await this.characteristic.writeValue(this.frameSysEx(sysexData));
+    }
+
+    async close() {
+        if (this.characteristic) {
+            try {
+                this.characteristic.removeEventListener('characteristicvaluechanged', this._boundValueHandler);
+                await this.characteristic.stopNotifications();
+                this.log('🔕 Stopped Boss Cube notifications', 'info');
+            } catch (error) {
+                this.log(`⚠️ Error stopping notifications: ${error.message}`, 'warning');
+            }
+        }
+
+        if (this.server && this.server.connected) {
+            await this.server.disconnect();
+            this.log('🔌 Boss Cube GATT server disconnected', 'info');
+        }
+        this.reset();
+    }
+
+    reset() {
+        if (this.device) {
+            this.device.removeEventListener('gattserverdisconnected', this._boundDisconnectHandler);
+        }
+        this.device = null;
+        this.server = null;
+        this.characteristic = null;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'bluetooth' in navigator;
+    }
+}
+
+export class WebMidiTransport {
+    constructor() {
+        this.type = TRANSPORT_TYPES.USB;
+        this.access = null;
+        this.input = null;
+        this.output = null;
+
+        // Event callbacks
+        this.onLog = null;
+        this.onData = null;
+        this.onDisconnect = null;
+
+        this._boundMessageHandler = (event) => {
+            // Copy into a fresh buffer: handleMIDIData reads value.buffer from offset 0
+            if (this.onData) this.onData(new DataView(Uint8Array.from(event.data).buffer));
+        };
+        this._boundStateHandler = (event) => {
+            const port = event.port;
+            if (port.state !== 'disconnected') return;
+            if (port === this.input || port === this.output) {
+                this.log(`🔌 USB MIDI port removed: ${port.name}`, 'warning');
+                this.reset();
+                if (this.onDisconnect) this.onDisconnect();
+            }
+        };
+    }
+
+    log(message, type = 'info') {
+        if (this.onLog) this.onLog(message, type);
+    }
+
+    get isOpen() {
+        return !!(this.input && this.output);
+    }
+
+    get deviceName() {
+        return this.output?.name || null;
+    }
+
+    /**
+     * Request SysEx-enabled MIDI access and bind to the Cube's USB ports
+     */
+    async open() {
+        this.log('🎹 Requesting Web MIDI access (SysEx)...', 'info');
+        this.access = await navigator.requestMIDIAccess({ sysex: true });
+
+        const ports = WebMidiTransport.findCubePorts(this.access);
+        if (!ports) {
+            this.access = null;
+            throw new Error('Boss Cube USB MIDI port not found');
+        }
+
+        this.input = ports.input;
+        this.output = ports.output;
+        this.log(`🎹 Using USB MIDI ports: ${this.input.name} / ${this.output.name}`, 'info');
+
+        await this.input.open?.();
+        await this.output.open?.();
+        this.input.addEventListener('midimessage', this._boundMessageHandler);
+        this.access.addEventListener('statechange', this._boundStateHandler);
+    }
+
+    frameSysEx(sysexData) {
+        return new Uint8Array([0xF0, ...sysexData, 0xF7]);
+    }
+
+    async sendSysEx(sysexData) {
+        if (!this.output) {
+            throw new Error('USB MIDI output not available');
+        }
+        this.output.send(this.frameSysEx(sysexData));
+    }
+
+    async close() {
+        if (this.input) {
+            this.input.removeEventListener('midimessage', this._boundMessageHandler);
+            try {
+                await this.input.close?.();
+                await this.output?.close?.();
+                this.log('🔌 USB MIDI ports closed', 'info');
+            } catch (error) {
+                this.log(`⚠️ Error closing USB MIDI ports: ${error.message}`, 'warning');
+            }
+        }
+        this.reset();
+    }
+
+    reset() {
+        if (this.input) {
+            this.input.removeEventListener('midimessage', this._boundMessageHandler);
+        }
+        if (this.access) {
+            this.access.removeEventListener('statechange', this._boundStateHandler);
+        }
+        this.access = null;
+        this.input = null;
+        this.output = null;
+    }
+
+    /**
+     * Find matching input/output pair whose port name contains "CUBE"
+     */
+    static findCubePorts(access) {
+        const isCube = (port) => port.state !== 'disconnected' && /cube/i.test(port.name || '');
+        const input = [...access.inputs.values()].find(isCube);
+        const output = [...access.outputs.values()].find(isCube);
+        return input && output ? { input, output } : null;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+}
+
+/**
+ * Create a transport instance for the given type ('ble' or 'usb')
+ */
+export function createTransport(type) {
+    return type === TRANSPORT_TYPES.USB ? new WebMidiTransport() : new BleMidiTransport();
+}
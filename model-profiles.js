@@ -0,0 +1,121 @@
+/**
+ * Model Profiles
+ * Everything that differs between the Roland/BOSS amps the app can drive: the
+ * DT1 header (manufacturer, device ID, model ID), the parameter map, the block
+ * read list and the effect switch commands, plus how to recognize the amp from
+ * its BLE name or its Device Inquiry reply. BossCubeCommunication picks the
+ * profile on connect and BossCubeController follows it.
+ *
+ * Adding an amp: register a profile with modelProfiles.register({...}); the
+ * Cube II profile below shows every field.
+ */
+import { BOSS_CUBE_HEADER } from './constants.js';
+import { BOSS_CUBE_PARAMETERS } from './parameters.js';
+import { EFFECT_SWITCH_COMMANDS } from './effect-definitions.js';
+import { CUBE_II_IDENTITY, IDENTITY_STATUS, classifyIdentity } from './device-identity.js';
+
+const REQUIRED_FIELDS = ['id', 'name', 'header', 'namePrefixes', 'parameters', 'blockReads', 'healthProbeKey'];
+
+export const CUBE_II_PROFILE = {
+    id: 'cube-st2',
+    name: 'BOSS Cube Street II',
+    header: BOSS_CUBE_HEADER,              // manufacturer, device ID, 5-byte model ID, DT1
+    namePrefixes: ['CUBE'],                // BLE advertised name
+    identity: CUBE_II_IDENTITY,            // Device Inquiry: manufacturer + family code low byte
+    parameters: BOSS_CUBE_PARAMETERS,
+    blockReads: [
+        { address: [0x00, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x1b], label: 'System' },
+        { address: [0x10, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x6d], label: 'Effects' },
+        { address: [0x20, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x05], label: 'Mixer' },
+        { address: [0x20, 0x00, 0x20, 0x00], size: [0x00, 0x00, 0x00, 0x13], label: 'Panel' },
+        { address: [0x20, 0x00, 0x10, 0x00], size: [0x00, 0x00, 0x00, 0x03], label: 'Looper' },
+        { address: [0x20, 0x00, 0x30, 0x00], size: [0x00, 0x00, 0x00, 0x03], label: 'Tuner Cfg' },
+    ],
+    individualReadParams: ['reverbPreDelay', 'guitarDelayTime', 'batteryLevel'], // sparse 7f xx addresses no block covers
+    effectSwitchCommands: EFFECT_SWITCH_COMMANDS,
+    healthProbeKey: 'masterVolume'         // read on connect and every keep-alive
+};
+
+export class ModelProfileRegistry {
+    constructor() {
+        this.profiles = new Map(); // id → profile, in registration order
+        this.defaultId = null;
+    }
+
+    /**
+     * Add a profile; the first one registered is the default
+     */
+    register(profile) {
+        for (const field of REQUIRED_FIELDS) {
+            if (profile[field] === undefined) {
+                throw new Error(`Model profile ${profile.id || '(no id)'} is missing ${field}`);
+            }
+        }
+        if (!profile.parameters[profile.healthProbeKey]?.address) {
+            throw new Error(`Model profile ${profile.id}: health probe ${profile.healthProbeKey} has no address`);
+        }
+        this.profiles.set(profile.id, {
+            identity: null,
+            individualReadParams: [],
+            effectSwitchCommands: { guitar: {}, micInst: {} },
+            ...profile
+        });
+        if (!this.defaultId) this.defaultId = profile.id;
+        return this.profiles.get(profile.id);
+    }
+
+    unregister(id) {
+        this.profiles.delete(id);
+        if (this.defaultId === id) this.defaultId = this.profiles.keys().next().value ?? null;
+    }
+
+    get(id) {
+        return this.profiles.get(id) || null;
+    }
+
+    list() {
+        return [...this.profiles.values()];
+    }
+
+    get default() {
+        return this.get(this.defaultId);
+    }
+
+    /**
+     * BLE name prefixes of every registered amp, for the device picker filters
+     */
+    get namePrefixes() {
+        return [...new Set(this.list().flatMap(profile => profile.namePrefixes))];
+    }
+
+    forDeviceName(deviceName) {
+        if (!deviceName) return null;
+        return this.list().find(profile => profile.namePrefixes.some(prefix => deviceName.startsWith(prefix))) || null;
+    }
+
+    forIdentity(identity) {
+        if (!identity) return null;
+        return this.list().find(profile => profile.identity
+            && classifyIdentity(identity, profile.identity) === IDENTITY_STATUS.MATCH) || null;
+    }
+
+    /**
+     * Pick the profile for a connected device: the identity reply wins, the BLE
+     * name is the fallback when the device did not answer.
+     * @returns {{profile: Object, status: string}} status is an IDENTITY_STATUS value;
+     *          MISMATCH means the device answered but no profile knows it (profile is then the name match or default)
+     */
+    select({ identity = null, deviceName = null } = {}) {
+        const byIdentity = this.forIdentity(identity);
+        if (byIdentity) {
+            return { profile: byIdentity, status: IDENTITY_STATUS.MATCH };
+        }
+        return {
+            profile: this.forDeviceName(deviceName) || this.default,
+            status: identity ? IDENTITY_STATUS.MISMATCH : IDENTITY_STATUS.UNKNOWN
+        };
+    }
+}
+
+export const modelProfiles = new ModelProfileRegistry();
+modelProfiles.register(CUBE_II_PROFILE);
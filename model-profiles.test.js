@@ -0,0 +1,162 @@
+/**
+ * Model Profile Tests
+ * Registry validation, picking a profile from the BLE name or identity reply,
+ * and the controller driving a second amp model against the simulator
+ */
+
+import { ModelProfileRegistry, CUBE_II_PROFILE, modelProfiles } from './model-profiles.js';
+import { IDENTITY_STATUS } from './device-identity.js';
+import { CubeSimulator } from './cube-simulator.js';
+import BossCubeController from './boss-cube-controller.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Model Profile Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Model Profile Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+// A small made-up amp: its own model ID, parameter map and block list
+const createTestAmpProfile = () => ({
+    id: 'test-amp',
+    name: 'Test Amp',
+    header: [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x33, 0x12],
+    namePrefixes: ['TESTAMP'],
+    identity: { manufacturer: 0x41, familyLsb: 0x33 },
+    parameters: {
+        volume: { name: 'Volume', address: [0x20, 0x00, 0x00, 0x00], min: 0, max: 100, current: 40, category: 'mixer' },
+        gain: { name: 'Gain', address: [0x20, 0x00, 0x00, 0x01], min: 0, max: 120, current: 60, category: 'mixer' }
+    },
+    blockReads: [
+        { address: [0x20, 0x00, 0x00, 0x00], size: [0x00, 0x00, 0x00, 0x02], label: 'Panel' }
+    ],
+    healthProbeKey: 'volume'
+});
+
+const createTestRegistry = () => {
+    const registry = new ModelProfileRegistry();
+    registry.register(CUBE_II_PROFILE);
+    registry.register(createTestAmpProfile());
+    return registry;
+};
+
+test.test('Profiles are validated and the first one is the default', () => {
+    const registry = createTestRegistry();
+    test.assertEqual(registry.default.id, CUBE_II_PROFILE.id, 'First registered is the default');
+    test.assertEqual(registry.get('test-amp').individualReadParams.length, 0, 'Optional fields filled in');
+    test.assertEqual(registry.namePrefixes.join(','), 'CUBE,TESTAMP', 'Picker filters cover every model');
+    test.assertEqual(modelProfiles.default.id, CUBE_II_PROFILE.id, 'Shared registry starts with the Cube II');
+
+    let error = null;
+    try {
+        registry.register({ ...createTestAmpProfile(), id: 'broken', blockReads: undefined });
+    } catch (e) {
+        error = e;
+    }
+    test.assert(error && error.message.includes('blockReads'), 'Missing field rejected');
+
+    error = null;
+    try {
+        registry.register({ ...createTestAmpProfile(), id: 'no-probe', healthProbeKey: 'master' });
+    } catch (e) {
+        error = e;
+    }
+    test.assert(error && error.message.includes('health probe'), 'Unknown health probe rejected');
+});
+
+test.test('Identity reply wins over the BLE name', () => {
+    const registry = createTestRegistry();
+    const testAmpIdentity = { manufacturer: 0x41, family: 0x0333, model: 0 };
+    const unknownIdentity = { manufacturer: 0x41, family: 0x0355, model: 0 };
+
+    let picked = registry.select({ identity: testAmpIdentity, deviceName: 'CUBE-ST2' });
+    test.assertEqual(picked.profile.id, 'test-amp', 'Identity decides');
+    test.assertEqual(picked.status, IDENTITY_STATUS.MATCH, 'Known model');
+
+    picked = registry.select({ identity: null, deviceName: 'TESTAMP 1' });
+    test.assertEqual(picked.profile.id, 'test-amp', 'Name decides without a reply');
+    test.assertEqual(picked.status, IDENTITY_STATUS.UNKNOWN, 'Identity unknown');
+
+    picked = registry.select({ identity: unknownIdentity, deviceName: 'Something' });
+    test.assertEqual(picked.profile.id, CUBE_II_PROFILE.id, 'Default for an unknown device');
+    test.assertEqual(picked.status, IDENTITY_STATUS.MISMATCH, 'Answered but unknown');
+});
+
+test.test('Controller follows the profile detected on connect', async () => {
+    const profile = createTestAmpProfile();
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    controller.bossCubeComm.log = () => {};
+    controller.bossCubeComm.profiles = createTestRegistry();
+    const simulator = new CubeSimulator({
+        name: 'TESTAMP Simulator',
+        profile,
+        identity: { deviceId: 0x10, manufacturer: 0x41, family: 0x0333, model: 0, revision: [0, 2, 0, 0] }
+    });
+    controller.useCubeSimulator(simulator);
+    const switched = [];
+    controller.onModelProfileChange = (p) => switched.push(p.id);
+
+    await controller.connectToBossCube();
+    try {
+        test.assertEqual(switched.join(','), 'test-amp', 'Profile change reported once');
+        test.assertEqual(Object.keys(controller.parameters).join(','), Object.keys(profile.parameters).join(','), 'Controller uses the amp parameter map');
+
+        const report = await controller.readAllValues();
+        test.assert(report.complete, 'Profile block list read completely');
+        test.assertEqual(report.blocks.length, 1, 'Only the profile blocks are read');
+
+        simulator.rejectedMessages = 0;
+        await controller.setParameter('gain', 77);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        test.assertEqual(simulator.getValue('gain'), 77, 'Write reached the amp');
+        test.assertEqual(simulator.rejectedMessages, 0, 'Writes carry the amp model ID');
+    } finally {
+        await controller.disconnectBossCube();
+    }
+});
+
+if (typeof window !== 'undefined') {
+    window.runModelProfileTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Model profile tests loaded. Run window.runModelProfileTests() to execute.');
+}
@@ -0,0 +1,156 @@
+/**
+ * Parameter Value Codec
+ * Parameter definitions declare how their value travels in SysEx with an
+ * `encoding` (single 7-bit byte when omitted). The same codec builds DT1 data
+ * for writes, decodes DT1 replies and block reads, and formats scaled values
+ * for display, so a new multi-byte parameter is a one-line definition:
+ *
+ *     delayTime: { name: 'Time', address: [...], min: 0, max: 999, encoding: multiByte(2) }
+ */
+
+export const ENCODINGS = {
+    BYTE: 'byte',             // one 7-bit byte
+    MULTI_BYTE: 'multiByte',  // 7 bits per byte, most significant first (Roland 7-bit multi-byte)
+    NIBBLIZED: 'nibblized',   // 4 bits per byte, most significant first
+    SIGNED: 'signed',         // one byte holding value + offset
+    SCALED: 'scaled'          // one byte of steps; display = steps * scale + offset
+};
+
+const BYTE = { type: ENCODINGS.BYTE };
+
+// Encoding declarations for parameters.js. multiByte() without a size takes every byte in the DT1.
+export const multiByte = (bytes = null) => ({ type: ENCODINGS.MULTI_BYTE, bytes });
+export const nibblized = (bytes) => ({ type: ENCODINGS.NIBBLIZED, bytes });
+export const signed = (offset) => ({ type: ENCODINGS.SIGNED, offset });
+export const scaled = (scale, { offset = 0, unit = '', decimals = 0 } = {}) =>
+    ({ type: ENCODINGS.SCALED, scale, offset, unit, decimals });
+
+const toKey = (address) => address.map(b => b.toString(16).padStart(2, '0')).join('');
+
+const nextAddress = (address) => {
+    const next = [...address];
+    next[3]++;
+    if (next[3] > 0x7F) { next[3] = 0; next[2]++; }
+    if (next[2] > 0x7F) { next[2] = 0; next[1]++; }
+    return next;
+};
+
+export function getEncoding(param) {
+    return param?.encoding || BYTE;
+}
+
+/**
+ * Bytes a value occupies on the wire; null for variable-length multi-byte values
+ */
+export function getByteLength(param) {
+    const encoding = getEncoding(param);
+    if (encoding.type === ENCODINGS.MULTI_BYTE || encoding.type === ENCODINGS.NIBBLIZED) {
+        return encoding.bytes;
+    }
+    return 1;
+}
+
+/**
+ * Value → DT1 data bytes
+ */
+export function encodeValue(param, value) {
+    const encoding = getEncoding(param);
+    switch (encoding.type) {
+        case ENCODINGS.MULTI_BYTE:
+        case ENCODINGS.NIBBLIZED: {
+            const bits = encoding.type === ENCODINGS.MULTI_BYTE ? 7 : 4;
+            const mask = (1 << bits) - 1;
+            const length = encoding.bytes ?? Math.max(1, Math.ceil(Math.log2(value + 1) / bits));
+            return Array.from({ length }, (_, i) => (value >> (bits * (length - 1 - i))) & mask);
+        }
+        case ENCODINGS.SIGNED:
+            return [(value + encoding.offset) & 0x7F];
+        default:
+            return [value & 0x7F];
+    }
+}
+
+/**
+ * DT1 data bytes → value
+ */
+export function decodeValue(param, bytes) {
+    const encoding = getEncoding(param);
+    switch (encoding.type) {
+        case ENCODINGS.MULTI_BYTE:
+        case ENCODINGS.NIBBLIZED: {
+            const bits = encoding.type === ENCODINGS.MULTI_BYTE ? 7 : 4;
+            return bytes.reduce((value, byte) => (value << bits) | (byte & ((1 << bits) - 1)), 0);
+        }
+        case ENCODINGS.SIGNED:
+            return bytes[0] - encoding.offset;
+        default:
+            return bytes[0];
+    }
+}
+
+/**
+ * Display text for scaled and signed values; null when the encoding says nothing about display
+ */
+export function formatValue(param, value) {
+    const encoding = getEncoding(param);
+    if (encoding.type === ENCODINGS.SCALED) {
+        return `${(value * encoding.scale + encoding.offset).toFixed(encoding.decimals)}${encoding.unit}`;
+    }
+    if (encoding.type === ENCODINGS.SIGNED) {
+        return value > 0 ? `+${value}` : `${value}`;
+    }
+    return null;
+}
+
+/**
+ * Address-indexed codec for one device's parameter table
+ */
+export class ParameterCodec {
+    constructor(parameters) {
+        this.byAddress = new Map();
+        for (const param of Object.values(parameters)) {
+            if (!param.address || param.isVirtual) continue;
+            this.byAddress.set(toKey(param.address), param);
+        }
+    }
+
+    findByAddress(address) {
+        return this.byAddress.get(Array.isArray(address) ? toKey(address) : address) || null;
+    }
+
+    /**
+     * DT1 data for a value written at address (unknown addresses are single bytes)
+     */
+    encode(address, value) {
+        return encodeValue(this.findByAddress(address), value);
+    }
+
+    /**
+     * Split a DT1 payload into per-address values. A multi-byte parameter whose
+     * bytes are all present decodes as one value; the addresses its low bytes
+     * occupy still report their raw byte, so block reads see every address answered.
+     * @returns {Array<{address: number[], value: number}>}
+     */
+    decodeDataSet(address, data) {
+        const first = this.findByAddress(address);
+        if (data.length > 1 && first && getByteLength(first) === null) {
+            return [{ address: [...address], value: decodeValue(first, data) }];
+        }
+
+        const updates = [];
+        let addr = [...address];
+        for (let i = 0; i < data.length; i++) {
+            const param = this.findByAddress(addr);
+            const length = getByteLength(param) ?? 1;
+            let value = data[i];
+            if (length === 1) {
+                value = decodeValue(param, [data[i]]);
+            } else if (i + length <= data.length) {
+                value = decodeValue(param, data.slice(i, i + length));
+            }
+            updates.push({ address: addr, value });
+            addr = nextAddress(addr);
+        }
+        return updates;
+    }
+}
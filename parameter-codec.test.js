@@ -0,0 +1,136 @@
+/**
+ * Parameter Codec Tests
+ * Encoding declarations, DT1 encode/decode and display of scaled values
+ */
+
+import {
+    ParameterCodec, encodeValue, decodeValue, formatValue, getByteLength,
+    multiByte, nibblized, signed, scaled
+} from './parameter-codec.js';
+import { BOSS_CUBE_PARAMETERS } from './parameters.js';
+import { CubeSimulator } from './cube-simulator.js';
+import BossCubeController from './boss-cube-controller.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Parameter Codec Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Parameter Codec Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const hex = (bytes) => bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+
+test.test('Parameters without an encoding are single bytes', () => {
+    const param = BOSS_CUBE_PARAMETERS.masterVolume;
+    test.assertEqual(getByteLength(param), 1, 'One byte');
+    test.assertEqual(hex(encodeValue(param, 50)), '32', 'Encoded as is');
+    test.assertEqual(decodeValue(param, [0x32]), 50, 'Decoded as is');
+});
+
+test.test('Multi-byte values use 7 bits per byte, high byte first', () => {
+    const param = BOSS_CUBE_PARAMETERS.guitarDelayTime;
+    test.assertEqual(getByteLength(param), 2, 'Delay time declares two bytes');
+    test.assertEqual(hex(encodeValue(param, 700)), '05 3c', '700 = 5 * 128 + 60');
+    test.assertEqual(decodeValue(param, [0x05, 0x3c]), 700, 'Round trip');
+    test.assertEqual(hex(encodeValue({ encoding: multiByte() }, 300)), '02 2c', 'Variable length picks enough bytes');
+});
+
+test.test('Nibblized and signed encodings round-trip', () => {
+    const nibbles = { encoding: nibblized(4) };
+    test.assertEqual(hex(encodeValue(nibbles, 0x1234)), '01 02 03 04', 'Four nibbles');
+    test.assertEqual(decodeValue(nibbles, [0x01, 0x02, 0x03, 0x04]), 0x1234, 'Nibbles decoded');
+
+    const pan = { encoding: signed(64) };
+    test.assertEqual(hex(encodeValue(pan, -20)), '2c', 'Offset applied on the wire');
+    test.assertEqual(decodeValue(pan, [0x2c]), -20, 'Offset removed when decoding');
+    test.assertEqual(formatValue(pan, 5), '+5', 'Positive values shown with sign');
+});
+
+test.test('Scaled encodings format like the old displayValue lambdas', () => {
+    test.assertEqual(formatValue(BOSS_CUBE_PARAMETERS.usbMixLevel, 37), '74%', 'USB mix doubles');
+    test.assertEqual(formatValue(BOSS_CUBE_PARAMETERS.reverbTime, 25), '2.6s', 'Reverb time 0.1s steps from 0.1s');
+    test.assertEqual(formatValue(BOSS_CUBE_PARAMETERS.guitarChorusLowPreDelay, 7), '3.5ms', 'Pre delay in half milliseconds');
+    test.assertEqual(formatValue({ encoding: scaled(2) }, 3), '6', 'No unit');
+    test.assertEqual(formatValue(BOSS_CUBE_PARAMETERS.masterVolume, 50), null, 'Plain bytes leave display alone');
+});
+
+test.test('Block payload decodes multi-byte parameters in place', () => {
+    const codec = new ParameterCodec(BOSS_CUBE_PARAMETERS);
+    // 10 00 00 60.. : delay type, delay time (2 bytes), feedback
+    const updates = codec.decodeDataSet([0x10, 0x00, 0x00, 0x60], [0x02, 0x03, 0x74, 0x1e]);
+    const byAddress = Object.fromEntries(updates.map(u => [hex(u.address), u.value]));
+
+    test.assertEqual(updates.length, 4, 'Every address reported');
+    test.assertEqual(byAddress['10 00 00 61'], 500, 'Delay time decoded from both bytes');
+    test.assertEqual(byAddress['10 00 00 62'], 0x74, 'Low byte address still answered');
+    test.assertEqual(byAddress['10 00 00 63'], 30, 'Next parameter decoded as a byte');
+});
+
+test.test('Variable-length parameter takes the whole DT1', () => {
+    const codec = new ParameterCodec(BOSS_CUBE_PARAMETERS);
+    const updates = codec.decodeDataSet(BOSS_CUBE_PARAMETERS.tunerPitchData.address, [0x40, 0x20, 0x10]);
+    test.assertEqual(updates.length, 1, 'One value');
+    test.assertEqual(updates[0].value, ((0x40 << 7) | 0x20) << 7 | 0x10, '21-bit value');
+});
+
+test.test('setParameter writes a 16-bit delay time the amp reads back', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator();
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+
+    await controller.connectToBossCube();
+    try {
+        await controller.setParameter('guitarDelayTime', 700);
+        test.assertEqual(simulator.getValue('guitarDelayTime'), 700, 'Both bytes landed on the amp');
+        test.assertEqual(simulator.getValue('guitarDelayFeedback'), BOSS_CUBE_PARAMETERS.guitarDelayFeedback.current, 'Neighbour untouched');
+    } finally {
+        await controller.bossCubeComm.disconnect();
+    }
+});
+
+if (typeof window !== 'undefined') {
+    window.runParameterCodecTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Parameter codec tests loaded. Run window.runParameterCodecTests() to execute.');
+}
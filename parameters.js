@@ -2,8 +2,11 @@
  * Boss Cube II SysEx Parameters
  * Complete parameter definitions with addresses, ranges, and metadata
  * Extracted from reverse-engineered protocol documentation
+ * Values are single 7-bit bytes unless an entry declares an `encoding` (see parameter-codec.js)
  */
 
+import { multiByte, scaled } from './parameter-codec.js';
+
 export const BOSS_CUBE_PARAMETERS = {
     // Mixer controls
     micInstVolume: { 
@@ -304,9 +307,9 @@ export const BOSS_CUBE_PARAMETERS = {
 
     // USB Audio levels (block-read only — no response to individual RQ1)
     usbMixLevelByte0:       { name: 'USB Mix Level (B0)',       address: [0x00, 0x00, 0x00, 0x00], min: 0, max: 0, current: 0, category: 'system', hidden: true },
-    usbMixLevel:            { name: 'USB Mix Level',            address: [0x00, 0x00, 0x00, 0x01], min: 0, max: 100, current: 50, displayValue: (v) => `${v * 2}%`, category: 'mixer' },
+    usbMixLevel:            { name: 'USB Mix Level',            address: [0x00, 0x00, 0x00, 0x01], min: 0, max: 100, current: 50, encoding: scaled(2, { unit: '%' }), category: 'mixer' },
     usbMasterOutLevelByte0: { name: 'USB Master Out Level (B0)', address: [0x00, 0x00, 0x00, 0x02], min: 0, max: 0, current: 0, category: 'system', hidden: true },
-    usbMasterOutLevel:      { name: 'USB Master Out Level',     address: [0x00, 0x00, 0x00, 0x03], min: 0, max: 100, current: 50, displayValue: (v) => `${v * 2}%`, category: 'mixer' },
+    usbMasterOutLevel:      { name: 'USB Master Out Level',     address: [0x00, 0x00, 0x00, 0x03], min: 0, max: 100, current: 50, encoding: scaled(2, { unit: '%' }), category: 'mixer' },
 
     // BLE device ID (suffix on Bluetooth device name, 0-2)
     bleDeviceId: { name: 'BLE Device ID', address: [0x00, 0x00, 0x00, 0x16], min: 0, max: 2, current: 0, valueLabels: ['0', '1', '2'], category: 'system', hidden: true },
@@ -405,7 +408,7 @@ export const BOSS_CUBE_PARAMETERS = {
         address: [0x10, 0x00, 0x00, 0x3d], 
         min: 0, max: 80, current: 50,
         unit: 'ms',
-        displayValue: (value) => `${(value * 0.5).toFixed(1)}ms`,
+        encoding: scaled(0.5, { unit: 'ms', decimals: 1 }),
         category: 'guitarEffects',
         effectType: 'chorus'
     },
@@ -442,7 +445,7 @@ export const BOSS_CUBE_PARAMETERS = {
         address: [0x10, 0x00, 0x00, 0x42], 
         min: 0, max: 80, current: 50,
         unit: 'ms',
-        displayValue: (value) => `${(value * 0.5).toFixed(1)}ms`,
+        encoding: scaled(0.5, { unit: 'ms', decimals: 1 }),
         category: 'guitarEffects',
         effectType: 'chorus'
     },
@@ -596,7 +599,7 @@ export const BOSS_CUBE_PARAMETERS = {
         min: 0, max: 49, current: 25,
         unit: 's',
         step: 0.1,
-        displayValue: (value) => `${(value * 0.1 + 0.1).toFixed(1)}s`,
+        encoding: scaled(0.1, { offset: 0.1, unit: 's', decimals: 1 }),
         category: 'reverb'
     },
     reverbPreDelay: { 
@@ -606,7 +609,7 @@ export const BOSS_CUBE_PARAMETERS = {
         unit: 'ms',
         displayValue: (value) => `${value}ms`,
         category: 'reverb',
-        is16Bit: true
+        encoding: multiByte(2)
     },
     reverbPreDelayByte1: { name: 'Reverb Pre-Delay (B1)', address: [0x10, 0x00, 0x00, 0x30], min: 0, max: 127, current: 0, category: 'reverb', hidden: true },
     reverbLowCut: { 
@@ -667,7 +670,7 @@ export const BOSS_CUBE_PARAMETERS = {
         unit: 'ms',
         displayValue: (value) => `${value}ms`,
         category: 'guitarDelay',
-        is16Bit: true
+        encoding: multiByte(2)
     },
     guitarDelayTimeByte1: { name: 'Delay Time (B1)', address: [0x10, 0x00, 0x00, 0x62], min: 0, max: 127, current: 0, category: 'guitarDelay', hidden: true },
     guitarDelayFeedback: { 
@@ -749,7 +752,7 @@ export const BOSS_CUBE_PARAMETERS = {
         name: 'Tuner Pitch Data',
         address: [0x7F, 0x00, 0x03, 0x00],
         min: 0, max: 2097151, current: 1048576, // Auto-detected size, up to 3 bytes = 21 bits
-        isMultiByte: true, // Dynamically sized parameter
+        encoding: multiByte(), // Dynamically sized parameter
         category: 'internal' // Changed from 'tuner' to 'internal' to hide from UI
     },
 
@@ -12,6 +12,11 @@ import {
     FOOTSWITCH_POLARITIES,
     SYSEX_CONFIG
 } from './constants.js';
+import { TRACE_DEVICES, TRACE_DIRECTIONS } from './sysex-session.js';
+import { GattWriteQueue } from './gatt-write-queue.js';
+import { BleMidiParser, MIDI_EVENTS } from './ble-midi-parser.js';
+import { toMidiMessage } from './midi-mapping.js';
+import { ProtocolErrorCounters, validateRolandDT1 } from './sysex-validation.js';
 
 export class PedalCommunication {
     constructor() {
@@ -31,17 +36,23 @@ export class PedalCommunication {
         this.footswitchPolarity = 'normally_open';
 
         // SysEx state
-        this.sysexBuffer = [];
-        this.bufferingActive = false;
-        this._gattQueue = Promise.resolve();
+        this.midiParser = new BleMidiParser();
+        this.protocolErrors = new ProtocolErrorCounters();
+        this.writeQueue = new GattWriteQueue();
         this.pedalParams = {};
         this.onPedalParamUpdate = null;
 
+        // Optional SysExSessionRecorder capturing raw packets
+        this.recorder = null;
+
         // Event callbacks
         this.onLog = null;
         this.onVolumeChange = null;
         this.onButtonPress = null;
+        this.onButtonRelease = null; // ({type, button}) => void — switch let go (Momentary mode); feeds gesture timing
+        this.onMidiMessage = null; // ({type, channel, number, value}) => boolean — true when a MIDI mapping handled it
         this.onConnectionStatusChange = null;
+        this.onConnectionLost = null; // unexpected drop, not disconnect()
     }
 
     /**
@@ -54,6 +65,23 @@ export class PedalCommunication {
         }
     }
 
+    /**
+     * Rejected messages, BLE MIDI framing errors and write queue metrics
+     */
+    getDiagnostics() {
+        return {
+            protocolErrors: this.protocolErrors.toJSON(),
+            framingErrors: { ...this.midiParser.errors },
+            writeQueue: this.writeQueue.getMetrics()
+        };
+    }
+
+    resetDiagnostics() {
+        this.protocolErrors.reset();
+        Object.keys(this.midiParser.errors).forEach(key => { this.midiParser.errors[key] = 0; });
+        this.writeQueue.resetMetrics();
+    }
+
     /**
      * Try to auto-reconnect to a previously paired pedal.
      * Uses watchAdvertisements() to detect the device, then connects.
@@ -183,6 +211,11 @@ export class PedalCommunication {
                 }
             }
 
+            // Intentional: no onConnectionLost
+            if (this.device && this._boundDisconnectHandler) {
+                this.device.removeEventListener('gattserverdisconnected', this._boundDisconnectHandler);
+            }
+
             if (this.server && this.server.connected) {
                 await this.server.disconnect();
                 this.log('🔌 Pedal GATT server disconnected', 'info');
@@ -199,8 +232,12 @@ export class PedalCommunication {
      * Handle disconnection event
      */
     handleDisconnection() {
+        const wasConnected = this.isConnected;
         this.log('🔌 EV-1-WL pedal disconnected', 'warning');
         this.cleanup();
+        if (wasConnected && this.onConnectionLost) {
+            this.onConnectionLost();
+        }
     }
 
     /**
@@ -212,8 +249,8 @@ export class PedalCommunication {
         this.characteristic = null;
         this.isConnected = false;
         this.lastPedalValue = -1;
-        this.sysexBuffer = [];
-        this.bufferingActive = false;
+        this.midiParser.reset();
+        this.writeQueue.clear(new Error('Pedal disconnected'));
         this.notifyConnectionStatusChange(false);
     }
 
@@ -233,14 +270,15 @@ export class PedalCommunication {
         ]);
     }
 
+    async writePacket(packet) {
+        if (this.recorder) {
+            this.recorder.record(TRACE_DEVICES.PEDAL, TRACE_DIRECTIONS.OUT, packet);
+        }
+        await this.characteristic.writeValue(packet);
+    }
+
     _enqueueGattWrite(operation) {
-        let resolve, reject;
-        const result = new Promise((res, rej) => { resolve = res; reject = rej; });
-        this._gattQueue = this._gattQueue.then(async () => {
-            try { resolve(await operation()); }
-            catch (err) { reject(err); }
-        });
-        return result;
+        return this.writeQueue.enqueue(operation);
     }
 
     async sendReadRequest(address, size) {
@@ -254,7 +292,7 @@ export class PedalCommunication {
             const dataBytes = [...header, ...checksumData];
             const checksum = this.rolandChecksum(checksumData);
             const command = this.createBLEMidiCommand([...dataBytes, checksum]);
-            await this.characteristic.writeValue(command);
+            await this.writePacket(command);
             await new Promise(resolve => setTimeout(resolve, SYSEX_CONFIG.READ_DELAY));
         });
     }
@@ -270,7 +308,7 @@ export class PedalCommunication {
             const dataBytes = [...EV1WL_HEADER, ...checksumData];
             const checksum = this.rolandChecksum(checksumData);
             const command = this.createBLEMidiCommand([...dataBytes, checksum]);
-            await this.characteristic.writeValue(command);
+            await this.writePacket(command);
             await new Promise(resolve => setTimeout(resolve, SYSEX_CONFIG.COMMAND_DELAY));
         });
     }
@@ -282,22 +320,19 @@ export class PedalCommunication {
     }
 
     parsePedalSysEx(sysexData) {
-        if (sysexData.length < 10) return;
-
-        const expectedHeader = [0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x10];
-        for (let i = 0; i < expectedHeader.length; i++) {
-            if (sysexData[i] !== expectedHeader[i]) return;
+        const error = validateRolandDT1(sysexData, EV1WL_HEADER);
+        if (error) {
+            const hex = Array.from(sysexData, b => b.toString(16).padStart(2, '0')).join(' ');
+            this.protocolErrors.count(error, `[${hex}]`);
+            this.log(`⚠️ Pedal SysEx rejected (${error}): [${hex}]`, 'warning');
+            return;
         }
 
-        if (sysexData[7] !== 0x12) return; // DT1 only
-
         const addressBytes = sysexData.slice(8, 12);
         const dataStart = 12;
         const dataEnd = sysexData.length - 1; // exclude checksum
         const dataByteCount = dataEnd - dataStart;
 
-        if (dataByteCount <= 0) return;
-
         // Block response: consecutive single-byte parameters
         const addr = [...addressBytes];
         for (let i = 0; i < dataByteCount; i++) {
@@ -319,54 +354,29 @@ export class PedalCommunication {
     }
 
     clearSysExBuffer() {
-        this.sysexBuffer = [];
-        this.bufferingActive = false;
+        this.midiParser.reset();
     }
 
     // ===== MIDI data handling =====
 
     handleMIDIData(value) {
         const data = new Uint8Array(value.buffer);
-
-        // First pass: extract SysEx if present
-        let sysexData = [];
-        let foundStart = false;
-        let foundEnd = false;
-
-        for (let i = 0; i < data.length; i++) {
-            if (data[i] === 0xF0) {
-                foundStart = true;
-                this.clearSysExBuffer();
-                this.bufferingActive = true;
-                continue;
-            } else if (data[i] === 0xF7) {
-                foundEnd = true;
-                break;
-            } else if (this.bufferingActive && data[i] < 0x80) {
-                sysexData.push(data[i]);
-            }
+        if (this.recorder) {
+            this.recorder.record(TRACE_DEVICES.PEDAL, TRACE_DIRECTIONS.IN, data);
         }
 
-        if (foundStart || this.bufferingActive) {
-            if (sysexData.length > 0) {
-                this.sysexBuffer.push(...sysexData);
+        for (const event of this.midiParser.parse(data)) {
+            if (event.type === MIDI_EVENTS.SYSEX) {
+                this.parsePedalSysEx(event.data);
+                continue;
             }
-            if (foundEnd) {
-                this.parsePedalSysEx(this.sysexBuffer);
-                this.clearSysExBuffer();
+            // Learned MIDI bindings first; what they don't claim goes to the fixed CC codes
+            const message = toMidiMessage(event);
+            if (message && this.onMidiMessage && this.onMidiMessage(message)) {
+                continue;
             }
-            if (foundStart || foundEnd) return; // SysEx packet, don't parse as CC
-        }
-
-        // Second pass: CC messages (only if no SysEx)
-        for (let i = 0; i < data.length - 2; i++) {
-            const status = data[i];
-            const control = data[i + 1];
-            const ccValue = data[i + 2];
-
-            if ((status & 0xF0) === 0xB0 && control < 0x80 && ccValue < 0x80) {
-                this.handleMIDICC(control, ccValue);
-                i += 2;
+            if (event.type === MIDI_EVENTS.CC) {
+                this.handleMIDICC(event.controller, event.value);
             }
         }
     }
@@ -420,6 +430,8 @@ export class PedalCommunication {
 
         if (isPressed) {
             this.handleButtonPress(direction);
+        } else if (this.onButtonRelease) {
+            this.onButtonRelease({ type: 'release', button: direction });
         }
     }
 
@@ -4,7 +4,7 @@
  */
 
 import { PedalCommunication } from './pedal-communication.js';
-import { EV1WL_BLOCK_READS, EV1WL_HEADER } from './constants.js';
+import { EV1WL_BLOCK_READS, EV1WL_HEADER, EV1WL_PARAMS, EV1WL_MIDI_INTERFACES } from './constants.js';
 
 class TestFramework {
     constructor() {
@@ -66,9 +66,9 @@ function createMIDIData(messages) {
 // Test helper to create BLE MIDI packet with timestamps
 function createBLEMIDIPacket(messages) {
     const data = [];
-    data.push(0x80); // BLE MIDI timestamp header
+    data.push(0x80); // BLE MIDI packet header (timestamp high bits)
     for (const msg of messages) {
-        data.push(msg.status, msg.control, msg.value);
+        data.push(0x81, msg.status, msg.control, msg.value); // timestamp low byte before each status
     }
     return new Uint8Array(data);
 }
@@ -420,6 +420,23 @@ test.test('readAllPedalParams - requests all configured blocks', async () => {
     }
 });
 
+test.test('EV1WL_BLOCK_READS - cover every parameter of every MIDI interface', () => {
+    const inBlock = (address, block) => address.slice(0, 3).every((b, i) => b === block.address[i])
+        && address[3] >= block.address[3]
+        && address[3] < block.address[3] + block.size[3];
+
+    for (const [key, param] of Object.entries(EV1WL_PARAMS)) {
+        test.assert(EV1WL_BLOCK_READS.some(block => inBlock(param.address, block)), `${key} should be read by a block`);
+    }
+    for (const { prefix, block } of EV1WL_MIDI_INTERFACES) {
+        const keys = Object.keys(EV1WL_PARAMS).filter(key => key.startsWith(prefix) && EV1WL_PARAMS[key].address[2] === block);
+        test.assertEqual(keys.length, 20, `${prefix} MidiSetting should have 20 parameters`);
+    }
+    test.assertArrayEqual(EV1WL_PARAMS.usbCtl1CC.address, [0x10, 0x00, 0x02, 0x09], 'USB block at 0x10 00 02 00');
+    test.assertArrayEqual(EV1WL_PARAMS.midiExpSwOnValue.address, [0x10, 0x00, 0x03, 0x08], 'MIDI block at 0x10 00 03 00');
+    test.assertEqual(EV1WL_PARAMS.midiExpSwOnValue.name, 'MIDI Exp Sw On Value', 'Name carries the interface');
+});
+
 test.test('parsePedalSysEx - emits sequential block parameter updates', () => {
     const pedal = new PedalCommunication();
     const received = [];
@@ -444,6 +461,23 @@ test.test('parsePedalSysEx - emits sequential block parameter updates', () => {
     test.assertEqual(pedal.pedalParams['10000102'], 0x17, 'Last parsed value should be cached by address');
 });
 
+test.test('parsePedalSysEx - rejects a corrupted checksum and counts it', () => {
+    const pedal = new PedalCommunication();
+    pedal.log = () => {};
+    const received = [];
+    pedal.onPedalParamUpdate = (address, value) => received.push(value);
+    const address = [0x10, 0x00, 0x01, 0x00];
+    const checksum = rolandChecksum([...address, 0x15]);
+
+    pedal.parsePedalSysEx([...EV1WL_HEADER, ...address, 0x14, checksum]);
+    pedal.parsePedalSysEx([0x41, 0x10, 0x00, 0x00, 0x00, 0x00, 0x09, 0x12, ...address, 0x15, checksum]);
+
+    test.assertEqual(received.length, 0, 'Rejected messages should not update parameters');
+    test.assertEqual(pedal.protocolErrors.counts.checksum, 1, 'Checksum failure should be counted');
+    test.assertEqual(pedal.protocolErrors.counts.header, 1, 'Cube message should count as header mismatch');
+    test.assertEqual(pedal.pedalParams['10000100'], undefined, 'Corrupted value should not be cached');
+});
+
 // Regression test for the specific pedal lag issue
 test.test('REGRESSION: Multiple messages in single BLE packet', () => {
     const pedal = new PedalCommunication();
@@ -0,0 +1,80 @@
+/**
+ * Pedal Config Dialog — before a configuration file or template is written to
+ * the EV-1-WL, lists every setting it changes and asks to go ahead. Renders as
+ * a modal like the discovery dashboard.
+ */
+import { formatPedalValue } from './pedal-config.js';
+
+export class PedalConfigDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+    }
+
+    /**
+     * Show what writing the configuration will change.
+     * @param {string} title - file or template name
+     * @param {Array<{key, name, from, to}>} changes - from diffPedalConfig()
+     * @returns {Promise<boolean>} true to write the changes to the pedal
+     */
+    confirm(title, changes) {
+        if (!this.modal) this._build();
+        this._render(title, changes);
+        this.modal.style.display = 'flex';
+        return new Promise(resolve => { this.resolve = resolve; });
+    }
+
+    _build() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'discovery-modal-overlay';
+        this.modal.innerHTML = `
+            <div class="discovery-modal">
+                <div class="discovery-header">
+                    <h2 id="pedalConfigTitle">Restore pedal configuration</h2>
+                </div>
+                <div class="discovery-panel">
+                    <div class="diag-hint">Settings below are written to the EV-1-WL. Values already matching are skipped.</div>
+                    <div class="discovery-table-wrap">
+                        <table class="discovery-table">
+                            <thead><tr><th>Setting</th><th>Pedal now</th><th>After restore</th></tr></thead>
+                            <tbody id="pedalConfigBody"></tbody>
+                        </table>
+                    </div>
+                    <div class="reconcile-footer">
+                        <button id="pedalConfigCancelBtn" class="btn-small">Cancel</button>
+                        <button id="pedalConfigWriteBtn" class="btn-small">Write to pedal</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        document.getElementById('pedalConfigCancelBtn').addEventListener('click', () => this._finish(false));
+        document.getElementById('pedalConfigWriteBtn').addEventListener('click', () => this._finish(true));
+    }
+
+    _render(title, changes) {
+        document.getElementById('pedalConfigTitle').textContent = `Restore: ${title}`;
+        const body = document.getElementById('pedalConfigBody');
+        body.innerHTML = '';
+        for (const { key, name, from, to } of changes) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${name}</td>
+                <td>${formatPedalValue(key, from)}</td>
+                <td>${formatPedalValue(key, to)}</td>
+            `;
+            body.appendChild(row);
+        }
+        const writeBtn = document.getElementById('pedalConfigWriteBtn');
+        writeBtn.textContent = changes.length > 0 ? `Write ${changes.length} change(s)` : 'Nothing to change';
+        writeBtn.disabled = changes.length === 0;
+    }
+
+    _finish(write) {
+        this.modal.style.display = 'none';
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(write);
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * EV-1-WL Configuration Files and Templates
+ * The pedal's full settings (every EV1WL_PARAMS value) as a JSON file that can
+ * be restored onto the same or another EV-1-WL, plus built-in templates. A
+ * template sets only the parameters it cares about and may carry the app's
+ * pedal mapping (settings.pedalMapping) that goes with it.
+ */
+import { EV1WL_PARAMS } from './constants.js';
+
+export const PEDAL_CONFIG_FORMAT = 'boss-web-control/ev1wl-config';
+export const PEDAL_CONFIG_VERSION = 1;
+
+// A footswitch sending CC `cc` over Bluetooth: 127 while pressed, 0 on release
+const momentarySwitch = (prefix, mode, cc) => ({
+    [mode]: 1,
+    [`bt${prefix}CCOnOff`]: 1,
+    [`bt${prefix}CC`]: cc,
+    [`bt${prefix}OffValue`]: 0,
+    [`bt${prefix}OnValue`]: 127,
+});
+
+// CTL 1/2 as previous/next parameter and the expression pedal on the selected one (the app defaults)
+const PREV_NEXT_PARAMS = {
+    ...momentarySwitch('Ctl1', 'ctl1Mode', 80),
+    ...momentarySwitch('Ctl2', 'ctl2Mode', 81),
+    btExpOffCCOnOff: 1,
+    btExpOffCC: 127,
+    btExpOffRangeMin: 0,
+    btExpOffRangeMax: 127,
+};
+
+const PREV_NEXT_MAPPING = {
+    prevSource: 'ctl1',
+    nextSource: 'ctl2',
+    pedalSource: 'expOff',
+};
+
+export const PEDAL_TEMPLATES = [
+    {
+        id: 'cube-volume-prev-next',
+        name: 'Cube volume + prev/next',
+        description: 'CTL 1/2 step through parameters, the expression pedal sets the selected one',
+        params: { ...PREV_NEXT_PARAMS, expSwLedColor: 3 },
+        mapping: { ...PREV_NEXT_MAPPING, expSwAction: 'none' }
+    },
+    {
+        id: 'looper-control',
+        name: 'Looper control',
+        description: 'As Cube volume + prev/next; the toe switch records, plays and overdubs the loop',
+        params: { ...PREV_NEXT_PARAMS, ...momentarySwitch('ExpSw', 'expSwMode', 82), expSwLedColor: 0 },
+        mapping: { ...PREV_NEXT_MAPPING, expSwAction: 'cycleLooper' }
+    },
+    {
+        id: 'factory-defaults',
+        name: 'Factory defaults',
+        description: 'Every setting back to the EV-1-WL default',
+        params: Object.fromEntries(Object.entries(EV1WL_PARAMS).map(([key, param]) => [key, param.init])),
+        mapping: null
+    },
+];
+
+/**
+ * Build the file contents from the values read from the pedal (paramKey → value).
+ * Parameters never read are left out rather than guessed.
+ */
+export function createPedalConfig(values, name = 'EV-1-WL', now = new Date()) {
+    const params = {};
+    for (const key of Object.keys(EV1WL_PARAMS)) {
+        if (values[key] !== undefined) params[key] = values[key];
+    }
+    return {
+        format: PEDAL_CONFIG_FORMAT,
+        version: PEDAL_CONFIG_VERSION,
+        name,
+        exportedAt: now.toISOString(),
+        params
+    };
+}
+
+/**
+ * Validate a parsed config file.
+ * @returns {{name: string, params: Object, skipped: string[]}} skipped: keys this app does not know
+ * @throws {Error} when it is not an EV-1-WL config or a value is out of range
+ */
+export function parsePedalConfig(data) {
+    if (!data || data.format !== PEDAL_CONFIG_FORMAT) {
+        throw new Error('Not an EV-1-WL configuration file');
+    }
+    if (data.version > PEDAL_CONFIG_VERSION) {
+        throw new Error(`Configuration version ${data.version} is newer than this app supports`);
+    }
+    if (!data.params || typeof data.params !== 'object') {
+        throw new Error('Configuration has no parameters');
+    }
+
+    const params = {};
+    const skipped = [];
+    for (const [key, value] of Object.entries(data.params)) {
+        const param = EV1WL_PARAMS[key];
+        if (!param) {
+            skipped.push(key);
+            continue;
+        }
+        if (!Number.isInteger(value) || value < param.min || value > param.max) {
+            throw new Error(`${param.name}: ${value} is outside ${param.min}–${param.max}`);
+        }
+        params[key] = value;
+    }
+    return { name: data.name || 'EV-1-WL', params, skipped };
+}
+
+/**
+ * Parameters restoring `params` would change, in EV1WL_PARAMS order
+ * @param {Object} current - paramKey → value on the pedal now (missing = not read)
+ * @returns {Array<{key, name, from, to}>} from is null when the pedal value is unknown
+ */
+export function diffPedalConfig(current, params) {
+    return Object.keys(EV1WL_PARAMS)
+        .filter(key => params[key] !== undefined && current[key] !== params[key])
+        .map(key => ({ key, name: EV1WL_PARAMS[key].name, from: current[key] ?? null, to: params[key] }));
+}
+
+export function formatPedalValue(key, value) {
+    if (value === null || value === undefined) return '—';
+    return EV1WL_PARAMS[key]?.valueLabels?.[value] ?? String(value);
+}
@@ -0,0 +1,162 @@
+/**
+ * Pedal Config Tests
+ * EV-1-WL configuration files: export, validation on import, the diff shown
+ * before restoring, templates, and the batch write to the pedal
+ */
+
+import {
+    PEDAL_CONFIG_FORMAT,
+    PEDAL_TEMPLATES,
+    createPedalConfig,
+    parsePedalConfig,
+    diffPedalConfig,
+    formatPedalValue
+} from './pedal-config.js';
+import { EV1WL_PARAMS } from './constants.js';
+import BossCubeController from './boss-cube-controller.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Pedal Config Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Pedal Config Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    assertThrows(fn, fragment, message) {
+        try {
+            fn();
+        } catch (error) {
+            if (!error.message.includes(fragment)) {
+                throw new Error(`${message}: unexpected error "${error.message}"`);
+            }
+            return;
+        }
+        throw new Error(`${message}: no error thrown`);
+    }
+}
+
+const test = new TestFramework();
+
+// Every parameter at its default, as read from a factory-fresh pedal
+const readDefaults = () => Object.fromEntries(Object.entries(EV1WL_PARAMS).map(([key, param]) => [key, param.init]));
+
+test.test('Export round-trips through a file', () => {
+    const values = { ...readDefaults(), btCtl1CC: 64, usbExpOffCC: 11, unrelated: 5 };
+    const config = createPedalConfig(values, 'Band pedal', new Date('2026-01-02T03:04:05Z'));
+    test.assertEqual(config.format, PEDAL_CONFIG_FORMAT, 'File is tagged');
+    test.assertEqual(config.exportedAt, '2026-01-02T03:04:05.000Z', 'Export time recorded');
+    test.assertEqual(Object.keys(config.params).length, Object.keys(EV1WL_PARAMS).length, 'Every pedal setting, nothing else');
+
+    const { name, params, skipped } = parsePedalConfig(JSON.parse(JSON.stringify(config)));
+    test.assertEqual(name, 'Band pedal', 'Name kept');
+    test.assertEqual(params.btCtl1CC, 64, 'Bluetooth value kept');
+    test.assertEqual(params.usbExpOffCC, 11, 'USB value kept');
+    test.assertEqual(skipped.length, 0, 'Nothing skipped');
+
+    const partial = createPedalConfig({ midiTxChannel: 3 });
+    test.assertEqual(Object.keys(partial.params).join(','), 'midiTxChannel', 'Unread settings left out');
+});
+
+test.test('Import rejects foreign files and out-of-range values', () => {
+    const config = createPedalConfig(readDefaults());
+    test.assertThrows(() => parsePedalConfig({ presets: {} }), 'Not an EV-1-WL', 'Other JSON rejected');
+    test.assertThrows(() => parsePedalConfig({ ...config, version: 99 }), 'newer', 'Future format rejected');
+    test.assertThrows(
+        () => parsePedalConfig({ ...config, params: { ...config.params, btExpSwOnValue: 0 } }),
+        'BT Exp Sw On Value',
+        'Value below the parameter minimum rejected'
+    );
+
+    const { params, skipped } = parsePedalConfig({ ...config, params: { ...config.params, futureSetting: 1 } });
+    test.assertEqual(skipped.join(','), 'futureSetting', 'Unknown keys skipped, not fatal');
+    test.assert(!('futureSetting' in params), 'Unknown key not restored');
+});
+
+test.test('Diff lists only settings that change', () => {
+    const current = readDefaults();
+    delete current.midiCtl2CC;
+    const diffs = diffPedalConfig(current, { expSwLedColor: 5, btCtl1CC: 80, midiCtl2CC: 81 });
+    test.assertEqual(diffs.map(d => d.key).join(','), 'btCtl1CC,midiCtl2CC', 'Matching value skipped');
+    test.assertEqual(diffs[0].from, 0, 'Current pedal value');
+    test.assertEqual(diffs[0].to, 80, 'Restored value');
+    test.assertEqual(diffs[1].from, null, 'Unread value shown as unknown');
+    test.assertEqual(formatPedalValue('expSwLedColor', 0), 'Red', 'Labels used for display');
+    test.assertEqual(formatPedalValue('btCtl1CC', null), '—', 'Unknown shown as a dash');
+});
+
+test.test('Templates hold valid values and the matching app mapping', () => {
+    const ids = PEDAL_TEMPLATES.map(t => t.id);
+    test.assert(ids.includes('cube-volume-prev-next') && ids.includes('looper-control'), 'Built-in templates present');
+    for (const template of PEDAL_TEMPLATES) {
+        const { params } = parsePedalConfig({ format: PEDAL_CONFIG_FORMAT, version: 1, params: template.params });
+        test.assertEqual(Object.keys(params).length, Object.keys(template.params).length, `${template.name} is valid`);
+    }
+
+    const looper = PEDAL_TEMPLATES.find(t => t.id === 'looper-control');
+    test.assertEqual(looper.params.btExpSwCCOnOff, 1, 'Toe switch sends a CC');
+    test.assertEqual(looper.params.expSwMode, 1, 'Toe switch is momentary');
+    test.assertEqual(looper.mapping.expSwAction, 'cycleLooper', 'App drives the looper from the toe switch');
+
+    const factory = PEDAL_TEMPLATES.find(t => t.id === 'factory-defaults');
+    test.assertEqual(diffPedalConfig(readDefaults(), factory.params).length, 0, 'Factory template matches the defaults');
+});
+
+test.test('Controller writes a restore in order, only with the pedal connected', async () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const writes = [];
+    controller.pedalComm.sendWriteRequest = async (address, value) => writes.push([...address, value]);
+    const batch = [
+        { address: EV1WL_PARAMS.ctl1Mode.address, value: 1 },
+        { address: EV1WL_PARAMS.btCtl1CC.address, value: 80 }
+    ];
+
+    test.assertEqual(await controller.writePedalParams(batch), 0, 'Nothing written while disconnected');
+    test.assertEqual(writes.length, 0, 'No pedal traffic');
+
+    controller.isPedalConnected = true;
+    test.assertEqual(await controller.writePedalParams(batch), 2, 'Both written');
+    test.assertEqual(writes.map(w => w.join(',')).join(' '), '16,0,0,6,1 16,0,1,9,80', 'Written in order');
+});
+
+if (typeof window !== 'undefined') {
+    window.runPedalConfigTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Pedal config tests loaded. Run window.runPedalConfigTests() to execute.');
+}
@@ -0,0 +1,48 @@
+/**
+ * Pending Changeset
+ * Parameter edits made while the Cube is disconnected. A later edit of the same
+ * parameter replaces the earlier one, so the sync on connect writes each value once.
+ */
+
+export class PendingChangeset {
+    constructor() {
+        this.changes = new Map(); // paramKey → value, in first-edit order
+        this.onChange = null; // (size) => void
+    }
+
+    get size() {
+        return this.changes.size;
+    }
+
+    has(paramKey) {
+        return this.changes.has(paramKey);
+    }
+
+    get(paramKey) {
+        return this.changes.get(paramKey);
+    }
+
+    set(paramKey, value) {
+        const added = !this.changes.has(paramKey);
+        this.changes.set(paramKey, value);
+        if (added) this.notify();
+    }
+
+    clear() {
+        if (this.changes.size === 0) return;
+        this.changes.clear();
+        this.notify();
+    }
+
+    entries() {
+        return [...this.changes.entries()];
+    }
+
+    toObject() {
+        return Object.fromEntries(this.changes);
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.changes.size);
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * Pending Changeset Tests
+ * Offline edits are queued instead of sent, then pushed to the simulated amp
+ * in one batch (or discarded) on the next connect
+ */
+
+import { PendingChangeset } from './pending-changeset.js';
+import { RECONCILE_CHOICES } from './state-reconciliation.js';
+import { createSimulatedController, withRestoredParameters } from './test-helpers.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Pending Changeset Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Pending Changeset Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+test.test('Later edits replace earlier ones and the count only moves on add and clear', () => {
+    const changeset = new PendingChangeset();
+    const counts = [];
+    changeset.onChange = (size) => counts.push(size);
+
+    changeset.set('masterVolume', 40);
+    changeset.set('masterVolume', 45);
+    changeset.set('guitarGain', 70);
+    test.assertEqual(changeset.size, 2, 'One entry per parameter');
+    test.assertEqual(changeset.get('masterVolume'), 45, 'Newest value kept');
+    test.assertEqual(changeset.entries()[0][0], 'masterVolume', 'First-edit order');
+
+    changeset.clear();
+    changeset.clear();
+    test.assertEqual(counts.join(','), '1,2,0', 'Notified on add and clear only');
+});
+
+test.test('Editing while disconnected queues instead of failing', async () => {
+    const { controller } = createSimulatedController();
+    const keys = ['masterVolume', 'micInstVolume', 'guitarMicVolume'];
+    const counts = [];
+    controller.onPendingChangesChange = (count) => counts.push(count);
+
+    await withRestoredParameters(controller, keys, async () => {
+        await controller.setParameter('masterVolume', 30);
+        await controller.setParameter('masterVolume', 35);
+        const sent = await controller.setParameters({ micInstVolume: 20, guitarMicVolume: 25 });
+
+        test.assertEqual(sent, 0, 'Nothing sent');
+        test.assertEqual(controller.parameters.masterVolume.current, 35, 'App shows the edit');
+        const pending = controller.getPendingChanges();
+        test.assertEqual(Object.keys(pending).join(','), 'masterVolume,micInstVolume,guitarMicVolume', 'All edits queued once');
+        test.assertEqual(pending.masterVolume, 35, 'Latest value queued');
+        test.assertEqual(counts[counts.length - 1], 3, 'Count reported');
+        test.assert(controller.isReconcilePending(), 'Amp reports held so the edits survive');
+
+        controller.discardPendingChanges();
+        test.assertEqual(counts[counts.length - 1], 0, 'Count cleared on discard');
+    });
+});
+
+test.test('A looper press while disconnected is not replayed on connect', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const keys = ['looperControl', 'masterVolume'];
+
+    await withRestoredParameters(controller, keys, async () => {
+        const looperBefore = controller.parameters.looperControl.current;
+        await controller.setParameter('looperControl', 2);
+        await controller.setParameter('masterVolume', simulator.getValue('masterVolume') === 30 ? 31 : 30);
+        test.assertEqual(Object.keys(controller.getPendingChanges()).join(','), 'masterVolume', 'Only the setting queued');
+        test.assertEqual(controller.parameters.looperControl.current, looperBefore, 'App does not claim a looper state');
+
+        await controller.connectToBossCube();
+        try {
+            const { changes } = await controller.previewPendingChanges();
+            test.assertEqual(changes.map(c => c.key).join(','), 'masterVolume', 'Looper press not offered');
+            await controller.applyReconcileChoices(Object.fromEntries(changes.map(c => [c.key, RECONCILE_CHOICES.APP])));
+            test.assertEqual(simulator.getValue('looperControl'), 0, 'Amp not recording');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+    });
+});
+
+test.test('A batch while disconnected queues only the settings in it', async () => {
+    const { controller } = createSimulatedController();
+    const keys = ['looperControl', 'auxInKnob', 'masterVolume'];
+
+    await withRestoredParameters(controller, keys, async () => {
+        const looperBefore = controller.parameters.looperControl.current;
+        const knobBefore = controller.parameters.auxInKnob.current;
+        await controller.setParameters({
+            looperControl: looperBefore === 2 ? 3 : 2,
+            auxInKnob: knobBefore === 40 ? 41 : 40,
+            masterVolume: 33
+        });
+
+        test.assertEqual(Object.keys(controller.getPendingChanges()).join(','), 'masterVolume', 'Only the setting queued');
+        test.assertEqual(controller.parameters.masterVolume.current, 33, 'Queued setting shown');
+        test.assertEqual(controller.parameters.looperControl.current, looperBefore, 'Looper state not claimed');
+        test.assertEqual(controller.parameters.auxInKnob.current, knobBefore, 'System value not claimed');
+        controller.discardPendingChanges();
+    });
+});
+
+test.test('Connecting previews the changes and pushes them in one batch', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const keys = ['masterVolume', 'micInstVolume', 'guitarMicVolume'];
+
+    await withRestoredParameters(controller, keys, async () => {
+        const ampMaster = simulator.getValue('masterVolume');
+        const ampMic = simulator.getValue('micInstVolume');
+        await controller.setParameters({
+            micInstVolume: ampMic === 20 ? 21 : 20,
+            guitarMicVolume: 33,
+            masterVolume: ampMaster
+        });
+
+        await controller.connectToBossCube();
+        try {
+            const { changes, report } = await controller.previewPendingChanges();
+            test.assert(report.complete, 'Every block answered');
+            test.assertEqual(changes.map(c => c.key).join(','), 'micInstVolume,guitarMicVolume', 'Values the amp already has are not listed');
+            test.assertEqual(changes[0].ampValue, ampMic, 'Amp side shown');
+
+            simulator.writes = [];
+            const choices = Object.fromEntries(changes.map(c => [c.key, RECONCILE_CHOICES.APP]));
+            const pushed = await controller.applyReconcileChoices(choices);
+            test.assertEqual(pushed, 2, 'Both changes pushed');
+            test.assertEqual(simulator.writes.length, 1, 'Adjacent addresses sent as one DT1 message');
+            test.assertEqual(simulator.getValue('guitarMicVolume'), 33, 'Queued value reached the amp');
+            test.assertEqual(controller.pendingChanges.size, 0, 'Changeset settled');
+            test.assert(!controller.isReconcilePending(), 'Back to live updates');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+    });
+});
+
+test.test('Discarding on connect takes the amp values', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const keys = ['masterVolume'];
+
+    await withRestoredParameters(controller, keys, async () => {
+        const ampMaster = simulator.getValue('masterVolume');
+        await controller.setParameter('masterVolume', ampMaster === 10 ? 11 : 10);
+
+        await controller.connectToBossCube();
+        try {
+            const { changes } = await controller.previewPendingChanges();
+            test.assertEqual(changes.length, 1, 'Change listed');
+            simulator.writes = [];
+            const pushed = await controller.applyReconcileChoices({});
+            test.assertEqual(pushed, 0, 'Nothing pushed');
+            test.assertEqual(simulator.writes.length, 0, 'Amp untouched');
+            test.assertEqual(controller.parameters.masterVolume.current, ampMaster, 'App shows the amp value again');
+            test.assertEqual(controller.pendingChanges.size, 0, 'Changeset dropped');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+    });
+});
+
+test.test('Effect toggles while disconnected queue type and switch', async () => {
+    const { controller } = createSimulatedController();
+    const keys = ['guitarEffectType', 'guitarChorusSwitch'];
+
+    await withRestoredParameters(controller, keys, async () => {
+        controller.currentGuitarEffect = 'phaser';
+        controller.guitarEffectActive = true;
+
+        const result = await controller.toggleEffect('guitar', 'chorus');
+        test.assert(result.switched && result.active, 'Switched to an active chorus');
+        test.assertEqual(controller.currentGuitarEffect, 'chorus', 'Current effect updated');
+        const pending = controller.getPendingChanges();
+        test.assertEqual(pending.guitarEffectType, 0, 'Chorus type queued');
+        test.assertEqual(pending.guitarChorusSwitch, 1, 'Chorus switched on');
+
+        await controller.toggleEffect('guitar', 'chorus');
+        test.assertEqual(controller.getPendingChanges().guitarChorusSwitch, 0, 'Second click switches it off');
+        test.assert(!controller.guitarEffectActive, 'Effect inactive');
+        controller.discardPendingChanges();
+    });
+});
+
+if (typeof window !== 'undefined') {
+    window.runPendingChangesetTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Pending changeset tests loaded. Run window.runPendingChangesetTests() to execute.');
+}
@@ -0,0 +1,78 @@
+/**
+ * Pending Sync Dialog — on connect, lists the edits made while offline that
+ * differ from the amp and asks before pushing them. Renders as a modal like
+ * the discovery dashboard.
+ */
+import { getDisplayValue } from './control-factory.js';
+
+export class PendingSyncDialog {
+    constructor(parameters) {
+        this.parameters = parameters;
+        this.modal = null;
+        this.resolve = null;
+    }
+
+    /**
+     * Show what the sync will change.
+     * @param {Array<{key, name, ampValue, newValue}>} changes - from previewPendingChanges()
+     * @returns {Promise<boolean>} true to push, false to discard the changes
+     */
+    confirm(changes) {
+        if (!this.modal) this._build();
+        this._render(changes);
+        this.modal.style.display = 'flex';
+        return new Promise(resolve => { this.resolve = resolve; });
+    }
+
+    _build() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'discovery-modal-overlay';
+        this.modal.innerHTML = `
+            <div class="discovery-modal">
+                <div class="discovery-header">
+                    <h2>Sync offline changes</h2>
+                </div>
+                <div class="discovery-panel">
+                    <div class="diag-hint">These values were edited while the Cube was disconnected. They are sent to the amp in one batch.</div>
+                    <div class="discovery-table-wrap">
+                        <table class="discovery-table">
+                            <thead><tr><th>Parameter</th><th>Amp now</th><th>After sync</th></tr></thead>
+                            <tbody id="pendingSyncBody"></tbody>
+                        </table>
+                    </div>
+                    <div class="reconcile-footer">
+                        <button id="pendingSyncDiscardBtn" class="btn-small">Discard</button>
+                        <button id="pendingSyncPushBtn" class="btn-small">Push to amp</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        document.getElementById('pendingSyncDiscardBtn').addEventListener('click', () => this._finish(false));
+        document.getElementById('pendingSyncPushBtn').addEventListener('click', () => this._finish(true));
+    }
+
+    _render(changes) {
+        const body = document.getElementById('pendingSyncBody');
+        body.innerHTML = '';
+        for (const { key, name, ampValue, newValue } of changes) {
+            const param = this.parameters[key];
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${name}</td>
+                <td>${ampValue === null ? '—' : getDisplayValue(param, ampValue)}</td>
+                <td>${getDisplayValue(param, newValue)}</td>
+            `;
+            body.appendChild(row);
+        }
+        document.getElementById('pendingSyncPushBtn').textContent = `Push ${changes.length} change(s)`;
+    }
+
+    _finish(push) {
+        this.modal.style.display = 'none';
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve(push);
+    }
+}
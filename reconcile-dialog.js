@@ -0,0 +1,102 @@
+/**
+ * Reconcile Dialog — after a reconnect, lists every parameter the app and the
+ * amp disagree on and lets the user pick a side per row. Renders as a modal
+ * like the discovery dashboard.
+ */
+import { getDisplayValue } from './control-factory.js';
+import { RECONCILE_CHOICES, RECONCILE_POLICIES } from './state-reconciliation.js';
+
+export class ReconcileDialog {
+    constructor(parameters) {
+        this.parameters = parameters;
+        this.modal = null;
+        this.resolve = null;
+    }
+
+    /**
+     * Ask which side wins for each difference.
+     * @returns {Promise<{choices: Object, rememberPolicy: string|null}>} rememberPolicy is set
+     *          when "remember" was ticked and every row went the same way
+     */
+    ask(diffs) {
+        if (!this.modal) this._build();
+        this._render(diffs);
+        this.modal.style.display = 'flex';
+        return new Promise(resolve => { this.resolve = resolve; });
+    }
+
+    _build() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'discovery-modal-overlay';
+        this.modal.innerHTML = `
+            <div class="discovery-modal">
+                <div class="discovery-header">
+                    <h2>Amp and app differ</h2>
+                </div>
+                <div class="discovery-panel">
+                    <div class="diag-hint">The connection dropped and these values changed on one side. Pick which one to keep.</div>
+                    <div class="reconcile-bulk">
+                        <button id="reconcileAllAmp" class="btn-small">All from amp</button>
+                        <button id="reconcileAllApp" class="btn-small">All from app</button>
+                    </div>
+                    <div class="discovery-table-wrap">
+                        <table class="discovery-table">
+                            <thead><tr><th>Parameter</th><th>Amp</th><th>App</th></tr></thead>
+                            <tbody id="reconcileBody"></tbody>
+                        </table>
+                    </div>
+                    <div class="reconcile-footer">
+                        <label><input type="checkbox" id="reconcileRemember"> Remember and don't ask again</label>
+                        <button id="reconcileApplyBtn" class="btn-small">Apply</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        document.getElementById('reconcileAllAmp').addEventListener('click', () => this._selectAll(RECONCILE_CHOICES.AMP));
+        document.getElementById('reconcileAllApp').addEventListener('click', () => this._selectAll(RECONCILE_CHOICES.APP));
+        document.getElementById('reconcileApplyBtn').addEventListener('click', () => this._finish());
+    }
+
+    _render(diffs) {
+        const body = document.getElementById('reconcileBody');
+        body.innerHTML = '';
+        document.getElementById('reconcileRemember').checked = false;
+        for (const { key, name, appValue, ampValue } of diffs) {
+            const param = this.parameters[key];
+            const row = document.createElement('tr');
+            row.dataset.paramKey = key;
+            row.innerHTML = `
+                <td>${name}</td>
+                <td><label><input type="radio" name="reconcile-${key}" value="${RECONCILE_CHOICES.AMP}" checked> ${getDisplayValue(param, ampValue)}</label></td>
+                <td><label><input type="radio" name="reconcile-${key}" value="${RECONCILE_CHOICES.APP}"> ${getDisplayValue(param, appValue)}</label></td>
+            `;
+            body.appendChild(row);
+        }
+    }
+
+    _selectAll(choice) {
+        this.modal.querySelectorAll(`#reconcileBody input[value="${choice}"]`).forEach(radio => {
+            radio.checked = true;
+        });
+    }
+
+    _finish() {
+        const choices = {};
+        this.modal.querySelectorAll('#reconcileBody tr').forEach(row => {
+            choices[row.dataset.paramKey] = row.querySelector('input:checked').value;
+        });
+
+        let rememberPolicy = null;
+        const picked = new Set(Object.values(choices));
+        if (document.getElementById('reconcileRemember').checked && picked.size === 1) {
+            rememberPolicy = picked.has(RECONCILE_CHOICES.APP) ? RECONCILE_POLICIES.PUSH_APP : RECONCILE_POLICIES.KEEP_AMP;
+        }
+
+        this.modal.style.display = 'none';
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve({ choices, rememberPolicy });
+    }
+}
@@ -90,7 +90,7 @@ class MockBossCubeController {
             throw new Error('Mock read all values failure');
         }
         
-        return true;
+        return { complete: true, blocks: [], missingParameters: [], durationMs: this.readAllValuesDelay };
     }
 
     reset() {
@@ -143,9 +143,13 @@ function createReadValuesFromCube(mockController, mockButton, mockLogger) {
             mockLogger.log(`🔄 [${buttonCallId}] Reloading all parameter values from Boss Cube...`, 'info');
             
             // Read all mixer and effects values
-            await mockController.readAllValues();
+            const report = await mockController.readAllValues();
             
-            mockLogger.log('✅ All reload requests sent - watch for incoming values', 'success');
+            if (report.complete) {
+                mockLogger.log('✅ All values reloaded from Boss Cube', 'success');
+            } else {
+                mockLogger.log(`⚠️ Reload incomplete — ${report.missingParameters.length} value(s) may be stale`, 'warning');
+            }
             
         } catch (error) {
             mockLogger.log(`❌ Failed to reload values: ${error.message}`, 'error');
@@ -292,7 +296,7 @@ test.test('Reload Values logging behavior', async () => {
     test.assertContains(allLogs[1].message, 'Reloading all parameter values from Boss Cube', 'Should log reload start');
     
     // Should have success log for completion
-    test.assertContains(allLogs[2].message, 'All reload requests sent - watch for incoming values', 'Should log completion');
+    test.assertContains(allLogs[2].message, 'All values reloaded from Boss Cube', 'Should log completion');
 });
 
 test.test('Reload Values integration with controller', async () => {
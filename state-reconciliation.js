@@ -0,0 +1,66 @@
+/**
+ * State Reconciliation
+ * After an unexpected drop the app and the amp may disagree: knobs turned while
+ * the link was down, UI moves that never reached the amp. The controller holds
+ * the app's values, re-reads every block and diffs the two; the user (or the
+ * remembered policy) then decides per parameter which side wins.
+ */
+
+export const RECONCILE_POLICIES = {
+    ASK: 'ask',            // show the per-parameter dialog
+    KEEP_AMP: 'keepAmp',   // the amp's values win
+    PUSH_APP: 'pushApp'    // the app's values are written to the amp
+};
+
+export const RECONCILE_CHOICES = {
+    AMP: 'amp',
+    APP: 'app'
+};
+
+// Hardware state and live transport, not settings: always taken from the amp
+const EXCLUDED_CATEGORIES = ['system', 'internal', 'tuner'];
+const EXCLUDED_KEYS = ['looperControl'];
+
+/**
+ * Whether a parameter's app value may be pushed back to the amp
+ */
+export function isReconcilable(key, param) {
+    return !!param
+        && !!param.address
+        && !param.isVirtual
+        && !param.hidden
+        && !EXCLUDED_CATEGORIES.includes(param.category)
+        && !EXCLUDED_KEYS.includes(key);
+}
+
+/**
+ * Parameters whose app value differs from what the amp reported. Both sides are
+ * compared on the amp's scale: a few parameters show the amp's value offset in
+ * the UI, so `current` alone can't be held against a reported value.
+ * @param {Object} parameters - paramKey → definition; `current` holds the app's value
+ * @param {Object} ampState - paramKey → value the amp reported
+ * @param {Object} [appState] - paramKey → the app's value on the amp's scale; `current` where missing
+ * @returns {Array<{key: string, name: string, appValue: number, ampValue: number}>}
+ */
+export function diffParameterStates(parameters, ampState, appState = {}) {
+    const diffs = [];
+    for (const [key, ampValue] of Object.entries(ampState)) {
+        const param = parameters[key];
+        if (!isReconcilable(key, param) || typeof ampValue !== 'number') continue;
+        const appValue = key in appState ? appState[key] : param.current;
+        if (appValue !== ampValue) {
+            diffs.push({ key, name: param.name, appValue: param.current, ampValue });
+        }
+    }
+    return diffs;
+}
+
+/**
+ * Choices a remembered policy implies; null when the user has to be asked
+ * @returns {Object|null} paramKey → RECONCILE_CHOICES value
+ */
+export function choicesForPolicy(diffs, policy) {
+    if (policy === RECONCILE_POLICIES.ASK && diffs.length > 0) return null;
+    const choice = policy === RECONCILE_POLICIES.PUSH_APP ? RECONCILE_CHOICES.APP : RECONCILE_CHOICES.AMP;
+    return Object.fromEntries(diffs.map(diff => [diff.key, choice]));
+}
@@ -0,0 +1,174 @@
+/**
+ * State Reconciliation Tests
+ * Diffing app and amp values after a drop, remembered policies, and the
+ * reconnect workflow against the simulated amp
+ */
+
+import {
+    RECONCILE_POLICIES, RECONCILE_CHOICES, diffParameterStates, choicesForPolicy, isReconcilable
+} from './state-reconciliation.js';
+import { waitFor, createSimulatedController, withRestoredParameters } from './test-helpers.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running State Reconciliation Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 State Reconciliation Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+test.test('Only settings that differ are reported', () => {
+    const parameters = {
+        masterVolume: { name: 'Master Volume', address: [0x20, 0, 0, 4], current: 60, category: 'mixer' },
+        guitarVolume: { name: 'Guitar Volume', address: [0x20, 0, 0, 0], current: 40, category: 'mixer' },
+        batteryLevel: { name: 'Battery', address: [0x7f, 0, 5, 2], current: 3, category: 'system', hidden: true },
+        looperVolume: { name: 'Looper Volume', address: null, current: 50, isVirtual: true },
+        looperControl: { name: 'Looper Control', address: [0x20, 0, 0x10, 1], current: 3, category: 'looper' }
+    };
+    const diffs = diffParameterStates(parameters, {
+        masterVolume: 45, guitarVolume: 40, batteryLevel: 1, looperVolume: 10, looperControl: 1
+    });
+
+    test.assertEqual(diffs.length, 1, 'Only master volume differs among reconcilable parameters');
+    test.assertEqual(diffs[0].key, 'masterVolume', 'Master volume reported');
+    test.assertEqual(diffs[0].appValue, 60, 'App side');
+    test.assertEqual(diffs[0].ampValue, 45, 'Amp side');
+    test.assert(!isReconcilable('looperControl', parameters.looperControl), 'Looper transport is never pushed');
+
+    const encoded = diffParameterStates(parameters, { masterVolume: 61, guitarVolume: 40 }, { masterVolume: 61 });
+    test.assertEqual(encoded.length, 0, 'App values given on the amp\'s scale are compared instead of current');
+});
+
+test.test('Remembered policies decide without asking', () => {
+    const diffs = [{ key: 'masterVolume' }, { key: 'guitarGain' }];
+    test.assertEqual(choicesForPolicy(diffs, RECONCILE_POLICIES.ASK), null, 'Ask needs the dialog');
+    test.assertEqual(choicesForPolicy([], RECONCILE_POLICIES.ASK).masterVolume, undefined, 'Nothing to ask about');
+    test.assertEqual(choicesForPolicy(diffs, RECONCILE_POLICIES.KEEP_AMP).guitarGain, RECONCILE_CHOICES.AMP, 'Keep amp');
+    test.assertEqual(choicesForPolicy(diffs, RECONCILE_POLICIES.PUSH_APP).masterVolume, RECONCILE_CHOICES.APP, 'Push app');
+});
+
+test.test('A drop holds app values until the user reconciles', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const keys = ['masterVolume', 'guitarDelayTime', 'guitarMicVolume'];
+
+    await withRestoredParameters(controller, keys, async () => {
+        await controller.connectToBossCube();
+        await controller.readAllValues();
+        const ampDelay = controller.parameters.guitarDelayTime.current;
+        const appVolume = Math.min(100, controller.parameters.masterVolume.current + 10);
+
+        simulator.powerOff();
+        await waitFor(() => !controller.isCubeConnected);
+        test.assert(controller.isReconcilePending(), 'Drop starts holding app state');
+
+        // While the link is down: a UI move in the app, a knob turn on the amp
+        controller.parameters.masterVolume.current = appVolume;
+        simulator.turnKnob('guitarDelayTime', ampDelay === 321 ? 322 : 321);
+
+        simulator.powerOn();
+        // Wait for the whole connect (identity, notifications on), as the app does
+        await waitFor(() => controller.isCubeConnected && !controller.isAutoReconnecting('cube'));
+        try {
+            const { diffs, report } = await controller.readStateDiff();
+            test.assert(report.complete, 'Every block answered');
+            test.assertEqual(diffs.map(d => d.key).sort().join(','), 'guitarDelayTime,masterVolume', 'Both drifted values found');
+            test.assertEqual(controller.parameters.guitarDelayTime.current, ampDelay, 'Amp value not applied yet');
+
+            const heldVolume = controller.parameters.guitarMicVolume.current;
+            const turnedVolume = heldVolume === 7 ? 8 : 7;
+            simulator.turnKnob('guitarMicVolume', turnedVolume);
+            await new Promise(resolve => setTimeout(resolve, 30));
+            test.assertEqual(controller.parameters.guitarMicVolume.current, heldVolume, 'Knob turn held back while reconciling');
+
+            const pushed = await controller.applyReconcileChoices({ masterVolume: RECONCILE_CHOICES.APP });
+            test.assertEqual(pushed, 1, 'One value pushed');
+            test.assertEqual(simulator.getValue('masterVolume'), appVolume, 'App value reached the amp');
+            test.assertEqual(controller.parameters.guitarDelayTime.current, simulator.getValue('guitarDelayTime'), 'Amp value taken for the knob turn');
+            test.assertEqual(controller.parameters.guitarMicVolume.current, turnedVolume, 'Held knob turn applied');
+            test.assert(!controller.isReconcilePending(), 'Back to live updates');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+    });
+});
+
+test.test('EQ and gain compare on the amp\'s scale, not the offset UI one', async () => {
+    const { controller, simulator } = createSimulatedController();
+    const keys = ['guitarEQBass', 'guitarEQMiddle', 'guitarEQTreble', 'guitarGain'];
+
+    await withRestoredParameters(controller, keys, async () => {
+        await controller.connectToBossCube();
+        await controller.readAllValues();
+        // Bass written from the app; middle and gain as read (shown one below the amp's value)
+        await controller.setParameter('guitarEQBass', 60);
+        const ampTreble = simulator.getValue('guitarEQTreble');
+        const turnedTreble = ampTreble === 80 ? 81 : 80;
+
+        simulator.powerOff();
+        await waitFor(() => !controller.isCubeConnected);
+        simulator.turnKnob('guitarEQTreble', turnedTreble);
+        simulator.powerOn();
+        await waitFor(() => controller.isCubeConnected && !controller.isAutoReconnecting('cube'));
+        try {
+            const { diffs } = await controller.readStateDiff();
+            test.assertEqual(diffs.map(d => d.key).join(','), 'guitarEQTreble', 'Only the knob turned on the amp differs');
+            test.assertEqual(diffs[0].ampValue, turnedTreble - 1, 'Amp side on the UI scale');
+
+            await controller.applyReconcileChoices({});
+            test.assertEqual(controller.parameters.guitarEQTreble.current, turnedTreble - 1, 'Amp value applied like any read');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+    });
+});
+
+test.test('Disconnecting on purpose does not hold state', async () => {
+    const { controller } = createSimulatedController();
+    await controller.connectToBossCube();
+    await controller.disconnectBossCube();
+    test.assert(!controller.isReconcilePending(), 'No reconcile after an intentional disconnect');
+});
+
+if (typeof window !== 'undefined') {
+    window.runStateReconciliationTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 State reconciliation tests loaded. Run window.runStateReconciliationTests() to execute.');
+}
@@ -0,0 +1,154 @@
+/**
+ * Stereo Link Panel — both Cubes of a stereo link side by side: connection and
+ * role of each, every shared parameter with its HOST and REMOTE value, and the
+ * per-amp overrides (trim, mirror on/off). Renders as a modal like the
+ * discovery dashboard.
+ */
+import { getDisplayValue } from './control-factory.js';
+import { STEREO_LINK_MODES, isShareable } from './stereo-link.js';
+
+const REFRESH_INTERVAL = 1000;
+const ROLE_LABELS = ['OFF', 'HOST', 'REMOTE'];
+
+export class StereoLinkPanel {
+    constructor(controller) {
+        this.controller = controller;
+        this.modal = null;
+        this.refreshTimer = null;
+
+        // Event callbacks
+        this.onOverridesChange = null; // (overrides) => void — trims or mirror choices edited
+    }
+
+    open() {
+        if (!this.modal) this._build();
+        this.modal.style.display = 'flex';
+        this._renderRows();
+        this._refresh();
+        this.refreshTimer = setInterval(() => this._refresh(), REFRESH_INTERVAL);
+    }
+
+    close() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        if (this.modal) this.modal.style.display = 'none';
+    }
+
+    _build() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'discovery-modal-overlay';
+        this.modal.innerHTML = `
+            <div class="discovery-modal">
+                <div class="discovery-header">
+                    <h2>Stereo Link</h2>
+                    <button id="stereoConnectBtn" class="btn-small">Connect REMOTE…</button>
+                    <button id="stereoSyncBtn" class="btn-small">Push all to REMOTE</button>
+                    <button class="discovery-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="discovery-panel">
+                    <div class="diag-hint">Shared settings changed in the app go to both Cubes. Trim offsets a value on the REMOTE only; untick Mirror to set a parameter on each amp separately.</div>
+                    <div id="stereoDevices" class="diag-hint"></div>
+                    <div class="discovery-table-wrap">
+                        <table class="discovery-table">
+                            <thead><tr><th>Parameter</th><th>HOST</th><th>REMOTE</th><th>Trim</th><th>Mirror</th></tr></thead>
+                            <tbody id="stereoBody"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.modal);
+        this.modal.querySelector('.discovery-close').addEventListener('click', () => this.close());
+        document.getElementById('stereoConnectBtn').addEventListener('click', () => this._toggleRemote());
+        document.getElementById('stereoSyncBtn').addEventListener('click', async () => {
+            try {
+                await this.controller.syncStereoRemote();
+            } catch (error) {
+                this.controller.log(`❌ Stereo link: ${error.message}`, 'error');
+            }
+            this._refresh();
+        });
+    }
+
+    async _toggleRemote() {
+        const button = document.getElementById('stereoConnectBtn');
+        button.disabled = true;
+        try {
+            if (this.controller.isStereoLinked) {
+                await this.controller.disconnectStereoRemote();
+            } else {
+                await this.controller.connectStereoRemote();
+            }
+        } catch (error) {
+            this.controller.log(`❌ Stereo link: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+            this._refresh();
+        }
+    }
+
+    /**
+     * One row per shareable parameter; built on open so edits in the inputs survive refreshes
+     */
+    _renderRows() {
+        const link = this.controller.stereoLink;
+        const body = document.getElementById('stereoBody');
+        body.innerHTML = '';
+        for (const [key, param] of Object.entries(this.controller.parameters)) {
+            if (!isShareable(key, param)) continue;
+            const row = document.createElement('tr');
+            row.dataset.paramKey = key;
+            row.innerHTML = `
+                <td>${param.name}</td>
+                <td class="stereo-host"></td>
+                <td class="stereo-remote"></td>
+                <td><input type="number" class="stereo-trim" value="${link.getTrim(key)}" step="1"></td>
+                <td><input type="checkbox" class="stereo-mirror" ${link.independent.has(key) ? '' : 'checked'}></td>
+            `;
+            row.querySelector('.stereo-trim').addEventListener('change', (e) => {
+                link.setTrim(key, parseInt(e.target.value, 10) || 0);
+                this._overridesChanged();
+            });
+            row.querySelector('.stereo-mirror').addEventListener('change', (e) => {
+                link.setIndependent(key, !e.target.checked);
+                this._overridesChanged();
+            });
+            body.appendChild(row);
+        }
+    }
+
+    _overridesChanged() {
+        if (this.onOverridesChange) this.onOverridesChange(this.controller.stereoLink.getOverrides());
+        this._refresh();
+    }
+
+    _refresh() {
+        const { controller } = this;
+        const link = controller.stereoLink;
+        const hostStatus = controller.getStatus().cube;
+        const remoteStatus = link.remote.getConnectionStatus();
+        const hostRole = ROLE_LABELS[controller.parameters.stereoLinkMode?.current ?? STEREO_LINK_MODES.OFF];
+        const remoteRole = ROLE_LABELS[link.remoteState.stereoLinkMode ?? STEREO_LINK_MODES.OFF];
+        const remoteLost = !remoteStatus.isConnected && controller.stereoRemoteLost;
+        let remoteText = 'not connected';
+        if (remoteStatus.isConnected) remoteText = `${remoteStatus.deviceName} (${remoteRole})`;
+        else if (remoteLost) remoteText = controller.isAutoReconnecting('remote') ? 'lost — reconnecting…' : 'lost';
+        document.getElementById('stereoDevices').textContent = [
+            `HOST ${hostStatus.isConnected ? '🟢' : '⚪'} ${hostStatus.deviceName || 'not connected'} (${hostRole})`,
+            `REMOTE ${remoteStatus.isConnected ? '🟢' : remoteLost ? '🟠' : '⚪'} ${remoteText}`
+        ].join(' · ');
+        document.getElementById('stereoConnectBtn').textContent = link.isConnected ? 'Disconnect REMOTE' : 'Connect REMOTE…';
+        document.getElementById('stereoSyncBtn').disabled = !link.isConnected;
+
+        const drifted = new Set(link.diff().map(diff => diff.key));
+        for (const row of document.querySelectorAll('#stereoBody tr')) {
+            const key = row.dataset.paramKey;
+            const param = controller.parameters[key];
+            const remoteValue = link.remoteState[key];
+            row.querySelector('.stereo-host').textContent = getDisplayValue(param, param.current);
+            row.querySelector('.stereo-remote').textContent = remoteValue === undefined ? '—' : getDisplayValue(param, remoteValue);
+            row.classList.toggle('stereo-drift', drifted.has(key));
+        }
+    }
+}
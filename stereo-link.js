@@ -0,0 +1,195 @@
+/**
+ * Stereo Link
+ * Two Cubes joined for stereo: the controller's main connection is the HOST,
+ * this module holds a second BossCubeCommunication for the REMOTE. Shared
+ * settings written to the host are mirrored to the remote. Per-amp overrides
+ * either trim a mirrored value on the remote (master a few steps lower on the
+ * louder side) or take a parameter out of the mirror so each amp keeps its own.
+ */
+import { BossCubeCommunication } from './boss-cube-communication.js';
+import { isReconcilable } from './state-reconciliation.js';
+import { encodeValue } from './parameter-codec.js';
+
+// stereoLinkMode values
+export const STEREO_LINK_MODES = {
+    OFF: 0,
+    HOST: 1,
+    REMOTE: 2
+};
+
+/**
+ * Whether a parameter is one both amps should share: mixer, amp, EQ and effects.
+ * System settings (footswitch wiring, stereo role, BLE id), the looper and the
+ * tuner stay per amp.
+ */
+export function isShareable(key, param) {
+    return isReconcilable(key, param) && param.category !== 'looper';
+}
+
+export class StereoLink {
+    constructor(parameters) {
+        this.parameters = parameters;
+        this.remote = new BossCubeCommunication();
+
+        // Per-amp overrides, kept across reconnects
+        this.trims = new Map();       // paramKey → offset added to the value mirrored to the remote
+        this.independent = new Set(); // shareable parameters each amp keeps its own value for
+
+        // paramKey → last value the remote reported (amp scale, as mirrored writes send it)
+        this.remoteState = {};
+
+        // Event callbacks
+        this.onLog = null;
+    }
+
+    get isConnected() {
+        return this.remote.isConnected;
+    }
+
+    log(message, type = 'info') {
+        if (this.onLog) {
+            this.onLog(message, type);
+        }
+    }
+
+    /**
+     * Follow the host's parameter map (model profile change)
+     */
+    setParameters(parameters) {
+        this.parameters = parameters;
+        this.remoteState = {};
+    }
+
+    isMirrored(key) {
+        return isShareable(key, this.parameters[key]) && !this.independent.has(key);
+    }
+
+    setIndependent(key, independent) {
+        if (independent) {
+            this.independent.add(key);
+        } else {
+            this.independent.delete(key);
+        }
+    }
+
+    getTrim(key) {
+        return this.trims.get(key) || 0;
+    }
+
+    setTrim(key, offset) {
+        if (offset) {
+            this.trims.set(key, Math.round(offset));
+        } else {
+            this.trims.delete(key);
+        }
+    }
+
+    /**
+     * Value the remote should have when the host has `value`
+     */
+    remoteValueFor(key, value) {
+        const param = this.parameters[key];
+        return Math.max(param.min, Math.min(param.max, value + this.getTrim(key)));
+    }
+
+    /**
+     * Trims and independent parameters as plain data for settings storage
+     */
+    getOverrides() {
+        return { trims: Object.fromEntries(this.trims), independent: [...this.independent] };
+    }
+
+    setOverrides({ trims = {}, independent = [] } = {}) {
+        this.trims = new Map(Object.entries(trims).filter(([key, offset]) => this.parameters[key] && offset));
+        this.independent = new Set(independent.filter(key => this.parameters[key]));
+    }
+
+    /**
+     * Record a value the remote reported; tuner and other structured data is skipped
+     */
+    recordRemoteValue(key, value) {
+        if (typeof value !== 'number') return false;
+        this.remoteState[key] = value;
+        return true;
+    }
+
+    /**
+     * Mirror one host write. Failures are logged, not thrown: the host already has the value.
+     * @returns {Promise<boolean>} true when a write went to the remote
+     */
+    async mirrorValue(key, value, options = {}) {
+        if (!this.isConnected || !this.isMirrored(key)) return false;
+        try {
+            await this.remote.sendParameterCommand(this.parameters[key].address, this.remoteValueFor(key, value), options);
+            return true;
+        } catch (error) {
+            this.log(`⚠️ Remote: ${this.parameters[key].name} not mirrored (${error.message})`, 'warning');
+            return false;
+        }
+    }
+
+    /**
+     * Mirror a batch of host writes ([{key, value}]) in as few DT1 messages as possible
+     * @returns {Promise<number>} number of DT1 messages sent to the remote
+     */
+    async mirrorBatch(writes, options = {}) {
+        if (!this.isConnected) return 0;
+        const remoteWrites = writes
+            .filter(({ key }) => this.isMirrored(key))
+            .map(({ key, value }) => {
+                const param = this.parameters[key];
+                return { key, address: param.address, data: encodeValue(param, this.remoteValueFor(key, value)) };
+            });
+        if (remoteWrites.length === 0) return 0;
+        try {
+            return await this.remote.sendDataSetBatch(remoteWrites, options);
+        } catch (error) {
+            this.log(`⚠️ Remote: ${remoteWrites.length} value(s) not mirrored (${error.message})`, 'warning');
+            return 0;
+        }
+    }
+
+    /**
+     * Mirror a special command (effect switch) as is
+     */
+    async mirrorCommand(address, data = []) {
+        if (!this.isConnected) return;
+        try {
+            await this.remote.sendSpecialCommand(address, data);
+        } catch (error) {
+            this.log(`⚠️ Remote: command not mirrored (${error.message})`, 'warning');
+        }
+    }
+
+    /**
+     * Push every mirrored host value to the remote (after linking, or to undo drift)
+     * @returns {Promise<number>} number of parameters pushed
+     */
+    async pushAll() {
+        const writes = Object.keys(this.parameters)
+            .filter(key => this.isMirrored(key))
+            .map(key => ({ key, value: this.parameters[key].current }));
+        await this.mirrorBatch(writes);
+        for (const { key, value } of writes) {
+            this.remoteState[key] = this.remoteValueFor(key, value);
+        }
+        return writes.length;
+    }
+
+    /**
+     * Mirrored parameters whose remote value is not the host value plus trim
+     * @returns {Array<{key, name, hostValue, remoteValue, expected}>}
+     */
+    diff() {
+        const diffs = [];
+        for (const [key, remoteValue] of Object.entries(this.remoteState)) {
+            if (!this.isMirrored(key)) continue;
+            const param = this.parameters[key];
+            const expected = this.remoteValueFor(key, param.current);
+            if (remoteValue !== expected) {
+                diffs.push({ key, name: param.name, hostValue: param.current, remoteValue, expected });
+            }
+        }
+        return diffs;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * Stereo Link Tests
+ * A HOST and a REMOTE simulated Cube driven together: shared parameters are
+ * mirrored, per-amp trims and independent parameters are honoured
+ */
+
+import { StereoLink, STEREO_LINK_MODES, isShareable } from './stereo-link.js';
+import { CubeSimulator } from './cube-simulator.js';
+import BossCubeController from './boss-cube-controller.js';
+import { waitFor, withRestoredParameters, FAST_RECONNECT } from './test-helpers.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Stereo Link Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Stereo Link Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 30));
+
+const createLinkedControllers = () => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    controller.bossCubeComm.log = () => {};
+    controller.stereoLink.remote.log = () => {};
+    const host = new CubeSimulator({ name: 'CUBE-ST2 Left', id: 'cube-left' });
+    const remote = new CubeSimulator({ name: 'CUBE-ST2 Right', id: 'cube-right' });
+    controller.useCubeSimulator(host);
+    controller.useRemoteCubeSimulator(remote);
+    controller.reconnectBackoff.remote.config = FAST_RECONNECT;
+    return { controller, host, remote };
+};
+
+test.test('Only mixer, amp and effect settings are shared', () => {
+    const { controller } = createLinkedControllers();
+    const parameters = controller.parameters;
+    test.assert(isShareable('masterVolume', parameters.masterVolume), 'Master shared');
+    test.assert(isShareable('guitarGain', parameters.guitarGain), 'Gain shared');
+    test.assert(!isShareable('stereoLinkMode', parameters.stereoLinkMode), 'Stereo role per amp');
+    test.assert(!isShareable('footSW1Tip', parameters.footSW1Tip), 'Footswitch wiring per amp');
+    test.assert(!isShareable('looperControl', parameters.looperControl), 'Looper per amp');
+});
+
+test.test('Trims offset and clamp the remote value; overrides round-trip', () => {
+    const { controller } = createLinkedControllers();
+    const link = new StereoLink(controller.parameters);
+    link.setTrim('masterVolume', -5);
+    test.assertEqual(link.remoteValueFor('masterVolume', 50), 45, 'Trim applied');
+    test.assertEqual(link.remoteValueFor('masterVolume', 2), 0, 'Clamped to the range');
+    link.setIndependent('guitarGain', true);
+    test.assert(!link.isMirrored('guitarGain'), 'Independent parameter not mirrored');
+
+    const restored = new StereoLink(controller.parameters);
+    restored.setOverrides({ ...link.getOverrides(), trims: { ...link.getOverrides().trims, noSuchParam: 3 } });
+    test.assertEqual(restored.getTrim('masterVolume'), -5, 'Trim restored');
+    test.assert(restored.independent.has('guitarGain'), 'Independent restored');
+    test.assert(!restored.trims.has('noSuchParam'), 'Unknown parameters dropped');
+});
+
+test.test('Linking sets both roles and aligns the remote with the host', async () => {
+    const { controller, host, remote } = createLinkedControllers();
+    await withRestoredParameters(controller, ['masterVolume', 'stereoLinkMode'], async () => {
+        await controller.connectToBossCube();
+        try {
+            remote.turnKnob('masterVolume', controller.parameters.masterVolume.current === 20 ? 30 : 20);
+            controller.stereoLink.setTrim('masterVolume', -3);
+            await controller.connectStereoRemote();
+            await settle();
+
+            test.assert(controller.isStereoLinked, 'Remote connected');
+            test.assertEqual(host.getValue('stereoLinkMode'), STEREO_LINK_MODES.HOST, 'Host role');
+            test.assertEqual(remote.getValue('stereoLinkMode'), STEREO_LINK_MODES.REMOTE, 'Remote role');
+            const expected = Math.max(0, controller.parameters.masterVolume.current - 3);
+            test.assertEqual(remote.getValue('masterVolume'), expected, 'Remote got the host value minus trim');
+            test.assertEqual(controller.stereoLink.diff().length, 0, 'Nothing left to align');
+
+            // EQ and gain are shown one below the amp's value; the re-read must not flag them
+            await controller.readStereoRemoteState();
+            test.assertEqual(controller.stereoLink.diff().map(d => d.key).join(','), '', 'Re-read matches what was mirrored');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+        test.assert(!controller.isStereoLinked, 'Remote dropped with the host');
+    });
+});
+
+test.test('Host writes are mirrored except independent parameters', async () => {
+    const { controller, remote } = createLinkedControllers();
+    const keys = ['masterVolume', 'guitarGain', 'micInstVolume', 'stereoLinkMode'];
+    await withRestoredParameters(controller, keys, async () => {
+        await controller.connectToBossCube();
+        try {
+            await controller.connectStereoRemote();
+            controller.stereoLink.setIndependent('guitarGain', true);
+            const remoteGain = remote.getValue('guitarGain');
+
+            await controller.setParameter('masterVolume', 61);
+            await controller.setParameters({ guitarGain: remoteGain === 40 ? 41 : 40, micInstVolume: 33 });
+            await settle();
+
+            test.assertEqual(remote.getValue('masterVolume'), 61, 'Single write mirrored');
+            test.assertEqual(remote.getValue('micInstVolume'), 33, 'Batch write mirrored');
+            test.assertEqual(remote.getValue('guitarGain'), remoteGain, 'Independent parameter left alone');
+
+            remote.turnKnob('masterVolume', 10);
+            await settle();
+            test.assertEqual(controller.stereoLink.remoteState.masterVolume, 10, 'Remote knob shown');
+            test.assertEqual(controller.parameters.masterVolume.current, 61, 'Host value untouched');
+            test.assertEqual(controller.stereoLink.diff()[0]?.key, 'masterVolume', 'Drift listed');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+    });
+});
+
+test.test('A dropped REMOTE is shown as lost, reconnected and linked again', async () => {
+    const { controller, remote } = createLinkedControllers();
+    await withRestoredParameters(controller, ['masterVolume', 'stereoLinkMode'], async () => {
+        await controller.connectToBossCube();
+        try {
+            await controller.connectStereoRemote();
+            remote.powerOff();
+            await waitFor(() => !controller.isStereoLinked);
+            test.assert(controller.stereoRemoteLost, 'Lost, not just disconnected');
+            test.assert(controller.isAutoReconnecting('remote'), 'Retrying with backoff');
+
+            // Missed by the REMOTE while it is away
+            const hostVolume = remote.getValue('masterVolume') === 44 ? 45 : 44;
+            await controller.setParameter('masterVolume', hostVolume);
+
+            remote.powerOn();
+            // Relinking re-reads and pushes every shared value, like the first link
+            await waitFor(() => controller.isStereoLinked && !controller.isAutoReconnecting('remote'), 5000);
+            await settle();
+            test.assert(!controller.stereoRemoteLost, 'Linked again');
+            test.assertEqual(remote.getValue('stereoLinkMode'), STEREO_LINK_MODES.REMOTE, 'Remote role set again');
+            test.assertEqual(remote.getValue('masterVolume'), hostVolume, 'Host values pushed after the drop');
+        } finally {
+            await controller.disconnectBossCube();
+        }
+        test.assert(!controller.isAutoReconnecting('remote'), 'No retries left running');
+    });
+});
+
+test.test('The host Cube cannot be linked to itself', async () => {
+    const { controller, host } = createLinkedControllers();
+    controller.useRemoteCubeSimulator(host);
+    await controller.connectToBossCube();
+    try {
+        let error = null;
+        try {
+            await controller.connectStereoRemote();
+        } catch (e) {
+            error = e;
+        }
+        test.assert(error && error.message.includes('HOST'), 'Rejected');
+        test.assert(!controller.isStereoLinked, 'Not linked');
+    } finally {
+        await controller.disconnectBossCube();
+    }
+});
+
+if (typeof window !== 'undefined') {
+    window.runStereoLinkTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Stereo link tests loaded. Run window.runStereoLinkTests() to execute.');
+}
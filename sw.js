@@ -16,6 +16,13 @@ const urlsToCache = [
     '/boss-cube-controller.js',
     '/boss-cube-communication.js',
     '/pedal-communication.js',
+    '/midi-transports.js',
+    '/cube-simulator.js',
+    '/sysex-session.js',
+    '/gatt-write-queue.js',
+    '/ble-midi-parser.js',
+    '/sysex-validation.js',
+    '/parameter-codec.js',
     '/parameters.js',
     '/constants.js',
     '/template-loader.js',
@@ -27,7 +34,25 @@ const urlsToCache = [
     '/volume-calibration.js',
     '/version-switcher.js',
     '/discovery-dashboard.js',
+    '/connection-diagnostics.js',
+    '/connection-health.js',
+    '/state-reconciliation.js',
+    '/reconcile-dialog.js',
+    '/pending-changeset.js',
+    '/pending-sync-dialog.js',
+    '/device-identity.js',
+    '/model-profiles.js',
+    '/known-devices.js',
+    '/stereo-link.js',
+    '/stereo-link-panel.js',
     '/looper-timeline.js',
+    '/pedal-config.js',
+    '/pedal-config-dialog.js',
+    '/midi-mapping.js',
+    '/footswitch-gestures.js',
+    '/tap-tempo.js',
+    '/expression-curves.js',
+    '/expression-curve-editor.js',
     '/manifest.json',
     '/templates/effects-interface.html',
     '/templates/live-performance.html',
@@ -0,0 +1,133 @@
+/**
+ * SysEx Session Recorder / Replayer
+ * Captures every BLE MIDI packet exchanged with the Cube and the pedal into a
+ * JSON trace, and feeds a saved trace back through handleMIDIData so a sync
+ * bug seen on stage can be reproduced offline against BossCubeController.
+ */
+
+export const TRACE_FORMAT = 'boss-web-control-sysex-trace';
+export const TRACE_VERSION = 1;
+
+export const TRACE_DEVICES = { CUBE: 'cube', PEDAL: 'pedal' };
+export const TRACE_DIRECTIONS = { IN: 'in', OUT: 'out' };
+
+// Guard against a forgotten recording (tuner streams ~10 packets/s)
+const MAX_TRACE_PACKETS = 50000;
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+const fromHex = (hex) => hex.trim() ? hex.trim().split(/\s+/).map(h => parseInt(h, 16)) : [];
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+export class SysExSessionRecorder {
+    constructor() {
+        this.packets = [];
+        this.recording = false;
+        this.truncated = false;
+        this.startedAt = null;
+        this._startTime = 0;
+        this.onLog = null;
+    }
+
+    log(message, type = 'info') {
+        if (this.onLog) this.onLog(message, type);
+    }
+
+    start() {
+        this.packets = [];
+        this.truncated = false;
+        this.startedAt = new Date().toISOString();
+        this._startTime = now();
+        this.recording = true;
+        this.log('⏺️ SysEx session recording started', 'info');
+    }
+
+    stop() {
+        if (!this.recording) return this.toJSON();
+        this.recording = false;
+        this.log(`⏹️ SysEx session recording stopped (${this.packets.length} packets)`, 'info');
+        return this.toJSON();
+    }
+
+    /**
+     * Record one raw packet. device: 'cube' | 'pedal', direction: 'in' | 'out'
+     */
+    record(device, direction, bytes) {
+        if (!this.recording) return;
+        if (this.packets.length >= MAX_TRACE_PACKETS) {
+            if (!this.truncated) {
+                this.truncated = true;
+                this.log(`⚠️ SysEx trace full (${MAX_TRACE_PACKETS} packets) — further packets dropped`, 'warning');
+            }
+            return;
+        }
+        this.packets.push({
+            t: Math.round((now() - this._startTime) * 10) / 10,
+            device,
+            dir: direction,
+            data: toHex(bytes)
+        });
+    }
+
+    get packetCount() {
+        return this.packets.length;
+    }
+
+    toJSON() {
+        return {
+            format: TRACE_FORMAT,
+            version: TRACE_VERSION,
+            startedAt: this.startedAt,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            truncated: this.truncated,
+            packets: [...this.packets]
+        };
+    }
+}
+
+/**
+ * Validate a trace (object or JSON string) and decode packet bytes
+ */
+export function parseSessionTrace(input) {
+    const trace = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!trace || trace.format !== TRACE_FORMAT || !Array.isArray(trace.packets)) {
+        throw new Error('Not a SysEx session trace');
+    }
+    if (trace.version > TRACE_VERSION) {
+        throw new Error(`Unsupported trace version ${trace.version}`);
+    }
+    return {
+        ...trace,
+        packets: trace.packets.map(p => ({ ...p, bytes: fromHex(p.data) }))
+    };
+}
+
+/**
+ * Feed the incoming packets of a trace into the matching communication modules.
+ * targets: { cube: BossCubeCommunication, pedal: PedalCommunication } (either optional)
+ * options.realtime keeps the recorded spacing (scaled by options.speed), which
+ * matters for physical-knob detection and SysEx buffer timeouts.
+ */
+export async function replaySessionTrace(input, targets, options = {}) {
+    const { realtime = true, speed = 1, onPacket = null } = options;
+    const trace = parseSessionTrace(input);
+    let replayed = 0;
+    let lastTime = null;
+
+    for (const packet of trace.packets) {
+        if (packet.dir !== TRACE_DIRECTIONS.IN) continue;
+        const target = targets[packet.device];
+        if (!target) continue;
+
+        if (realtime && lastTime !== null && speed > 0) {
+            const wait = (packet.t - lastTime) / speed;
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        lastTime = packet.t;
+
+        target.handleMIDIData(new DataView(Uint8Array.from(packet.bytes).buffer));
+        replayed++;
+        if (onPacket) onPacket(packet, replayed);
+    }
+
+    return { replayed, total: trace.packets.length };
+}
@@ -0,0 +1,149 @@
+/**
+ * SysEx Session Recorder / Replayer Tests
+ */
+
+import { SysExSessionRecorder, parseSessionTrace, replaySessionTrace, TRACE_FORMAT } from './sysex-session.js';
+import { BossCubeCommunication } from './boss-cube-communication.js';
+import { PedalCommunication } from './pedal-communication.js';
+import { CubeSimulator } from './cube-simulator.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running SysEx Session Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 SysEx Session Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const addressKey = (address) => address.map(b => b.toString(16).padStart(2, '0')).join('');
+
+function createQuietCubeComm() {
+    const comm = new BossCubeCommunication();
+    comm.log = () => {};
+    comm.updates = [];
+    comm.onParameterUpdate = (address, value) => comm.updates.push({ key: addressKey(address), value });
+    return comm;
+}
+
+test.test('Recorder captures direction, device and hex bytes', () => {
+    const recorder = new SysExSessionRecorder();
+    recorder.record('cube', 'in', [0x80]);
+    test.assertEqual(recorder.packetCount, 0, 'Nothing is recorded before start');
+
+    recorder.start();
+    recorder.record('cube', 'out', new Uint8Array([0x90, 0xB7, 0xF0, 0x41, 0xF7]));
+    recorder.record('pedal', 'in', [0x80, 0x80, 0xB0, 0x07, 0x40]);
+    const trace = recorder.stop();
+
+    test.assertEqual(trace.format, TRACE_FORMAT, 'Trace format tag');
+    test.assertEqual(trace.packets.length, 2, 'Two packets recorded');
+    test.assertEqual(trace.packets[0].dir, 'out', 'First packet direction');
+    test.assertEqual(trace.packets[0].data, '90 b7 f0 41 f7', 'Packet bytes as hex');
+    test.assertEqual(trace.packets[1].device, 'pedal', 'Second packet device');
+    test.assert(trace.packets[1].t >= trace.packets[0].t, 'Timestamps are monotonic');
+});
+
+test.test('parseSessionTrace rejects foreign JSON', () => {
+    let threw = false;
+    try {
+        parseSessionTrace('{"hello": "world"}');
+    } catch {
+        threw = true;
+    }
+    test.assert(threw, 'Non-trace JSON should be rejected');
+
+    const parsed = parseSessionTrace({ format: TRACE_FORMAT, version: 1, packets: [{ t: 0, device: 'cube', dir: 'in', data: 'f0 41 f7' }] });
+    test.assertEqual(parsed.packets[0].bytes.join(','), '240,65,247', 'Hex decoded back to bytes');
+});
+
+test.test('Cube session recorded against the simulator replays to the same updates', async () => {
+    const simulator = new CubeSimulator();
+    const live = createQuietCubeComm();
+    const recorder = new SysExSessionRecorder();
+    live.recorder = recorder;
+    recorder.start();
+
+    await live.connectToDevice(simulator.device);
+    await live.sendParameterCommand([0x20, 0x00, 0x00, 0x01], 66);
+    await live.sendBlockReadRequest([0x20, 0x00, 0x00, 0x00], [0x00, 0x00, 0x00, 0x05]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await live.disconnect();
+    const trace = recorder.stop();
+
+    test.assert(trace.packets.some(p => p.dir === 'out'), 'Outgoing packets recorded');
+    test.assert(trace.packets.some(p => p.dir === 'in'), 'Incoming packets recorded');
+
+    const offline = createQuietCubeComm();
+    const result = await replaySessionTrace(JSON.stringify(trace), { cube: offline }, { realtime: false });
+
+    test.assertEqual(result.replayed, trace.packets.filter(p => p.dir === 'in').length, 'All incoming packets replayed');
+    test.assertEqual(JSON.stringify(offline.updates), JSON.stringify(live.updates), 'Replay reproduces the parameter updates');
+});
+
+test.test('Pedal packets are recorded and replayed into the pedal module', async () => {
+    const recorder = new SysExSessionRecorder();
+    const pedal = new PedalCommunication();
+    pedal.log = () => {};
+    pedal.recorder = recorder;
+    pedal.isConnected = true;
+    pedal.characteristic = { writeValue: async () => {} };
+    recorder.start();
+
+    await pedal.sendWriteRequest([0x10, 0x00, 0x00, 0x00], 1);
+    pedal.handleMIDIData(new DataView(new Uint8Array([0x80, 0x80, 0xB0, 127, 100]).buffer));
+    const trace = recorder.stop();
+
+    test.assertEqual(trace.packets.length, 2, 'One outgoing write and one incoming CC');
+    test.assertEqual(trace.packets[0].device, 'pedal', 'Packets tagged as pedal');
+
+    const offline = new PedalCommunication();
+    offline.log = () => {};
+    const volumes = [];
+    offline.onVolumeChange = (value) => volumes.push(value);
+    await replaySessionTrace(trace, { pedal: offline }, { realtime: false });
+    test.assertEqual(volumes.length, 1, 'Replayed CC should move the pedal');
+});
+
+if (typeof window !== 'undefined') {
+    window.runSysExSessionTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 SysEx session tests loaded. Run window.runSysExSessionTests() to execute.');
+}
@@ -0,0 +1,67 @@
+/**
+ * Incoming Roland SysEx Validation
+ * Shared by BossCubeCommunication and PedalCommunication. A DT1 is only applied
+ * when its header, command and checksum check out; every rejection is counted
+ * so the connection diagnostics can tell a noisy radio link (checksum,
+ * truncated, timeout) from a protocol or app bug (header, unknown command).
+ */
+
+export const PROTOCOL_ERRORS = {
+    CHECKSUM: 'checksum',               // Roland checksum over address + data does not match
+    HEADER: 'header',                   // not from the expected manufacturer/device/model
+    TIMEOUT: 'timeout',                 // reply or SysEx continuation never arrived
+    UNKNOWN_COMMAND: 'unknownCommand',  // anything but DT1 (0x12)
+    TRUNCATED: 'truncated'              // too short to hold address, data and checksum
+};
+
+const DT1_COMMAND = 0x12;
+const COMMAND_INDEX = 7;        // after manufacturer, device ID and 5-byte model ID
+const ADDRESS_START = 8;
+const MIN_DT1_LENGTH = 14;      // header (7) + command + address (4) + 1 data byte + checksum
+
+/**
+ * Check a SysEx payload (without F0/F7) against a device header such as BOSS_CUBE_HEADER.
+ * @returns {string|null} a PROTOCOL_ERRORS value, or null when the DT1 is valid
+ */
+export function validateRolandDT1(sysexData, header) {
+    if (sysexData.length <= COMMAND_INDEX) {
+        return PROTOCOL_ERRORS.TRUNCATED;
+    }
+    for (let i = 0; i < COMMAND_INDEX; i++) {
+        if (sysexData[i] !== header[i]) return PROTOCOL_ERRORS.HEADER;
+    }
+    if (sysexData[COMMAND_INDEX] !== DT1_COMMAND) {
+        return PROTOCOL_ERRORS.UNKNOWN_COMMAND;
+    }
+    if (sysexData.length < MIN_DT1_LENGTH) {
+        return PROTOCOL_ERRORS.TRUNCATED;
+    }
+
+    const body = sysexData.slice(ADDRESS_START, -1);
+    const expected = (128 - (body.reduce((sum, byte) => sum + byte, 0) % 128)) % 128;
+    return sysexData[sysexData.length - 1] === expected ? null : PROTOCOL_ERRORS.CHECKSUM;
+}
+
+export class ProtocolErrorCounters {
+    constructor() {
+        this.reset();
+    }
+
+    count(kind, detail = '') {
+        this.counts[kind] = (this.counts[kind] || 0) + 1;
+        this.lastError = { kind, detail, at: Date.now() };
+    }
+
+    reset() {
+        this.counts = Object.fromEntries(Object.values(PROTOCOL_ERRORS).map(kind => [kind, 0]));
+        this.lastError = null;
+    }
+
+    get total() {
+        return Object.values(this.counts).reduce((sum, n) => sum + n, 0);
+    }
+
+    toJSON() {
+        return { ...this.counts, total: this.total, lastError: this.lastError };
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Tap Tempo
+ * BPM from the last few taps on a footswitch or the on-screen pad, and its
+ * conversion to the guitar delay time (at a note division) and to the
+ * modulation rates of tremolo, chorus and phaser.
+ */
+
+export const NOTE_DIVISIONS = {
+    half: { label: '1/2', beats: 2 },
+    quarter: { label: '1/4', beats: 1 },
+    dottedEighth: { label: 'Dotted 1/8', beats: 0.75 },
+    quarterTriplet: { label: '1/4 triplet', beats: 2 / 3 },
+    eighth: { label: '1/8', beats: 0.5 },
+    eighthTriplet: { label: '1/8 triplet', beats: 1 / 3 },
+    sixteenth: { label: '1/16', beats: 0.25 }
+};
+
+// Effects whose rate can follow the tapped tempo → the parameters to write
+export const TAP_TEMPO_RATE_TARGETS = {
+    tremolo: ['guitarTremoloRate'],
+    chorus: ['guitarChorusLowRate', 'guitarChorusHighRate'],
+    phaser: ['guitarPhaserRate']
+};
+
+export const TAP_TEMPO_LIMITS = {
+    minBpm: 40,  // a longer gap between taps starts a new count
+    maxBpm: 300, // a shorter one is a switch bounce and is ignored
+    maxTaps: 6   // taps averaged
+};
+
+// The Cube does not document its LFO curve; Rate 0-100 is taken as log-spaced over this range
+export const MODULATION_RATE_HZ = { min: 0.1, max: 10 };
+
+export class TapTempo {
+    constructor(limits = TAP_TEMPO_LIMITS) {
+        this.limits = { ...TAP_TEMPO_LIMITS, ...limits };
+        this.taps = [];
+        this.bpm = null;
+    }
+
+    /**
+     * Register a tap
+     * @param {number} now - tap time in ms
+     * @returns {number|null} BPM once two taps are in; null on the first tap of a count or a bounce
+     */
+    tap(now = Date.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined) {
+            const interval = now - last;
+            if (interval < 60000 / this.limits.maxBpm) return null;
+            if (interval > 60000 / this.limits.minBpm) this.taps = [];
+        }
+        this.taps.push(now);
+        if (this.taps.length > this.limits.maxTaps) this.taps.shift();
+        if (this.taps.length < 2) return null;
+
+        const interval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        this.bpm = Math.round(60000 / interval);
+        return this.bpm;
+    }
+
+    reset() {
+        this.taps = [];
+        this.bpm = null;
+    }
+}
+
+/**
+ * Delay time in ms for a tempo and note division. Times past the parameter
+ * maximum are halved until they fit, so the repeats still land on the beat.
+ */
+export function delayTimeForTempo(bpm, division, param) {
+    let ms = (60000 / bpm) * NOTE_DIVISIONS[division].beats;
+    while (ms > param.max) ms /= 2;
+    return Math.max(param.min, Math.round(ms));
+}
+
+/**
+ * Rate parameter value for one modulation cycle per note division
+ */
+export function rateForTempo(bpm, division, param) {
+    const hz = bpm / 60 / NOTE_DIVISIONS[division].beats;
+    const { min, max } = MODULATION_RATE_HZ;
+    const position = Math.log(hz / min) / Math.log(max / min);
+    const value = param.min + Math.round(position * (param.max - param.min));
+    return Math.max(param.min, Math.min(param.max, value));
+}
@@ -0,0 +1,111 @@
+/**
+ * Tap Tempo Tests
+ * BPM from taps, and its conversion to delay time and modulation rates
+ */
+
+import {
+    TapTempo,
+    NOTE_DIVISIONS,
+    MODULATION_RATE_HZ,
+    delayTimeForTempo,
+    rateForTempo
+} from './tap-tempo.js';
+import { MIDI_ACTIONS } from './midi-mapping.js';
+import { BOSS_CUBE_PARAMETERS } from './parameters.js';
+
+class TestFramework {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, testFunction) {
+        this.tests.push({ name, testFunction });
+    }
+
+    async run() {
+        console.log('🧪 Running Tap Tempo Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                await test.testFunction();
+                console.log(`✅ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`❌ ${test.name}: ${error.message}`);
+                this.failed++;
+            }
+        }
+
+        console.log(`\n📊 Tap Tempo Test Results: ${this.passed} passed, ${this.failed} failed`);
+        return { passed: this.passed, failed: this.failed };
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+}
+
+const test = new TestFramework();
+
+const tapAt = (tempo, times) => times.map(t => tempo.tap(t));
+
+test.test('BPM from the average of recent taps', () => {
+    const tempo = new TapTempo();
+    const results = tapAt(tempo, [1000, 1500, 2010, 2490, 3000]);
+    test.assertEqual(results[0], null, 'First tap has no tempo yet');
+    test.assertEqual(results[1], 120, 'Second tap gives the tempo');
+    test.assertEqual(results[4], 120, 'Jitter averaged out');
+
+    const limited = new TapTempo({ maxTaps: 3 });
+    const changed = tapAt(limited, [0, 1000, 2000, 2500, 3000]);
+    test.assertEqual(changed[4], 120, 'Only the last taps count, so a tempo change is followed');
+});
+
+test.test('A pause starts a new count; a switch bounce is ignored', () => {
+    const tempo = new TapTempo();
+    tapAt(tempo, [0, 500]);
+    test.assertEqual(tempo.tap(5000), null, 'Long pause restarts');
+    test.assertEqual(tempo.tap(5600), 100, 'Tempo from the new count only');
+    test.assertEqual(tempo.tap(5640), null, 'Bounce faster than the maximum BPM ignored');
+    test.assertEqual(tempo.bpm, 100, 'Last valid tempo kept');
+    test.assertEqual(tempo.tap(6200), 100, 'Count goes on without the bounce');
+});
+
+test.test('Delay time follows the note division and stays in range', () => {
+    const delayTime = BOSS_CUBE_PARAMETERS.guitarDelayTime;
+    test.assertEqual(delayTimeForTempo(120, 'quarter', delayTime), 500, 'Quarter at 120 BPM');
+    test.assertEqual(delayTimeForTempo(120, 'dottedEighth', delayTime), 375, 'Dotted eighth at 120 BPM');
+    test.assertEqual(delayTimeForTempo(90, 'eighthTriplet', delayTime), 222, 'Eighth triplet at 90 BPM');
+    test.assertEqual(delayTimeForTempo(50, 'quarter', delayTime), 600, 'Past the maximum: halved to stay on the beat');
+    test.assert(Object.keys(NOTE_DIVISIONS).includes('dottedEighth'), 'Dotted eighth offered');
+});
+
+test.test('Modulation rates span the parameter range', () => {
+    const rate = BOSS_CUBE_PARAMETERS.guitarTremoloRate;
+    const { min, max } = MODULATION_RATE_HZ;
+    test.assertEqual(rateForTempo(min * 60, 'quarter', rate), rate.min, 'Slowest LFO at the bottom');
+    test.assertEqual(rateForTempo(max * 60, 'quarter', rate), rate.max, 'Fastest LFO at the top');
+    const quarter = rateForTempo(120, 'quarter', rate);
+    const eighth = rateForTempo(120, 'eighth', rate);
+    test.assert(eighth > quarter, 'Shorter note is a faster rate');
+    test.assertEqual(rateForTempo(1000, 'sixteenth', rate), rate.max, 'Clamped to the range');
+    test.assert(MIDI_ACTIONS.tapTempo, 'Tap tempo can be bound to a switch or MIDI control');
+});
+
+if (typeof window !== 'undefined') {
+    window.runTapTempoTests = async () => {
+        const results = await test.run();
+        return results.failed === 0;
+    };
+    console.log('📋 Tap tempo tests loaded. Run window.runTapTempoTests() to execute.');
+}
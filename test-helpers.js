@@ -0,0 +1,43 @@
+/**
+ * Shared Test Helpers
+ * A controller wired to the Cube simulator, polling for async state, and
+ * restoring parameter values the tests change
+ */
+
+import { CubeSimulator } from './cube-simulator.js';
+import BossCubeController from './boss-cube-controller.js';
+
+// Reconnect backoff short enough for tests to watch a full drop and recovery
+export const FAST_RECONNECT = { BASE_DELAY: 10, MAX_DELAY: 40, GIVE_UP_AFTER: 2000 };
+
+export const waitFor = async (predicate, timeoutMs = 2000) => {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+/**
+ * Controller talking to a fresh simulator, logging silenced, fast reconnect
+ * @param {Object} [options] - CubeSimulator options
+ */
+export const createSimulatedController = (options = {}) => {
+    const controller = new BossCubeController();
+    controller.log = () => {};
+    const simulator = new CubeSimulator(options);
+    controller.useCubeSimulator(simulator);
+    controller.bossCubeComm.log = () => {};
+    controller.reconnectBackoff.cube.config = FAST_RECONNECT;
+    return { controller, simulator };
+};
+
+// Parameter definitions are shared module state; restore what a test changes
+export const withRestoredParameters = async (controller, keys, body) => {
+    const saved = Object.fromEntries(keys.map(key => [key, controller.parameters[key].current]));
+    try {
+        await body();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) controller.parameters[key].current = value;
+    }
+};
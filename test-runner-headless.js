@@ -117,12 +117,12 @@ async function runTests() {
         const testResult = await page.evaluate(async () => {
             // Wait for test runners to be available
             let attempts = 0;
-            while ((!window.runPedalCommunicationTests || !window.runBossCubeControllerTests || !window.BossCubeCommunicationTests || !window.runReloadValuesTests || !window.runVolumeCalibrationTests) && attempts < 50) {
+            while ((!window.runPedalCommunicationTests || !window.runBossCubeControllerTests || !window.BossCubeCommunicationTests || !window.runReloadValuesTests || !window.runVolumeCalibrationTests || !window.runCubeSimulatorTests || !window.runSysExSessionTests || !window.runGattWriteQueueTests || !window.runBleMidiParserTests || !window.runParameterCodecTests || !window.runConnectionHealthTests || !window.runStateReconciliationTests || !window.runPendingChangesetTests || !window.runModelProfileTests || !window.runKnownDevicesTests || !window.runStereoLinkTests || !window.runPedalConfigTests || !window.runMidiMappingTests || !window.runFootswitchGesturesTests || !window.runTapTempoTests || !window.runExpressionCurvesTests) && attempts < 50) {
                 await new Promise(resolve => setTimeout(resolve, 100));
                 attempts++;
             }
             
-            if (!window.runPedalCommunicationTests || !window.runBossCubeControllerTests || !window.BossCubeCommunicationTests || !window.runReloadValuesTests || !window.runVolumeCalibrationTests) {
+            if (!window.runPedalCommunicationTests || !window.runBossCubeControllerTests || !window.BossCubeCommunicationTests || !window.runReloadValuesTests || !window.runVolumeCalibrationTests || !window.runCubeSimulatorTests || !window.runSysExSessionTests || !window.runGattWriteQueueTests || !window.runBleMidiParserTests || !window.runParameterCodecTests || !window.runConnectionHealthTests || !window.runStateReconciliationTests || !window.runPendingChangesetTests || !window.runModelProfileTests || !window.runKnownDevicesTests || !window.runStereoLinkTests || !window.runPedalConfigTests || !window.runMidiMappingTests || !window.runFootswitchGesturesTests || !window.runTapTempoTests || !window.runExpressionCurvesTests) {
                 throw new Error('Test runners not available after 5 seconds');
             }
             
@@ -151,8 +151,88 @@ async function runTests() {
 
                 console.log('🧪 Running Volume Calibration Tests...');
                 const volumeCalibrationSuccess = await window.runVolumeCalibrationTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Cube Simulator Tests...');
+                const cubeSimulatorSuccess = await window.runCubeSimulatorTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running SysEx Session Tests...');
+                const sysexSessionSuccess = await window.runSysExSessionTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running GATT Write Queue Tests...');
+                const gattWriteQueueSuccess = await window.runGattWriteQueueTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running BLE MIDI Parser Tests...');
+                const bleMidiParserSuccess = await window.runBleMidiParserTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Parameter Codec Tests...');
+                const parameterCodecSuccess = await window.runParameterCodecTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Connection Health Tests...');
+                const connectionHealthSuccess = await window.runConnectionHealthTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running State Reconciliation Tests...');
+                const stateReconciliationSuccess = await window.runStateReconciliationTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Pending Changeset Tests...');
+                const pendingChangesetSuccess = await window.runPendingChangesetTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Model Profile Tests...');
+                const modelProfileSuccess = await window.runModelProfileTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Known Devices Tests...');
+                const knownDevicesSuccess = await window.runKnownDevicesTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Stereo Link Tests...');
+                const stereoLinkSuccess = await window.runStereoLinkTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Pedal Config Tests...');
+                const pedalConfigSuccess = await window.runPedalConfigTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running MIDI Mapping Tests...');
+                const midiMappingSuccess = await window.runMidiMappingTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Footswitch Gestures Tests...');
+                const footswitchGesturesSuccess = await window.runFootswitchGesturesTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Tap Tempo Tests...');
+                const tapTempoSuccess = await window.runTapTempoTests();
+
+                console.log('\n' + '='.repeat(50) + '\n');
+
+                console.log('🧪 Running Expression Curves Tests...');
+                const expressionCurvesSuccess = await window.runExpressionCurvesTests();
                 
-                const allSuccess = pedalSuccess && controllerSuccess && communicationSuccess && reloadValuesSuccess && volumeCalibrationSuccess;
+                const allSuccess = pedalSuccess && controllerSuccess && communicationSuccess && reloadValuesSuccess && volumeCalibrationSuccess && cubeSimulatorSuccess && sysexSessionSuccess && gattWriteQueueSuccess && bleMidiParserSuccess && parameterCodecSuccess && connectionHealthSuccess && stateReconciliationSuccess && pendingChangesetSuccess && modelProfileSuccess && knownDevicesSuccess && stereoLinkSuccess && pedalConfigSuccess && midiMappingSuccess && footswitchGesturesSuccess && tapTempoSuccess && expressionCurvesSuccess;
                 return { success: allSuccess, error: null };
             } catch (error) {
                 return { success: false, error: error.message };